@@ -0,0 +1,186 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file autosave.js - Automatic saving of Tox profiles
+ */
+
+var events = require('events');
+var path = require('path');
+var _util = require('util');
+
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Creates an Autosave, which saves the savedata of a Tox instance to a
+ * file periodically and after changes made through the instance (see the
+ * savedataChange event). The file is replaced atomically, keeping numbered
+ * backups of its previous contents if asked. Saves made while a save is
+ * being written are coalesced into one. Emits save after each save, and
+ * error if a save not given a callback fails. Created by Tox#autosave(),
+ * not directly, and stopped when the Tox instance is killed.
+ * @class
+ * @param {Tox} tox
+ * @param {String} filepath - Path of the profile
+ * @param {Object} [opts]
+ * @param {Number} [opts.interval=0] - Milliseconds between saves, 0 to
+ *        only save after changes
+ * @param {Boolean} [opts.onChange=true] - Whether or not to save after
+ *        changes
+ * @param {Number} [opts.keep=0] - Number of backups to keep, named like the
+ *        profile with a suffix of .1 (newest), .2 and so on
+ * @param {(Buffer|String)} [opts.passphrase] - Passphrase to encrypt the
+ *        profile with, using the Tox instance's ToxEncryptSave
+ */
+var Autosave = function(tox, filepath, opts) {
+  events.EventEmitter.call(this);
+  if(!opts) opts = {};
+
+  var _this = this;
+
+  this._tox = tox;
+  this._path = filepath;
+  this._interval = opts['interval'] || 0;
+  this._keep = opts['keep'] || 0;
+  this._passphrase = opts['passphrase'];
+  this._saving = false;
+  this._saveAgain = false;
+  this._saveCallbacks = [];
+  this._timer = undefined;
+  this._onChange = undefined;
+  this._stopped = false;
+
+  if(this._passphrase !== undefined && !tox.hasCrypto()) {
+    throw new Error('Tox instance has no crypto to encrypt with');
+  }
+
+  if(opts['onChange'] !== false) {
+    this._onChange = function() {
+      _this.save();
+    };
+    tox.on('savedataChange', this._onChange);
+  }
+
+  if(this._interval > 0) {
+    this._timer = setInterval(function() {
+      // Killed without being stopped
+      if(!_this._tox.hasHandle()) {
+        return _this.stop();
+      }
+      _this.save();
+    }, this._interval);
+  }
+};
+
+_util.inherits(Autosave, events.EventEmitter);
+
+/**
+ * Get the path of the profile.
+ * @return {String} path
+ */
+Autosave.prototype.getPath = function() {
+  return this._path;
+};
+
+/**
+ * Save now.
+ * @param {Tox~errorCallback} [callback]
+ */
+Autosave.prototype.save = function(callback) {
+  if(callback) {
+    this._saveCallbacks.push(callback);
+  }
+
+  // Write again once the current write is done
+  if(this._saving) {
+    this._saveAgain = true;
+    return;
+  }
+
+  var _this = this,
+      callbacks = this._saveCallbacks;
+  this._saveCallbacks = [];
+  this._saving = true;
+
+  this._getData(function(err, data) {
+    var done = function(err) {
+      _this._saving = false;
+      if(_this._saveAgain) {
+        _this._saveAgain = false;
+        _this.save();
+      }
+
+      // Saves in progress when stopped may fail, as the instance is killed
+      if(!err) {
+        _this.emit('save');
+      } else if(callbacks.length === 0 && !_this._stopped) {
+        _this.emit('error', err);
+      }
+      callbacks.forEach(function(callback) {
+        callback(err);
+      });
+    };
+
+    if(err) return done(err);
+    util.writeFileAtomic(_this._path, data, { mode: util.PRIVATE_FILE_MODE, backups: _this._keep }, done);
+  });
+};
+
+/**
+ * Save now, synchronously.
+ */
+Autosave.prototype.saveSync = function() {
+  var data = this._tox.getSavedataSync();
+  if(this._passphrase !== undefined) {
+    data = this._tox.crypto().encryptSync(data, this._passphrase);
+  }
+  util.writeFileAtomicSync(this._path, data, { mode: util.PRIVATE_FILE_MODE, backups: this._keep });
+  this.emit('save');
+};
+
+/**
+ * Stop saving automatically.
+ */
+Autosave.prototype.stop = function() {
+  this._stopped = true;
+  if(this._timer) {
+    clearInterval(this._timer);
+    this._timer = undefined;
+  }
+  if(this._onChange) {
+    this._tox.off('savedataChange', this._onChange);
+    this._onChange = undefined;
+  }
+};
+
+/**
+ * Get the data to save, encrypted if there is a passphrase.
+ * @private
+ * @param {Function} callback - Called with an error, or the data
+ */
+Autosave.prototype._getData = function(callback) {
+  var _this = this;
+  this._tox.getSavedata(function(err, data) {
+    if(err || _this._passphrase === undefined) {
+      return callback(err, data);
+    }
+    _this._tox.crypto().encrypt(data, _this._passphrase, callback);
+  });
+};
+
+module.exports = Autosave;
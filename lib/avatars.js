@@ -0,0 +1,347 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file avatars.js - Avatar broadcasting and caching
+ */
+
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var toxEvents = require(path.join(__dirname, 'events'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Largest avatar accepted from a friend, in bytes.
+ */
+var MAX_AVATAR_SIZE = 65536;
+
+/**
+ * Creates an Avatars instance, which sends our avatar to friends as they
+ * connect and handles avatar offers from friends. The avatar hash is used
+ * as the file id, so friends can tell whether they already have it. Offers
+ * of an avatar we already have are cancelled, and a zero-size offer means
+ * the friend removed their avatar. Friend avatars are cached in memory, or
+ * as <public key>.png files in a cache directory if given.
+ * @class
+ * @param {Tox} tox - Tox instance
+ * @param {Object} [opts]
+ * @param {String} [opts.avatarDir] - Directory to cache friend avatars in
+ */
+var Avatars = function(tox, opts) {
+  if(!opts) opts = {};
+  this._tox = tox;
+  this._dir = opts['avatarDir'];
+  this._avatar = undefined;
+  this._hash = null;
+  this._sending = {};
+  this._receiving = {};
+  this._cache = {};
+  this._hashes = {};
+  this._initEvents();
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+Avatars.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Set our avatar and send it to all connected friends.
+ * @param {Buffer} avatar - Avatar data, or null to remove our avatar
+ * @param {Buffer} hash - Hash of the avatar data, see Tox#hash()
+ */
+Avatars.prototype.set = function(avatar, hash) {
+  if(avatar && avatar.length === 0) {
+    avatar = null;
+  }
+
+  this._avatar = avatar;
+  this._hash = (avatar ? hash : null);
+
+  _.each(this.tox().friends.all(), function(friend) {
+    if(friend.isConnected()) {
+      this._sendTo(friend.number);
+    }
+  }, this);
+};
+
+/**
+ * Get our avatar.
+ * @return {Buffer} avatar data, null if removed or undefined if never set
+ */
+Avatars.prototype.get = function() {
+  return this._avatar;
+};
+
+/**
+ * Get the path a friend's avatar is cached at.
+ * @param {String} publicKey - Friend public key as a hex string
+ * @return {String} path, or undefined if not caching to a directory
+ */
+Avatars.prototype.getPath = function(publicKey) {
+  if(this._dir) {
+    return path.join(this._dir, publicKey.toUpperCase() + '.png');
+  }
+};
+
+/**
+ * Asynchronously get a friend's cached avatar.
+ * @param {String} publicKey - Friend public key as a hex string
+ * @param {Tox~dataCallback} [callback] - Called with undefined data if no
+ *                                        avatar is cached
+ */
+Avatars.prototype.getFriendAvatar = function(publicKey, callback) {
+  if(!this._dir) {
+    if(callback) callback(undefined, this._cache[publicKey.toUpperCase()]);
+    return;
+  }
+
+  fs.readFile(this.getPath(publicKey), function(err, data) {
+    if(err && err.code === 'ENOENT') {
+      err = undefined;
+    }
+    if(callback) {
+      callback(err, data);
+    }
+  });
+};
+
+/**
+ * Synchronously get a friend's cached avatar.
+ * @param {String} publicKey - Friend public key as a hex string
+ * @return {Buffer} avatar data, or undefined if none cached
+ */
+Avatars.prototype.getFriendAvatarSync = function(publicKey) {
+  if(!this._dir) {
+    return this._cache[publicKey.toUpperCase()];
+  }
+
+  var filepath = this.getPath(publicKey);
+  if(fs.existsSync(filepath)) {
+    return fs.readFileSync(filepath);
+  }
+};
+
+/**
+ * Listen for connections to send our avatar, and for avatar offers.
+ * @private
+ */
+Avatars.prototype._initEvents = function() {
+  var _this = this,
+      tox = this.tox();
+
+  tox.on('friendConnectionStatus', function(e) {
+    if(e.isConnected()) {
+      _this._sendTo(e.friend());
+    }
+  });
+
+  tox.on('fileRecv', function(e) {
+    if(e.kind() === consts.TOX_FILE_KIND_AVATAR) {
+      _this._onOffer(e);
+    }
+  });
+};
+
+/**
+ * Send our avatar to a friend, cancelling any avatar still being sent to
+ * them. If our avatar was removed, a zero-size avatar is sent. Nothing is
+ * sent if an avatar was never set.
+ * @private
+ * @param {Number} friendnum
+ */
+Avatars.prototype._sendTo = function(friendnum) {
+  if(this._avatar === undefined) {
+    return;
+  }
+
+  var _this = this,
+      previous = this._sending[friendnum];
+  if(previous) {
+    delete this._sending[friendnum];
+    previous.cancel();
+  }
+
+  var readable = new stream.PassThrough(),
+      transfer;
+  readable.end(this._avatar || new Buffer(0));
+
+  try {
+    transfer = this.tox().sendStream(friendnum, readable, {
+      name: '',
+      size: (this._avatar ? this._avatar.length : 0),
+      kind: consts.TOX_FILE_KIND_AVATAR,
+      fileId: this._hash || undefined
+    });
+  } catch(e) {
+    return; // Not connected, sent again when they connect
+  }
+
+  this._sending[friendnum] = transfer;
+
+  var end = function() {
+    if(_this._sending[friendnum] === transfer) {
+      delete _this._sending[friendnum];
+    }
+  };
+
+  // Friends cancel avatars they already have
+  transfer.on('finish', end);
+  transfer.on('error', end);
+};
+
+/**
+ * Handle an avatar offer from a friend.
+ * @private
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ */
+Avatars.prototype._onOffer = function(e) {
+  var _this = this,
+      friend = this.tox().friends.getByNumber(e.friend());
+  if(!friend) {
+    return e.reject();
+  }
+
+  var publicKey = friend.publicKey,
+      previous = this._receiving[publicKey];
+  if(previous) {
+    delete this._receiving[publicKey];
+    previous.cancel();
+  }
+
+  if(Number(e.size()) === 0) {
+    e.reject();
+    return this._remove(friend);
+  }
+
+  var hash = util.toHex(this.tox().getFileIdSync(e.friend(), e.file()));
+  if(Number(e.size()) > MAX_AVATAR_SIZE || hash === this._getHash(publicKey)) {
+    return e.reject();
+  }
+
+  var readable = e.accept(),
+      chunks = [];
+  this._receiving[publicKey] = readable;
+
+  readable.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+
+  readable.on('end', function() {
+    if(_this._receiving[publicKey] === readable) {
+      delete _this._receiving[publicKey];
+      _this._store(friend, Buffer.concat(chunks));
+    }
+  });
+
+  readable.on('error', function() {
+    if(_this._receiving[publicKey] === readable) {
+      delete _this._receiving[publicKey];
+    }
+  });
+};
+
+/**
+ * Get the hash of a friend's cached avatar.
+ * @private
+ * @param {String} publicKey
+ * @return {String} hash as an upper-case hex string, or undefined if none
+ */
+Avatars.prototype._getHash = function(publicKey) {
+  if(this._hashes[publicKey] === undefined) {
+    var avatar = this.getFriendAvatarSync(publicKey);
+    if(avatar) {
+      this._hashes[publicKey] = util.toHex(this.tox().hashSync(avatar));
+    }
+  }
+  return this._hashes[publicKey];
+};
+
+/**
+ * Cache a friend's new avatar and emit friendAvatar.
+ * @private
+ * @param {Friend} friend
+ * @param {Buffer} avatar
+ */
+Avatars.prototype._store = function(friend, avatar) {
+  var _this = this,
+      publicKey = friend.publicKey,
+      hash = this.tox().hashSync(avatar);
+
+  var emit = function(err) {
+    if(!err) {
+      _this._hashes[publicKey] = util.toHex(hash);
+      _this.tox()._emit('friendAvatar', new toxEvents.FriendAvatarEvent(
+        friend.number, publicKey, avatar, hash, _this.getPath(publicKey)));
+    }
+  };
+
+  if(!this._dir) {
+    this._cache[publicKey] = avatar;
+    return emit();
+  }
+
+  this._mkdir(function(err) {
+    if(err) return emit(err);
+    fs.writeFile(_this.getPath(publicKey), avatar, emit);
+  });
+};
+
+/**
+ * Remove a friend's cached avatar and emit friendAvatar.
+ * @private
+ * @param {Friend} friend
+ */
+Avatars.prototype._remove = function(friend) {
+  var publicKey = friend.publicKey;
+  delete this._cache[publicKey];
+  delete this._hashes[publicKey];
+
+  if(this._dir) {
+    var filepath = this.getPath(publicKey);
+    if(fs.existsSync(filepath)) {
+      fs.unlinkSync(filepath);
+    }
+  }
+
+  this.tox()._emit('friendAvatar', new toxEvents.FriendAvatarEvent(
+    friend.number, publicKey, null, null, undefined));
+};
+
+/**
+ * Create the cache directory if it doesn't exist.
+ * @private
+ * @param {Tox~errorCallback} callback
+ */
+Avatars.prototype._mkdir = function(callback) {
+  fs.mkdir(this._dir, function(err) {
+    if(err && err.code === 'EEXIST') {
+      err = undefined;
+    }
+    callback(err);
+  });
+};
+
+module.exports = Avatars;
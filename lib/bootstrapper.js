@@ -0,0 +1,376 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file bootstrapper.js - Bootstrapping from node lists, with re-bootstrap
+ */
+
+var events = require('events');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * Default number of nodes to bootstrap from at a time.
+ */
+var DEFAULT_COUNT = 4;
+
+/**
+ * Default milliseconds to wait for a connection before bootstrapping again.
+ */
+var DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Get an address from a node list field, where '-' means none.
+ * @private
+ * @param {String} address
+ * @return {String} address, or undefined if none
+ */
+var fixAddress = function(address) {
+  if(_.isString(address) && address.length > 0 && address !== '-') {
+    return address;
+  }
+};
+
+/**
+ * Parse a node list, either in the nodes.json format of nodes.tox.chat
+ * (an object with a nodes array, or the array itself) or as objects with
+ * address, port and key. Nodes reported as down over both UDP and TCP,
+ * or without an address or key, are left out.
+ * @param {(Object|Object[])} json
+ * @return {Object[]} nodes with publicKey, ipv4, ipv6, port, tcpPorts and
+ *                    maintainer
+ */
+var parseNodes = function(json) {
+  var list = (_.isArray(json) ? json : (json ? json['nodes'] : undefined));
+  if(!_.isArray(list)) {
+    throw new Error('Node list has no nodes array');
+  }
+
+  return list.map(function(node) {
+    return {
+      publicKey: String(node['public_key'] || node['key'] || '').toUpperCase(),
+      ipv4: fixAddress(node['ipv4'] || node['address']),
+      ipv6: fixAddress(node['ipv6']),
+      port: node['port'],
+      tcpPorts: (node['status_tcp'] !== false && _.isArray(node['tcp_ports']) ? node['tcp_ports'] : []),
+      maintainer: node['maintainer'],
+      _down: (node['status_udp'] === false && node['status_tcp'] === false)
+    };
+  }).filter(function(node) {
+    return !node._down && node.publicKey.length === consts.TOX_PUBLIC_KEY_SIZE * 2 &&
+           (node.ipv4 !== undefined || node.ipv6 !== undefined);
+  }).map(function(node) {
+    return _.omit(node, '_down');
+  });
+};
+
+/**
+ * Creates a Bootstrapper, which bootstraps a Tox instance from a random
+ * subset of a node list, and bootstraps again from nodes not yet tried if
+ * the instance isn't connected within a timeout. Nodes which fail, or
+ * after which the instance still isn't connected, are counted as failures
+ * and tried last. Emits bootstrap (nodes) after each round. Created by
+ * Tox#bootstrapFrom(), not directly.
+ * @class
+ * @param {Tox} tox
+ * @param {(String|Object|Object[])} source - Path of a nodes.json file, or
+ *        its parsed contents
+ * @param {Object} [opts]
+ * @param {Number} [opts.count=4] - Number of nodes to bootstrap from at a
+ *        time
+ * @param {Number} [opts.timeout=30000] - Milliseconds to wait for a
+ *        connection before bootstrapping again, 0 to never bootstrap again
+ */
+var Bootstrapper = function(tox, source, opts) {
+  events.EventEmitter.call(this);
+  if(!opts) opts = {};
+
+  var _this = this;
+
+  this._tox = tox;
+  this._source = source;
+  this._count = (opts['count'] !== undefined ? opts['count'] : DEFAULT_COUNT);
+  this._timeout = (opts['timeout'] !== undefined ? opts['timeout'] : DEFAULT_TIMEOUT);
+  this._nodes = [];
+  this._failures = {};
+  this._tried = {};
+  this._last = [];
+  this._timer = undefined;
+  this._stopped = false;
+
+  this._onConnectionStatus = function(e) {
+    if(e.isConnected()) {
+      _this._clearTimer();
+    } else {
+      _this._schedule();
+    }
+  };
+  tox.on('selfConnectionStatus', this._onConnectionStatus);
+};
+
+util.inherits(Bootstrapper, events.EventEmitter);
+
+/**
+ * Read the node list and bootstrap from it for the first time.
+ * @param {Tox~errorCallback} [callback] - Called after the first round,
+ *        with an error if the node list can't be read or no node could be
+ *        bootstrapped from
+ */
+Bootstrapper.prototype.start = function(callback) {
+  var _this = this;
+
+  var done = function(err) {
+    if(callback) {
+      callback(err);
+    }
+  };
+
+  var load = function(json) {
+    try {
+      _this._nodes = parseNodes(json);
+    } catch(e) {
+      return done(e);
+    }
+    _this.bootstrap(done);
+  };
+
+  if(_.isString(this._source)) {
+    fs.readFile(this._source, 'utf8', function(err, data) {
+      var json;
+      if(!err) {
+        try {
+          json = JSON.parse(data);
+        } catch(e) {
+          err = e;
+        }
+      }
+      if(err) return done(err);
+      load(json);
+    });
+  } else {
+    setImmediate(load, this._source);
+  }
+};
+
+/**
+ * Get the nodes of the node list.
+ * @return {Object[]} nodes with publicKey, ipv4, ipv6, port, tcpPorts and
+ *                    maintainer
+ */
+Bootstrapper.prototype.getNodes = function() {
+  return this._nodes;
+};
+
+/**
+ * Get the failures of each node which has failed.
+ * @return {Object} object mapping upper-case hex public keys to objects
+ *                  with count and the last error
+ */
+Bootstrapper.prototype.getFailures = function() {
+  return this._failures;
+};
+
+/**
+ * Bootstrap from a random subset of the nodes not yet tried, preferring
+ * nodes with the fewest failures. UDP nodes are passed to Tox#bootstrap()
+ * and TCP ports to Tox#addTCPRelay().
+ * @param {Function} [callback] - Called with an error if no node could be
+ *        bootstrapped from, and the nodes tried
+ */
+Bootstrapper.prototype.bootstrap = function(callback) {
+  var _this = this,
+      nodes = this._pick();
+
+  if(nodes.length === 0) {
+    var err = new Error('No bootstrap nodes');
+    err.code = 'NO_NODES';
+    if(callback) setImmediate(callback, err, nodes);
+    return;
+  }
+
+  var pending = nodes.length, succeeded = 0, lastError;
+
+  nodes.forEach(function(node) {
+    this._bootstrapNode(node, function(err) {
+      if(err) {
+        _this._fail(node, err);
+        lastError = err;
+      } else {
+        succeeded++;
+      }
+
+      if(--pending === 0) {
+        _this._last = nodes;
+        _this.emit('bootstrap', nodes);
+        _this._schedule();
+        if(callback) {
+          callback(succeeded > 0 ? undefined : lastError, nodes);
+        }
+      }
+    });
+  }, this);
+};
+
+/**
+ * Stop bootstrapping again.
+ */
+Bootstrapper.prototype.stop = function() {
+  this._stopped = true;
+  this._clearTimer();
+  this._tox.off('selfConnectionStatus', this._onConnectionStatus);
+};
+
+/**
+ * Bootstrap from one node over all of its addresses and ports.
+ * @private
+ * @param {Object} node
+ * @param {Tox~errorCallback} callback - Called with an error if every
+ *        attempt failed
+ */
+Bootstrapper.prototype._bootstrapNode = function(node, callback) {
+  var tox = this._tox, calls = [];
+
+  [node.ipv4, node.ipv6].forEach(function(address) {
+    if(address !== undefined) {
+      calls.push(tox.bootstrap.bind(tox, address, node.port, node.publicKey));
+    }
+  });
+  node.tcpPorts.forEach(function(port) {
+    calls.push(tox.addTCPRelay.bind(tox, node.ipv4 || node.ipv6, port, node.publicKey));
+  });
+
+  var pending = calls.length, succeeded = 0, lastError;
+  calls.forEach(function(call) {
+    call(function(err) {
+      if(err) {
+        lastError = err;
+      } else {
+        succeeded++;
+      }
+      if(--pending === 0) {
+        callback(succeeded > 0 ? undefined : lastError);
+      }
+    });
+  });
+};
+
+/**
+ * Pick nodes to bootstrap from. Once every node has been tried, all
+ * nodes may be tried again.
+ * @private
+ * @return {Object[]} nodes
+ */
+Bootstrapper.prototype._pick = function() {
+  var _this = this;
+
+  var untried = this._nodes.filter(function(node) {
+    return !_this._tried[node.publicKey];
+  });
+  if(untried.length === 0) {
+    this._tried = {};
+    untried = this._nodes;
+  }
+
+  var picked = _.sortBy(_.shuffle(untried), function(node) {
+    return (_this._failures[node.publicKey] || { count: 0 }).count;
+  }).slice(0, this._count);
+
+  picked.forEach(function(node) {
+    _this._tried[node.publicKey] = true;
+  });
+  return picked;
+};
+
+/**
+ * Count a failure of a node.
+ * @private
+ * @param {Object} node
+ * @param {Error} err
+ */
+Bootstrapper.prototype._fail = function(node, err) {
+  var failure = this._failures[node.publicKey] || { count: 0 };
+  failure.count++;
+  failure.error = err;
+  this._failures[node.publicKey] = failure;
+};
+
+/**
+ * Bootstrap again after the timeout, unless connected by then.
+ * @private
+ */
+Bootstrapper.prototype._schedule = function() {
+  var _this = this;
+
+  if(this._stopped || this._timer || !(this._timeout > 0) || this._isConnected()) {
+    return;
+  }
+
+  this._timer = setTimeout(function() {
+    _this._timer = undefined;
+
+    // Check once no asynchronous call is running, which would make
+    // getConnectionStatusSync() throw CALL_IN_PROGRESS
+    _this._tox._whenIdle(function() {
+      if(_this._stopped || _this._timer || _this._isConnected()) {
+        return;
+      } else if(!_this._tox.hasHandle()) {
+        return _this.stop();
+      }
+
+      var err = new Error('Not connected after ' + _this._timeout + 'ms');
+      err.code = 'TIMEOUT';
+      _this._last.forEach(function(node) {
+        _this._fail(node, err);
+      });
+      _this.bootstrap();
+    });
+  }, this._timeout);
+};
+
+/**
+ * Stop waiting to bootstrap again.
+ * @private
+ */
+Bootstrapper.prototype._clearTimer = function() {
+  if(this._timer) {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+};
+
+/**
+ * Whether or not the Tox instance is connected.
+ * @private
+ * @return {Boolean} true if connected, false if not
+ */
+Bootstrapper.prototype._isConnected = function() {
+  try {
+    return this._tox.getConnectionStatusSync() !== consts.TOX_CONNECTION_NONE;
+  } catch(e) {
+    return false;
+  }
+};
+
+module.exports = {
+  Bootstrapper: Bootstrapper,
+  parseNodes: parseNodes
+};
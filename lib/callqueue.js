@@ -0,0 +1,202 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file callqueue.js - Serialized execution of library calls
+ */
+
+var _ = require('underscore');
+
+/**
+ * Creates a CallQueue, which runs tasks one at a time in the order they
+ * were pushed. Used to keep asynchronous (threadpool) library calls from
+ * overlapping each other or tox_iterate. Synchronous library calls can't
+ * wait for the queue, so those made while an asynchronous call is running
+ * on the threadpool throw instead, see CallQueue#wrapLibrary().
+ * @class
+ */
+var CallQueue = function() {
+  this._tasks = [];
+  this._busy = false;
+  this._asyncRunning = false;
+  this._maxDepth = 0;
+};
+
+/**
+ * Push a task onto the queue. If the queue is idle, the task is run
+ * immediately.
+ * @param {CallQueue~task} task - Task to run
+ */
+CallQueue.prototype.push = function(task) {
+  this._tasks.push(task);
+  this._maxDepth = Math.max(this._maxDepth, this.getDepth());
+  this._next();
+};
+
+/**
+ * Wrap an asynchronous function which takes a callback as its last
+ * argument, so that calls to it are run through the queue. The callback is
+ * called before the queue is released, so that state it changes (such as
+ * the handle being cleared after tox_kill) is seen by the next task.
+ * @param {Function} asyncFunc - Asynchronous function to wrap
+ * @param {Function} [guard] - Function called with the arguments when the
+ *                             task starts; if it returns an Error,
+ *                             asyncFunc is not called and the Error is
+ *                             passed to the callback instead
+ * @return {Function} Queued version of asyncFunc
+ */
+CallQueue.prototype.wrap = function(asyncFunc, guard) {
+  var queue = this;
+  return function() {
+    var args = Array.prototype.slice.call(arguments),
+        callback = args.pop(),
+        thisArg = this;
+
+    queue.push(function(done) {
+      var err = (guard ? guard(args) : undefined);
+      if(!err) {
+        queue._asyncRunning = true;
+        try {
+          asyncFunc.apply(thisArg, args.concat(function() {
+            queue._asyncRunning = false;
+            try {
+              callback.apply(this, arguments);
+            } finally {
+              done();
+            }
+          }));
+          return;
+        } catch(e) {
+          queue._asyncRunning = false;
+          err = e;
+        }
+      }
+
+      done();
+      callback(err);
+    });
+  };
+};
+
+/**
+ * Wrap a synchronous function so that calling it while an asynchronous
+ * call is running on the threadpool throws an Error with code
+ * CALL_IN_PROGRESS, instead of overlapping it.
+ * @param {Function} syncFunc - Synchronous function to wrap
+ * @param {String} [name] - Name of the function, for the error message
+ * @return {Function} Guarded version of syncFunc
+ */
+CallQueue.prototype.wrapSync = function(syncFunc, name) {
+  var queue = this;
+  return function() {
+    if(queue._asyncRunning) {
+      var err = new Error('Cannot call ' + (name || 'a library function') +
+        ' synchronously while an asynchronous call is in progress');
+      err.code = 'CALL_IN_PROGRESS';
+      throw err;
+    }
+    return syncFunc.apply(this, arguments);
+  };
+};
+
+/**
+ * Replace every function in an ffi.Library with a guarded version (see
+ * CallQueue#wrapSync()), and its asynchronous variant (.async) with a
+ * queued version.
+ * @param {ffi.Library} library - Library to wrap
+ * @param {Function} [guard] - Guard called with the function name and
+ *                             arguments when a queued call starts, see
+ *                             CallQueue#wrap()
+ * @return {ffi.Library} library
+ */
+CallQueue.prototype.wrapLibrary = function(library, guard) {
+  Object.keys(library).forEach(function(name) {
+    var func = library[name];
+    if(func && _.isFunction(func.async)) {
+      var wrapped = this.wrapSync(func, name);
+      wrapped.async = this.wrap(func.async, guard ? guard.bind(undefined, name) : undefined);
+      library[name] = wrapped;
+    }
+  }, this);
+  return library;
+};
+
+/**
+ * Get the number of tasks waiting to be run, not including the task
+ * currently running.
+ * @return {Number} Queue depth
+ */
+CallQueue.prototype.getDepth = function() {
+  return this._tasks.length;
+};
+
+/**
+ * Get the largest queue depth seen so far.
+ * @return {Number} Max queue depth
+ */
+CallQueue.prototype.getMaxDepth = function() {
+  return this._maxDepth;
+};
+
+/**
+ * Whether or not a task is currently running.
+ * @return {Boolean} true if busy, false if idle
+ */
+CallQueue.prototype.isBusy = function() {
+  return this._busy;
+};
+
+/**
+ * Whether or not an asynchronous call is running on the threadpool, during
+ * which synchronous library calls throw.
+ * @return {Boolean} true if running, false if not
+ */
+CallQueue.prototype.isAsyncRunning = function() {
+  return this._asyncRunning;
+};
+
+/**
+ * Run the next task if idle.
+ * @private
+ */
+CallQueue.prototype._next = function() {
+  if(this._busy || this._tasks.length === 0) {
+    return;
+  }
+
+  var _this = this,
+      task = this._tasks.shift(),
+      finished = false;
+
+  this._busy = true;
+  task(function() {
+    if(!finished) {
+      finished = true;
+      _this._busy = false;
+      _this._next();
+    }
+  });
+};
+
+/**
+ * Task to run on a CallQueue. Must call done exactly once when finished.
+ * @callback CallQueue~task
+ * @param {Function} done
+ */
+
+module.exports = CallQueue;
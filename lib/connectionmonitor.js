@@ -0,0 +1,313 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file connectionmonitor.js - Connectivity history of a Tox instance and
+ *                              its friends
+ */
+
+var events = require('events');
+var path = require('path');
+var _util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var toxEvents = require(path.join(__dirname, 'events'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Default milliseconds connected over TCP only before connectionDegraded.
+ */
+var DEFAULT_DEGRADED_TIMEOUT = 60000;
+
+/**
+ * Default max number of transitions kept per history.
+ */
+var DEFAULT_MAX_HISTORY = 1000;
+
+/**
+ * Connection history of one peer (us, or a friend).
+ * @private
+ * @class
+ * @param {Number} status - Current connection status (TOX_CONNECTION_*)
+ * @param {Number} time - Milliseconds since the epoch
+ */
+var History = function(status, time) {
+  this.status = status;
+  this.since = time;
+  this.start = time;
+  this.transitions = [{ time: time, status: status }];
+  this.durations = {};
+  this.durations[consts.TOX_CONNECTION_NONE] = 0;
+  this.durations[consts.TOX_CONNECTION_TCP] = 0;
+  this.durations[consts.TOX_CONNECTION_UDP] = 0;
+  this.flaps = 0;
+};
+
+/**
+ * Record a transition.
+ * @param {Number} status - New connection status
+ * @param {Number} time - Milliseconds since the epoch
+ * @param {Number} maxLength - Max number of transitions kept
+ * @return {Boolean} true if the status changed, false if not
+ */
+History.prototype.update = function(status, time, maxLength) {
+  if(status === this.status) {
+    return false;
+  }
+
+  this.durations[this.status] += time - this.since;
+  if(this.status !== consts.TOX_CONNECTION_NONE && status === consts.TOX_CONNECTION_NONE) {
+    this.flaps++;
+  }
+
+  this.status = status;
+  this.since = time;
+  this.transitions.push({ time: time, status: status });
+  if(this.transitions.length > maxLength) {
+    this.transitions.shift();
+  }
+  return true;
+};
+
+/**
+ * Get statistics up to a time.
+ * @param {Number} time - Milliseconds since the epoch
+ * @return {Object} stats
+ */
+History.prototype.getStats = function(time) {
+  var durations = _.clone(this.durations);
+  durations[this.status] += time - this.since;
+
+  return {
+    status: this.status,
+    since: new Date(this.since),
+    monitored: time - this.start,
+    uptime: durations[consts.TOX_CONNECTION_TCP] + durations[consts.TOX_CONNECTION_UDP],
+    tcpTime: durations[consts.TOX_CONNECTION_TCP],
+    udpTime: durations[consts.TOX_CONNECTION_UDP],
+    downtime: durations[consts.TOX_CONNECTION_NONE],
+    flaps: this.flaps
+  };
+};
+
+/**
+ * Creates a ConnectionMonitor, which records timestamped transitions
+ * between TOX_CONNECTION_NONE, TCP and UDP of a Tox instance and of each
+ * of its friends, using selfConnectionStatus and friendConnectionStatus
+ * events. Friends are identified by public key, so their history is kept
+ * if they are deleted and their friend number reused. Emits
+ * connectionDegraded (ConnectionDegradedEvent) when the Tox instance has
+ * been connected over TCP only for longer than a timeout.
+ * @class
+ * @param {Tox} tox
+ * @param {Object} [opts]
+ * @param {Number} [opts.degradedTimeout=60000] - Milliseconds connected
+ *        over TCP only before emitting connectionDegraded
+ * @param {Number} [opts.maxHistory=1000] - Max number of transitions kept
+ *        for us and for each friend
+ */
+var ConnectionMonitor = function(tox, opts) {
+  events.EventEmitter.call(this);
+  if(!opts) opts = {};
+
+  var _this = this,
+      now = Date.now();
+
+  this._tox = tox;
+  this._degradedTimeout = (opts['degradedTimeout'] !== undefined ? opts['degradedTimeout'] : DEFAULT_DEGRADED_TIMEOUT);
+  this._maxHistory = opts['maxHistory'] || DEFAULT_MAX_HISTORY;
+  this._degradedTimer = undefined;
+  this._self = new History(consts.TOX_CONNECTION_NONE, now);
+  this._friends = {};
+
+  tox.friends.all().forEach(function(friend) {
+    this._friends[friend.publicKey] = new History(friend.connectionStatus, now);
+  }, this);
+
+  this._listeners = {
+    selfConnectionStatus: function(e) {
+      _this._updateSelf(e.connectionStatus());
+    },
+    friendConnectionStatus: function(e) {
+      _this._updateFriend(e.publicKeyHex(), e.connectionStatus());
+    }
+  };
+  _.each(this._listeners, function(listener, name) {
+    tox.on(name, listener);
+  });
+
+  // Read our status once no asynchronous call is running, which would make
+  // getConnectionStatusSync() throw CALL_IN_PROGRESS
+  tox._whenIdle(function() {
+    if(_.isEmpty(_this._listeners)) {
+      return; // Stopped meanwhile
+    }
+
+    // Unless an event already gave it
+    if(_this._self.transitions.length === 1) {
+      _this._self = new History(_this._getSelfStatus(), now);
+    }
+    _this._checkDegraded();
+  });
+};
+
+_util.inherits(ConnectionMonitor, events.EventEmitter);
+
+/**
+ * Get connection statistics of us, or of a friend. Times are in
+ * milliseconds, since monitoring started.
+ * @param {(Buffer|String)} [publicKey] - Friend public key, or none for us
+ * @return {Object} stats with status, since (Date of the last transition),
+ *         monitored, uptime, tcpTime, udpTime, downtime and flaps (times
+ *         disconnected after being connected), or undefined if the friend
+ *         was never seen
+ */
+ConnectionMonitor.prototype.getStats = function(publicKey) {
+  var history = this._getHistory(publicKey);
+  if(history) {
+    return history.getStats(Date.now());
+  }
+};
+
+/**
+ * Get the connection transitions of us, or of a friend, oldest first. The
+ * first transition is the status when monitoring started.
+ * @param {(Buffer|String)} [publicKey] - Friend public key, or none for us
+ * @return {Object[]} transitions with time (Date) and status, or undefined
+ *                    if the friend was never seen
+ */
+ConnectionMonitor.prototype.getHistory = function(publicKey) {
+  var history = this._getHistory(publicKey);
+  if(history) {
+    return history.transitions.map(function(transition) {
+      return { time: new Date(transition.time), status: transition.status };
+    });
+  }
+};
+
+/**
+ * Get the public keys of all friends seen.
+ * @return {String[]} upper-case hex public keys
+ */
+ConnectionMonitor.prototype.getFriends = function() {
+  return Object.keys(this._friends);
+};
+
+/**
+ * Stop monitoring.
+ */
+ConnectionMonitor.prototype.stop = function() {
+  _.each(this._listeners, function(listener, name) {
+    this._tox.off(name, listener);
+  }, this);
+  this._listeners = {};
+  this._clearDegraded();
+};
+
+/**
+ * Get the history of us, or of a friend.
+ * @private
+ * @param {(Buffer|String)} [publicKey]
+ * @return {History} history
+ */
+ConnectionMonitor.prototype._getHistory = function(publicKey) {
+  if(publicKey === undefined) {
+    return this._self;
+  }
+  if(Buffer.isBuffer(publicKey)) {
+    publicKey = util.toHex(publicKey);
+  }
+  return this._friends[String(publicKey).toUpperCase()];
+};
+
+/**
+ * Get our current connection status.
+ * @private
+ * @return {Number} connection status
+ */
+ConnectionMonitor.prototype._getSelfStatus = function() {
+  try {
+    return this._tox.getConnectionStatusSync();
+  } catch(e) {
+    return consts.TOX_CONNECTION_NONE;
+  }
+};
+
+/**
+ * Handle a change of our connection status.
+ * @private
+ * @param {Number} status
+ */
+ConnectionMonitor.prototype._updateSelf = function(status) {
+  if(this._self.update(status, Date.now(), this._maxHistory)) {
+    this._checkDegraded();
+  }
+};
+
+/**
+ * Handle a change of a friend's connection status.
+ * @private
+ * @param {String} publicKey - Upper-case hex public key
+ * @param {Number} status
+ */
+ConnectionMonitor.prototype._updateFriend = function(publicKey, status) {
+  if(publicKey === undefined) {
+    return;
+  }
+
+  var now = Date.now(),
+      history = this._friends[publicKey];
+  if(!history) {
+    history = this._friends[publicKey] = new History(consts.TOX_CONNECTION_NONE, now);
+  }
+  history.update(status, now, this._maxHistory);
+};
+
+/**
+ * Start waiting to emit connectionDegraded if connected over TCP only,
+ * otherwise stop waiting.
+ * @private
+ */
+ConnectionMonitor.prototype._checkDegraded = function() {
+  var _this = this;
+
+  this._clearDegraded();
+  if(this._self.status !== consts.TOX_CONNECTION_TCP) {
+    return;
+  }
+
+  var since = this._self.since;
+  this._degradedTimer = setTimeout(function() {
+    _this._degradedTimer = undefined;
+    _this.emit('connectionDegraded', new toxEvents.ConnectionDegradedEvent(since, Date.now() - since));
+  }, Math.max(0, since + this._degradedTimeout - Date.now()));
+};
+
+/**
+ * Stop waiting to emit connectionDegraded.
+ * @private
+ */
+ConnectionMonitor.prototype._clearDegraded = function() {
+  if(this._degradedTimer) {
+    clearTimeout(this._degradedTimer);
+    this._degradedTimer = undefined;
+  }
+};
+
+module.exports = ConnectionMonitor;
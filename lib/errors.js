@@ -31,11 +31,12 @@ module.exports = {
    * the corresponding error (if any).
    * @private
    * @param {Number} val - Error value to check
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @todo Get an Error instead of throw
    */
-  checkToxNewError: function(val) {
+  checkToxNewError: function(val, fn) {
     if(val !== consts.TOX_ERR_NEW_OK) {
-      throw (new ToxError('TOX_ERR_NEW', val));
+      throw (new ToxError.NewError(val, undefined, fn));
     }
   },
 
@@ -44,11 +45,12 @@ module.exports = {
    * will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_BOOTSTRAP value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  bootstrap: function(val) {
+  bootstrap: function(val, fn) {
     if(val !== consts.TOX_ERR_BOOTSTRAP_OK) {
-      return (new ToxError('TOX_ERR_BOOTSTRAP', val));
+      return (new ToxError.BootstrapError(val, undefined, fn));
     }
   },
 
@@ -56,9 +58,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_DECRYPTION value.
    * @private
    */
-  decryption: function(val) {
+  decryption: function(val, fn) {
     if(val !== consts.TOX_ERR_DECRYPTION_OK) {
-      return (new ToxError('TOX_ERR_DECRYPTION', val));
+      return (new ToxError.DecryptionError(val, undefined, fn));
     }
   },
 
@@ -66,9 +68,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_ENCRYPTION value.
    * @private
    */
-  encryption: function(val) {
+  encryption: function(val, fn) {
     if(val !== consts.TOX_ERR_ENCRYPTION_OK) {
-      return (new ToxError('TOX_ERR_ENCRYPTION', val));
+      return (new ToxError.EncryptionError(val, undefined, fn));
     }
   },
 
@@ -76,9 +78,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FILE_CONTROL value.
    * @private
    */
-  fileControl: function(val) {
+  fileControl: function(val, fn) {
     if(val !== consts.TOX_ERR_FILE_CONTROL_OK) {
-      return (new ToxError('TOX_ERR_FILE_CONTROL', val));
+      return (new ToxError.FileControlError(val, undefined, fn));
     }
   },
 
@@ -86,9 +88,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FILE_SEEK value.
    * @private
    */
-  fileSeek: function(val) {
+  fileSeek: function(val, fn) {
     if(val !== consts.TOX_ERR_FILE_SEEK_OK) {
-      return (new ToxError('TOX_ERR_FILE_SEEK', val));
+      return (new ToxError.FileSeekError(val, undefined, fn));
     }
   },
 
@@ -96,9 +98,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FILE_GET value.
    * @private
    */
-  fileGet: function(val) {
+  fileGet: function(val, fn) {
     if(val !== consts.TOX_ERR_FILE_GET_OK) {
-      return (new ToxError('TOX_ERR_FILE_GET', val));
+      return (new ToxError.FileGetError(val, undefined, fn));
     }
   },
 
@@ -106,9 +108,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FILE_SEND value.
    * @private
    */
-  fileSend: function(val) {
+  fileSend: function(val, fn) {
     if(val !== consts.TOX_ERR_FILE_SEND_OK) {
-      return (new ToxError('TOX_ERR_FILE_SEND', val));
+      return (new ToxError.FileSendError(val, undefined, fn));
     }
   },
 
@@ -116,9 +118,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FILE_SEND_CHUNK value.
    * @private
    */
-  fileSendChunk: function(val) {
+  fileSendChunk: function(val, fn) {
     if(val !== consts.TOX_ERR_FILE_SEND_CHUNK_OK) {
-      return (new ToxError('TOX_ERR_FILE_SEND_CHUNK', val));
+      return (new ToxError.FileSendChunkError(val, undefined, fn));
     }
   },
 
@@ -127,11 +129,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_ADD value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendAdd: function(val) {
+  friendAdd: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_ADD_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_ADD', val));
+      return (new ToxError.FriendAddError(val, undefined, fn));
     }
   },
 
@@ -140,11 +143,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_BY_PUBLIC_KEY value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendByPublicKey: function(val) {
+  friendByPublicKey: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_BY_PUBLIC_KEY_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_BY_PUBLIC_KEY', val));
+      return (new ToxError.FriendByPublicKeyError(val, undefined, fn));
     }
   },
 
@@ -152,9 +156,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_FRIEND_DELETE value.
    * @private
    */
-  friendDelete: function(val) {
+  friendDelete: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_DELETE_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_DELETE', val));
+      return (new ToxError.FriendDeleteError(val, undefined, fn));
     }
   },
 
@@ -163,9 +167,9 @@ module.exports = {
    * value.
    * @private
    */
-  friendGetLastOnline: function(val) {
+  friendGetLastOnline: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_GET_LAST_ONLINE_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_GET_LAST_ONLINE', val));
+      return (new ToxError.FriendGetLastOnlineError(val, undefined, fn));
     }
   },
 
@@ -174,11 +178,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_GET_PUBLIC_KEY value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendGetPublicKey: function(val) {
+  friendGetPublicKey: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_GET_PUBLIC_KEY_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_GET_PUBLIC_KEY', val));
+      return (new ToxError.FriendGetPublicKeyError(val, undefined, fn));
     }
   },
 
@@ -187,11 +192,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_CUSTOM_PACKET value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendCustomPacket: function(val) {
+  friendCustomPacket: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_CUSTOM_PACKET_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_CUSTOM_PACKET', val));
+      return (new ToxError.FriendCustomPacketError(val, undefined, fn));
     }
   },
 
@@ -200,11 +206,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_QUERY value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendQuery: function(val) {
+  friendQuery: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_QUERY_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_QUERY', val));
+      return (new ToxError.FriendQueryError(val, undefined, fn));
     }
   },
 
@@ -213,11 +220,12 @@ module.exports = {
    * If none, will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_FRIEND_SEND_MESSAGE value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  friendSendMessage: function(val) {
+  friendSendMessage: function(val, fn) {
     if(val !== consts.TOX_ERR_FRIEND_SEND_MESSAGE_OK) {
-      return (new ToxError('TOX_ERR_FRIEND_SEND_MESSAGE', val));
+      return (new ToxError.FriendSendMessageError(val, undefined, fn));
     }
   },
 
@@ -226,11 +234,12 @@ module.exports = {
    * will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_GET_PORT value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  getPort: function(val) {
+  getPort: function(val, fn) {
     if(val !== consts.TOX_ERR_GET_PORT_OK) {
-      return (new ToxError('TOX_ERR_GET_PORT', val));
+      return (new ToxError.GetPortError(val, undefined, fn));
     }
   },
 
@@ -238,9 +247,9 @@ module.exports = {
    * Get an Error from a TOX_ERR_KEY_DERIVATION value.
    * @private
    */
-  keyDerivation: function(val) {
+  keyDerivation: function(val, fn) {
     if(val !== consts.TOX_ERR_KEY_DERIVATION_OK) {
-      return (new ToxError('TOX_ERR_KEY_DERIVATION', val));
+      return (new ToxError.KeyDerivationError(val, undefined, fn));
     }
   },
 
@@ -249,11 +258,12 @@ module.exports = {
    * will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_SET_INFO value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  setInfo: function(val) {
+  setInfo: function(val, fn) {
     if(val !== consts.TOX_ERR_SET_INFO_OK) {
-      return (new ToxError('TOX_ERR_SET_INFO', val));
+      return (new ToxError.SetInfoError(val, undefined, fn));
     }
   },
 
@@ -262,11 +272,12 @@ module.exports = {
    * will return undefined.
    * @private
    * @param {Number} val - TOX_ERR_SET_TYPING value
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error, if any
    */
-  setTyping: function(val) {
+  setTyping: function(val, fn) {
     if(val !== consts.TOX_ERR_SET_TYPING_OK) {
-      return (new ToxError('TOX_ERR_SET_TYPING', val));
+      return (new ToxError.SetTypingError(val, undefined, fn));
     }
   },
 
@@ -274,9 +285,11 @@ module.exports = {
    * Get an error for when a function returns unsuccessful, but
    * its error value indicates success.
    * @private
+   * @param {String} [fn] - Name of the libtoxcore function which failed
    * @return {ToxError} Error
    */
-  unsuccessful: function() {
-    return new ToxError('TOX_FUNC_RETURNED_UNSUCCESSFUL', 0, 'api function returned unsuccessful, but error value indicates success');
+  unsuccessful: function(fn) {
+    return new ToxError.UnsuccessfulError(0,
+      (fn ? fn + ': ' : '') + 'api function returned unsuccessful, but error value indicates success', fn);
   }
 };
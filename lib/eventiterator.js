@@ -0,0 +1,280 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file eventiterator.js - Consuming events as async iterables and promises
+ */
+
+var _ = require('underscore');
+
+/**
+ * Default max number of events buffered by an EventIterator.
+ */
+var DEFAULT_BUFFER_SIZE = 100;
+
+/**
+ * What to do when an event arrives with the buffer full.
+ */
+var OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'error'];
+
+/**
+ * Create an Error for an EventIterator or once().
+ * @private
+ * @param {String} message
+ * @param {String} code
+ * @return {Error} Error
+ */
+var createEventError = function(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Creates an EventIterator, an async iterable of the events of one name
+ * emitted by a Tox or ToxOld instance. Events are buffered from creation
+ * until consumed by next(), up to a limit. Created by Tox#events() and
+ * ToxOld#events(), not directly.
+ * @class
+ * @param {(Tox|ToxOld)} source - Anything with on() and off()
+ * @param {String} name - Event name
+ * @param {Object} [opts]
+ * @param {Function} [opts.filter] - Only events for which this returns
+ *        true are buffered. If it throws, the iterator ends with the error
+ *        once the buffered events are consumed
+ * @param {Number} [opts.bufferSize=100] - Max number of events buffered
+ * @param {String} [opts.overflow='dropOldest'] - With the buffer full,
+ *        'dropOldest' drops the oldest buffered event, 'dropNewest' drops the
+ *        event arriving and 'error' ends the iterator with an OVERFLOW error
+ *        once the buffered events are consumed
+ */
+var EventIterator = function(source, name, opts) {
+  if(!opts) opts = {};
+
+  var _this = this;
+
+  this._source = source;
+  this._name = name;
+  this._filter = opts['filter'];
+  this._bufferSize = (opts['bufferSize'] !== undefined ? opts['bufferSize'] : DEFAULT_BUFFER_SIZE);
+  this._overflow = opts['overflow'] || 'dropOldest';
+  this._buffer = [];
+  this._waiting = [];
+  this._error = undefined;
+  this._done = false;
+  this._dropped = 0;
+
+  if(OVERFLOW_POLICIES.indexOf(this._overflow) < 0) {
+    throw new Error('Unknown overflow policy: ' + this._overflow);
+  }
+
+  this._listener = function(e) {
+    _this._push(e);
+  };
+  source.on(name, this._listener);
+};
+
+if(typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  EventIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+/**
+ * Get the number of events dropped because the buffer was full.
+ * @return {Number} count
+ */
+EventIterator.prototype.getDropped = function() {
+  return this._dropped;
+};
+
+/**
+ * Get the next event, waiting for one if none are buffered.
+ * @return {Promise} promise resolving to an iterator result of the event
+ */
+EventIterator.prototype.next = function() {
+  var _this = this;
+
+  if(this._buffer.length > 0) {
+    return Promise.resolve({ value: this._buffer.shift(), done: false });
+  } else if(this._error) {
+    var err = this._error;
+    this._error = undefined;
+    return Promise.reject(err);
+  } else if(this._done) {
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  return new Promise(function(resolve, reject) {
+    _this._waiting.push({ resolve: resolve, reject: reject });
+  });
+};
+
+/**
+ * Stop listening, dropping buffered events. Called when a for await loop
+ * is left early.
+ * @return {Promise} promise resolving to a done iterator result
+ */
+EventIterator.prototype.return = function() {
+  this._buffer = [];
+  this._error = undefined;
+  this._end();
+  return Promise.resolve({ value: undefined, done: true });
+};
+
+/**
+ * Stop listening. Buffered events can still be consumed.
+ */
+EventIterator.prototype.close = function() {
+  this._end();
+};
+
+/**
+ * Handle an event from the source.
+ * @private
+ * @param {Object} e - Event
+ */
+EventIterator.prototype._push = function(e) {
+  if(this._done) {
+    return;
+  }
+
+  // Don't let the filter throw into the source's emitter
+  if(_.isFunction(this._filter)) {
+    try {
+      if(!this._filter(e)) {
+        return;
+      }
+    } catch(err) {
+      this._fail(err);
+      return;
+    }
+  }
+
+  if(this._waiting.length > 0) {
+    this._waiting.shift().resolve({ value: e, done: false });
+    return;
+  }
+
+  if(this._buffer.length >= this._bufferSize) {
+    this._dropped++;
+    if(this._overflow === 'dropNewest') {
+      return;
+    } else if(this._overflow === 'error') {
+      this._fail(createEventError('More than ' + this._bufferSize +
+        ' ' + this._name + ' events buffered', 'OVERFLOW'));
+      return;
+    } else if(this._bufferSize === 0) {
+      // Nothing buffered to drop in favour of this one
+      return;
+    }
+    this._buffer.shift();
+  }
+
+  this._buffer.push(e);
+};
+
+/**
+ * End with an error, given to the next call of next() after the buffered
+ * events are consumed.
+ * @private
+ * @param {Error} err
+ */
+EventIterator.prototype._fail = function(err) {
+  if(this._waiting.length > 0) {
+    this._waiting.shift().reject(err);
+  } else {
+    this._error = err;
+  }
+  this._end();
+};
+
+/**
+ * Stop listening, and settle anything waiting for an event.
+ * @private
+ */
+EventIterator.prototype._end = function() {
+  if(this._done) {
+    return;
+  }
+  this._done = true;
+  this._source.off(this._name, this._listener);
+
+  var waiting = this._waiting;
+  this._waiting = [];
+  waiting.forEach(function(w) {
+    w.resolve({ value: undefined, done: true });
+  });
+};
+
+/**
+ * Wait for the next event of a name emitted by a Tox or ToxOld instance.
+ * @param {(Tox|ToxOld)} source - Anything with on() and off()
+ * @param {String} name - Event name
+ * @param {Function} [predicate] - Only resolve with an event for which this
+ *        returns true. If it throws, the promise is rejected with the error
+ * @param {Object} [opts]
+ * @param {Number} [opts.timeout] - Milliseconds to wait before rejecting
+ *        with a TIMEOUT error, waits forever if not given
+ * @return {Promise} promise resolving to the event
+ */
+var once = function(source, name, predicate, opts) {
+  if(_.isObject(predicate) && !_.isFunction(predicate)) {
+    opts = predicate;
+    predicate = undefined;
+  }
+  if(!opts) opts = {};
+
+  var timeout = opts['timeout'];
+
+  return new Promise(function(resolve, reject) {
+    var timer;
+
+    var listener = function(e) {
+      var matched;
+      try {
+        matched = (!predicate || predicate(e));
+      } catch(err) {
+        clearTimeout(timer);
+        source.off(name, listener);
+        reject(err);
+        return;
+      }
+
+      if(matched) {
+        clearTimeout(timer);
+        source.off(name, listener);
+        resolve(e);
+      }
+    };
+
+    source.on(name, listener);
+
+    if(_.isNumber(timeout)) {
+      timer = setTimeout(function() {
+        source.off(name, listener);
+        reject(createEventError('No ' + name + ' event after ' + timeout + 'ms', 'TIMEOUT'));
+      }, timeout);
+    }
+  });
+};
+
+module.exports = {
+  EventIterator: EventIterator,
+  once: once
+};
@@ -16,11 +16,9 @@
  *
  */
 
-var buffertools = require('buffertools');
 var path = require('path');
 var consts = require(path.join(__dirname, 'consts'));
-
-buffertools.extend();
+var util = require(path.join(__dirname, 'util'));
 
 /**
  * Event object fired by {@class Tox}.
@@ -55,11 +53,13 @@ SelfConnectionStatusEvent.prototype.isConnected = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {String} name New name
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendNameEvent = function(friendnum, name) {
+var FriendNameEvent = function(friendnum, name, publicKey) {
   this.type = 'FriendNameEvent';
   this._friendnum = friendnum;
   this._name = name;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -84,11 +84,13 @@ FriendNameEvent.prototype.name = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {String} statusMessage New status message
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendStatusMessageEvent = function(friendnum, statusMessage) {
+var FriendStatusMessageEvent = function(friendnum, statusMessage, publicKey) {
   this.type = 'FriendStatusMessageEvent';
   this._friendnum = friendnum;
   this._statusMessage = statusMessage;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -113,11 +115,13 @@ FriendStatusMessageEvent.prototype.statusMessage = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {Number} status New status
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendStatusEvent = function(friendnum, status) {
+var FriendStatusEvent = function(friendnum, status, publicKey) {
   this.type = 'FriendStatusEvent';
   this._friendnum = friendnum;
   this._status = status;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -142,11 +146,13 @@ FriendStatusEvent.prototype.status = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {Number} connectionStatus New connection status
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendConnectionStatusEvent = function(friendnum, connectionStatus) {
+var FriendConnectionStatusEvent = function(friendnum, connectionStatus, publicKey) {
   this.type = 'FriendConnectionStatusEvent';
   this._friendnum = friendnum;
   this._connectionStatus = connectionStatus;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -179,11 +185,13 @@ FriendConnectionStatusEvent.prototype.isConnected = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {Boolean} typing Typing
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendTypingEvent = function(friendnum, typing) {
+var FriendTypingEvent = function(friendnum, typing, publicKey) {
   this.type = 'FriendTypingEvent';
   this._friendnum = friendnum;
   this._typing = typing;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -208,11 +216,13 @@ FriendTypingEvent.prototype.isTyping = function() {
  * @class
  * @param {Number} friendnum Friend number
  * @param {Number} receipt Receipt
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendReadReceiptEvent = function(friendnum, receipt) {
+var FriendReadReceiptEvent = function(friendnum, receipt, publicKey) {
   this.type = 'FriendReadReceiptEvent';
   this._friendnum = friendnum;
   this._receipt = receipt;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -257,7 +267,7 @@ FriendRequestEvent.prototype.publicKey = function() {
  * @return {String} Public key as a hex String
  */
 FriendRequestEvent.prototype.publicKeyHex = function() {
-  return this._publicKey.toHex().toString();
+  return util.toHex(this._publicKey);
 };
 
 /**
@@ -275,12 +285,14 @@ FriendRequestEvent.prototype.message = function() {
  * @param {Number} friendnum Friend number
  * @param {Number} type Message type
  * @param {String} message Message
+ * @param {Buffer} [publicKey] Friend public key, if known
  */
-var FriendMessageEvent = function(friendnum, type, message) {
+var FriendMessageEvent = function(friendnum, type, message, publicKey) {
   this.type = 'FriendMessageEvent';
   this._friendnum = friendnum;
   this._message = message;
   this._messageType = type;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -330,12 +342,14 @@ FriendMessageEvent.prototype.isAction = function() {
  * @param {Number} friendnum - Friend number
  * @param {Number} filenum - File number
  * @param {Number} control - TOX_FILE_CONTROL type
+ * @param {Buffer} [publicKey] - Friend public key, if known
  */
-var FileRecvControlEvent = function(friendnum, filenum, control) {
+var FileRecvControlEvent = function(friendnum, filenum, control, publicKey) {
   this.type = 'FileRecvControlEvent';
   this._friendnum = friendnum;
   this._filenum = filenum;
   this._control = control;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -411,14 +425,16 @@ FileRecvControlEvent.prototype.isResume = function() {
  * @param {Number} filenum - File number
  * @param {Number} position - Position
  * @param {Number} length - Chunk size
+ * @param {Buffer} [publicKey] - Friend public key, if known
  * @note position is a uint64_t, length is a size_t
  */
-var FileChunkRequestEvent = function(friendnum, filenum, position, length) {
+var FileChunkRequestEvent = function(friendnum, filenum, position, length, publicKey) {
   this.type = 'FileChunkRequestEvent';
   this._friendnum = friendnum;
   this._filenum = filenum;
   this._position = position;
   this._length = length;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -462,15 +478,20 @@ FileChunkRequestEvent.prototype.length = function() {
  * @param {Number} kind - File kind
  * @param {Number} size - File size
  * @param {String} filename - Filename
+ * @param {FileTransfers} [transfers] - Transfers of the Tox instance, used
+ *                                      by accept() and reject()
+ * @param {Buffer} [publicKey] - Friend public key, if known
  * @note size is a uint64_t
  */
-var FileRecvEvent = function(friendnum, filenum, kind, size, filename) {
+var FileRecvEvent = function(friendnum, filenum, kind, size, filename, transfers, publicKey) {
   this.type = 'FileRecvEvent';
   this._friendnum = friendnum;
   this._filenum = filenum;
   this._kind = kind;
   this._size = size;
   this._filename = filename;
+  this._transfers = transfers;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -513,6 +534,35 @@ FileRecvEvent.prototype.filename = function() {
   return this._filename;
 };
 
+/**
+ * Accept the file, resuming the transfer.
+ * @param {Object} [opts] - Options passed to stream.Readable
+ * @return {IncomingTransfer} Readable stream of the file contents
+ */
+FileRecvEvent.prototype.accept = function(opts) {
+  return this._getTransfers().accept(this, opts);
+};
+
+/**
+ * Reject the file, cancelling the transfer.
+ * @param {Tox~errorCallback} [callback]
+ */
+FileRecvEvent.prototype.reject = function(callback) {
+  this._getTransfers().reject(this, callback);
+};
+
+/**
+ * Get the transfers this offer belongs to.
+ * @private
+ * @return {FileTransfers} transfers
+ */
+FileRecvEvent.prototype._getTransfers = function() {
+  if(!this._transfers) {
+    throw new Error('File offer is not attached to a Tox instance');
+  }
+  return this._transfers;
+};
+
 /**
  * Event object fired by {@class Tox}.
  * Corresponds to tox_callback_file_recv_chunk(3).
@@ -521,14 +571,16 @@ FileRecvEvent.prototype.filename = function() {
  * @param {Number} filenum - File number
  * @param {Number} position - Position
  * @param {Buffer} data - Chunk data
+ * @param {Buffer} [publicKey] - Friend public key, if known
  * @note size is a uint64_t
  */
-var FileRecvChunkEvent = function(friendnum, filenum, position, data) {
+var FileRecvChunkEvent = function(friendnum, filenum, position, data, publicKey) {
   this.type = 'FileRecvChunkEvent';
   this._friendnum = friendnum;
   this._filenum = filenum;
   this._position = position;
   this._data = data;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -597,14 +649,16 @@ FileRecvChunkEvent.prototype.isNull = function() {
  * @param {Number} friendnum - Friend number
  * @param {Buffer} data - Received data
  * @param {Boolean} lossless - true if lossless, false if lossy
+ * @param {Buffer} [publicKey] - Friend public key, if known
  */
-var FriendPacketEvent = function(friendnum, data, lossless) {
+var FriendPacketEvent = function(friendnum, data, lossless, publicKey) {
   this.type = 'FriendPacketEvent';
   this._friendnum = friendnum;
   this._fullData = data;
   this._data = data.slice(1);
   this._id = data[0];
   this._lossless = lossless;
+  this._publicKey = publicKey;
 };
 
 /**
@@ -663,6 +717,469 @@ FriendPacketEvent.prototype.isLossy = function() {
   return !this._lossless;
 };
 
+/**
+ * Event object fired by {@class Tox}.
+ * Emitted after each iteration of the loop started by Tox#start().
+ * @class
+ * @param {Number} duration - Milliseconds spent in tox_iterate
+ * @param {Number} drift - Milliseconds the iteration ran later than scheduled
+ * @param {Number} interval - Milliseconds until the next iteration
+ */
+var IterateEvent = function(duration, drift, interval) {
+  this.type = 'IterateEvent';
+  this._duration = duration;
+  this._drift = drift;
+  this._interval = interval;
+};
+
+/**
+ * Get the time spent in tox_iterate.
+ * @return {Number} Duration in milliseconds
+ */
+IterateEvent.prototype.duration = function() {
+  return this._duration;
+};
+
+/**
+ * Get how late this iteration ran compared to when it was scheduled.
+ * @return {Number} Drift in milliseconds
+ */
+IterateEvent.prototype.drift = function() {
+  return this._drift;
+};
+
+/**
+ * Get the time until the next iteration.
+ * @return {Number} Interval in milliseconds
+ */
+IterateEvent.prototype.interval = function() {
+  return this._interval;
+};
+
+/**
+ * Event object fired by {@class Tox}.
+ * Emitted when a friend's avatar has been received, or removed.
+ * @class
+ * @param {Number} friendnum - Friend number
+ * @param {String} publicKey - Friend public key as a hex String
+ * @param {Buffer} avatar - Avatar data, null if removed
+ * @param {Buffer} hash - Avatar hash, null if removed
+ * @param {String} [filepath] - Path the avatar is cached at, if any
+ */
+var FriendAvatarEvent = function(friendnum, publicKey, avatar, hash, filepath) {
+  this.type = 'FriendAvatarEvent';
+  this._friendnum = friendnum;
+  this._publicKey = publicKey;
+  this._avatar = avatar;
+  this._hash = hash;
+  this._path = filepath;
+};
+
+/**
+ * Get the friend number.
+ * @return {Number} Friend number
+ */
+FriendAvatarEvent.prototype.friend = function() {
+  return this._friendnum;
+};
+
+/**
+ * Get the friend public key as a hex String.
+ * @return {String} Public key as a hex String
+ */
+FriendAvatarEvent.prototype.publicKeyHex = function() {
+  return this._publicKey;
+};
+
+/**
+ * Get the friend public key.
+ * @return {Buffer} Public key
+ */
+FriendAvatarEvent.prototype.publicKey = function() {
+  return new Buffer(this._publicKey, 'hex');
+};
+
+/**
+ * Get the avatar data.
+ * @return {Buffer} Avatar data, null if removed
+ */
+FriendAvatarEvent.prototype.avatar = function() {
+  return this._avatar;
+};
+
+/**
+ * Get the avatar hash.
+ * @return {Buffer} Avatar hash, null if removed
+ */
+FriendAvatarEvent.prototype.hash = function() {
+  return this._hash;
+};
+
+/**
+ * Get the path the avatar is cached at, if caching to a directory.
+ * @return {String} Path
+ */
+FriendAvatarEvent.prototype.path = function() {
+  return this._path;
+};
+
+/**
+ * Whether or not the friend removed their avatar.
+ * @return {Boolean} true if removed, false if not
+ */
+FriendAvatarEvent.prototype.isRemoved = function() {
+  return this._avatar === null;
+};
+
+/**
+ * Event object fired by {@class Outbox}.
+ * Emitted when a queued message is sent, delivered, times out or fails.
+ * @class
+ * @param {Number} id - Outbox id
+ * @param {Number} friendnum - Friend number, undefined if no longer a friend
+ * @param {String} publicKey - Friend public key as a hex String
+ * @param {String} message - Message
+ * @param {(Boolean|Number|String)} messageType - Message type as given to Outbox#send()
+ * @param {(Number|Number[])} messageId - Message id(s), undefined if never sent
+ */
+var OutboxMessageEvent = function(id, friendnum, publicKey, message, messageType, messageId) {
+  this.type = 'OutboxMessageEvent';
+  this._id = id;
+  this._friendnum = friendnum;
+  this._publicKey = publicKey;
+  this._message = message;
+  this._messageType = messageType;
+  this._messageId = messageId;
+};
+
+/**
+ * Get the outbox id, as returned by Outbox#send().
+ * @return {Number} Outbox id
+ */
+OutboxMessageEvent.prototype.id = function() {
+  return this._id;
+};
+
+/**
+ * Get the friend number.
+ * @return {Number} Friend number
+ */
+OutboxMessageEvent.prototype.friend = function() {
+  return this._friendnum;
+};
+
+/**
+ * Get the friend public key as a hex String.
+ * @return {String} Public key as a hex String
+ */
+OutboxMessageEvent.prototype.publicKeyHex = function() {
+  return this._publicKey;
+};
+
+/**
+ * Get the friend public key.
+ * @return {Buffer} Public key
+ */
+OutboxMessageEvent.prototype.publicKey = function() {
+  return new Buffer(this._publicKey, 'hex');
+};
+
+/**
+ * Get the message.
+ * @return {String} Message
+ */
+OutboxMessageEvent.prototype.message = function() {
+  return this._message;
+};
+
+/**
+ * Get the message type, as given to Outbox#send().
+ * @return {(Boolean|Number|String)} Message type
+ */
+OutboxMessageEvent.prototype.messageType = function() {
+  return this._messageType;
+};
+
+/**
+ * Get the message id returned by tox_friend_send_message, which read
+ * receipts refer to. If the message was split into several parts (see the
+ * splitMessages Tox option), this is an array of message ids.
+ * @return {(Number|Number[])} Message id(s), undefined if never sent
+ */
+OutboxMessageEvent.prototype.messageId = function() {
+  return this._messageId;
+};
+
+/**
+ * Event object fired by {@class TransferManager}.
+ * @class
+ * @param {String} fileId - File id as a hex String
+ * @param {Number} friendnum - Friend number, undefined if no longer a friend
+ * @param {String} publicKey - Friend public key as a hex String
+ * @param {String} filepath - Path of the file on disk
+ * @param {Number} position - Position in the file transferred up to
+ * @param {Number} size - File size
+ * @param {Boolean} incoming - Whether or not the file is being received
+ * @param {(IncomingTransfer|OutgoingTransfer)} [transfer] - Active transfer
+ */
+var TransferEvent = function(fileId, friendnum, publicKey, filepath, position, size, incoming, transfer) {
+  this.type = 'TransferEvent';
+  this._fileId = fileId;
+  this._friendnum = friendnum;
+  this._publicKey = publicKey;
+  this._path = filepath;
+  this._position = position;
+  this._size = size;
+  this._incoming = incoming;
+  this._transfer = transfer;
+};
+
+/**
+ * Get the file id as a hex String.
+ * @return {String} File id as a hex String
+ */
+TransferEvent.prototype.fileId = function() {
+  return this._fileId;
+};
+
+/**
+ * Get the friend number.
+ * @return {Number} Friend number
+ */
+TransferEvent.prototype.friend = function() {
+  return this._friendnum;
+};
+
+/**
+ * Get the friend public key as a hex String.
+ * @return {String} Public key as a hex String
+ */
+TransferEvent.prototype.publicKeyHex = function() {
+  return this._publicKey;
+};
+
+/**
+ * Get the friend public key.
+ * @return {Buffer} Public key
+ */
+TransferEvent.prototype.publicKey = function() {
+  return new Buffer(this._publicKey, 'hex');
+};
+
+/**
+ * Get the path of the file on disk.
+ * @return {String} Path
+ */
+TransferEvent.prototype.path = function() {
+  return this._path;
+};
+
+/**
+ * Get the position in the file transferred up to. For a started transfer,
+ * this is the position it was resumed from.
+ * @return {Number} Position
+ */
+TransferEvent.prototype.position = function() {
+  return this._position;
+};
+
+/**
+ * Get the file size.
+ * @return {Number} Size
+ */
+TransferEvent.prototype.size = function() {
+  return this._size;
+};
+
+/**
+ * Whether or not the file is being received.
+ * @return {Boolean} true if incoming, false if outgoing
+ */
+TransferEvent.prototype.isIncoming = function() {
+  return this._incoming;
+};
+
+/**
+ * Get the active transfer, if any.
+ * @return {(IncomingTransfer|OutgoingTransfer)} Transfer
+ */
+TransferEvent.prototype.transfer = function() {
+  return this._transfer;
+};
+
+/**
+ * Event object fired by {@class ConnectionMonitor}.
+ * @class
+ * @param {Number} since - Time the connection fell back to TCP, in
+ *        milliseconds since the epoch
+ * @param {Number} duration - Milliseconds connected over TCP only so far
+ */
+var ConnectionDegradedEvent = function(since, duration) {
+  this.type = 'ConnectionDegradedEvent';
+  this._since = since;
+  this._duration = duration;
+};
+
+/**
+ * Get the time the connection fell back to TCP.
+ * @return {Date} Time
+ */
+ConnectionDegradedEvent.prototype.since = function() {
+  return new Date(this._since);
+};
+
+/**
+ * Get how long the connection has been TCP only.
+ * @return {Number} Milliseconds
+ */
+ConnectionDegradedEvent.prototype.duration = function() {
+  return this._duration;
+};
+
+/**
+ * Event object fired by {@class Tox}.
+ * Emitted after a change made through the Tox instance which is kept in
+ * its savedata.
+ * @class
+ * @param {String} reason - What changed: friendAdd, friendDelete, name,
+ *        statusMessage, status or nospam
+ */
+var SavedataChangeEvent = function(reason) {
+  this.type = 'SavedataChangeEvent';
+  this._reason = reason;
+};
+
+/**
+ * Get what changed.
+ * @return {String} Reason
+ */
+SavedataChangeEvent.prototype.reason = function() {
+  return this._reason;
+};
+
+/**
+ * Add publicKey() and publicKeyHex() to a friend event class, for the
+ * public key of the friend as resolved by the Tox instance when the event
+ * was emitted. Unlike friend numbers, which are reused after a friend is
+ * deleted, public keys identify the same friend over time.
+ * @private
+ * @param {Function} EventClass
+ */
+var definePublicKey = function(EventClass) {
+  /**
+   * Get the friend public key.
+   * @return {Buffer} Public key, or undefined if not known
+   */
+  EventClass.prototype.publicKey = function() {
+    return this._publicKey;
+  };
+
+  /**
+   * Get the friend public key as a hex String.
+   * @return {String} Public key as a hex String, or undefined if not known
+   */
+  EventClass.prototype.publicKeyHex = function() {
+    if(this._publicKey) {
+      return util.toHex(this._publicKey);
+    }
+  };
+};
+
+[FriendNameEvent, FriendStatusMessageEvent, FriendStatusEvent,
+ FriendConnectionStatusEvent, FriendTypingEvent, FriendReadReceiptEvent,
+ FriendMessageEvent, FileRecvControlEvent, FileChunkRequestEvent,
+ FileRecvEvent, FileRecvChunkEvent, FriendPacketEvent].forEach(definePublicKey);
+
+/**
+ * Add toJSON() and a static fromJSON() to an event class. Fields are
+ * given in constructor argument order, each as the JSON key, the name of
+ * the property holding it (without the leading underscore), and whether
+ * or not it is a Buffer, which is stored as a hex string. Undefined fields
+ * are left out of the JSON, and fields with a null JSON key are never
+ * stored.
+ * @private
+ * @param {Function} EventClass
+ * @param {Array[]} fields
+ */
+var defineJSON = function(EventClass, fields) {
+  /**
+   * Get a plain object of this event's type and fields, for JSON.stringify.
+   * @return {Object} JSON object
+   */
+  EventClass.prototype.toJSON = function() {
+    var json = { type: this.type };
+    fields.forEach(function(field) {
+      if(field[0] === null) return;
+      var value = this['_' + field[1]];
+      if(field[2] && Buffer.isBuffer(value)) {
+        value = value.toString('hex');
+      }
+      json[field[0]] = value;
+    }, this);
+    return json;
+  };
+
+  /**
+   * Create an event from an object returned by toJSON().
+   * @param {Object} json
+   * @return {Object} event
+   */
+  EventClass.fromJSON = function(json) {
+    var args = fields.map(function(field) {
+      if(field[0] === null) return undefined;
+      var value = json[field[0]];
+      if(field[2] && typeof value === 'string') {
+        return new Buffer(value, 'hex');
+      }
+      return value;
+    });
+
+    var event = Object.create(EventClass.prototype);
+    EventClass.apply(event, args);
+    return event;
+  };
+};
+
+defineJSON(SelfConnectionStatusEvent, [['connectionStatus', 'connectionStatus']]);
+defineJSON(FriendNameEvent, [['friend', 'friendnum'], ['name', 'name'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendStatusMessageEvent, [['friend', 'friendnum'], ['statusMessage', 'statusMessage'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendStatusEvent, [['friend', 'friendnum'], ['status', 'status'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendConnectionStatusEvent, [['friend', 'friendnum'], ['connectionStatus', 'connectionStatus'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendTypingEvent, [['friend', 'friendnum'], ['typing', 'typing'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendReadReceiptEvent, [['friend', 'friendnum'], ['receipt', 'receipt'], ['publicKey', 'publicKey', true]]);
+defineJSON(FriendRequestEvent, [['publicKey', 'publicKey', true], ['message', 'message']]);
+defineJSON(FriendMessageEvent, [['friend', 'friendnum'], ['messageType', 'messageType'], ['message', 'message'], ['publicKey', 'publicKey', true]]);
+defineJSON(FileRecvControlEvent, [['friend', 'friendnum'], ['file', 'filenum'], ['control', 'control'], ['publicKey', 'publicKey', true]]);
+defineJSON(FileChunkRequestEvent, [['friend', 'friendnum'], ['file', 'filenum'], ['position', 'position'], ['length', 'length'],
+                                   ['publicKey', 'publicKey', true]]);
+defineJSON(FileRecvEvent, [['friend', 'friendnum'], ['file', 'filenum'], ['kind', 'kind'], ['size', 'size'], ['filename', 'filename'],
+                           [null, 'transfers'], ['publicKey', 'publicKey', true]]);
+defineJSON(FileRecvChunkEvent, [['friend', 'friendnum'], ['file', 'filenum'], ['position', 'position'], ['data', 'data', true],
+                                ['publicKey', 'publicKey', true]]);
+defineJSON(FriendPacketEvent, [['friend', 'friendnum'], ['data', 'fullData', true], ['lossless', 'lossless'], ['publicKey', 'publicKey', true]]);
+defineJSON(IterateEvent, [['duration', 'duration'], ['drift', 'drift'], ['interval', 'interval']]);
+defineJSON(FriendAvatarEvent, [['friend', 'friendnum'], ['publicKey', 'publicKey'], ['avatar', 'avatar', true],
+                               ['hash', 'hash', true], ['path', 'path']]);
+defineJSON(OutboxMessageEvent, [['id', 'id'], ['friend', 'friendnum'], ['publicKey', 'publicKey'], ['message', 'message'],
+                                ['messageType', 'messageType'], ['messageId', 'messageId']]);
+defineJSON(TransferEvent, [['fileId', 'fileId'], ['friend', 'friendnum'], ['publicKey', 'publicKey'], ['path', 'path'],
+                           ['position', 'position'], ['size', 'size'], ['incoming', 'incoming']]);
+defineJSON(ConnectionDegradedEvent, [['since', 'since'], ['duration', 'duration']]);
+defineJSON(SavedataChangeEvent, [['reason', 'reason']]);
+
+/**
+ * Create an event of any class from an object returned by its toJSON().
+ * @param {Object} json
+ * @return {Object} event
+ */
+var fromJSON = function(json) {
+  var EventClass = module.exports[json.type];
+  if(!EventClass || !EventClass.fromJSON) {
+    throw new Error('Unknown event type: ' + json.type);
+  }
+  return EventClass.fromJSON(json);
+};
+
 module.exports = {
   SelfConnectionStatusEvent: SelfConnectionStatusEvent,
   FriendNameEvent: FriendNameEvent,
@@ -677,5 +1194,12 @@ module.exports = {
   FileChunkRequestEvent: FileChunkRequestEvent,
   FileRecvEvent: FileRecvEvent,
   FileRecvChunkEvent: FileRecvChunkEvent,
-  FriendPacketEvent: FriendPacketEvent
+  FriendPacketEvent: FriendPacketEvent,
+  IterateEvent: IterateEvent,
+  FriendAvatarEvent: FriendAvatarEvent,
+  OutboxMessageEvent: OutboxMessageEvent,
+  TransferEvent: TransferEvent,
+  ConnectionDegradedEvent: ConnectionDegradedEvent,
+  SavedataChangeEvent: SavedataChangeEvent,
+  fromJSON: fromJSON
 };
@@ -0,0 +1,710 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file filetransfers.js - Stream based file transfers
+ */
+
+var events = require('events');
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * File size to use when the size of a sent stream is unknown (UINT64_MAX).
+ * The transfer then ends when a chunk shorter than requested is sent.
+ */
+var UNKNOWN_SIZE = '18446744073709551615';
+
+/**
+ * Milliseconds to wait before retrying a chunk when the send queue is full.
+ */
+var SENDQ_RETRY_DELAY = 10;
+
+/**
+ * Create an Error for a transfer that ended early.
+ * @private
+ * @param {String} message
+ * @param {String} code
+ * @return {Error} Error
+ */
+var createTransferError = function(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Emit the error which ended a transfer. A cancel by the friend is only
+ * emitted if listened for, as the transfer ends cleanly otherwise. Other
+ * errors are emitted regardless, as streams do, but deferred if nobody is
+ * listening yet so they aren't thrown into the Tox event being handled.
+ * @private
+ * @param {(IncomingTransfer|OutgoingTransfer)} transfer
+ * @param {Error} err
+ */
+var emitTransferError = function(transfer, err) {
+  if(transfer.listeners('error').length > 0) {
+    transfer.emit('error', err);
+  } else if(err.code !== 'CANCELLED') {
+    process.nextTick(function() {
+      transfer.emit('error', err);
+    });
+  }
+};
+
+/**
+ * Wrap an old-style stream in a stream.Readable if needed.
+ * @private
+ * @param {Stream} readable
+ * @return {stream.Readable} readable
+ */
+var toReadable = function(readable) {
+  if(!_.isFunction(readable.read)) {
+    readable = (new stream.Readable()).wrap(readable);
+  }
+  return readable;
+};
+
+/**
+ * Creates a FileTransfers instance, which keeps track of the stream based
+ * file transfers of a Tox instance and feeds them from Tox events.
+ * @class
+ * @param {Tox} tox - Tox instance
+ */
+var FileTransfers = function(tox) {
+  this._tox = tox;
+  this._outgoing = {};
+  this._incoming = {};
+  this._initEvents();
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+FileTransfers.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Offer a file to a friend, with contents read from a Readable stream as
+ * the friend requests chunks. Instead of a stream, a function may be given
+ * which creates the stream when the first chunk is requested, given the
+ * position requested; this allows the friend to seek (resume) the file.
+ * @param {Number} friendnum - Friend number
+ * @param {(stream.Readable|Function)} readable - Stream to read file
+ *        contents from, or function returning one given a position
+ * @param {Object} [opts]
+ * @param {String} [opts.name] - Filename, defaults to the basename of
+ *                               readable.path if any
+ * @param {Number} [opts.size] - File size, defaults to the size of the file
+ *                               at readable.path if any, otherwise unknown
+ * @param {Number} [opts.kind=TOX_FILE_KIND_DATA] - File kind
+ * @param {Buffer} [opts.fileId] - File id
+ * @return {OutgoingTransfer} transfer
+ * @throws Error if the file can't be offered, unless its size is read from
+ *         readable.path first: it is then offered once the size is known,
+ *         and errors are emitted by the transfer
+ */
+FileTransfers.prototype.send = function(friendnum, readable, opts) {
+  if(!opts) opts = {};
+
+  var createReadable;
+  if(_.isFunction(readable) && !_.isFunction(readable.on)) {
+    createReadable = readable;
+    readable = {};
+  } else {
+    readable = toReadable(readable);
+  }
+
+  var name = opts['name'],
+      size = opts['size'],
+      kind = opts['kind'];
+
+  if(name === undefined) {
+    name = (_.isString(readable.path) ? path.basename(readable.path) : '');
+  }
+
+  if(kind === undefined) {
+    kind = consts.TOX_FILE_KIND_DATA;
+  }
+
+  var transfer = new OutgoingTransfer({
+    transfers: this,
+    friend: friendnum,
+    kind: kind,
+    name: name,
+    size: size,
+    readable: (createReadable ? undefined : readable),
+    createReadable: createReadable
+  });
+
+  if(size === undefined && _.isString(readable.path)) {
+    var _this = this;
+    fs.stat(readable.path, function(err, stats) {
+      // Cancelled meanwhile
+      if(transfer._ended) {
+        return;
+      }
+
+      if(!err) {
+        try {
+          transfer.size = stats.size;
+          _this._offer(transfer, opts['fileId']);
+        } catch(e) {
+          err = e;
+        }
+      }
+
+      if(err) {
+        transfer._abort(err);
+      }
+    });
+  } else {
+    if(size === undefined) {
+      transfer.size = UNKNOWN_SIZE;
+    }
+
+    try {
+      this._offer(transfer, opts['fileId']);
+    } catch(e) {
+      transfer._end();
+      throw e;
+    }
+  }
+
+  return transfer;
+};
+
+/**
+ * Accept a file offered by a friend.
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @param {Object} [opts] - Options passed to stream.Readable
+ * @return {IncomingTransfer} stream of the file contents
+ */
+FileTransfers.prototype.accept = function(e, opts) {
+  var transfer = new IncomingTransfer({
+    transfers: this,
+    friend: e.friend(),
+    file: e.file(),
+    kind: e.kind(),
+    name: e.filename(),
+    size: e.size()
+  }, opts);
+
+  this._incoming[this._key(e.friend(), e.file())] = transfer;
+  this.tox().controlFile(e.friend(), e.file(), consts.TOX_FILE_CONTROL_RESUME, function(err) {
+    if(err) {
+      transfer._abort(err);
+    }
+  });
+
+  return transfer;
+};
+
+/**
+ * Reject a file offered by a friend.
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @param {Tox~errorCallback} [callback]
+ */
+FileTransfers.prototype.reject = function(e, callback) {
+  this.tox().controlFile(e.friend(), e.file(), consts.TOX_FILE_CONTROL_CANCEL, callback);
+};
+
+/**
+ * Get an outgoing transfer.
+ * @param {Number} friendnum - Friend number
+ * @param {Number} filenum - File number
+ * @return {OutgoingTransfer} transfer, or undefined if none
+ */
+FileTransfers.prototype.getOutgoing = function(friendnum, filenum) {
+  return this._outgoing[this._key(friendnum, filenum)];
+};
+
+/**
+ * Get an incoming transfer.
+ * @param {Number} friendnum - Friend number
+ * @param {Number} filenum - File number
+ * @return {IncomingTransfer} transfer, or undefined if none
+ */
+FileTransfers.prototype.getIncoming = function(friendnum, filenum) {
+  return this._incoming[this._key(friendnum, filenum)];
+};
+
+/**
+ * Offer an outgoing transfer's file to its friend, and start tracking it.
+ * @private
+ * @param {OutgoingTransfer} transfer
+ * @param {Buffer} [fileId]
+ * @throws Error if the file can't be offered
+ */
+FileTransfers.prototype._offer = function(transfer, fileId) {
+  transfer.file = this.tox().sendFileSync(transfer.friend, transfer.kind,
+    transfer.name, transfer.size, fileId);
+  this._outgoing[this._key(transfer.friend, transfer.file)] = transfer;
+};
+
+/**
+ * Stop tracking a transfer.
+ * @private
+ * @param {(OutgoingTransfer|IncomingTransfer)} transfer
+ */
+FileTransfers.prototype._remove = function(transfer) {
+  var key = this._key(transfer.friend, transfer.file);
+  if(this._outgoing[key] === transfer) {
+    delete this._outgoing[key];
+  } else if(this._incoming[key] === transfer) {
+    delete this._incoming[key];
+  }
+};
+
+/**
+ * Get the map key of a transfer.
+ * @private
+ * @param {Number} friendnum
+ * @param {Number} filenum
+ * @return {String} key
+ */
+FileTransfers.prototype._key = function(friendnum, filenum) {
+  return friendnum + ':' + filenum;
+};
+
+/**
+ * Listen for Tox file events.
+ * @private
+ */
+FileTransfers.prototype._initEvents = function() {
+  var _this = this,
+      tox = this.tox();
+
+  tox.on('fileChunkRequest', function(e) {
+    var transfer = _this.getOutgoing(e.friend(), e.file());
+    if(transfer) {
+      transfer._onChunkRequest(e.position(), e.length());
+    }
+  });
+
+  tox.on('fileRecvChunk', function(e) {
+    var transfer = _this.getIncoming(e.friend(), e.file());
+    if(transfer) {
+      transfer._onChunk(e);
+    }
+  });
+
+  tox.on('fileRecvControl', function(e) {
+    var transfer = (_this.getOutgoing(e.friend(), e.file()) ||
+                    _this.getIncoming(e.friend(), e.file()));
+    if(transfer) {
+      transfer._onControl(e);
+    }
+  });
+
+  // toxcore drops all of a friend's transfers when they go offline
+  tox.on('friendConnectionStatus', function(e) {
+    if(!e.isConnected()) {
+      _.each(_.values(_this._outgoing).concat(_.values(_this._incoming)), function(transfer) {
+        if(transfer.friend === e.friend()) {
+          transfer._abort(createTransferError('Friend disconnected', 'DISCONNECTED'));
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Creates an OutgoingTransfer. Created by Tox#sendStream(), not directly.
+ * Emits 'finish' when the friend has received the whole file, 'cancel'
+ * when cancelled locally, 'remotePause' and 'remoteResume' when the friend
+ * pauses or resumes, and 'error' if the transfer ends any other way (the
+ * friend cancelling, disconnecting or a stream error). A cancel by the
+ * friend is only emitted as an error if listened for. The stream is
+ * destroyed when the transfer ends early.
+ * @class
+ * @param {Object} opts
+ * @property {Number} friend - Friend number
+ * @property {Number} file - File number, undefined until the file is
+ *                           offered
+ * @property {Number} kind - File kind
+ * @property {String} name - Filename
+ * @property {Number} size - File size
+ * @property {Number} position - Position in the file read up to
+ */
+var OutgoingTransfer = function(opts) {
+  events.EventEmitter.call(this);
+  this._transfers = opts.transfers;
+  this._readable = opts.readable;
+  this._createReadable = opts.createReadable;
+  this._requests = [];
+  this._readableEnded = false;
+  this.friend = opts.friend;
+  this.file = opts.file;
+  this.kind = opts.kind;
+  this.name = opts.name;
+  this.size = opts.size;
+  this.position = 0;
+  if(this._readable) {
+    this._initReadable();
+  }
+};
+
+util.inherits(OutgoingTransfer, events.EventEmitter);
+
+/**
+ * Pause the transfer.
+ * @param {Tox~errorCallback} [callback]
+ */
+OutgoingTransfer.prototype.pause = function(callback) {
+  this._control(consts.TOX_FILE_CONTROL_PAUSE, callback);
+};
+
+/**
+ * Resume the transfer after pausing it.
+ * @param {Tox~errorCallback} [callback]
+ */
+OutgoingTransfer.prototype.resume = function(callback) {
+  this._control(consts.TOX_FILE_CONTROL_RESUME, callback);
+};
+
+/**
+ * Cancel the transfer.
+ * @param {Tox~errorCallback} [callback]
+ */
+OutgoingTransfer.prototype.cancel = function(callback) {
+  // Not offered yet, nothing to tell the friend
+  if(this.file !== undefined) {
+    this._control(consts.TOX_FILE_CONTROL_CANCEL, callback);
+  } else if(callback) {
+    callback();
+  }
+  this._end();
+  this.emit('cancel');
+};
+
+/**
+ * Send a file control for this transfer.
+ * @private
+ * @param {Number} control
+ * @param {Tox~errorCallback} [callback]
+ */
+OutgoingTransfer.prototype._control = function(control, callback) {
+  this._transfers.tox().controlFile(this.friend, this.file, control, callback);
+};
+
+/**
+ * Listen for stream events.
+ * @private
+ */
+OutgoingTransfer.prototype._initReadable = function() {
+  var _this = this;
+
+  this._listeners = {
+    readable: function() {
+      _this._pump();
+    },
+    end: function() {
+      _this._readableEnded = true;
+      _this._pump();
+    },
+    error: function(err) {
+      _this._control(consts.TOX_FILE_CONTROL_CANCEL);
+      _this._abort(err);
+    }
+  };
+
+  _.each(this._listeners, function(listener, name) {
+    this._readable.on(name, listener);
+  }, this);
+};
+
+/**
+ * Handle a chunk request from the friend. A length of 0 means the friend
+ * has received the whole file.
+ * @private
+ * @param {Number} position
+ * @param {Number} length
+ */
+OutgoingTransfer.prototype._onChunkRequest = function(position, length) {
+  if(length === 0) {
+    this._end();
+    this.emit('finish');
+    return;
+  }
+
+  // Create the stream at the position of the first request
+  if(!this._readable) {
+    try {
+      this._readable = toReadable(this._createReadable(position));
+    } catch(e) {
+      this._control(consts.TOX_FILE_CONTROL_CANCEL);
+      this._abort(e);
+      return;
+    }
+    this.position = position;
+    this._initReadable();
+  }
+
+  this._requests.push({ position: position, length: length });
+  this._pump();
+};
+
+/**
+ * Handle a file control from the friend.
+ * @private
+ * @param {FileRecvControlEvent} e
+ */
+OutgoingTransfer.prototype._onControl = function(e) {
+  if(e.isCancel()) {
+    this._abort(createTransferError('Transfer cancelled by friend', 'CANCELLED'));
+  } else if(e.isPause()) {
+    this.emit('remotePause');
+  } else if(e.isResume()) {
+    this.emit('remoteResume');
+  }
+};
+
+/**
+ * Answer requested chunks with data read from the stream, as long as the
+ * stream has enough data buffered. Once the stream has ended, what is
+ * left (possibly nothing) is sent as a final short chunk.
+ * @private
+ */
+OutgoingTransfer.prototype._pump = function() {
+  while(this._requests.length > 0) {
+    var request = this._requests[0];
+
+    // Streams can't seek, so chunks have to be requested in order
+    if(request.position !== this.position) {
+      this._control(consts.TOX_FILE_CONTROL_CANCEL);
+      this._abort(createTransferError('Chunk requested out of order', 'WRONG_POSITION'));
+      return;
+    }
+
+    var data = this._readable.read(request.length);
+    if(data === null) {
+      if(!this._readableEnded) {
+        return; // Wait for 'readable'
+      }
+      data = new Buffer(0);
+    }
+
+    if(_.isString(data)) {
+      data = new Buffer(data);
+    }
+
+    // A short chunk ends a transfer of known size early
+    if(data.length < request.length && this.size !== UNKNOWN_SIZE) {
+      this._control(consts.TOX_FILE_CONTROL_CANCEL);
+      this._abort(createTransferError('Stream ended before file size', 'SHORT_STREAM'));
+      return;
+    }
+
+    this._requests.shift();
+    this.position += data.length;
+    this._sendChunk(request.position, data);
+  }
+};
+
+/**
+ * Send a chunk, retrying if the send queue is full.
+ * @private
+ * @param {Number} position
+ * @param {Buffer} data
+ */
+OutgoingTransfer.prototype._sendChunk = function(position, data) {
+  var _this = this;
+  this._transfers.tox().sendFileChunk(this.friend, this.file, position, data, function(err) {
+    if(err && !_this._ended) {
+      if(err.code === consts.TOX_ERR_FILE_SEND_CHUNK_SENDQ) {
+        setTimeout(function() {
+          if(!_this._ended) {
+            _this._sendChunk(position, data);
+          }
+        }, SENDQ_RETRY_DELAY);
+      } else {
+        _this._abort(err);
+      }
+    }
+  });
+};
+
+/**
+ * End the transfer with an error.
+ * @private
+ * @param {Error} err
+ */
+OutgoingTransfer.prototype._abort = function(err) {
+  if(!this._ended) {
+    this._end();
+    // Release the stream's resources, such as a file descriptor
+    if(this._readable && _.isFunction(this._readable.destroy)) {
+      this._readable.destroy();
+    }
+    emitTransferError(this, err);
+  }
+};
+
+/**
+ * Stop tracking the transfer and stop listening to the stream.
+ * @private
+ */
+OutgoingTransfer.prototype._end = function() {
+  this._ended = true;
+  this._requests = [];
+  this._transfers._remove(this);
+  _.each(this._listeners, function(listener, name) {
+    this._readable.removeListener(name, listener);
+  }, this);
+  this._listeners = {};
+};
+
+/**
+ * Creates an IncomingTransfer, a Readable stream of the contents of a file
+ * sent by a friend. Created by FileRecvEvent#accept(), not directly. If
+ * the stream isn't read from fast enough, the transfer is paused until it
+ * is. Emits 'cancel' when cancelled locally, 'remotePause' and
+ * 'remoteResume' when the friend pauses or resumes, and 'error' if the
+ * friend cancels or disconnects. A cancel by the friend is only emitted as
+ * an error if listened for, and ends the stream.
+ * @class
+ * @param {Object} transferOpts
+ * @param {Object} [opts] - Options passed to stream.Readable
+ * @property {Number} friend - Friend number
+ * @property {Number} file - File number
+ * @property {Number} kind - File kind
+ * @property {String} name - Filename
+ * @property {Number} size - File size
+ * @property {Number} position - Bytes received so far
+ */
+var IncomingTransfer = function(transferOpts, opts) {
+  stream.Readable.call(this, opts);
+  this._transfers = transferOpts.transfers;
+  this._paused = false;
+  this.friend = transferOpts.friend;
+  this.file = transferOpts.file;
+  this.kind = transferOpts.kind;
+  this.name = transferOpts.name;
+  this.size = transferOpts.size;
+  this.position = 0;
+};
+
+util.inherits(IncomingTransfer, stream.Readable);
+
+/**
+ * Cancel the transfer. Ends the stream.
+ * @param {Tox~errorCallback} [callback]
+ */
+IncomingTransfer.prototype.cancel = function(callback) {
+  this._control(consts.TOX_FILE_CONTROL_CANCEL, callback);
+  this._end();
+  this.emit('cancel');
+  this.push(null);
+};
+
+/**
+ * Resume the transfer if it was paused because the stream's buffer was full.
+ * @private
+ */
+IncomingTransfer.prototype._read = function() {
+  if(this._paused && !this._ended) {
+    this._paused = false;
+    // Ignore errors, the friend may have paused or cancelled meanwhile
+    this._control(consts.TOX_FILE_CONTROL_RESUME, function() {});
+  }
+};
+
+/**
+ * Send a file control for this transfer.
+ * @private
+ * @param {Number} control
+ * @param {Tox~errorCallback} [callback]
+ */
+IncomingTransfer.prototype._control = function(control, callback) {
+  this._transfers.tox().controlFile(this.friend, this.file, control, callback);
+};
+
+/**
+ * Handle a received chunk. An empty chunk means the whole file has been
+ * received.
+ * @private
+ * @param {FileRecvChunkEvent} e
+ */
+IncomingTransfer.prototype._onChunk = function(e) {
+  if(e.isFinal()) {
+    this._end();
+    this.push(null);
+    return;
+  }
+
+  this.position = e.position() + e.length();
+  if(!this.push(e.data()) && !this._paused) {
+    this._paused = true;
+    this._control(consts.TOX_FILE_CONTROL_PAUSE, function() {});
+  }
+};
+
+/**
+ * Handle a file control from the friend.
+ * @private
+ * @param {FileRecvControlEvent} e
+ */
+IncomingTransfer.prototype._onControl = function(e) {
+  if(e.isCancel()) {
+    this._abort(createTransferError('Transfer cancelled by friend', 'CANCELLED'));
+  } else if(e.isPause()) {
+    this.emit('remotePause');
+  } else if(e.isResume()) {
+    this.emit('remoteResume');
+  }
+};
+
+/**
+ * End the transfer with an error.
+ * @private
+ * @param {Error} err
+ */
+IncomingTransfer.prototype._abort = function(err) {
+  if(!this._ended) {
+    this._end();
+    emitTransferError(this, err);
+    // A cancelled transfer ends like one cancelled locally
+    if(err.code === 'CANCELLED') {
+      this.push(null);
+    }
+  }
+};
+
+/**
+ * Stop tracking the transfer.
+ * @private
+ */
+IncomingTransfer.prototype._end = function() {
+  this._ended = true;
+  this._transfers._remove(this);
+};
+
+module.exports = {
+  FileTransfers: FileTransfers,
+  IncomingTransfer: IncomingTransfer,
+  OutgoingTransfer: OutgoingTransfer,
+  UNKNOWN_SIZE: UNKNOWN_SIZE
+};
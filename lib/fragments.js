@@ -0,0 +1,317 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file fragments.js - Large messages split over lossless custom packets
+ */
+
+var events = require('events');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * Size of the fragment header: message id, fragment index and fragment
+ * count (uint16 each).
+ */
+var HEADER_SIZE = 6;
+
+/**
+ * Largest fragment payload which fits in one packet, after the id byte and
+ * header.
+ */
+var FRAGMENT_SIZE = consts.TOX_MAX_CUSTOM_PACKET_SIZE - 1 - HEADER_SIZE;
+
+/**
+ * Most fragments a message can be split into.
+ */
+var MAX_FRAGMENTS = 0xFFFF;
+
+/**
+ * Default largest message accepted from a friend, in bytes.
+ */
+var DEFAULT_MAX_SIZE = 1048576;
+
+/**
+ * Default most partial messages kept per friend.
+ */
+var DEFAULT_MAX_PENDING = 4;
+
+/**
+ * Default milliseconds to wait for the next fragment of a partial message.
+ */
+var DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Milliseconds to wait before retrying a fragment when the send queue is
+ * full.
+ */
+var SENDQ_RETRY_DELAY = 10;
+
+/**
+ * Create an Error for a message that couldn't be sent or was dropped.
+ * @private
+ * @param {String} message
+ * @param {String} code
+ * @return {Error} Error
+ */
+var createFragmentError = function(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Creates a FragmentChannel, which sends Buffers of any size to friends by
+ * splitting them into numbered lossless custom packets with one id byte,
+ * and reassembles the packets received with that id byte. Created by
+ * Tox#fragmentChannel(), not directly. Lossless packets arrive in order,
+ * so fragments of a message which arrive out of order, or after the
+ * message was dropped, are ignored.
+ * @class
+ * @param {Tox} tox - Tox instance
+ * @param {Number} id - Leading byte in the range [160, 191]
+ * @param {Object} [opts]
+ * @param {Number} [opts.maxSize=1048576] - Largest message accepted, in
+ *                                          bytes
+ * @param {Number} [opts.maxPending=4] - Most partial messages kept per
+ *                                       friend
+ * @param {Number} [opts.timeout=30000] - Milliseconds to wait for the next
+ *                                        fragment before dropping a partial
+ *                                        message
+ * @property {Number} id - Leading byte
+ * @throws Error if id is not a lossless id or is already claimed
+ */
+var FragmentChannel = function(tox, id, opts) {
+  if(!opts) opts = {};
+  events.EventEmitter.call(this);
+
+  if(!(id >= 160 && id <= 191)) {
+    throw new Error('Fragment channel id not in range [160, 191]: ' + id);
+  }
+
+  this._tox = tox;
+  this.id = id;
+  this._maxSize = (opts['maxSize'] !== undefined ? opts['maxSize'] : DEFAULT_MAX_SIZE);
+  this._maxPending = (opts['maxPending'] !== undefined ? opts['maxPending'] : DEFAULT_MAX_PENDING);
+  this._timeout = (opts['timeout'] !== undefined ? opts['timeout'] : DEFAULT_TIMEOUT);
+  this._partials = {};
+  this._nextId = 0;
+  this._closed = false;
+  this._initEvents();
+};
+
+util.inherits(FragmentChannel, events.EventEmitter);
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+FragmentChannel.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Send a message to a friend, split into as many packets as needed. The
+ * friend's FragmentChannel with the same id emits it as one message.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {(Buffer|String)} data - Message
+ * @param {Tox~errorCallback} [callback] - Called once all fragments are sent
+ */
+FragmentChannel.prototype.send = function(friend, data, callback) {
+  var _this = this,
+      friendnum;
+
+  var end = function(err) {
+    if(callback) callback(err);
+  };
+
+  if(this._closed) {
+    return end(createFragmentError('Fragment channel closed', 'CLOSED'));
+  }
+
+  try {
+    friendnum = this.tox()._resolveFriendNumber(friend);
+  } catch(e) {
+    return end(e);
+  }
+
+  if(!Buffer.isBuffer(data)) {
+    data = new Buffer(data);
+  }
+
+  var count = Math.max(1, Math.ceil(data.length / FRAGMENT_SIZE));
+  if(count > MAX_FRAGMENTS) {
+    return end(createFragmentError('Message too long', 'TOO_LONG'));
+  }
+
+  var messageId = this._nextId;
+  this._nextId = (this._nextId + 1) % 0x10000;
+
+  var sendFragment = function(index) {
+    if(index === count) {
+      return end();
+    }
+
+    var header = new Buffer(HEADER_SIZE);
+    header.writeUInt16BE(messageId, 0);
+    header.writeUInt16BE(index, 2);
+    header.writeUInt16BE(count, 4);
+
+    var packet = Buffer.concat([header, data.slice(index * FRAGMENT_SIZE, (index + 1) * FRAGMENT_SIZE)]);
+    _this.tox().sendLosslessPacket(friendnum, _this.id, packet, function(err) {
+      if(err && err.code === consts.TOX_ERR_FRIEND_CUSTOM_PACKET_SENDQ) {
+        setTimeout(function() {
+          sendFragment(index);
+        }, SENDQ_RETRY_DELAY);
+      } else if(err) {
+        end(err);
+      } else {
+        sendFragment(index + 1);
+      }
+    });
+  };
+
+  sendFragment(0);
+};
+
+/**
+ * Close the channel. Drops all partial messages, and stops receiving
+ * packets so that they are reported as unclaimed again.
+ */
+FragmentChannel.prototype.close = function() {
+  if(!this._closed) {
+    this._closed = true;
+    _.each(_.keys(this._partials), function(key) {
+      this._drop(key);
+    }, this);
+    this.tox().unclaimPacketId(this.id);
+    this.tox().off('friendConnectionStatus', this._onConnectionStatus);
+  }
+};
+
+/**
+ * Listen for fragments and disconnects.
+ * @private
+ */
+FragmentChannel.prototype._initEvents = function() {
+  var _this = this;
+
+  this.tox().claimPacketId(this.id, function(e) {
+    _this._onFragment(e.friend(), e.data());
+  });
+
+  this._onConnectionStatus = function(e) {
+    if(!e.isConnected()) {
+      _.each(_.keys(_this._partials), function(key) {
+        if(_this._partials[key].friend === e.friend()) {
+          _this._drop(key, createFragmentError('Friend disconnected', 'DISCONNECTED'));
+        }
+      });
+    }
+  };
+
+  this.tox().on('friendConnectionStatus', this._onConnectionStatus);
+};
+
+/**
+ * Handle a fragment received from a friend.
+ * @private
+ * @param {Number} friendnum
+ * @param {Buffer} data - Packet data without the id byte
+ */
+FragmentChannel.prototype._onFragment = function(friendnum, data) {
+  if(data.length < HEADER_SIZE) {
+    return;
+  }
+
+  var messageId = data.readUInt16BE(0),
+      index = data.readUInt16BE(2),
+      count = data.readUInt16BE(4),
+      payload = data.slice(HEADER_SIZE),
+      key = friendnum + ':' + messageId,
+      partial = this._partials[key];
+
+  if(!partial) {
+    // Remaining fragments of a dropped message
+    if(index !== 0 || count === 0) {
+      return;
+    }
+
+    // All but the last fragment are full, and the last isn't empty
+    if(count > 1 && (count - 1) * FRAGMENT_SIZE >= this._maxSize) {
+      return this.emit('drop', createFragmentError('Message too large', 'TOO_LARGE'), friendnum);
+    }
+
+    var pending = _.filter(this._partials, function(p) { return p.friend === friendnum; });
+    if(pending.length >= this._maxPending) {
+      return this.emit('drop', createFragmentError('Too many partial messages', 'TOO_MANY_PENDING'), friendnum);
+    }
+
+    partial = this._partials[key] = {
+      friend: friendnum, count: count, chunks: [], size: 0
+    };
+  } else if(index !== partial.chunks.length || count !== partial.count) {
+    return this._drop(key, createFragmentError('Fragment out of order', 'OUT_OF_ORDER'));
+  }
+
+  partial.size += payload.length;
+  if(partial.size > this._maxSize) {
+    return this._drop(key, createFragmentError('Message too large', 'TOO_LARGE'));
+  }
+
+  partial.chunks.push(payload);
+
+  clearTimeout(partial.timer);
+  if(partial.chunks.length === partial.count) {
+    delete this._partials[key];
+    return this.emit('message', Buffer.concat(partial.chunks), friendnum);
+  }
+
+  if(this._timeout > 0) {
+    var _this = this;
+    partial.timer = setTimeout(function() {
+      _this._drop(key, createFragmentError('Timed out waiting for fragment', 'TIMEOUT'));
+    }, this._timeout);
+  }
+};
+
+/**
+ * Drop a partial message.
+ * @private
+ * @param {String} key - Partial message key
+ * @param {Error} [err] - If given, emitted with a drop event
+ */
+FragmentChannel.prototype._drop = function(key, err) {
+  var partial = this._partials[key];
+  if(partial) {
+    delete this._partials[key];
+    clearTimeout(partial.timer);
+    if(err) {
+      this.emit('drop', err, partial.friend);
+    }
+  }
+};
+
+module.exports = {
+  FragmentChannel: FragmentChannel,
+  FRAGMENT_SIZE: FRAGMENT_SIZE
+};
@@ -0,0 +1,194 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file friend.js - Higher level friend object
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Creates a Friend. Friends are normally created by a Tox instance's
+ * FriendList (tox.friends) rather than directly. State properties are
+ * cached, and kept up to date by the FriendList as events come in. Like the
+ * Tox methods they call, the synchronous methods throw an Error with code
+ * CALL_IN_PROGRESS if called while an asynchronous call is running.
+ * @class
+ * @param {Object} opts
+ * @param {Tox} opts.tox - Tox instance the friend belongs to
+ * @param {Number} opts.number - Friend number
+ * @param {String} opts.publicKey - Public key as a hex string
+ * @property {Number} number - Friend number
+ * @property {String} publicKey - Public key as a hex string
+ * @property {String} name
+ * @property {String} statusMessage
+ * @property {Number} status - User status (TOX_USER_STATUS_*)
+ * @property {Number} connectionStatus - Connection status (TOX_CONNECTION_*)
+ * @property {Date} lastOnline - When the friend was last online, backed by
+ *           NaN if never seen. Updated when the friend disconnects
+ * @property {Boolean} isTyping
+ */
+var Friend = function(opts) {
+  this._tox = opts.tox;
+  this.number = opts.number;
+  this.publicKey = opts.publicKey;
+  this.name = opts.name || '';
+  this.statusMessage = opts.statusMessage || '';
+  this.status = opts.status || consts.TOX_USER_STATUS_NONE;
+  this.connectionStatus = opts.connectionStatus || consts.TOX_CONNECTION_NONE;
+  this.lastOnline = opts.lastOnline;
+  this.isTyping = !!opts.isTyping;
+};
+
+/**
+ * Get the Tox instance this friend belongs to.
+ * @return {Tox} Tox instance
+ */
+Friend.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Whether or not the friend is currently connected.
+ * @return {Boolean} true if connected, false if not
+ */
+Friend.prototype.isConnected = function() {
+  return this.connectionStatus !== consts.TOX_CONNECTION_NONE;
+};
+
+/**
+ * Asynchronously send a message to this friend.
+ * @param {(Buffer|String)} message
+ * @param {(Boolean|Number|String)} [type] - If boolean, assumed isAction
+ * @param {Tox~numberCallback} [callback]
+ */
+Friend.prototype.send = function(message, type, callback) {
+  if(arguments.length === 2 && _.isFunction(type)) {
+    callback = type;
+    type = undefined;
+  }
+
+  this.tox().sendFriendMessage(this.number, message, type, callback);
+};
+
+/**
+ * Synchronously send a message to this friend.
+ * @param {(Buffer|String)} message
+ * @param {(Boolean|Number|String)} [type] - If boolean, assumed isAction
+ * @return {(Number|Number[])} message id, see Tox#sendFriendMessageSync()
+ */
+Friend.prototype.sendSync = function(message, type) {
+  return this.tox().sendFriendMessageSync(this.number, message, type);
+};
+
+/**
+ * Asynchronously send an action message to this friend.
+ * @param {(Buffer|String)} message
+ * @param {Tox~numberCallback} [callback]
+ */
+Friend.prototype.sendAction = function(message, callback) {
+  this.send(message, consts.TOX_MESSAGE_TYPE_ACTION, callback);
+};
+
+/**
+ * Synchronously send an action message to this friend.
+ * @param {(Buffer|String)} message
+ * @return {(Number|Number[])} message id, see Tox#sendFriendMessageSync()
+ */
+Friend.prototype.sendActionSync = function(message) {
+  return this.sendSync(message, consts.TOX_MESSAGE_TYPE_ACTION);
+};
+
+/**
+ * Asynchronously delete this friend.
+ * @param {Tox~errorCallback} [callback]
+ */
+Friend.prototype.delete = function(callback) {
+  this.tox().deleteFriend(this.number, callback);
+};
+
+/**
+ * Synchronously delete this friend.
+ */
+Friend.prototype.deleteSync = function() {
+  this.tox().deleteFriendSync(this.number);
+};
+
+/**
+ * Asynchronously send a file to this friend.
+ * @param {Number} kind
+ * @param {(Buffer|String)} filename
+ * @param {Number} size
+ * @param {Buffer} [fileid]
+ * @param {Tox~numberCallback} [callback]
+ */
+Friend.prototype.sendFile = function(kind, filename, size, fileid, callback) {
+  if(arguments.length === 4 && _.isFunction(fileid)) {
+    callback = fileid;
+    fileid = undefined;
+  }
+
+  this.tox().sendFile(this.number, kind, filename, size, fileid, callback);
+};
+
+/**
+ * Synchronously send a file to this friend.
+ * @param {Number} kind
+ * @param {(Buffer|String)} filename
+ * @param {Number} size
+ * @param {Buffer} [fileid]
+ * @return {Number} file number
+ */
+Friend.prototype.sendFileSync = function(kind, filename, size, fileid) {
+  return this.tox().sendFileSync(this.number, kind, filename, size, fileid);
+};
+
+/**
+ * Send a file to this friend with contents read from a Readable stream.
+ * @param {(stream.Readable|Function)} readable - See Tox#sendStream()
+ * @param {Object} [opts] - See Tox#sendStream()
+ * @return {OutgoingTransfer} transfer
+ */
+Friend.prototype.sendStream = function(readable, opts) {
+  return this.tox().sendStream(this.number, readable, opts);
+};
+
+/**
+ * Get a plain object of this friend's state.
+ * @return {Object} state
+ */
+Friend.prototype.toJSON = function() {
+  return {
+    number: this.number,
+    publicKey: this.publicKey,
+    name: this.name,
+    statusMessage: this.statusMessage,
+    status: this.status,
+    connectionStatus: this.connectionStatus,
+    lastOnline: this.lastOnline,
+    isTyping: this.isTyping
+  };
+};
+
+util.definePromises(Friend);
+
+module.exports = Friend;
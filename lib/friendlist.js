@@ -0,0 +1,242 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file friendlist.js - Live collection of Friend objects
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var Friend = require(path.join(__dirname, 'friend'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Creates a FriendList for a Tox instance, seeded from the current friend
+ * list. Friends are keyed by public key, and kept up to date using the
+ * instance's friend events. Friends added or deleted through the Tox
+ * instance are added to or removed from the list.
+ * @class
+ * @param {Tox} tox - Tox instance
+ */
+var FriendList = function(tox) {
+  this._tox = tox;
+  this._friends = {};
+  this._numbers = {};
+  this._initEvents();
+  this.reload();
+};
+
+/**
+ * Get a friend by public key.
+ * @param {(Buffer|String)} publicKey
+ * @return {Friend} friend, or undefined if none
+ */
+FriendList.prototype.get = function(publicKey) {
+  return this._friends[this._fixPublicKey(publicKey)];
+};
+
+/**
+ * Get a friend by friend number.
+ * @param {Number} friendnum
+ * @return {Friend} friend, or undefined if none
+ */
+FriendList.prototype.getByNumber = function(friendnum) {
+  var publicKey = this._numbers[friendnum];
+  if(publicKey !== undefined) {
+    return this._friends[publicKey];
+  }
+};
+
+/**
+ * Get the public key of a friend by friend number. Friends not yet in the
+ * list are looked up from the Tox instance and added.
+ * @param {Number} friendnum
+ * @return {Buffer} public key, or undefined if no friend with the number
+ */
+FriendList.prototype.getPublicKey = function(friendnum) {
+  var friend = this.getByNumber(friendnum);
+  if(!friend) {
+    try {
+      friend = this._add(friendnum);
+    } catch(e) {
+      return undefined;
+    }
+  }
+  return new Buffer(friend.publicKey, 'hex');
+};
+
+/**
+ * Whether or not there is a friend with a public key.
+ * @param {(Buffer|String)} publicKey
+ * @return {Boolean} true if friend, false if not
+ */
+FriendList.prototype.has = function(publicKey) {
+  return this.get(publicKey) !== undefined;
+};
+
+/**
+ * Get all friends, ordered by friend number.
+ * @return {Friend[]} friends
+ */
+FriendList.prototype.all = function() {
+  return _.sortBy(_.values(this._friends), 'number');
+};
+
+/**
+ * Get the number of friends.
+ * @return {Number} friend count
+ */
+FriendList.prototype.size = function() {
+  return _.size(this._friends);
+};
+
+/**
+ * Rebuild the list from the Tox instance's friend list and friend
+ * getters. Called when the FriendList is created.
+ */
+FriendList.prototype.reload = function() {
+  this._friends = {};
+  this._numbers = {};
+  this._tox.getFriendListSync().forEach(function(friendnum) {
+    this._add(friendnum);
+  }, this);
+};
+
+/**
+ * Add a friend to the list by friend number. If given a public key, the
+ * friend is assumed to have just been added and is given default state.
+ * Otherwise its current state is read from the Tox instance.
+ * @private
+ * @param {Number} friendnum
+ * @param {(Buffer|String)} [publicKey] - Public key of a new friend
+ * @return {Friend} friend added
+ */
+FriendList.prototype._add = function(friendnum, publicKey) {
+  var tox = this._tox, friend;
+
+  if(publicKey !== undefined) {
+    publicKey = this._fixPublicKey(publicKey);
+    friend = new Friend({
+      tox: tox,
+      number: friendnum,
+      publicKey: publicKey,
+      lastOnline: tox.getFriendLastOnlineSync(friendnum)
+    });
+  } else {
+    publicKey = this._fixPublicKey(tox.getFriendPublicKeyHexSync(friendnum));
+    friend = this._createFromTox(friendnum, publicKey);
+  }
+
+  this._friends[publicKey] = friend;
+  this._numbers[friendnum] = publicKey;
+  return friend;
+};
+
+/**
+ * Create a Friend using its current state from the Tox instance.
+ * @private
+ * @param {Number} friendnum
+ * @param {String} publicKey
+ * @return {Friend} friend
+ */
+FriendList.prototype._createFromTox = function(friendnum, publicKey) {
+  var tox = this._tox;
+  return new Friend({
+    tox: tox,
+    number: friendnum,
+    publicKey: publicKey,
+    name: tox.getFriendNameSync(friendnum),
+    statusMessage: tox.getFriendStatusMessageSync(friendnum),
+    status: tox.getFriendStatusSync(friendnum),
+    connectionStatus: tox.getFriendConnectionStatusSync(friendnum),
+    lastOnline: tox.getFriendLastOnlineSync(friendnum)
+  });
+};
+
+/**
+ * Remove a friend from the list by friend number.
+ * @private
+ * @param {Number} friendnum
+ */
+FriendList.prototype._remove = function(friendnum) {
+  var publicKey = this._numbers[friendnum];
+  if(publicKey !== undefined) {
+    delete this._friends[publicKey];
+    delete this._numbers[friendnum];
+  }
+};
+
+/**
+ * Get the key to use for a public key.
+ * @private
+ * @param {(Buffer|String)} publicKey
+ * @return {String} upper-case hex string
+ */
+FriendList.prototype._fixPublicKey = function(publicKey) {
+  if(Buffer.isBuffer(publicKey)) {
+    publicKey = util.toHex(publicKey);
+  }
+  return String(publicKey).toUpperCase();
+};
+
+/**
+ * Listen for friend events to keep friend state up to date.
+ * @private
+ */
+FriendList.prototype._initEvents = function() {
+  var _this = this,
+      tox = this._tox;
+
+  var update = function(name, func) {
+    tox.on(name, function(e) {
+      var friend = _this.getByNumber(e.friend());
+      if(friend) {
+        func(friend, e);
+      }
+    });
+  };
+
+  update('friendName', function(friend, e) {
+    friend.name = e.name();
+  });
+
+  update('friendStatusMessage', function(friend, e) {
+    friend.statusMessage = e.statusMessage();
+  });
+
+  update('friendStatus', function(friend, e) {
+    friend.status = e.status();
+  });
+
+  update('friendConnectionStatus', function(friend, e) {
+    friend.connectionStatus = e.connectionStatus();
+    if(friend.connectionStatus === consts.TOX_CONNECTION_NONE) {
+      // The friend was last online just now
+      friend.lastOnline = new Date();
+      friend.isTyping = false;
+    }
+  });
+
+  update('friendTyping', function(friend, e) {
+    friend.isTyping = e.isTyping();
+  });
+};
+
+module.exports = FriendList;
@@ -17,14 +17,39 @@
  */
 
 var path = require('path');
+var autosave = require(path.join(__dirname, 'autosave'));
+var connectionmonitor = require(path.join(__dirname, 'connectionmonitor'));
+var friend = require(path.join(__dirname, 'friend'));
+var mocklibrary = require(path.join(__dirname, 'mocklibrary'));
+var outbox = require(path.join(__dirname, 'outbox'));
+var recording = require(path.join(__dirname, 'recording'));
+var testing = require(path.join(__dirname, 'testing'));
 var tox = require(path.join(__dirname, 'tox'));
-var toxdns = require(path.join(__dirname, 'toxdns'));
-var toxencryptsave = require(path.join(__dirname, 'toxencryptsave'));
+var toxerror = require(path.join(__dirname, 'toxerror'));
+var transfermanager = require(path.join(__dirname, 'transfermanager'));
 var consts = require(path.join(__dirname, 'consts'));
 
 module.exports = {
+  Autosave: autosave,
+  ConnectionMonitor: connectionmonitor,
+  Friend: friend,
+  MockNetwork: mocklibrary.MockNetwork,
+  Outbox: outbox,
+  Recorder: recording.Recorder,
+  Replayer: recording.Replayer,
   Tox: tox,
-  ToxDns: toxdns,
-  ToxEncryptSave: toxencryptsave,
-  Consts: consts
+  ToxError: toxerror,
+  TransferManager: transfermanager,
+  Consts: consts,
+  testing: testing
 };
+
+// Loaded when first used, as they load their libraries with node-ffi
+Object.defineProperty(module.exports, 'ToxDns', {
+  enumerable: true,
+  get: function() { return require(path.join(__dirname, 'toxdns')); }
+});
+Object.defineProperty(module.exports, 'ToxEncryptSave', {
+  enumerable: true,
+  get: function() { return require(path.join(__dirname, 'toxencryptsave')); }
+});
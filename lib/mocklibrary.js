@@ -0,0 +1,1321 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file mocklibrary.js - In-memory stand-in for libtoxcore, for tests
+ */
+
+var crypto = require('crypto');
+var os = require('os');
+var path = require('path');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * Returned by functions returning a friend or file number on error.
+ */
+var UINT32_MAX = 0xFFFFFFFF;
+
+/**
+ * Largest file chunk, as in toxcore.
+ */
+var FILE_CHUNK_SIZE = consts.TOX_MAX_CUSTOM_PACKET_SIZE - 2;
+
+/**
+ * Number of chunks requested ahead of those sent.
+ */
+var FILE_CHUNK_WINDOW = 4;
+
+/**
+ * Max number of files being sent to a single friend.
+ */
+var MAX_SENDING_FILES = 256;
+
+/**
+ * Milliseconds returned by tox_iteration_interval.
+ */
+var ITERATION_INTERVAL = 20;
+
+/**
+ * UDP port of the first instance on a network.
+ */
+var FIRST_PORT = 33445;
+
+var ENDIANNESS = os.endianness();
+
+/**
+ * Write an error code to an error pointer, if one was given.
+ * @private
+ * @param {Buffer} eptr
+ * @param {Number} code
+ */
+var setError = function(eptr, code) {
+  if(Buffer.isBuffer(eptr) && eptr.length >= 4) {
+    eptr['writeInt32' + ENDIANNESS](code, 0);
+  }
+};
+
+/**
+ * Copy data into a Buffer passed to be filled, as far as it fits.
+ * @private
+ * @param {Buffer} data
+ * @param {Buffer} out
+ */
+var fill = function(data, out) {
+  if(Buffer.isBuffer(out)) {
+    data.copy(out, 0, 0, Math.min(data.length, out.length));
+  }
+};
+
+/**
+ * Get the two byte checksum at the end of an address.
+ * @private
+ * @param {Buffer} data - Public key and nospam
+ * @return {Buffer} checksum
+ */
+var getChecksum = function(data) {
+  var checksum = new Buffer([0, 0]);
+  for(var i = 0; i < data.length; i++) {
+    checksum[i % 2] ^= data[i];
+  }
+  return checksum;
+};
+
+/**
+ * Get the file number the other side of a transfer knows it by. Like
+ * toxcore, files being received are numbered from 1 << 16.
+ * @private
+ * @param {Number} file
+ * @return {Number} file number
+ */
+var getPeerFileNumber = function(file) {
+  return (file >= (1 << 16) ? (file >> 16) - 1 : (file + 1) << 16);
+};
+
+/**
+ * Add node-ffi's async variant to a function, which calls it on a
+ * later tick.
+ * @private
+ * @param {Function} func
+ * @return {Function} func
+ */
+var withAsync = function(func) {
+  func.async = function() {
+    var args = _.toArray(arguments),
+        callback = args.pop();
+    setImmediate(function() {
+      var err, result;
+      try {
+        result = func.apply(undefined, args);
+      } catch(e) {
+        err = e;
+      }
+      callback(err, result);
+    });
+  };
+  return func;
+};
+
+/**
+ * Creates a MockNetwork, which carries packets between the MockNodes
+ * created on it. Every node on a network can reach every other.
+ * @class
+ */
+var MockNetwork = function() {
+  this._nodes = [];
+  this._nextPort = FIRST_PORT;
+};
+
+/**
+ * The network used by Tox instances created with mock set to true.
+ * @private
+ */
+var defaultNetwork;
+
+/**
+ * Get the network used by Tox instances created with mock set to true.
+ * @return {MockNetwork} network
+ */
+MockNetwork.getDefault = function() {
+  if(!defaultNetwork) {
+    defaultNetwork = new MockNetwork();
+  }
+  return defaultNetwork;
+};
+
+/**
+ * Get the nodes currently on this network.
+ * @return {MockNode[]} nodes
+ */
+MockNetwork.prototype.getNodes = function() {
+  return this._nodes.slice();
+};
+
+/**
+ * Find the node with a public key.
+ * @private
+ * @param {String} publicKey - Public key as lowercase hex
+ * @return {MockNode} node, or undefined if none
+ */
+MockNetwork.prototype._find = function(publicKey) {
+  return _.find(this._nodes, function(node) {
+    return node.getPublicKeyHex() === publicKey;
+  });
+};
+
+/**
+ * Add a node, giving it a port.
+ * @private
+ * @param {MockNode} node
+ * @return {Number} port
+ */
+MockNetwork.prototype._join = function(node) {
+  this._nodes.push(node);
+  return this._nextPort++;
+};
+
+/**
+ * Remove a node.
+ * @private
+ * @param {MockNode} node
+ */
+MockNetwork.prototype._leave = function(node) {
+  this._nodes = _.without(this._nodes, node);
+};
+
+/**
+ * Queue a packet for a node, to be handled on its next iteration.
+ * @private
+ * @param {MockNode} from
+ * @param {String} publicKey - Public key of the node to send to
+ * @param {Object} packet
+ * @return {Boolean} true if there is such a node, false if not
+ */
+MockNetwork.prototype._send = function(from, publicKey, packet) {
+  var node = this._find(publicKey);
+  if(node) {
+    node._inbox.push({ from: from.getPublicKeyHex(), packet: packet });
+  }
+  return !!node;
+};
+
+/**
+ * Options of a MockNode, standing in for the ToxOptions struct.
+ * @private
+ * @class
+ */
+var MockOptions = function() {
+  this._reset();
+};
+
+/**
+ * Reset to the defaults of tox_options_default.
+ * @private
+ */
+MockOptions.prototype._reset = function() {
+  this.ipv6_enabled = 1;
+  this.udp_enabled = 1;
+  this.proxy_type = consts.TOX_PROXY_TYPE_NONE;
+  this.proxy_address = undefined;
+  this.proxy_port = 0;
+  this.start_port = 0;
+  this.end_port = 0;
+  this.savedata_type = consts.TOX_SAVEDATA_TYPE_NONE;
+  this.savedata_data = undefined;
+  this.savedata_length = 0;
+};
+
+/**
+ * Get a "pointer" to these options, as ref-struct does.
+ * @return {Object} pointer with deref()
+ */
+MockOptions.prototype.ref = function() {
+  var _this = this;
+  return { deref: function() { return _this; } };
+};
+
+/**
+ * Get options from a "pointer" given to tox_new.
+ * @private
+ * @param {Object} ptr
+ * @return {MockOptions} options, or undefined if NULL
+ */
+var derefOptions = function(ptr) {
+  if(ptr && !Buffer.isBuffer(ptr) && _.isFunction(ptr.deref)) {
+    return ptr.deref();
+  }
+};
+
+/**
+ * Creates a MockNode, the state behind a single tox handle created by
+ * tox_new on a mock library. Packets to friends are carried by the
+ * network, and callbacks are only called from MockNode#iterate() like
+ * they are from tox_iterate.
+ * @class
+ * @param {MockNetwork} network
+ * @param {Object} [state] - State to restore, see MockNode#getState()
+ */
+var MockNode = function(network, state) {
+  if(!state) state = {};
+
+  this._network = network;
+  this._callbacks = {};
+  this._inbox = [];
+  this._friends = [];
+  this._connection = consts.TOX_CONNECTION_NONE;
+
+  this._secretKey = state.secretKey || crypto.randomBytes(consts.TOX_SECRET_KEY_SIZE);
+  this._publicKey = crypto.createHash('sha256').update(this._secretKey).digest();
+  this._nospam = (state.nospam !== undefined ? state.nospam : crypto.randomBytes(4).readUInt32BE(0));
+  this._name = state.name || new Buffer(0);
+  this._statusMessage = state.statusMessage || new Buffer(0);
+  this._status = state.status || consts.TOX_USER_STATUS_NONE;
+
+  (state.friends || []).forEach(function(friend, i) {
+    if(friend) {
+      this._friends[i] = this._createFriend(friend.publicKey, friend);
+    }
+  }, this);
+
+  this._port = network._join(this);
+  this._alive = true;
+};
+
+/**
+ * Restore a MockNode from savedata of tox_get_savedata.
+ * @param {MockNetwork} network
+ * @param {Buffer} data
+ * @return {MockNode} node, or undefined if data isn't mock savedata
+ */
+MockNode.fromSavedata = function(network, data) {
+  var saved;
+  try {
+    saved = JSON.parse(data.toString('utf8'));
+  } catch(e) {
+    return;
+  }
+
+  if(!_.isObject(saved) || !_.isString(saved.secretKey)) {
+    return;
+  }
+
+  var fromHex = function(hex) {
+    return new Buffer(hex || '', 'hex');
+  };
+
+  return new MockNode(network, {
+    secretKey: fromHex(saved.secretKey),
+    nospam: saved.nospam,
+    name: fromHex(saved.name),
+    statusMessage: fromHex(saved.statusMessage),
+    status: saved.status,
+    friends: (saved.friends || []).map(function(friend) {
+      if(friend) {
+        return {
+          publicKey: fromHex(friend.publicKey),
+          name: fromHex(friend.name),
+          statusMessage: fromHex(friend.statusMessage),
+          lastOnline: friend.lastOnline
+        };
+      }
+    })
+  });
+};
+
+/**
+ * Get the savedata of this node, which is JSON rather than toxcore's
+ * format.
+ * @return {Buffer} savedata
+ */
+MockNode.prototype.getSavedata = function() {
+  var saved = {
+    secretKey: this._secretKey.toString('hex'),
+    nospam: this._nospam,
+    name: this._name.toString('hex'),
+    statusMessage: this._statusMessage.toString('hex'),
+    status: this._status,
+    friends: this._friends.map(function(friend) {
+      if(friend) {
+        return {
+          publicKey: friend.publicKey.toString('hex'),
+          name: friend.name.toString('hex'),
+          statusMessage: friend.statusMessage.toString('hex'),
+          lastOnline: friend.lastOnline
+        };
+      }
+      return null;
+    })
+  };
+  return new Buffer(JSON.stringify(saved));
+};
+
+/**
+ * Get the public key as lowercase hex.
+ * @return {String} public key
+ */
+MockNode.prototype.getPublicKeyHex = function() {
+  return this._publicKey.toString('hex');
+};
+
+/**
+ * Get the address friends are added by.
+ * @return {Buffer} address
+ */
+MockNode.prototype.getAddress = function() {
+  var nospam = new Buffer(4);
+  nospam.writeUInt32BE(this._nospam, 0);
+  var data = Buffer.concat([this._publicKey, nospam]);
+  return Buffer.concat([data, getChecksum(data)]);
+};
+
+/**
+ * Whether or not this node is still on its network.
+ * @return {Boolean} true if alive, false if killed
+ */
+MockNode.prototype.isAlive = function() {
+  return this._alive;
+};
+
+/**
+ * Leave the network, as tox_kill.
+ */
+MockNode.prototype.kill = function() {
+  this._network._leave(this);
+  this._alive = false;
+};
+
+/**
+ * Set the function called for a tox callback.
+ * @param {String} name - Name of the callback, ex. 'friend_message'
+ * @param {Function} callback
+ */
+MockNode.prototype.setCallback = function(name, callback) {
+  this._callbacks[name] = callback;
+};
+
+/**
+ * Call a tox callback with this node as the handle and a NULL userdata.
+ * @private
+ * @param {String} name
+ */
+MockNode.prototype._call = function(name) {
+  var callback = this._callbacks[name];
+  if(_.isFunction(callback)) {
+    var args = [this].concat(_.toArray(arguments).slice(1), [null]);
+    callback.apply(undefined, args);
+  }
+};
+
+/**
+ * Create the state of a friend.
+ * @private
+ * @param {Buffer} publicKey
+ * @param {Object} [saved] - Saved name, statusMessage and lastOnline
+ * @return {Object} friend
+ */
+MockNode.prototype._createFriend = function(publicKey, saved) {
+  if(!saved) saved = {};
+  return {
+    publicKey: new Buffer(publicKey),
+    name: saved.name || new Buffer(0),
+    statusMessage: saved.statusMessage || new Buffer(0),
+    status: consts.TOX_USER_STATUS_NONE,
+    connection: consts.TOX_CONNECTION_NONE,
+    lastOnline: saved.lastOnline || 0,
+    nextMessageId: 1,
+    request: undefined,
+    files: {}
+  };
+};
+
+/**
+ * Add a friend in the first free friend number.
+ * @private
+ * @param {Buffer} publicKey
+ * @param {Object} [request] - Friend request to send, with nospam and message
+ * @return {Number} friend number
+ */
+MockNode.prototype._addFriend = function(publicKey, request) {
+  var friendnum = 0;
+  while(this._friends[friendnum]) {
+    friendnum++;
+  }
+  this._friends[friendnum] = this._createFriend(publicKey);
+  this._friends[friendnum].request = request;
+  return friendnum;
+};
+
+/**
+ * Get the friend number of a public key.
+ * @private
+ * @param {String} publicKey - Public key as lowercase hex
+ * @return {Number} friend number, or -1 if not a friend
+ */
+MockNode.prototype._findFriend = function(publicKey) {
+  for(var i = 0; i < this._friends.length; i++) {
+    if(this._friends[i] && this._friends[i].publicKey.toString('hex') === publicKey) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Whether or not a friend is connected.
+ * @private
+ * @param {Number} friendnum
+ * @return {Boolean} true if connected, false if not
+ */
+MockNode.prototype._isConnected = function(friendnum) {
+  var friend = this._friends[friendnum];
+  return !!friend && friend.connection !== consts.TOX_CONNECTION_NONE;
+};
+
+/**
+ * Send a packet to a friend.
+ * @private
+ * @param {Number} friendnum
+ * @param {String} type
+ * @param {Object} [packet]
+ */
+MockNode.prototype._sendTo = function(friendnum, type, packet) {
+  packet = _.extend({ type: type }, packet);
+  this._network._send(this, this._friends[friendnum].publicKey.toString('hex'), packet);
+};
+
+/**
+ * Send a packet to all connected friends.
+ * @private
+ * @param {String} type
+ * @param {Object} [packet]
+ */
+MockNode.prototype._broadcast = function(type, packet) {
+  this._friends.forEach(function(friend, friendnum) {
+    if(this._isConnected(friendnum)) {
+      this._sendTo(friendnum, type, packet);
+    }
+  }, this);
+};
+
+/**
+ * Do one iteration, as tox_iterate. Connection changes are noticed,
+ * packets received since the last iteration are handled and file chunks
+ * are requested, calling callbacks for each.
+ */
+MockNode.prototype.iterate = function() {
+  if(!this._alive) {
+    return;
+  }
+
+  if(this._connection === consts.TOX_CONNECTION_NONE) {
+    this._connection = consts.TOX_CONNECTION_UDP;
+    this._call('self_connection_status', this._connection);
+  }
+
+  this._updateFriends();
+
+  var inbox = this._inbox;
+  this._inbox = [];
+  inbox.forEach(function(item) {
+    this._receive(item.from, item.packet);
+  }, this);
+
+  this._requestChunks();
+};
+
+/**
+ * Deliver pending friend requests, and update friend connection statuses.
+ * A friend is connected if both nodes are on the network and have each
+ * other as friends.
+ * @private
+ */
+MockNode.prototype._updateFriends = function() {
+  var publicKey = this.getPublicKeyHex();
+
+  this._friends.forEach(function(friend, friendnum) {
+    if(!friend) return;
+
+    var peer = this._network._find(friend.publicKey.toString('hex'));
+
+    if(peer && friend.request) {
+      this._sendTo(friendnum, 'request', friend.request);
+      friend.request = undefined;
+    }
+
+    var connected = !!peer && peer._findFriend(publicKey) >= 0,
+        connection = (connected ? consts.TOX_CONNECTION_UDP : consts.TOX_CONNECTION_NONE);
+
+    if(connection !== friend.connection) {
+      friend.connection = connection;
+      if(connected) {
+        this._sendTo(friendnum, 'name', { data: this._name });
+        this._sendTo(friendnum, 'statusMessage', { data: this._statusMessage });
+        this._sendTo(friendnum, 'status', { status: this._status });
+      } else {
+        // Transfers don't survive disconnecting
+        friend.files = {};
+        friend.lastOnline = Math.floor(Date.now() / 1000);
+      }
+      this._call('friend_connection_status', friendnum, connection);
+    }
+  }, this);
+};
+
+/**
+ * Handle a packet received from another node.
+ * @private
+ * @param {String} from - Public key of the sender as lowercase hex
+ * @param {Object} packet
+ */
+MockNode.prototype._receive = function(from, packet) {
+  if(packet.type === 'request') {
+    if(packet.nospam === this._nospam && this._findFriend(from) < 0) {
+      var message = new Buffer(packet.message);
+      this._call('friend_request', new Buffer(from, 'hex'), message, message.length);
+    }
+    return;
+  }
+
+  var friendnum = this._findFriend(from),
+      friend = this._friends[friendnum];
+  if(!friend) {
+    return;
+  }
+
+  var file = (packet.file !== undefined ? friend.files[packet.file] : undefined);
+
+  switch(packet.type) {
+    case 'name':
+      friend.name = packet.data;
+      this._call('friend_name', friendnum, packet.data, packet.data.length);
+      break;
+    case 'statusMessage':
+      friend.statusMessage = packet.data;
+      this._call('friend_status_message', friendnum, packet.data, packet.data.length);
+      break;
+    case 'status':
+      friend.status = packet.status;
+      this._call('friend_status', friendnum, packet.status);
+      break;
+    case 'typing':
+      this._call('friend_typing', friendnum, packet.typing);
+      break;
+    case 'message':
+      this._call('friend_message', friendnum, packet.messageType, packet.data, packet.data.length);
+      this._sendTo(friendnum, 'receipt', { id: packet.id });
+      break;
+    case 'receipt':
+      this._call('friend_read_receipt', friendnum, packet.id);
+      break;
+    case 'lossless':
+      this._call('friend_lossless_packet', friendnum, packet.data, packet.data.length);
+      break;
+    case 'lossy':
+      this._call('friend_lossy_packet', friendnum, packet.data, packet.data.length);
+      break;
+    case 'fileSend':
+      friend.files[packet.file] = {
+        sending: false, kind: packet.kind, size: packet.size,
+        fileId: packet.fileId, position: 0, started: false,
+        pausedByUs: false, pausedByPeer: false
+      };
+      this._call('file_recv', friendnum, packet.file, packet.kind, packet.size,
+                 packet.filename, packet.filename.length);
+      break;
+    case 'fileControl':
+      if(!file) break;
+      if(packet.control === consts.TOX_FILE_CONTROL_RESUME) {
+        if(file.started) file.pausedByPeer = false;
+        else file.started = true;
+      } else if(packet.control === consts.TOX_FILE_CONTROL_PAUSE) {
+        file.pausedByPeer = true;
+      } else if(packet.control === consts.TOX_FILE_CONTROL_CANCEL) {
+        delete friend.files[packet.file];
+      }
+      this._call('file_recv_control', friendnum, packet.file, packet.control);
+      break;
+    case 'fileSeek':
+      if(!file) break;
+      file.position = file.requested = packet.position;
+      break;
+    case 'fileChunk':
+      if(!file) break;
+      if(packet.data.length === 0) {
+        delete friend.files[packet.file];
+      } else {
+        file.position = packet.position + packet.data.length;
+      }
+      this._call('file_recv_chunk', friendnum, packet.file, packet.position,
+                 packet.data, packet.data.length);
+      break;
+  }
+};
+
+/**
+ * Request chunks of files being sent which are transferring, and finish
+ * those which have been sent completely.
+ * @private
+ */
+MockNode.prototype._requestChunks = function() {
+  this._friends.forEach(function(friend, friendnum) {
+    if(!friend) return;
+
+    _.each(friend.files, function(file, filenum) {
+      filenum = Number(filenum);
+      if(!file.sending || !file.started || file.pausedByUs || file.pausedByPeer) {
+        return;
+      }
+
+      while(file.requested < file.size && file.requested - file.position < FILE_CHUNK_WINDOW * FILE_CHUNK_SIZE) {
+        var length = Math.min(FILE_CHUNK_SIZE, file.size - file.requested),
+            position = file.requested;
+        file.requested += length;
+        this._call('file_chunk_request', friendnum, filenum, position, length);
+      }
+
+      if(file.position >= file.size && friend.files[filenum] === file) {
+        delete friend.files[filenum];
+        this._sendTo(friendnum, 'fileChunk', {
+          file: getPeerFileNumber(filenum), position: file.size, data: new Buffer(0)
+        });
+        this._call('file_chunk_request', friendnum, filenum, file.size, 0);
+      }
+    }, this);
+  }, this);
+};
+
+/**
+ * Check the friend and file given to a file function.
+ * @private
+ * @param {Number} friendnum
+ * @param {Number} filenum
+ * @param {String} prefix - Error code prefix, ex. 'TOX_ERR_FILE_CONTROL'
+ * @return {Number} error code, or undefined if the file exists
+ */
+MockNode.prototype._checkFile = function(friendnum, filenum, prefix) {
+  var friend = this._friends[friendnum];
+  if(!friend) {
+    return consts[prefix + '_FRIEND_NOT_FOUND'];
+  } else if(!this._isConnected(friendnum) && consts[prefix + '_FRIEND_NOT_CONNECTED'] !== undefined) {
+    return consts[prefix + '_FRIEND_NOT_CONNECTED'];
+  } else if(!friend.files[filenum]) {
+    return consts[prefix + '_NOT_FOUND'];
+  }
+};
+
+/**
+ * Create a mock library object with the same tox_* functions (and their
+ * async variants) as Tox#createLibrary(), backed by MockNodes on a
+ * MockNetwork instead of libtoxcore. Callbacks are plain functions
+ * rather than ffi Callbacks.
+ * @param {MockNetwork} [network] - Network for nodes created by tox_new,
+ *        defaults to MockNetwork.getDefault()
+ * @return {Object} library
+ */
+var createLibrary = function(network) {
+  if(!(network instanceof MockNetwork)) {
+    network = MockNetwork.getDefault();
+  }
+
+  // Each symbol needs its own function, as .async is wrapped per symbol
+  var bootstrap = function() {
+    return function(tox, address, port, publicKey, eptr) {
+      if(!Buffer.isBuffer(address) || !Buffer.isBuffer(publicKey)) {
+        setError(eptr, consts.TOX_ERR_BOOTSTRAP_NULL);
+        return false;
+      } else if(!(Number(port) > 0)) {
+        setError(eptr, consts.TOX_ERR_BOOTSTRAP_BAD_PORT);
+        return false;
+      }
+      setError(eptr, consts.TOX_ERR_BOOTSTRAP_OK);
+      return true;
+    };
+  };
+
+  var callback = function(name) {
+    return function(tox, func, userdata) {
+      tox.setCallback(name, func);
+    };
+  };
+
+  var friendQuery = function(get) {
+    return function(tox, friendnum, eptr) {
+      var friend = tox._friends[friendnum];
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FRIEND_QUERY_FRIEND_NOT_FOUND);
+        return 0;
+      }
+      setError(eptr, consts.TOX_ERR_FRIEND_QUERY_OK);
+      return get(friend);
+    };
+  };
+
+  var friendDataQuery = function(key) {
+    return function(tox, friendnum, out, eptr) {
+      var friend = tox._friends[friendnum];
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FRIEND_QUERY_FRIEND_NOT_FOUND);
+        return false;
+      }
+      fill(friend[key], out);
+      setError(eptr, consts.TOX_ERR_FRIEND_QUERY_OK);
+      return true;
+    };
+  };
+
+  var setInfo = function(key, type, maxLength) {
+    return function(tox, data, length, eptr) {
+      length = Number(length);
+      if(!Buffer.isBuffer(data)) {
+        setError(eptr, consts.TOX_ERR_SET_INFO_NULL);
+        return false;
+      } else if(length > maxLength) {
+        setError(eptr, consts.TOX_ERR_SET_INFO_TOO_LONG);
+        return false;
+      }
+      tox[key] = new Buffer(data.slice(0, length));
+      tox._broadcast(type, { data: tox[key] });
+      setError(eptr, consts.TOX_ERR_SET_INFO_OK);
+      return true;
+    };
+  };
+
+  var sendPacket = function(type, min, max) {
+    return function(tox, friendnum, data, length, eptr) {
+      length = Number(length);
+      if(!Buffer.isBuffer(data)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_NULL);
+        return false;
+      } else if(!tox._friends[friendnum]) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_FRIEND_NOT_FOUND);
+        return false;
+      } else if(!tox._isConnected(friendnum)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_FRIEND_NOT_CONNECTED);
+        return false;
+      } else if(length === 0) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_EMPTY);
+        return false;
+      } else if(length > consts.TOX_MAX_CUSTOM_PACKET_SIZE) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_TOO_LONG);
+        return false;
+      } else if(data[0] < min || data[0] > max) {
+        setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_INVALID);
+        return false;
+      }
+      tox._sendTo(friendnum, type, { data: new Buffer(data.slice(0, length)) });
+      setError(eptr, consts.TOX_ERR_FRIEND_CUSTOM_PACKET_OK);
+      return true;
+    };
+  };
+
+  var addFriend = function(tox, publicKey, eptr, request) {
+    if(publicKey.toString('hex') === tox.getPublicKeyHex()) {
+      setError(eptr, consts.TOX_ERR_FRIEND_ADD_OWN_KEY);
+      return UINT32_MAX;
+    } else if(tox._findFriend(publicKey.toString('hex')) >= 0) {
+      setError(eptr, consts.TOX_ERR_FRIEND_ADD_ALREADY_SENT);
+      return UINT32_MAX;
+    }
+    setError(eptr, consts.TOX_ERR_FRIEND_ADD_OK);
+    return tox._addFriend(publicKey, request);
+  };
+
+  var library = {
+    'tox_add_tcp_relay': bootstrap(),
+    'tox_bootstrap': bootstrap(),
+    'tox_callback_file_chunk_request': callback('file_chunk_request'),
+    'tox_callback_file_recv': callback('file_recv'),
+    'tox_callback_file_recv_chunk': callback('file_recv_chunk'),
+    'tox_callback_file_recv_control': callback('file_recv_control'),
+    'tox_callback_friend_connection_status': callback('friend_connection_status'),
+    'tox_callback_friend_message': callback('friend_message'),
+    'tox_callback_friend_name': callback('friend_name'),
+    'tox_callback_friend_read_receipt': callback('friend_read_receipt'),
+    'tox_callback_friend_request': callback('friend_request'),
+    'tox_callback_friend_status': callback('friend_status'),
+    'tox_callback_friend_status_message': callback('friend_status_message'),
+    'tox_callback_friend_typing': callback('friend_typing'),
+    'tox_callback_self_connection_status': callback('self_connection_status'),
+    'tox_callback_friend_lossless_packet': callback('friend_lossless_packet'),
+    'tox_callback_friend_lossy_packet': callback('friend_lossy_packet'),
+
+    'tox_file_control': function(tox, friendnum, filenum, control, eptr) {
+      var code = tox._checkFile(friendnum, filenum, 'TOX_ERR_FILE_CONTROL');
+      if(code !== undefined) {
+        setError(eptr, code);
+        return false;
+      }
+
+      var friend = tox._friends[friendnum],
+          file = friend.files[filenum];
+
+      if(control === consts.TOX_FILE_CONTROL_RESUME) {
+        if(file.started && !file.pausedByUs) {
+          code = (file.pausedByPeer ? consts.TOX_ERR_FILE_CONTROL_DENIED : consts.TOX_ERR_FILE_CONTROL_NOT_PAUSED);
+        } else if(!file.started && file.sending) {
+          // Only the receiver may accept a transfer
+          code = consts.TOX_ERR_FILE_CONTROL_DENIED;
+        } else {
+          file.started = true;
+          file.pausedByUs = false;
+        }
+      } else if(control === consts.TOX_FILE_CONTROL_PAUSE) {
+        if(file.pausedByUs) {
+          code = consts.TOX_ERR_FILE_CONTROL_ALREADY_PAUSED;
+        } else {
+          file.pausedByUs = true;
+        }
+      } else if(control === consts.TOX_FILE_CONTROL_CANCEL) {
+        delete friend.files[filenum];
+      }
+
+      if(code !== undefined) {
+        setError(eptr, code);
+        return false;
+      }
+
+      tox._sendTo(friendnum, 'fileControl', { file: getPeerFileNumber(filenum), control: control });
+      setError(eptr, consts.TOX_ERR_FILE_CONTROL_OK);
+      return true;
+    },
+
+    'tox_file_get_file_id': function(tox, friendnum, filenum, out, eptr) {
+      var friend = tox._friends[friendnum];
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FILE_GET_FRIEND_NOT_FOUND);
+        return false;
+      } else if(!friend.files[filenum]) {
+        setError(eptr, consts.TOX_ERR_FILE_GET_NOT_FOUND);
+        return false;
+      }
+      fill(friend.files[filenum].fileId, out);
+      setError(eptr, consts.TOX_ERR_FILE_GET_OK);
+      return true;
+    },
+
+    'tox_file_seek': function(tox, friendnum, filenum, position, eptr) {
+      var code = tox._checkFile(friendnum, filenum, 'TOX_ERR_FILE_SEEK');
+      if(code !== undefined) {
+        setError(eptr, code);
+        return false;
+      }
+
+      var file = tox._friends[friendnum].files[filenum];
+      position = Number(position);
+
+      if(file.sending || file.started) {
+        setError(eptr, consts.TOX_ERR_FILE_SEEK_DENIED);
+        return false;
+      } else if(position >= file.size) {
+        setError(eptr, consts.TOX_ERR_FILE_SEEK_INVALID_POSITION);
+        return false;
+      }
+
+      file.position = position;
+      tox._sendTo(friendnum, 'fileSeek', { file: getPeerFileNumber(filenum), position: position });
+      setError(eptr, consts.TOX_ERR_FILE_SEEK_OK);
+      return true;
+    },
+
+    'tox_file_send': function(tox, friendnum, kind, size, fileId, filename, length, eptr) {
+      var friend = tox._friends[friendnum];
+      length = Number(length);
+
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FILE_SEND_FRIEND_NOT_FOUND);
+        return UINT32_MAX;
+      } else if(!tox._isConnected(friendnum)) {
+        setError(eptr, consts.TOX_ERR_FILE_SEND_FRIEND_NOT_CONNECTED);
+        return UINT32_MAX;
+      } else if(length > consts.TOX_MAX_FILENAME_LENGTH) {
+        setError(eptr, consts.TOX_ERR_FILE_SEND_NAME_TOO_LONG);
+        return UINT32_MAX;
+      }
+
+      var filenum = 0;
+      while(friend.files[filenum] && filenum < MAX_SENDING_FILES) {
+        filenum++;
+      }
+      if(filenum === MAX_SENDING_FILES) {
+        setError(eptr, consts.TOX_ERR_FILE_SEND_TOO_MANY);
+        return UINT32_MAX;
+      }
+
+      if(!Buffer.isBuffer(fileId) || fileId.length < consts.TOX_FILE_ID_LENGTH) {
+        fileId = crypto.randomBytes(consts.TOX_FILE_ID_LENGTH);
+      }
+
+      var file = friend.files[filenum] = {
+        sending: true, kind: kind, size: Number(size),
+        fileId: new Buffer(fileId.slice(0, consts.TOX_FILE_ID_LENGTH)),
+        position: 0, requested: 0, started: false,
+        pausedByUs: false, pausedByPeer: false
+      };
+
+      tox._sendTo(friendnum, 'fileSend', {
+        file: getPeerFileNumber(filenum), kind: kind, size: file.size, fileId: file.fileId,
+        filename: (Buffer.isBuffer(filename) ? new Buffer(filename.slice(0, length)) : new Buffer(0))
+      });
+      setError(eptr, consts.TOX_ERR_FILE_SEND_OK);
+      return filenum;
+    },
+
+    'tox_file_send_chunk': function(tox, friendnum, filenum, position, data, length, eptr) {
+      var code = tox._checkFile(friendnum, filenum, 'TOX_ERR_FILE_SEND_CHUNK'),
+          file;
+      position = Number(position);
+      length = Number(length);
+
+      if(code === undefined) {
+        file = tox._friends[friendnum].files[filenum];
+        if(!Buffer.isBuffer(data)) {
+          code = consts.TOX_ERR_FILE_SEND_CHUNK_NULL;
+        } else if(!file.sending || !file.started) {
+          code = consts.TOX_ERR_FILE_SEND_CHUNK_NOT_TRANSFERRING;
+        } else if(position !== file.position) {
+          code = consts.TOX_ERR_FILE_SEND_CHUNK_WRONG_POSITION;
+        } else if(length > FILE_CHUNK_SIZE || position + length > file.size ||
+                  (length < FILE_CHUNK_SIZE && position + length !== file.size)) {
+          code = consts.TOX_ERR_FILE_SEND_CHUNK_INVALID_LENGTH;
+        }
+      }
+
+      if(code !== undefined) {
+        setError(eptr, code);
+        return false;
+      }
+
+      file.position += length;
+      tox._sendTo(friendnum, 'fileChunk', {
+        file: getPeerFileNumber(filenum), position: position,
+        data: new Buffer(data.slice(0, length))
+      });
+      setError(eptr, consts.TOX_ERR_FILE_SEND_CHUNK_OK);
+      return true;
+    },
+
+    'tox_friend_add': function(tox, address, message, length, eptr) {
+      length = Number(length);
+      if(!Buffer.isBuffer(address) || !Buffer.isBuffer(message)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_ADD_NULL);
+        return UINT32_MAX;
+      } else if(length > consts.TOX_MAX_FRIEND_REQUEST_LENGTH) {
+        setError(eptr, consts.TOX_ERR_FRIEND_ADD_TOO_LONG);
+        return UINT32_MAX;
+      } else if(length === 0) {
+        setError(eptr, consts.TOX_ERR_FRIEND_ADD_NO_MESSAGE);
+        return UINT32_MAX;
+      }
+
+      var data = address.slice(0, consts.TOX_ADDRESS_SIZE - 2),
+          checksum = address.slice(consts.TOX_ADDRESS_SIZE - 2, consts.TOX_ADDRESS_SIZE);
+      if(!getChecksum(data).equals(checksum)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_ADD_BAD_CHECKSUM);
+        return UINT32_MAX;
+      }
+
+      return addFriend(tox, data.slice(0, consts.TOX_PUBLIC_KEY_SIZE), eptr, {
+        nospam: data.readUInt32BE(consts.TOX_PUBLIC_KEY_SIZE),
+        message: new Buffer(message.slice(0, length))
+      });
+    },
+
+    'tox_friend_add_norequest': function(tox, publicKey, eptr) {
+      if(!Buffer.isBuffer(publicKey)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_ADD_NULL);
+        return UINT32_MAX;
+      }
+      return addFriend(tox, publicKey.slice(0, consts.TOX_PUBLIC_KEY_SIZE), eptr);
+    },
+
+    'tox_friend_by_public_key': function(tox, publicKey, eptr) {
+      if(!Buffer.isBuffer(publicKey)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_BY_PUBLIC_KEY_NULL);
+        return UINT32_MAX;
+      }
+      var friendnum = tox._findFriend(publicKey.slice(0, consts.TOX_PUBLIC_KEY_SIZE).toString('hex'));
+      if(friendnum < 0) {
+        setError(eptr, consts.TOX_ERR_FRIEND_BY_PUBLIC_KEY_NOT_FOUND);
+        return UINT32_MAX;
+      }
+      setError(eptr, consts.TOX_ERR_FRIEND_BY_PUBLIC_KEY_OK);
+      return friendnum;
+    },
+
+    'tox_friend_delete': function(tox, friendnum, eptr) {
+      if(!tox._friends[friendnum]) {
+        setError(eptr, consts.TOX_ERR_FRIEND_DELETE_FRIEND_NOT_FOUND);
+        return false;
+      }
+      tox._friends[friendnum] = undefined;
+      setError(eptr, consts.TOX_ERR_FRIEND_DELETE_OK);
+      return true;
+    },
+
+    'tox_friend_exists': function(tox, friendnum) {
+      return !!tox._friends[friendnum];
+    },
+
+    'tox_friend_get_connection_status': friendQuery(function(friend) {
+      return friend.connection;
+    }),
+
+    'tox_friend_get_last_online': function(tox, friendnum, eptr) {
+      var friend = tox._friends[friendnum];
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FRIEND_GET_LAST_ONLINE_FRIEND_NOT_FOUND);
+        return 0;
+      }
+      setError(eptr, consts.TOX_ERR_FRIEND_GET_LAST_ONLINE_OK);
+      return friend.lastOnline;
+    },
+
+    'tox_friend_get_name': friendDataQuery('name'),
+    'tox_friend_get_name_size': friendQuery(function(friend) {
+      return friend.name.length;
+    }),
+
+    'tox_friend_get_public_key': function(tox, friendnum, out, eptr) {
+      var friend = tox._friends[friendnum];
+      if(!friend) {
+        setError(eptr, consts.TOX_ERR_FRIEND_GET_PUBLIC_KEY_FRIEND_NOT_FOUND);
+        return false;
+      }
+      fill(friend.publicKey, out);
+      setError(eptr, consts.TOX_ERR_FRIEND_GET_PUBLIC_KEY_OK);
+      return true;
+    },
+
+    'tox_friend_get_status': friendQuery(function(friend) {
+      return friend.status;
+    }),
+    'tox_friend_get_status_message': friendDataQuery('statusMessage'),
+    'tox_friend_get_status_message_size': friendQuery(function(friend) {
+      return friend.statusMessage.length;
+    }),
+
+    'tox_friend_send_lossless_packet': sendPacket('lossless', 160, 191),
+    'tox_friend_send_lossy_packet': sendPacket('lossy', 200, 254),
+
+    'tox_friend_send_message': function(tox, friendnum, type, message, length, eptr) {
+      var friend = tox._friends[friendnum];
+      length = Number(length);
+
+      if(!Buffer.isBuffer(message)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_NULL);
+        return 0;
+      } else if(!friend) {
+        setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_FRIEND_NOT_FOUND);
+        return 0;
+      } else if(!tox._isConnected(friendnum)) {
+        setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_FRIEND_NOT_CONNECTED);
+        return 0;
+      } else if(length > consts.TOX_MAX_MESSAGE_LENGTH) {
+        setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_TOO_LONG);
+        return 0;
+      } else if(length === 0) {
+        setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_EMPTY);
+        return 0;
+      }
+
+      var id = friend.nextMessageId++;
+      tox._sendTo(friendnum, 'message', {
+        id: id, messageType: type, data: new Buffer(message.slice(0, length))
+      });
+      setError(eptr, consts.TOX_ERR_FRIEND_SEND_MESSAGE_OK);
+      return id;
+    },
+
+    'tox_hash': function(hash, data, length) {
+      if(!Buffer.isBuffer(hash) || !Buffer.isBuffer(data)) {
+        return false;
+      }
+      fill(crypto.createHash('sha256').update(data.slice(0, Number(length))).digest(), hash);
+      return true;
+    },
+
+    'tox_iteration_interval': function(tox) {
+      return ITERATION_INTERVAL;
+    },
+
+    'tox_iterate': function(tox) {
+      tox.iterate();
+    },
+
+    'tox_kill': function(tox) {
+      tox.kill();
+    },
+
+    'tox_new': function(options, eptr) {
+      var tox;
+      options = derefOptions(options);
+
+      if(options && options.savedata_type === consts.TOX_SAVEDATA_TYPE_TOX_SAVE) {
+        var data = options.savedata_data.slice(0, Number(options.savedata_length));
+        tox = MockNode.fromSavedata(network, data);
+        if(!tox) {
+          setError(eptr, consts.TOX_ERR_NEW_LOAD_BAD_FORMAT);
+          return null;
+        }
+      } else if(options && options.savedata_type === consts.TOX_SAVEDATA_TYPE_SECRET_KEY) {
+        tox = new MockNode(network, {
+          secretKey: new Buffer(options.savedata_data.slice(0, consts.TOX_SECRET_KEY_SIZE))
+        });
+      } else {
+        tox = new MockNode(network);
+      }
+
+      setError(eptr, consts.TOX_ERR_NEW_OK);
+      return tox;
+    },
+
+    'tox_get_savedata': function(tox, out) {
+      fill(tox.getSavedata(), out);
+    },
+
+    'tox_get_savedata_size': function(tox) {
+      return tox.getSavedata().length;
+    },
+
+    'tox_options_default': function(options) {
+      options = derefOptions(options);
+      if(options) {
+        options._reset();
+      }
+    },
+
+    'tox_options_free': function(options) {
+    },
+
+    'tox_options_new': function(eptr) {
+      setError(eptr, consts.TOX_ERR_OPTIONS_NEW_OK);
+      return (new MockOptions()).ref();
+    },
+
+    'tox_self_get_address': function(tox, out) {
+      fill(tox.getAddress(), out);
+    },
+
+    'tox_self_get_connection_status': function(tox) {
+      return tox._connection;
+    },
+
+    'tox_self_get_friend_list': function(tox, out) {
+      var offset = 0;
+      tox._friends.forEach(function(friend, friendnum) {
+        if(friend && offset + 4 <= out.length) {
+          out['writeUInt32' + ENDIANNESS](friendnum, offset);
+          offset += 4;
+        }
+      });
+    },
+
+    'tox_self_get_friend_list_size': function(tox) {
+      return _.compact(tox._friends).length;
+    },
+
+    'tox_self_get_name': function(tox, out) {
+      fill(tox._name, out);
+    },
+
+    'tox_self_get_name_size': function(tox) {
+      return tox._name.length;
+    },
+
+    'tox_self_get_nospam': function(tox) {
+      return tox._nospam;
+    },
+
+    'tox_self_get_public_key': function(tox, out) {
+      fill(tox._publicKey, out);
+    },
+
+    'tox_self_get_secret_key': function(tox, out) {
+      fill(tox._secretKey, out);
+    },
+
+    'tox_self_get_status': function(tox) {
+      return tox._status;
+    },
+
+    'tox_self_get_status_message': function(tox, out) {
+      fill(tox._statusMessage, out);
+    },
+
+    'tox_self_get_status_message_size': function(tox) {
+      return tox._statusMessage.length;
+    },
+
+    'tox_self_get_tcp_port': function(tox, eptr) {
+      setError(eptr, consts.TOX_ERR_GET_PORT_NOT_BOUND);
+      return 0;
+    },
+
+    'tox_self_get_udp_port': function(tox, eptr) {
+      setError(eptr, consts.TOX_ERR_GET_PORT_OK);
+      return tox._port;
+    },
+
+    'tox_self_set_name': setInfo('_name', 'name', consts.TOX_MAX_NAME_LENGTH),
+
+    'tox_self_set_nospam': function(tox, nospam) {
+      tox._nospam = nospam >>> 0;
+    },
+
+    'tox_self_set_status': function(tox, status) {
+      tox._status = status;
+      tox._broadcast('status', { status: status });
+    },
+
+    'tox_self_set_status_message': setInfo('_statusMessage', 'statusMessage', consts.TOX_MAX_STATUS_MESSAGE_LENGTH),
+
+    'tox_self_set_typing': function(tox, friendnum, typing, eptr) {
+      if(!tox._friends[friendnum]) {
+        setError(eptr, consts.TOX_ERR_SET_TYPING_FRIEND_NOT_FOUND);
+        return false;
+      }
+      if(tox._isConnected(friendnum)) {
+        tox._sendTo(friendnum, 'typing', { typing: !!typing });
+      }
+      setError(eptr, consts.TOX_ERR_SET_TYPING_OK);
+      return true;
+    },
+
+    'tox_version_major': function() {
+      return 0;
+    },
+
+    'tox_version_minor': function() {
+      return 0;
+    },
+
+    'tox_version_patch': function() {
+      return 0;
+    }
+  };
+
+  _.each(library, withAsync);
+  return library;
+};
+
+module.exports = {
+  createLibrary: createLibrary,
+  MockNetwork: MockNetwork,
+  MockNode: MockNode
+};
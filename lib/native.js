@@ -0,0 +1,118 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file native.js - Native modules (node-ffi, ref), loaded when first
+ *                   needed so the mock library runs without them
+ */
+
+var os = require('os');
+
+var ENDIANNESS = os.endianness();
+
+/**
+ * Sizes and readers of the types which may be allocated with pureRef.
+ */
+var TYPES = {
+  'int32': { size: 4, read: 'readInt32' + ENDIANNESS },
+  'uint32': { size: 4, read: 'readUInt32' + ENDIANNESS }
+};
+
+/**
+ * Pure JavaScript stand-in for the parts of ref used by Tox with the mock
+ * library, used if the native ref module can't be loaded. Pointers are
+ * Buffers, as passed by the mock library.
+ * @private
+ */
+var pureRef = {
+  NULL: new Buffer(0),
+  types: { void: { size: 0 }, char: { size: 1 } },
+
+  refType: function(type) {
+    return { type: type };
+  },
+
+  alloc: function(type) {
+    var info = TYPES[type];
+    if(!info) {
+      throw new Error('Type not supported without the native ref module: ' + type);
+    }
+
+    var buffer = new Buffer(info.size);
+    buffer.fill(0);
+    buffer.deref = function() {
+      return buffer[info.read](0);
+    };
+    return buffer;
+  },
+
+  address: function(buffer) {
+    return (Buffer.isBuffer(buffer) && buffer.length > 0 ? 1 : 0);
+  },
+
+  reinterpret: function(buffer, size, offset) {
+    offset = offset || 0;
+    return buffer.slice(offset, offset + size);
+  },
+
+  reinterpretUntilZeros: function(buffer, size, offset) {
+    var end = (offset || 0);
+    while(end < buffer.length && buffer[end] !== 0) {
+      end += size;
+    }
+    return buffer.slice(offset || 0, end);
+  }
+};
+
+/**
+ * Load the native ref module, or pureRef if it isn't built.
+ * @private
+ * @return {Object} ref
+ */
+var loadRef = function() {
+  try {
+    return require('ref');
+  } catch(e) {
+    return pureRef;
+  }
+};
+
+module.exports = {
+  /**
+   * ref, or a pure JavaScript stand-in good enough for the mock library if
+   * the native module can't be loaded.
+   * @type {Object}
+   */
+  ref: loadRef(),
+
+  /**
+   * Load node-ffi.
+   * @return {Object} ffi
+   */
+  ffi: function() {
+    return require('ffi');
+  },
+
+  /**
+   * Load ref-array.
+   * @return {Function} RefArray
+   */
+  RefArray: function() {
+    return require('ref-array');
+  }
+};
@@ -0,0 +1,358 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file outbox.js - Outgoing friend message queue
+ */
+
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var Persistent = require(path.join(__dirname, 'persistent'));
+var toxEvents = require(path.join(__dirname, 'events'));
+
+/**
+ * Creates an Outbox, which queues friend messages until they can be sent
+ * and tracks them until a read receipt is received. Messages to offline
+ * friends are sent when the friend connects. Messages which were sent but
+ * not yet receipted when a friend disconnects are sent again when the
+ * friend reconnects.
+ * @class
+ * @param {Object} opts
+ * @param {Tox} opts.tox - Tox instance to send messages with
+ * @param {String} [opts.path] - Path of a file to persist pending messages to
+ * @param {Number} [opts.timeout] - Milliseconds after which an undelivered
+ *                                  message is dropped, 0 for no timeout
+ * @param {Number} [opts.retryDelay=1000] - Milliseconds to wait before
+ *                                          retrying if the send queue is full
+ */
+var Outbox = function(opts) {
+  Persistent.call(this, opts, 'outbox');
+  this._timeout = opts.timeout || 0;
+  this._retryDelay = (opts.retryDelay !== undefined ? opts.retryDelay : 1000);
+  this._items = [];
+  this._nextId = 0;
+  this._timers = {};
+
+  this._loadInitial();
+  this._initEvents();
+  this.flush();
+};
+
+util.inherits(Outbox, Persistent);
+
+/**
+ * Queue a message for a friend. If the friend is connected, it is sent
+ * right away.
+ * @param {(Friend|Number|Buffer|String)} friend - Friend object, friend
+ *        number or public key
+ * @param {(Buffer|String)} message
+ * @param {(Boolean|Number|String)} [type] - If boolean, assumed isAction
+ * @return {Number} outbox id of the queued message
+ */
+Outbox.prototype.send = function(friend, message, type) {
+  friend = this._getFriend(friend);
+  if(!friend) {
+    throw new Error('Unknown friend');
+  }
+
+  var item = {
+    id: this._nextId++,
+    publicKey: friend.publicKey,
+    message: message.toString(),
+    type: type,
+    queued: Date.now()
+  };
+
+  this._items.push(item);
+  this._startTimer(item);
+  this._save();
+
+  if(friend.isConnected()) {
+    this._sendItem(item);
+  }
+
+  return item.id;
+};
+
+/**
+ * Get the pending (undelivered) messages.
+ * @param {(Friend|Number|Buffer|String)} [friend] - Only get messages for
+ *        this friend
+ * @return {Object[]} pending messages
+ */
+Outbox.prototype.getPending = function(friend) {
+  var items = this._items;
+  if(friend !== undefined) {
+    friend = this._getFriend(friend);
+    items = _.where(items, { publicKey: (friend ? friend.publicKey : undefined) });
+  }
+
+  return _.map(items, function(item) {
+    return _.pick(item, 'id', 'publicKey', 'message', 'type', 'queued', 'messageId');
+  });
+};
+
+/**
+ * Remove a pending message from the outbox without delivering it.
+ * @param {Number} id - Outbox id of the message
+ * @return {Boolean} true if removed, false if no such message
+ */
+Outbox.prototype.cancel = function(id) {
+  var item = _.findWhere(this._items, { id: id });
+  if(item) {
+    this._removeItem(item);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Send all unsent messages for friends which are connected.
+ */
+Outbox.prototype.flush = function() {
+  _.each(_.clone(this._items), function(item) {
+    var friend = this.tox().friends.get(item.publicKey);
+    if(friend && friend.isConnected()) {
+      this._sendItem(item);
+    }
+  }, this);
+};
+
+/**
+ * Stop tracking messages: clears timers and stops listening for Tox
+ * events. Pending messages are kept in the persisted file, if any.
+ */
+Outbox.prototype.close = function() {
+  _.each(this._timers, function(timer) {
+    clearTimeout(timer);
+  });
+  this._timers = {};
+
+  _.each(this._listeners, function(listener, name) {
+    this.tox().off(name, listener);
+  }, this);
+  this._listeners = {};
+};
+
+/**
+ * Emit an outbox event for a message.
+ * @private
+ * @param {String} name - Event name
+ * @param {Object} item - Message item
+ */
+Outbox.prototype._emitItem = function(name, item) {
+  var friend = this.tox().friends.get(item.publicKey);
+  this._emit(name, new toxEvents.OutboxMessageEvent(
+    item.id, (friend ? friend.number : undefined), item.publicKey,
+    item.message, item.type, item.messageId
+  ));
+};
+
+/**
+ * Listen for Tox events needed to send and track messages.
+ * @private
+ */
+Outbox.prototype._initEvents = function() {
+  var _this = this;
+
+  this._listeners = {
+    friendConnectionStatus: function(e) {
+      var friend = _this.tox().friends.getByNumber(e.friend());
+      if(friend) {
+        _this._onConnectionStatus(friend, e.isConnected());
+      }
+    },
+    friendReadReceipt: function(e) {
+      var friend = _this.tox().friends.getByNumber(e.friend());
+      if(friend) {
+        _this._onReadReceipt(friend, e.receipt());
+      }
+    }
+  };
+
+  _.each(this._listeners, function(listener, name) {
+    this.tox().on(name, listener);
+  }, this);
+};
+
+/**
+ * Handle a friend's connection status changing.
+ * @private
+ * @param {Friend} friend
+ * @param {Boolean} connected
+ */
+Outbox.prototype._onConnectionStatus = function(friend, connected) {
+  var items = _.where(this._items, { publicKey: friend.publicKey });
+  _.each(items, function(item) {
+    if(connected) {
+      this._sendItem(item);
+    } else {
+      // Messages in flight are lost on disconnect, send again later
+      item.messageId = undefined;
+      item.receipts = undefined;
+    }
+  }, this);
+};
+
+/**
+ * Handle a read receipt from a friend. A message sent in several parts
+ * (see the splitMessages Tox option) is delivered once all parts are.
+ * @private
+ * @param {Friend} friend
+ * @param {Number} receipt - Message id
+ */
+Outbox.prototype._onReadReceipt = function(friend, receipt) {
+  var item = _.find(this._items, function(item) {
+    return item.publicKey === friend.publicKey && _.contains(item.receipts, receipt);
+  });
+
+  if(item) {
+    item.receipts = _.without(item.receipts, receipt);
+    if(item.receipts.length === 0) {
+      this._removeItem(item);
+      this._emitItem('messageDelivered', item);
+    }
+  }
+};
+
+/**
+ * Send a message if it isn't already sent or being sent.
+ * @private
+ * @param {Object} item - Message item
+ */
+Outbox.prototype._sendItem = function(item) {
+  if(item.sending || item.messageId !== undefined) {
+    return;
+  }
+
+  var _this = this,
+      friend = this.tox().friends.get(item.publicKey);
+  if(!friend) {
+    return;
+  }
+
+  item.sending = true;
+  friend.send(item.message, item.type, function(err, messageId) {
+    item.sending = false;
+
+    // Removed (timed out, cancelled) while sending
+    if(!_.contains(_this._items, item)) {
+      return;
+    }
+
+    if(!err) {
+      item.messageId = messageId;
+      item.receipts = (_.isArray(messageId) ? _.clone(messageId) : [messageId]);
+      _this._emitItem('messageSent', item);
+    } else if(err.code === consts.TOX_ERR_FRIEND_SEND_MESSAGE_SENDQ) {
+      _this._timers[_this._retryKey(item)] = setTimeout(function() {
+        delete _this._timers[_this._retryKey(item)];
+        if(_.contains(_this._items, item) && friend.isConnected()) {
+          _this._sendItem(item);
+        }
+      }, _this._retryDelay);
+    } else if(err.code !== consts.TOX_ERR_FRIEND_SEND_MESSAGE_FRIEND_NOT_CONNECTED) {
+      // Won't ever succeed (friend gone, message too long, ...)
+      _this._removeItem(item);
+      _this._emitItem('messageFailed', item);
+    }
+  });
+};
+
+/**
+ * Remove a message item and its timers.
+ * @private
+ * @param {Object} item - Message item
+ */
+Outbox.prototype._removeItem = function(item) {
+  this._items = _.without(this._items, item);
+  _.each([item.id, this._retryKey(item)], function(key) {
+    if(this._timers[key]) {
+      clearTimeout(this._timers[key]);
+      delete this._timers[key];
+    }
+  }, this);
+  this._save();
+};
+
+/**
+ * Get the key of a message item's send queue retry timer.
+ * @private
+ * @param {Object} item - Message item
+ * @return {String} key
+ */
+Outbox.prototype._retryKey = function(item) {
+  return 'retry:' + item.id;
+};
+
+/**
+ * Start the timeout timer of a message item, if using timeouts.
+ * @private
+ * @param {Object} item - Message item
+ */
+Outbox.prototype._startTimer = function(item) {
+  if(this._timeout <= 0) {
+    return;
+  }
+
+  var _this = this,
+      remaining = Math.max(0, item.queued + this._timeout - Date.now());
+  this._timers[item.id] = setTimeout(function() {
+    delete _this._timers[item.id];
+    _this._removeItem(item);
+    _this._emitItem('messageTimeout', item);
+  }, remaining);
+};
+
+/**
+ * Serialize pending messages to JSON. Message ids are only valid for the
+ * current session, so they are left out.
+ * @private
+ * @return {String} JSON
+ */
+Outbox.prototype._serialize = function() {
+  return JSON.stringify({
+    nextId: this._nextId,
+    items: _.map(this._items, function(item) {
+      return _.pick(item, 'id', 'publicKey', 'message', 'type', 'queued');
+    })
+  });
+};
+
+/**
+ * Replace pending messages with ones from serialized JSON.
+ * @private
+ * @param {(Buffer|String)} data - JSON
+ */
+Outbox.prototype._deserialize = function(data) {
+  var obj = (data.length > 0 ? JSON.parse(data.toString()) : {});
+
+  _.each(this._timers, function(timer) {
+    clearTimeout(timer);
+  });
+  this._timers = {};
+
+  this._items = obj.items || [];
+  this._nextId = Math.max(obj.nextId || 0, _.max(_.pluck(this._items, 'id').concat(-1)) + 1);
+  _.each(this._items, this._startTimer, this);
+};
+
+module.exports = Outbox;
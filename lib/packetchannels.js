@@ -0,0 +1,271 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file packetchannels.js - Custom packet streams multiplexed by id byte
+ */
+
+var stream = require('stream');
+var util = require('util');
+var _ = require('underscore');
+
+/**
+ * Range of leading id bytes of lossless custom packets.
+ */
+var LOSSLESS_RANGE = [160, 191];
+
+/**
+ * Range of leading id bytes of lossy custom packets.
+ */
+var LOSSY_RANGE = [200, 254];
+
+/**
+ * Whether or not a number is in an inclusive range.
+ * @private
+ * @param {Number} n
+ * @param {Number[]} range
+ * @return {Boolean} true if in range, false if not
+ */
+var inRange = function(n, range) {
+  return n >= range[0] && n <= range[1];
+};
+
+/**
+ * Creates a PacketChannels instance, which routes custom packets received
+ * by a Tox instance to the PacketChannel open for the packet's friend and
+ * leading id byte, or else to the listener which claimed the id byte for
+ * all friends. Other packets are emitted by the Tox instance as
+ * unclaimedPacket events.
+ * @class
+ * @param {Tox} tox - Tox instance
+ */
+var PacketChannels = function(tox) {
+  this._tox = tox;
+  this._channels = {};
+  this._claims = {};
+  this._initEvents();
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+PacketChannels.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Open a channel for packets with an id byte to and from a friend.
+ * @param {Number} friendnum - Friend number
+ * @param {Number} id - Leading byte in the range [160, 191] (lossless) or
+ *                      [200, 254] (lossy)
+ * @param {Object} [opts] - Options passed to stream.Duplex
+ * @return {PacketChannel} channel
+ * @throws Error if id is out of range or already has a channel open
+ */
+PacketChannels.prototype.open = function(friendnum, id, opts) {
+  this._checkId(id);
+
+  var key = this._key(friendnum, id);
+  if(this._channels[key]) {
+    throw new Error('Packet channel already open: ' + key);
+  }
+
+  var channel = new PacketChannel(this, friendnum, id, opts);
+  this._channels[key] = channel;
+  return channel;
+};
+
+/**
+ * Claim an id byte for packets from all friends which have no channel open
+ * for it.
+ * @param {Number} id - Leading byte in the range [160, 191] (lossless) or
+ *                      [200, 254] (lossy)
+ * @param {Function} listener - Called with the FriendPacketEvent of each
+ *                              packet
+ * @throws Error if id is out of range or already claimed
+ */
+PacketChannels.prototype.claim = function(id, listener) {
+  this._checkId(id);
+
+  if(this._claims[id]) {
+    throw new Error('Packet id already claimed: ' + id);
+  }
+
+  this._claims[id] = listener;
+};
+
+/**
+ * Release an id byte claimed with PacketChannels#claim().
+ * @param {Number} id - Leading byte
+ */
+PacketChannels.prototype.unclaim = function(id) {
+  delete this._claims[id];
+};
+
+/**
+ * Close all channels open for a friend. Called when the friend is deleted,
+ * so that a friend later given the same friend number doesn't receive on
+ * or send to them.
+ * @param {Number} friendnum - Friend number
+ */
+PacketChannels.prototype.closeFriend = function(friendnum) {
+  _.each(_.where(_.values(this._channels), { friend: friendnum }), function(channel) {
+    channel.close();
+  });
+};
+
+/**
+ * Get the open channel for a friend and id byte.
+ * @param {Number} friendnum - Friend number
+ * @param {Number} id - Leading byte
+ * @return {PacketChannel} channel, or undefined if none
+ */
+PacketChannels.prototype.get = function(friendnum, id) {
+  return this._channels[this._key(friendnum, id)];
+};
+
+/**
+ * Stop routing packets to a channel.
+ * @private
+ * @param {PacketChannel} channel
+ */
+PacketChannels.prototype._remove = function(channel) {
+  var key = this._key(channel.friend, channel.id);
+  if(this._channels[key] === channel) {
+    delete this._channels[key];
+  }
+};
+
+/**
+ * Check that an id byte is in a custom packet range.
+ * @private
+ * @param {Number} id
+ * @throws Error if out of range
+ */
+PacketChannels.prototype._checkId = function(id) {
+  if(!inRange(id, LOSSLESS_RANGE) && !inRange(id, LOSSY_RANGE)) {
+    throw new Error('Packet id not in range [160, 191] or [200, 254]: ' + id);
+  }
+};
+
+/**
+ * Get the map key of a channel.
+ * @private
+ * @param {Number} friendnum
+ * @param {Number} id
+ * @return {String} key
+ */
+PacketChannels.prototype._key = function(friendnum, id) {
+  return friendnum + ':' + id;
+};
+
+/**
+ * Listen for custom packets.
+ * @private
+ */
+PacketChannels.prototype._initEvents = function() {
+  var _this = this,
+      tox = this.tox();
+
+  var route = function(e) {
+    var channel = _this.get(e.friend(), e.id());
+    if(channel) {
+      channel.push(e.data());
+    } else if(_this._claims[e.id()]) {
+      _this._claims[e.id()](e);
+    } else {
+      tox._emit('unclaimedPacket', e);
+    }
+  };
+
+  tox.on('friendLosslessPacket', route);
+  tox.on('friendLossyPacket', route);
+};
+
+/**
+ * Creates a PacketChannel, a Duplex stream of custom packets with one id
+ * byte to and from one friend. Created by Tox#packetChannel(), not
+ * directly. Each chunk written is sent as one packet, with the id byte
+ * prepended. Each packet received is read as one Buffer, without the id
+ * byte.
+ * @class
+ * @param {PacketChannels} channels
+ * @param {Number} friendnum - Friend number
+ * @param {Number} id - Leading byte
+ * @param {Object} [opts] - Options passed to stream.Duplex
+ * @property {Number} friend - Friend number
+ * @property {Number} id - Leading byte
+ */
+var PacketChannel = function(channels, friendnum, id, opts) {
+  stream.Duplex.call(this, _.extend({}, opts, { readableObjectMode: true }));
+  this._channels = channels;
+  this.friend = friendnum;
+  this.id = id;
+};
+
+util.inherits(PacketChannel, stream.Duplex);
+
+/**
+ * Whether or not packets on this channel are lossless.
+ * @return {Boolean} true if lossless, false if lossy
+ */
+PacketChannel.prototype.isLossless = function() {
+  return inRange(this.id, LOSSLESS_RANGE);
+};
+
+/**
+ * Close the channel. Ends the readable side, and stops receiving packets
+ * so that they are reported as unclaimed again.
+ */
+PacketChannel.prototype.close = function() {
+  if(!this._closed) {
+    this._closed = true;
+    this._channels._remove(this);
+    this.push(null);
+    this.end();
+  }
+};
+
+/**
+ * Packets are pushed as they are received.
+ * @private
+ */
+PacketChannel.prototype._read = function() {
+};
+
+/**
+ * Send a chunk as a packet.
+ * @private
+ * @param {Buffer} chunk
+ * @param {String} encoding
+ * @param {Function} callback
+ */
+PacketChannel.prototype._write = function(chunk, encoding, callback) {
+  var tox = this._channels.tox();
+  if(this.isLossless()) {
+    tox.sendLosslessPacket(this.friend, this.id, chunk, callback);
+  } else {
+    tox.sendLossyPacket(this.friend, this.id, chunk, callback);
+  }
+};
+
+module.exports = {
+  PacketChannels: PacketChannels,
+  PacketChannel: PacketChannel
+};
@@ -0,0 +1,262 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+
+/**
+ * @file persistent.js - Base class of Tox helpers which persist their
+ *                       state to a file
+ */
+
+var events = require('events');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var Friend = require(path.join(__dirname, 'friend'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Creates a Persistent, the base of helpers such as Outbox which track
+ * state for a Tox instance and optionally persist it to a file. Subclasses
+ * implement _serialize() and _deserialize(data), and call _loadInitial()
+ * when created. Emits error when a save made on a change of state fails,
+ * or the state can't be loaded when created.
+ * @class
+ * @param {Object} opts
+ * @param {Tox} opts.tox - Tox instance
+ * @param {String} [opts.path] - Path of a file to persist state to
+ * @param {String} name - Name of what is persisted, used in error messages
+ */
+var Persistent = function(opts, name) {
+  this._emitter = new events.EventEmitter();
+  this._tox = opts.tox;
+  this._path = opts.path;
+  this._name = name;
+  this._saveCallbacks = [];
+  this._writeCallbacks = [];
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+Persistent.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Asynchronously save state to the path. Writes are serialized, so that
+ * an older state never overwrites a newer one.
+ * @param {Tox~errorCallback} [callback]
+ */
+Persistent.prototype.save = function(callback) {
+  if(!this._path) {
+    if(callback) callback(this._createNoPathError());
+    return;
+  }
+
+  if(callback) {
+    this._saveCallbacks.push(callback);
+  }
+
+  // Write again once the current write is done
+  if(this._saving) {
+    this._saveAgain = true;
+    return;
+  }
+
+  var _this = this,
+      callbacks = this._saveCallbacks;
+  this._saveCallbacks = [];
+  this._saving = true;
+
+  util.writeFileAtomic(this._path, this._serialize(), function(err) {
+    _this._saving = false;
+    if(_this._saveAgain) {
+      _this._saveAgain = false;
+      _this._save();
+    }
+
+    callbacks.forEach(function(callback) {
+      callback(err);
+    });
+
+    // Run what was waiting for writes to finish, unless writing again
+    if(!_this._saving) {
+      var waiting = _this._writeCallbacks;
+      _this._writeCallbacks = [];
+      waiting.forEach(function(callback) {
+        callback();
+      });
+    }
+  });
+};
+
+/**
+ * Synchronously save state to the path.
+ */
+Persistent.prototype.saveSync = function() {
+  if(!this._path) {
+    throw this._createNoPathError();
+  }
+
+  util.writeFileAtomicSync(this._path, this._serialize());
+
+  // An asynchronous write in progress may overwrite this one
+  if(this._saving) {
+    this._saveAgain = true;
+  }
+};
+
+/**
+ * Asynchronously load state from the path, replacing the current state.
+ * Waits for writes in progress to finish first.
+ * @param {Tox~errorCallback} [callback]
+ */
+Persistent.prototype.load = function(callback) {
+  if(!this._path) {
+    if(callback) callback(this._createNoPathError());
+    return;
+  }
+
+  var _this = this;
+  if(this._saving) {
+    this._writeCallbacks.push(function() {
+      _this.load(callback);
+    });
+    return;
+  }
+
+  fs.readFile(this._path, function(err, data) {
+    if(!err) {
+      try {
+        _this._deserialize(data);
+      } catch(e) {
+        err = e;
+      }
+    }
+
+    if(callback) {
+      callback(err);
+    }
+  });
+};
+
+/**
+ * Synchronously load state from the path, replacing the current state.
+ */
+Persistent.prototype.loadSync = function() {
+  if(!this._path) {
+    throw this._createNoPathError();
+  }
+
+  this._deserialize(fs.readFileSync(this._path));
+};
+
+/**
+ * Get the internal EventEmitter.
+ * @return {EventEmitter}
+ */
+Persistent.prototype.getEmitter = function() {
+  return this._emitter;
+};
+
+/**
+ * Wrapper method for _emitter.removeListener.
+ */
+Persistent.prototype.off = function() {
+  this._emitter.removeListener.apply(this._emitter, arguments);
+};
+
+/**
+ * Wrapper method for _emitter.on.
+ */
+Persistent.prototype.on = function() {
+  this._emitter.on.apply(this._emitter, arguments);
+};
+
+/**
+ * Wrapper method for _emitter.emit.
+ * @private
+ */
+Persistent.prototype._emit = function() {
+  this._emitter.emit.apply(this._emitter, arguments);
+};
+
+/**
+ * Get a Friend from a Friend object, friend number or public key.
+ * @private
+ * @param {(Friend|Number|Buffer|String)} friend
+ * @return {Friend} friend, or undefined if unknown
+ */
+Persistent.prototype._getFriend = function(friend) {
+  if(friend instanceof Friend) {
+    return friend;
+  } else if(_.isNumber(friend)) {
+    return this.tox().friends.getByNumber(friend);
+  } else {
+    return this.tox().friends.get(friend);
+  }
+};
+
+/**
+ * Load state from the path if it exists, when created. If it can't be
+ * loaded, such as if corrupt, the state is left empty and the error is
+ * emitted once listeners can be added.
+ * @private
+ */
+Persistent.prototype._loadInitial = function() {
+  if(!this._path || !fs.existsSync(this._path)) {
+    return;
+  }
+
+  try {
+    this.loadSync();
+  } catch(e) {
+    var _this = this;
+    process.nextTick(function() {
+      _this._emit('error', e);
+    });
+  }
+};
+
+/**
+ * Save state if persisting, emitting error if saving fails.
+ * @private
+ */
+Persistent.prototype._save = function() {
+  var _this = this;
+  if(this._path) {
+    this.save(function(err) {
+      if(err) {
+        _this._emit('error', err);
+      }
+    });
+  }
+};
+
+/**
+ * Create the error given when saving or loading without a path.
+ * @private
+ * @return {Error} error
+ */
+Persistent.prototype._createNoPathError = function() {
+  return new Error('No ' + this._name + ' path');
+};
+
+module.exports = Persistent;
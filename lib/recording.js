@@ -0,0 +1,252 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file recording.js - Recording of Tox events to JSON lines, and replay
+ */
+
+var events = require('events');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var toxEvents = require(path.join(__dirname, 'events'));
+
+/**
+ * Names of the events emitted from libtoxcore callbacks.
+ */
+var TOX_EVENTS = [
+  'selfConnectionStatus', 'friendName', 'friendStatusMessage',
+  'friendStatus', 'friendConnectionStatus', 'friendTyping',
+  'friendReadReceipt', 'friendRequest', 'friendMessage',
+  'fileRecvControl', 'fileChunkRequest', 'fileRecv', 'fileRecvChunk',
+  'friendLosslessPacket', 'friendLossyPacket'
+];
+
+/**
+ * Creates a Recorder, which writes every event emitted from libtoxcore
+ * callbacks of a Tox instance to a file as JSON lines. Each line is an
+ * object with the event name, the time in milliseconds since the epoch
+ * and the event as given by its toJSON(). Emits error if writing fails.
+ * @class
+ * @param {Tox} tox
+ * @param {(String|stream.Writable)} dest - File path, or stream to write to
+ * @param {Object} [opts]
+ * @param {String[]} [opts.events] - Names of events to record, defaults to
+ *        all events emitted from libtoxcore callbacks
+ */
+var Recorder = function(tox, dest, opts) {
+  events.EventEmitter.call(this);
+  if(!opts) opts = {};
+
+  var _this = this;
+
+  this._tox = tox;
+  this._ownStream = _.isString(dest);
+  this._stream = (this._ownStream ? fs.createWriteStream(dest) : dest);
+  this._count = 0;
+  this._listeners = {};
+
+  this._stream.on('error', function(err) {
+    _this.emit('error', err);
+  });
+
+  (opts['events'] || TOX_EVENTS).forEach(function(name) {
+    var listener = this._listeners[name] = function(e) {
+      _this._write(name, e);
+    };
+    tox.on(name, listener);
+  }, this);
+};
+
+util.inherits(Recorder, events.EventEmitter);
+
+/**
+ * Get the number of events recorded so far.
+ * @return {Number} count
+ */
+Recorder.prototype.getCount = function() {
+  return this._count;
+};
+
+/**
+ * Stop recording. If the Recorder opened the file, it is closed.
+ * @param {Function} [callback] - Called once everything is written
+ */
+Recorder.prototype.stop = function(callback) {
+  _.each(this._listeners, function(listener, name) {
+    this._tox.off(name, listener);
+  }, this);
+  this._listeners = {};
+
+  if(this._ownStream) {
+    this._stream.end(callback);
+  } else if(callback) {
+    setImmediate(callback);
+  }
+};
+
+/**
+ * Write a line for an event.
+ * @private
+ * @param {String} name - Event name
+ * @param {Object} e - Event
+ */
+Recorder.prototype._write = function(name, e) {
+  this._count++;
+  this._stream.write(JSON.stringify({ time: Date.now(), name: name, event: e }) + '\n');
+};
+
+/**
+ * Parse recorded JSON lines.
+ * @private
+ * @param {String} data
+ * @return {Object[]} records with time, name and event
+ */
+var parseRecords = function(data) {
+  return data.split('\n').filter(function(line) {
+    return line.trim().length > 0;
+  }).map(function(line) {
+    var record = JSON.parse(line);
+    return { time: record.time, name: record.name, event: toxEvents.fromJSON(record.event) };
+  });
+};
+
+/**
+ * Creates a Replayer, which emits events recorded by a Recorder on an
+ * emitter in their original order, with their original timing divided by
+ * a speed. Emits event (name, e) after each event is replayed, end once
+ * done and error if the recording can't be read.
+ * @class
+ * @param {(String|Object[])} source - File path of a recording, or records
+ *        already parsed
+ * @param {Object} [opts]
+ * @param {Number} [opts.speed=1] - How many times faster than recorded to
+ *        replay, Infinity to replay without waiting
+ */
+var Replayer = function(source, opts) {
+  events.EventEmitter.call(this);
+  if(!opts) opts = {};
+
+  this._source = source;
+  this._speed = (opts['speed'] !== undefined ? opts['speed'] : 1);
+  this._timeout = undefined;
+  this._stopped = false;
+};
+
+util.inherits(Replayer, events.EventEmitter);
+
+/**
+ * Read a recording made by a Recorder.
+ * @param {String} filepath
+ * @param {Function} callback - Called with an error, or the records
+ */
+Replayer.read = function(filepath, callback) {
+  fs.readFile(filepath, 'utf8', function(err, data) {
+    var records;
+    if(!err) {
+      try {
+        records = parseRecords(data);
+      } catch(e) {
+        err = e;
+      }
+    }
+    callback(err, records);
+  });
+};
+
+/**
+ * Replay the recording on a target.
+ * @param {(Tox|EventEmitter)} target - Tox instance, whose listeners get
+ *        the events as if they came from libtoxcore, or an emitter
+ * @param {Tox~errorCallback} [callback] - Called once every event has been
+ *        replayed, or on error. If given, error is only emitted if listened for
+ */
+Replayer.prototype.play = function(target, callback) {
+  var _this = this,
+      emitter = (_.isFunction(target.getEmitter) ? target.getEmitter() : target);
+
+  var done = function(err) {
+    if(!err) {
+      _this.emit('end');
+    } else if(!callback || _this.listeners('error').length > 0) {
+      _this.emit('error', err);
+    }
+    if(callback) {
+      callback(err);
+    }
+  };
+
+  var replay = function(records) {
+    var i = 0;
+
+    var next = function() {
+      _this._timeout = undefined;
+      if(_this._stopped) return;
+
+      var record = records[i++];
+      emitter.emit(record.name, record.event);
+      _this.emit('event', record.name, record.event);
+
+      if(i === records.length) {
+        return done();
+      }
+      schedule(records[i].time - record.time);
+    };
+
+    var schedule = function(delay) {
+      delay = (_this._speed === Infinity ? 0 : Math.max(0, delay / _this._speed));
+      _this._timeout = setTimeout(next, delay);
+    };
+
+    if(records.length === 0) {
+      return setImmediate(done);
+    }
+    schedule(0);
+  };
+
+  this._stopped = false;
+
+  if(_.isString(this._source)) {
+    Replayer.read(this._source, function(err, records) {
+      if(err) return done(err);
+      replay(records);
+    });
+  } else {
+    replay(this._source);
+  }
+};
+
+/**
+ * Stop replaying. Events not yet replayed are dropped, and the play
+ * callback isn't called.
+ */
+Replayer.prototype.stop = function() {
+  this._stopped = true;
+  if(this._timeout) {
+    clearTimeout(this._timeout);
+    this._timeout = undefined;
+  }
+};
+
+module.exports = {
+  Recorder: Recorder,
+  Replayer: Replayer,
+  TOX_EVENTS: TOX_EVENTS
+};
@@ -0,0 +1,382 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file rpc.js - Request/response calls over lossless custom packets
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Default leading id byte of RPC packets.
+ */
+var RPC_PACKET_ID = 180;
+
+/**
+ * Default milliseconds to wait for a response.
+ */
+var DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Message types.
+ */
+var TYPE_REQUEST = 0,
+    TYPE_RESPONSE = 1,
+    TYPE_ERROR = 2;
+
+/**
+ * Payload encodings.
+ */
+var ENCODING_JSON = 0,
+    ENCODING_BINARY = 1;
+
+/**
+ * Size of the message header: type, encoding and correlation id (uint32).
+ */
+var HEADER_SIZE = 6;
+
+/**
+ * Largest message which fits in one packet, after the id byte.
+ */
+var MAX_MESSAGE_SIZE = consts.TOX_MAX_CUSTOM_PACKET_SIZE - 1;
+
+/**
+ * Create an Error for a failed call.
+ * @private
+ * @param {String} message
+ * @param {(Number|String)} code
+ * @return {Error} Error
+ */
+var createRpcError = function(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Encode a message. Buffer values are sent as they are, other values as
+ * JSON.
+ * @private
+ * @param {Number} type - Message type
+ * @param {Number} id - Correlation id
+ * @param {String} [method] - Method name, for requests
+ * @param {*} value - Arguments, result or error
+ * @return {Buffer} message
+ */
+var encode = function(type, id, method, value) {
+  var binary = Buffer.isBuffer(value),
+      payload = (binary ? value : new Buffer(value === undefined ? '' : JSON.stringify(value))),
+      header = new Buffer(HEADER_SIZE),
+      parts = [header];
+
+  header[0] = type;
+  header[1] = (binary ? ENCODING_BINARY : ENCODING_JSON);
+  header.writeUInt32BE(id, 2);
+
+  if(type === TYPE_REQUEST) {
+    var name = new Buffer(method);
+    if(name.length > 255) {
+      throw createRpcError('Method name too long', 'TOO_LONG');
+    }
+    parts.push(new Buffer([name.length]), name);
+  }
+
+  parts.push(payload);
+  return Buffer.concat(parts);
+};
+
+/**
+ * Decode a message.
+ * @private
+ * @param {Buffer} data
+ * @return {Object} message with type, id, method (requests) and value
+ * @throws Error if malformed
+ */
+var decode = function(data) {
+  if(data.length < HEADER_SIZE) {
+    throw new Error('RPC message too short');
+  }
+
+  var message = { type: data[0], id: data.readUInt32BE(2) },
+      offset = HEADER_SIZE;
+
+  if(message.type === TYPE_REQUEST) {
+    var length = data[offset];
+    message.method = data.slice(offset + 1, offset + 1 + length).toString();
+    offset += 1 + length;
+  }
+
+  var payload = data.slice(offset);
+  if(data[1] === ENCODING_BINARY) {
+    message.value = payload;
+  } else {
+    message.value = (payload.length > 0 ? JSON.parse(payload.toString()) : undefined);
+  }
+
+  return message;
+};
+
+/**
+ * Creates an Rpc instance, for calling methods registered by friends and
+ * registering methods for friends to call. Each request and response is
+ * one lossless custom packet with a leading id byte, so arguments and
+ * results must fit in TOX_MAX_CUSTOM_PACKET_SIZE. Buffer arguments and
+ * results are sent as binary, anything else as JSON. Available as the rpc
+ * property of Tox instances.
+ * @class
+ * @param {Tox} tox - Tox instance
+ * @param {Object} [opts]
+ * @param {Number} [opts.id=180] - Leading id byte of RPC packets, in the
+ *                                 range [160, 191]
+ */
+var Rpc = function(tox, opts) {
+  if(!opts) opts = {};
+  this._tox = tox;
+  this._id = (opts['id'] !== undefined ? opts['id'] : RPC_PACKET_ID);
+  this._methods = {};
+  this._pending = {};
+  this._nextId = 0;
+  this._initEvents();
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+Rpc.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Register a method friends can call. The handler is called with the
+ * arguments given by the caller and the calling Friend, and returns the
+ * result or a Promise of it. Errors thrown (or rejected with) are passed
+ * back to the caller, including their code.
+ * @param {String} name - Method name
+ * @param {Function} handler
+ */
+Rpc.prototype.register = function(name, handler) {
+  this._methods[name] = handler;
+};
+
+/**
+ * Unregister a method.
+ * @param {String} name - Method name
+ */
+Rpc.prototype.unregister = function(name) {
+  delete this._methods[name];
+};
+
+/**
+ * Call a method registered by a friend. Errors thrown by the friend's
+ * handler are passed on with their message and code, and remote set to
+ * true. Calls fail with code 'TIMEOUT' if no response arrives in time,
+ * 'DISCONNECTED' if the friend disconnects first, 'NO_SUCH_METHOD' if the
+ * friend hasn't registered the method and 'TOO_LONG' if the request or
+ * response doesn't fit in a packet.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {String} method - Method name
+ * @param {*} [args] - Arguments, a Buffer or anything JSON can encode
+ * @param {Object} [opts]
+ * @param {Number} [opts.timeout=30000] - Milliseconds to wait for a
+ *                                        response, 0 to wait forever
+ * @param {Function} [callback] - Called with an error or the result
+ * @return {Promise} Promise of the result, if no callback given
+ */
+Rpc.prototype.call = function(friend, method, args, opts, callback) {
+  if(_.isFunction(args) && opts === undefined) {
+    callback = args;
+    args = undefined;
+  } else if(_.isFunction(opts)) {
+    callback = opts;
+    opts = undefined;
+  }
+
+  if(!callback) {
+    return util.promisify(this.call, this)(friend, method, args, opts);
+  }
+
+  if(!opts) opts = {};
+
+  var _this = this,
+      friendnum, packet;
+
+  try {
+    friendnum = this.tox()._resolveFriendNumber(friend);
+    packet = encode(TYPE_REQUEST, this._nextId, method, args);
+  } catch(e) {
+    return callback(e);
+  }
+
+  if(packet.length > MAX_MESSAGE_SIZE) {
+    return callback(createRpcError('RPC request too long', 'TOO_LONG'));
+  }
+
+  var id = this._nextId,
+      timeout = (opts['timeout'] !== undefined ? opts['timeout'] : DEFAULT_TIMEOUT),
+      pending = { friend: friendnum, callback: callback };
+
+  this._nextId = (this._nextId + 1) % 0x100000000;
+  this._pending[id] = pending;
+
+  if(timeout > 0) {
+    pending.timer = setTimeout(function() {
+      _this._finish(id, createRpcError('RPC call timed out: ' + method, 'TIMEOUT'));
+    }, timeout);
+  }
+
+  this.tox().sendLosslessPacket(friendnum, this._id, packet, function(err) {
+    if(err) {
+      _this._finish(id, err);
+    }
+  });
+};
+
+/**
+ * Listen for RPC packets and disconnects.
+ * @private
+ */
+Rpc.prototype._initEvents = function() {
+  var _this = this,
+      tox = this.tox();
+
+  tox.claimPacketId(this._id, function(e) {
+    _this._onPacket(e);
+  });
+
+  tox.on('friendConnectionStatus', function(e) {
+    if(!e.isConnected()) {
+      _.each(_.keys(_this._pending), function(id) {
+        if(_this._pending[id].friend === e.friend()) {
+          _this._finish(id, createRpcError('Friend disconnected', 'DISCONNECTED'));
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Handle an RPC packet. Malformed packets are ignored.
+ * @private
+ * @param {FriendPacketEvent} e
+ */
+Rpc.prototype._onPacket = function(e) {
+  var message;
+  try {
+    message = decode(e.data());
+  } catch(err) {
+    return;
+  }
+
+  if(message.type === TYPE_REQUEST) {
+    return this._onRequest(e.friend(), message);
+  }
+
+  // Only the friend called can respond
+  var pending = this._pending[message.id];
+  if(!pending || pending.friend !== e.friend()) {
+    return;
+  }
+
+  if(message.type === TYPE_ERROR) {
+    var value = message.value || {},
+        err = createRpcError(value.message, value.code);
+    err.remote = true;
+    this._finish(message.id, err);
+  } else if(message.type === TYPE_RESPONSE) {
+    this._finish(message.id, undefined, message.value);
+  }
+};
+
+/**
+ * Handle a request by calling the registered method and responding.
+ * @private
+ * @param {Number} friendnum
+ * @param {Object} message - Decoded request
+ */
+Rpc.prototype._onRequest = function(friendnum, message) {
+  var _this = this,
+      handler = this._methods[message.method];
+
+  var respond = function(err, result) {
+    var packet;
+    if(!err) {
+      try {
+        packet = encode(TYPE_RESPONSE, message.id, undefined, result);
+        if(packet.length > MAX_MESSAGE_SIZE) {
+          err = createRpcError('RPC response too long', 'TOO_LONG');
+        }
+      } catch(e) {
+        err = e;
+      }
+    }
+
+    if(err) {
+      packet = encode(TYPE_ERROR, message.id, undefined, {
+        message: String(err.message !== undefined ? err.message : err).slice(0, 1024),
+        code: err.code
+      });
+    }
+
+    _this.tox().sendLosslessPacket(friendnum, _this._id, packet, function() {});
+  };
+
+  if(!handler) {
+    return respond(createRpcError('No such method: ' + message.method, 'NO_SUCH_METHOD'));
+  }
+
+  var result;
+  try {
+    result = handler(message.value, this.tox().friends.getByNumber(friendnum));
+  } catch(e) {
+    return respond(e);
+  }
+
+  if(result && _.isFunction(result.then)) {
+    result.then(function(value) {
+      respond(undefined, value);
+    }, function(err) {
+      respond(err || new Error('Rejected'));
+    });
+  } else {
+    respond(undefined, result);
+  }
+};
+
+/**
+ * Finish a pending call.
+ * @private
+ * @param {Number} id - Correlation id
+ * @param {Error} [err]
+ * @param {*} [result]
+ */
+Rpc.prototype._finish = function(id, err, result) {
+  var pending = this._pending[id];
+  if(pending) {
+    delete this._pending[id];
+    clearTimeout(pending.timer);
+    pending.callback(err, result);
+  }
+};
+
+module.exports = Rpc;
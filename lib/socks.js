@@ -0,0 +1,273 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file socks.js - SOCKS5 server which connects out through a friend
+ */
+
+var events = require('events');
+var net = require('net');
+var util = require('util');
+
+/**
+ * SOCKS protocol version.
+ */
+var SOCKS_VERSION = 5;
+
+/**
+ * Authentication methods.
+ */
+var AUTH_NONE = 0x00,
+    AUTH_NO_ACCEPTABLE = 0xFF;
+
+/**
+ * Commands.
+ */
+var CMD_CONNECT = 0x01;
+
+/**
+ * Address types.
+ */
+var ATYP_IPV4 = 0x01,
+    ATYP_DOMAIN = 0x03,
+    ATYP_IPV6 = 0x04;
+
+/**
+ * Reply codes.
+ */
+var REPLY_SUCCEEDED = 0x00,
+    REPLY_GENERAL_FAILURE = 0x01,
+    REPLY_NOT_ALLOWED = 0x02,
+    REPLY_CONNECTION_REFUSED = 0x05,
+    REPLY_COMMAND_NOT_SUPPORTED = 0x07,
+    REPLY_ADDRESS_NOT_SUPPORTED = 0x08;
+
+/**
+ * Build a reply to a request, with an all-zero bound address.
+ * @private
+ * @param {Number} code - Reply code
+ * @return {Buffer} reply
+ */
+var createReply = function(code) {
+  return new Buffer([SOCKS_VERSION, code, 0, ATYP_IPV4, 0, 0, 0, 0, 0, 0]);
+};
+
+/**
+ * Parse the greeting sent by a client.
+ * @private
+ * @param {Buffer} data
+ * @return {Object} greeting with methods and length, or undefined if
+ *                  incomplete
+ */
+var parseGreeting = function(data) {
+  if(data.length < 2 || data.length < 2 + data[1]) {
+    return;
+  }
+  return {
+    version: data[0],
+    methods: Array.prototype.slice.call(data, 2, 2 + data[1]),
+    length: 2 + data[1]
+  };
+};
+
+/**
+ * Parse a request sent by a client.
+ * @private
+ * @param {Buffer} data
+ * @return {Object} request with command, addressType, host, port and
+ *                  length, or undefined if incomplete
+ */
+var parseRequest = function(data) {
+  if(data.length < 5) {
+    return;
+  }
+
+  var request = { version: data[0], command: data[1], addressType: data[3] },
+      offset = 4, i;
+
+  if(request.addressType === ATYP_IPV4) {
+    if(data.length < offset + 4 + 2) return;
+    request.host = Array.prototype.join.call(data.slice(offset, offset + 4), '.');
+    offset += 4;
+  } else if(request.addressType === ATYP_DOMAIN) {
+    if(data.length < offset + 1 + data[offset] + 2) return;
+    request.host = data.slice(offset + 1, offset + 1 + data[offset]).toString();
+    offset += 1 + data[offset];
+  } else if(request.addressType === ATYP_IPV6) {
+    if(data.length < offset + 16 + 2) return;
+    var groups = [];
+    for(i = 0; i < 8; i++) {
+      groups.push(data.readUInt16BE(offset + i * 2).toString(16));
+    }
+    request.host = groups.join(':');
+    offset += 16;
+  } else {
+    request.length = data.length;
+    return request;
+  }
+
+  request.port = data.readUInt16BE(offset);
+  request.length = offset + 2;
+  return request;
+};
+
+/**
+ * Get the reply code for an error opening a tunnel.
+ * @private
+ * @param {Error} err
+ * @return {Number} reply code
+ */
+var getReplyCode = function(err) {
+  if(err.code === 'DENIED') {
+    return REPLY_NOT_ALLOWED;
+  } else if(err.code === 'CONNECT_FAILED') {
+    return REPLY_CONNECTION_REFUSED;
+  }
+  return REPLY_GENERAL_FAILURE;
+};
+
+/**
+ * Creates a SocksServer, a local SOCKS5 server which carries CONNECT
+ * requests through a friend, who opens the TCP connections on their side if
+ * their tunnel policy allows it. Only the no-authentication method is
+ * supported. The friend is looked up by public key for each request, so
+ * requests fail rather than go through another friend if they are deleted.
+ * Created by Tox#socksProxy(), not directly. Emits listening, connection,
+ * error and close like net.Server.
+ * @class
+ * @param {Tunnels} tunnels
+ * @param {String} publicKey - Public key of the friend as an upper-case
+ *                             hex string
+ * @param {Object} opts - See Tox#socksProxy()
+ * @param {Tox~errorCallback} [callback] - Called once listening
+ * @property {String} publicKey - Public key of the friend
+ */
+var SocksServer = function(tunnels, publicKey, opts, callback) {
+  events.EventEmitter.call(this);
+
+  var _this = this;
+
+  this.publicKey = publicKey;
+  this._tunnels = tunnels;
+  this._server = net.createServer(function(socket) {
+    _this._handle(socket);
+    _this.emit('connection', socket);
+  });
+
+  this._server.on('listening', function() {
+    _this.emit('listening');
+    if(callback) callback();
+  });
+
+  this._server.on('error', function(err) {
+    if(callback && !_this._server.listening) {
+      callback(err);
+    } else {
+      _this.emit('error', err);
+    }
+  });
+
+  this._server.on('close', function() {
+    _this.emit('close');
+  });
+
+  this._server.listen(opts['port'], opts['host'] || '127.0.0.1');
+};
+
+util.inherits(SocksServer, events.EventEmitter);
+
+/**
+ * Get the local address being listened on.
+ * @return {Object} address, see net.Server#address()
+ */
+SocksServer.prototype.address = function() {
+  return this._server.address();
+};
+
+/**
+ * Stop listening for clients. Connections already open are left open.
+ * @param {Function} [callback]
+ */
+SocksServer.prototype.close = function(callback) {
+  this._server.close(callback);
+};
+
+/**
+ * Negotiate with a client, then tunnel its connection.
+ * @private
+ * @param {net.Socket} socket
+ */
+SocksServer.prototype._handle = function(socket) {
+  var _this = this,
+      buffered = new Buffer(0),
+      greeted = false;
+
+  var fail = function(reply) {
+    socket.removeListener('data', onData);
+    socket.end(reply);
+  };
+
+  var onData = function(data) {
+    buffered = Buffer.concat([buffered, data]);
+
+    if(!greeted) {
+      var greeting = parseGreeting(buffered);
+      if(!greeting) return;
+      if(greeting.version !== SOCKS_VERSION || greeting.methods.indexOf(AUTH_NONE) < 0) {
+        return fail(new Buffer([SOCKS_VERSION, AUTH_NO_ACCEPTABLE]));
+      }
+      greeted = true;
+      buffered = buffered.slice(greeting.length);
+      socket.write(new Buffer([SOCKS_VERSION, AUTH_NONE]));
+    }
+
+    var request = parseRequest(buffered);
+    if(!request) return;
+    if(request.version !== SOCKS_VERSION || request.port === undefined) {
+      return fail(createReply(REPLY_ADDRESS_NOT_SUPPORTED));
+    }
+    if(request.command !== CMD_CONNECT) {
+      return fail(createReply(REPLY_COMMAND_NOT_SUPPORTED));
+    }
+
+    // Anything after the request is tunneled
+    socket.removeListener('data', onData);
+    socket.removeListener('error', onError);
+    if(buffered.length > request.length) {
+      socket.unshift(buffered.slice(request.length));
+    }
+
+    var friend = _this._tunnels.tox().friends.get(_this.publicKey);
+    if(!friend) {
+      return socket.end(createReply(REPLY_GENERAL_FAILURE));
+    }
+
+    _this._tunnels._open(friend.number, request.host, request.port, socket, function(err) {
+      socket.write(createReply(err ? getReplyCode(err) : REPLY_SUCCEEDED));
+    });
+  };
+
+  var onError = function() {
+    socket.destroy();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+};
+
+module.exports = SocksServer;
@@ -0,0 +1,220 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file testing.js - Local networks of Tox instances for tests
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var Tox = require(path.join(__dirname, 'tox'));
+
+/**
+ * Default milliseconds to wait for friends to connect.
+ */
+var DEFAULT_TIMEOUT = 60000;
+
+/**
+ * Creates a TestNetwork, a group of started Tox instances bootstrapped
+ * against each other on localhost. Created by createNetwork(), not
+ * directly.
+ * @class
+ * @param {Tox[]} toxes
+ * @property {Tox[]} toxes - Instances in the network
+ */
+var TestNetwork = function(toxes) {
+  this.toxes = toxes;
+};
+
+/**
+ * Get an instance of the network.
+ * @private
+ * @param {(Number|Tox)} tox - Index or instance
+ * @return {Tox} instance
+ */
+TestNetwork.prototype._get = function(tox) {
+  if(_.isNumber(tox)) {
+    if(!this.toxes[tox]) {
+      throw new Error('No instance at index ' + tox);
+    }
+    return this.toxes[tox];
+  }
+  return tox;
+};
+
+/**
+ * Make two instances friends of each other, without friend requests.
+ * @param {(Number|Tox)} a - Index or instance
+ * @param {(Number|Tox)} b - Index or instance
+ */
+TestNetwork.prototype.befriend = function(a, b) {
+  a = this._get(a);
+  b = this._get(b);
+
+  var add = function(tox, friend) {
+    var publicKey = friend.getPublicKeySync();
+    if(!tox.friends.has(publicKey)) {
+      tox.addFriendNoRequestSync(publicKey);
+    }
+  };
+
+  add(a, b);
+  add(b, a);
+};
+
+/**
+ * Make every instance friends with every other instance.
+ */
+TestNetwork.prototype.befriendAll = function() {
+  for(var i = 0; i < this.toxes.length; i++) {
+    for(var j = i + 1; j < this.toxes.length; j++) {
+      this.befriend(i, j);
+    }
+  }
+};
+
+/**
+ * Whether or not every friend of every instance is connected.
+ * @return {Boolean} true if all connected, false if not
+ */
+TestNetwork.prototype.isConnected = function() {
+  return _.every(this.toxes, function(tox) {
+    return _.every(tox.friends.all(), function(friend) {
+      return friend.isConnected();
+    });
+  });
+};
+
+/**
+ * Wait until every friend of every instance is connected, as seen by
+ * friendConnectionStatus events.
+ * @param {Object} [opts]
+ * @param {Number} [opts.timeout=60000] - Milliseconds to wait before
+ *        failing with a TIMEOUT error
+ * @param {Tox~errorCallback} callback
+ */
+TestNetwork.prototype.waitForConnections = function(opts, callback) {
+  if(_.isFunction(opts)) {
+    callback = opts;
+    opts = {};
+  }
+  if(!opts) opts = {};
+
+  var _this = this,
+      timeout = (opts['timeout'] !== undefined ? opts['timeout'] : DEFAULT_TIMEOUT),
+      timer;
+
+  var finish = function(err) {
+    clearTimeout(timer);
+    _this.toxes.forEach(function(tox) {
+      tox.off('friendConnectionStatus', onStatus);
+    });
+    callback(err);
+  };
+
+  var onStatus = function() {
+    if(_this.isConnected()) {
+      finish();
+    }
+  };
+
+  if(this.isConnected()) {
+    setImmediate(callback);
+    return;
+  }
+
+  this.toxes.forEach(function(tox) {
+    tox.on('friendConnectionStatus', onStatus);
+  });
+
+  timer = setTimeout(function() {
+    var err = new Error('Friends not connected after ' + timeout + 'ms');
+    err.code = 'TIMEOUT';
+    finish(err);
+  }, timeout);
+};
+
+/**
+ * Make every instance friends with every other instance, and wait until
+ * they are all connected.
+ * @param {Object} [opts] - See TestNetwork#waitForConnections()
+ * @param {Tox~errorCallback} callback
+ */
+TestNetwork.prototype.connectAll = function(opts, callback) {
+  this.befriendAll();
+  this.waitForConnections(opts, callback);
+};
+
+/**
+ * Stop and free all instances.
+ */
+TestNetwork.prototype.free = function() {
+  this.toxes.forEach(function(tox) {
+    tox.stop();
+    if(tox.hasHandle()) {
+      tox.free();
+    }
+  });
+};
+
+/**
+ * Start a network of Tox instances on distinct local ports, each
+ * bootstrapped against all the others on 127.0.0.1 so no public
+ * bootstrap nodes are needed.
+ * @param {Number} count - Number of instances
+ * @param {Object} [opts] - Options passed to each Tox constructor
+ * @param {Number} [opts.port] - Port of the first instance, following
+ *        instances use the ports after it. If not given, toxcore picks
+ *        a free port for each.
+ * @return {TestNetwork} network
+ */
+var createNetwork = function(count, opts) {
+  if(!opts) opts = {};
+
+  var port = opts['port'],
+      toxOpts = _.omit(opts, 'port');
+
+  var toxes = _.times(count, function(i) {
+    var o = _.clone(toxOpts);
+    if(_.isNumber(port)) {
+      o['startPort'] = o['endPort'] = port + i;
+    }
+    return new Tox(o);
+  });
+
+  var nodes = toxes.map(function(tox) {
+    return { port: tox.getUdpPortSync(), publicKey: tox.getPublicKeySync() };
+  });
+
+  toxes.forEach(function(tox, i) {
+    nodes.forEach(function(node, j) {
+      if(i !== j) {
+        tox.bootstrapSync('127.0.0.1', node.port, node.publicKey);
+      }
+    });
+    tox.start();
+  });
+
+  return new TestNetwork(toxes);
+};
+
+module.exports = {
+  createNetwork: createNetwork,
+  TestNetwork: TestNetwork
+};
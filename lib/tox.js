@@ -25,34 +25,46 @@
  *       function to set the data to that Buffer.
  */
 
-var buffertools = require('buffertools');
 var events = require('events');
 var fs = require('fs');
-var ref = require('ref');
-var RefArray = require('ref-array');
-var ffi = require('ffi');
+var os = require('os');
 var path = require('path');
 var _ = require('underscore');
 var _util = require('util');
 
-buffertools.extend();
-
+var Autosave = require(path.join(__dirname, 'autosave'));
+var Avatars = require(path.join(__dirname, 'avatars'));
+var Bootstrapper = require(path.join(__dirname, 'bootstrapper')).Bootstrapper;
+var CallQueue = require(path.join(__dirname, 'callqueue'));
+var ConnectionMonitor = require(path.join(__dirname, 'connectionmonitor'));
 var consts = require(path.join(__dirname, 'consts'));
 var errors = require(path.join(__dirname, 'errors'));
+var eventIterator = require(path.join(__dirname, 'eventiterator'));
+var FileTransfers = require(path.join(__dirname, 'filetransfers')).FileTransfers;
+var FragmentChannel = require(path.join(__dirname, 'fragments')).FragmentChannel;
+var Friend = require(path.join(__dirname, 'friend'));
+var FriendList = require(path.join(__dirname, 'friendlist'));
+var MockLibrary = require(path.join(__dirname, 'mocklibrary'));
+var native = require(path.join(__dirname, 'native'));
+var PacketChannels = require(path.join(__dirname, 'packetchannels')).PacketChannels;
+var Recorder = require(path.join(__dirname, 'recording')).Recorder;
+var Rpc = require(path.join(__dirname, 'rpc'));
+var SocksServer = require(path.join(__dirname, 'socks'));
+var Tunnels = require(path.join(__dirname, 'tunnels')).Tunnels;
 var toxEvents = require(path.join(__dirname, 'events'));
-var ToxEncryptSave = require(path.join(__dirname, 'toxencryptsave'));
-var ToxOld = require(path.join(__dirname, 'tox_old'));
-var ToxOptions = require(path.join(__dirname, 'toxoptions'));
+
+// Native modules, ffi and ref-array are loaded when first needed
+var ref = native.ref;
 
 // Util functions
 var util = require(path.join(__dirname, 'util'));
 var size_t = util.size_t;
 var fromHex = util.fromHex;
 var getDateFromUInt64 = util.getDateFromUInt64;
+var getMilliseconds = util.getMilliseconds;
 
 // Tox types
 var ToxPtr = ref.refType(ref.types.void);
-var ToxOptionsPtr = ref.refType(ToxOptions);
 
 // Common types
 var UInt8Ptr = ref.refType('uint8');
@@ -87,59 +99,137 @@ var TOX_ERR_OPTIONS_NEW = CEnum;
 var TOX_ERR_SET_INFO = CEnum;
 var TOX_ERR_SET_TYPING = CEnum;
 
-// Buffer sizes for callbacks
-var KeyBuffer = RefArray('uint8', consts.TOX_KEY_SIZE);
-var KeyBufferPtr = ref.refType(KeyBuffer);
-var RequestMessageBuffer = RefArray('uint8', consts.TOX_MAX_FRIEND_REQUEST_LENGTH);
-var RequestMessageBufferPtr = ref.refType(RequestMessageBuffer);
-var MessageBuffer = RefArray('uint8', consts.TOX_MAX_MESSAGE_LENGTH);
-var MessageBufferPtr = ref.refType(MessageBuffer);
-var NameBuffer = RefArray('uint8', consts.TOX_MAX_NAME_LENGTH);
-var NameBufferPtr = ref.refType(NameBuffer);
-var StatusMessageBuffer = RefArray('uint8', consts.TOX_MAX_STATUS_MESSAGE_LENGTH);
-var StatusMessageBufferPtr = ref.refType(StatusMessageBuffer);
-var FilenameBuffer = RefArray('uint8', consts.TOX_MAX_FILENAME_LENGTH);
-var FilenameBufferPtr = ref.refType(FilenameBuffer);
-// Use ref.reinterpret() to re-size Buffer at some address
-// https://tootallnate.github.io/ref/#exports-reinterpret
-var UnknownSizeBuffer = RefArray('uint8', 1);
-var UnknownSizeBufferPtr = ref.refType(UnknownSizeBuffer);
-
-// Tox callback types
-var SelfConnectionStatusCallback = ffi.Function('void', [ ToxPtr, TOX_CONNECTION, UserData ]);
-var FriendNameCallback = ffi.Function('void', [ ToxPtr, 'uint32', NameBufferPtr, 'size_t', UserData ]);
-var FriendStatusMessageCallback = ffi.Function('void', [ ToxPtr, 'uint32', StatusMessageBufferPtr, 'size_t', UserData ]);
-var FriendStatusCallback = ffi.Function('void', [ ToxPtr, 'uint32', TOX_USER_STATUS, UserData ]);
-var FriendConnectionStatusCallback = ffi.Function('void', [ ToxPtr, 'uint32', TOX_CONNECTION, UserData ]);
-var FriendTypingCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'bool', UserData ]);
-var FriendReadReceiptCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', UserData ]);
-var FriendRequestCallback = ffi.Function('void', [ ToxPtr, KeyBufferPtr, RequestMessageBufferPtr, 'size_t', UserData ]);
-var FriendMessageCallback = ffi.Function('void', [ ToxPtr, 'uint32', TOX_MESSAGE_TYPE, MessageBufferPtr, 'size_t', UserData ]);
-var FileRecvControlCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', TOX_FILE_CONTROL, UserData ]);
-var FileChunkRequestCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint64', 'size_t', UserData ]);
-var FileRecvCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint32', 'uint64', FilenameBufferPtr, 'size_t', UserData ]);
-var FileRecvChunkCallback = ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint64', UnknownSizeBufferPtr, 'size_t', UserData ]);
-var FriendLosslessPacketCallback = ffi.Function('void', [ ToxPtr, 'uint32', UInt8Ptr, 'size_t', UserData ]);
-var FriendLossyPacketCallback = ffi.Function('void', [ ToxPtr, 'uint32', UInt8Ptr, 'size_t', UserData ]);
+/**
+ * Tox callback types, see getCallbackTypes().
+ */
+var callbackTypes;
+
+/**
+ * Get the node-ffi types of Tox callbacks, creating them the first time.
+ * Only needed with the native library, the mock library calls callbacks
+ * directly.
+ * @private
+ * @return {Object} types by callback name
+ */
+var getCallbackTypes = function() {
+  if(callbackTypes) {
+    return callbackTypes;
+  }
+
+  var ffi = native.ffi(),
+      RefArray = native.RefArray();
+
+  // Buffer sizes for callbacks
+  var KeyBufferPtr = ref.refType(RefArray('uint8', consts.TOX_KEY_SIZE));
+  var RequestMessageBufferPtr = ref.refType(RefArray('uint8', consts.TOX_MAX_FRIEND_REQUEST_LENGTH));
+  var MessageBufferPtr = ref.refType(RefArray('uint8', consts.TOX_MAX_MESSAGE_LENGTH));
+  var NameBufferPtr = ref.refType(RefArray('uint8', consts.TOX_MAX_NAME_LENGTH));
+  var StatusMessageBufferPtr = ref.refType(RefArray('uint8', consts.TOX_MAX_STATUS_MESSAGE_LENGTH));
+  var FilenameBufferPtr = ref.refType(RefArray('uint8', consts.TOX_MAX_FILENAME_LENGTH));
+  // Use ref.reinterpret() to re-size Buffer at some address
+  // https://tootallnate.github.io/ref/#exports-reinterpret
+  var UnknownSizeBufferPtr = ref.refType(RefArray('uint8', 1));
+
+  callbackTypes = {
+    SelfConnectionStatus: ffi.Function('void', [ ToxPtr, TOX_CONNECTION, UserData ]),
+    FriendName: ffi.Function('void', [ ToxPtr, 'uint32', NameBufferPtr, 'size_t', UserData ]),
+    FriendStatusMessage: ffi.Function('void', [ ToxPtr, 'uint32', StatusMessageBufferPtr, 'size_t', UserData ]),
+    FriendStatus: ffi.Function('void', [ ToxPtr, 'uint32', TOX_USER_STATUS, UserData ]),
+    FriendConnectionStatus: ffi.Function('void', [ ToxPtr, 'uint32', TOX_CONNECTION, UserData ]),
+    FriendTyping: ffi.Function('void', [ ToxPtr, 'uint32', 'bool', UserData ]),
+    FriendReadReceipt: ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', UserData ]),
+    FriendRequest: ffi.Function('void', [ ToxPtr, KeyBufferPtr, RequestMessageBufferPtr, 'size_t', UserData ]),
+    FriendMessage: ffi.Function('void', [ ToxPtr, 'uint32', TOX_MESSAGE_TYPE, MessageBufferPtr, 'size_t', UserData ]),
+    FileRecvControl: ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', TOX_FILE_CONTROL, UserData ]),
+    FileChunkRequest: ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint64', 'size_t', UserData ]),
+    FileRecv: ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint32', 'uint64', FilenameBufferPtr, 'size_t', UserData ]),
+    FileRecvChunk: ffi.Function('void', [ ToxPtr, 'uint32', 'uint32', 'uint64', UnknownSizeBufferPtr, 'size_t', UserData ]),
+    FriendLosslessPacket: ffi.Function('void', [ ToxPtr, 'uint32', UInt8Ptr, 'size_t', UserData ]),
+    FriendLossyPacket: ffi.Function('void', [ ToxPtr, 'uint32', UInt8Ptr, 'size_t', UserData ])
+  };
+  return callbackTypes;
+};
+
+/**
+ * Read a C array of uint32_t.
+ * @private
+ * @param {Buffer} buffer
+ * @return {Number[]} values
+ */
+var readUInt32Array = function(buffer) {
+  var read = 'readUInt32' + os.endianness(), values = [];
+  for(var i = 0; i + 4 <= buffer.length; i += 4) {
+    values.push(buffer[read](i));
+  }
+  return values;
+};
 
 /**
  * Creates a Tox instance.
  * @class
  * @param {Object} [opts] Options
+ * @param {Boolean} [opts.splitMessages=false] - Split friend messages longer
+ *        than TOX_MAX_MESSAGE_LENGTH into several messages, see
+ *        Tox#sendFriendMessage()
+ * @param {String} [opts.avatarDir] - Directory to cache friend avatars in,
+ *        see Tox#setAvatar()
+ * @param {Number} [opts.rpcPacketId=180] - Leading id byte of RPC packets,
+ *        see Rpc
+ * @param {Number} [opts.tunnelPacketId=181] - Leading id byte of tunnel
+ *        packets, see Tox#forward()
+ * @param {(Boolean|MockNetwork)} [opts.mock] - Run against an in-memory mock
+ *        of libtoxcore instead of the native library, on the given network
+ *        or on MockNetwork.getDefault() if true. Crypto is disabled unless
+ *        opts.crypto is given.
+ * @param {(Buffer|String)} [opts.secretKey] - Secret key to create the
+ *        instance with instead of savedata (opts.data), keeping only our
+ *        identity, see Tox#exportSecretKeySync()
+ * @param {Number} [opts.nospam] - Nospam to set once created
  */
 var Tox = function(opts) {
   if(!opts) opts = {};
   var libpath = opts['path'];
 
   this._emitter = new events.EventEmitter();
-  this._library = this.createLibrary(libpath);
+  this._splitMessages = !!opts['splitMessages'];
+  this._autosaves = [];
+  this._callQueue = new CallQueue();
+  this._mock = !!opts['mock'];
+  var library = (this._mock ? MockLibrary.createLibrary(opts['mock']) : this.createLibrary(libpath));
+  this._library = this._callQueue.wrapLibrary(library, Tox.prototype._checkQueuedCall.bind(this));
   this._initCrypto(opts);
   this._options = this._createToxOptions(opts);
   this._initNew(this._options);
   this._initCallbacks();
 
+  if(opts['nospam'] !== undefined) {
+    this.setNospamSync(opts['nospam']);
+  }
+
+  /**
+   * Live collection of friends.
+   * @type {FriendList}
+   */
+  this.friends = new FriendList(this);
+  this._transfers = new FileTransfers(this);
+  this._avatars = new Avatars(this, opts);
+  this._packetChannels = new PacketChannels(this);
+
+  /**
+   * Request/response calls to and from friends.
+   * @type {Rpc}
+   */
+  this.rpc = new Rpc(this, { id: opts['rpcPacketId'] });
+
+  /**
+   * TCP connections tunneled to and from friends.
+   * @type {Tunnels}
+   */
+  this.tunnels = new Tunnels(this, { id: opts['tunnelPacketId'] });
+
   // Create a child ToxOld if specified for old groupchat functionality
   if(opts.old === true) {
+    var ToxOld = require(path.join(__dirname, 'tox_old'));
     this._toxold = new ToxOld({ path: libpath, tox: this });
   }
 };
@@ -162,9 +252,13 @@ Tox.prototype.inspect = function() {
 };
 
 /**
- * Asynchronous-sorta Tox instance creation. Currently is only 'async' if
- * given 'data' as a filepath (string).
- * @param {Object} [opts] Options
+ * Asynchronous Tox instance creation. Reads opts.data if given as a
+ * filepath, and decrypts it if encrypted using opts.pass, without
+ * blocking on either. opts.pass may also be a function returning the
+ * passphrase or a Promise of it, only called if the data is encrypted.
+ * Decryption errors (such as a wrong passphrase) are passed to the
+ * callback as ToxError.DecryptionErrors.
+ * @param {Object} [opts] Options, see Tox
  * @param {Tox~toxCallback} [callback]
  * @todo Implement with async tox_new?
  */
@@ -174,25 +268,155 @@ Tox.load = function(opts, callback) {
     callback = opts;
     opts = {};
   }
+  if(!opts) opts = {};
+
+  var done = function(err, tox) {
+    if(callback) {
+      callback(err, tox);
+    }
+  };
+
+  readData(opts['data'], function(err, data) {
+    if(err) return done(err);
+
+    // May throw if libtoxencryptsave can't be loaded
+    var crypto;
+    try {
+      crypto = createCrypto(opts);
+    } catch(e) {
+      return done(e);
+    }
+
+    decryptData(crypto, data, opts['pass'], function(err, data) {
+      if(err) return done(err);
+
+      // Data is already decrypted, and crypto already created
+      var toxopts = _.extend(_.omit(opts, 'pass'), { data: data });
+      if(crypto) {
+        toxopts['crypto'] = crypto;
+      }
+
+      var tox;
+      try {
+        tox = new Tox(toxopts);
+      } catch(e) {
+        return done(e);
+      }
+      done(undefined, tox);
+    });
+  });
+};
 
-  var data = opts['data'];
+/**
+ * Read savedata given as a filepath.
+ * @private
+ * @param {(Buffer|String)} [data] - Savedata, or path to read it from
+ * @param {Function} callback - Called with an error, or the savedata
+ */
+var readData = function(data, callback) {
   if(_.isString(data)) {
-    fs.readFile(data, function(err, data) {
-      if(!err) {
-        opts['data'] = data; // Overwrite data (path) with data (Buffer)
-        var tox = new Tox(opts);
-        if(callback) {
-          callback(undefined, tox);
-        }
-      } else if(callback) {
-        callback(err);
+    fs.readFile(data, callback);
+  } else {
+    process.nextTick(function() {
+      callback(undefined, data);
+    });
+  }
+};
+
+/**
+ * Get a passphrase from a passphrase, or from a function returning it or a
+ * Promise of it.
+ * @private
+ * @param {(Buffer|String|Function)} pass
+ * @param {Function} callback - Called with an error, or the passphrase
+ */
+var getPassphrase = function(pass, callback) {
+  if(!_.isFunction(pass)) {
+    return callback(undefined, pass);
+  }
+
+  var passphrase;
+  try {
+    passphrase = pass();
+  } catch(e) {
+    return callback(e);
+  }
+
+  if(passphrase && _.isFunction(passphrase.then)) {
+    // Call back outside of the promise, so errors thrown are not swallowed
+    passphrase.then(function(passphrase) {
+      process.nextTick(function() {
+        callback(undefined, passphrase);
+      });
+    }, function(err) {
+      process.nextTick(function() {
+        callback(err || new Error('Passphrase provider rejected'));
+      });
+    });
+  } else {
+    callback(undefined, passphrase);
+  }
+};
+
+/**
+ * Decrypt savedata if encrypted, asynchronously. Data is returned as is if
+ * there is no crypto, no passphrase, or it is not encrypted, in which case
+ * tox_new fails if it is.
+ * @private
+ * @param {ToxEncryptSave} [crypto]
+ * @param {Buffer} [data]
+ * @param {(Buffer|String|Function)} [pass]
+ * @param {Function} callback - Called with an error, or the savedata
+ */
+var decryptData = function(crypto, data, pass, callback) {
+  if(!crypto || !data || pass === undefined) {
+    return callback(undefined, data);
+  }
+
+  crypto.isDataEncrypted(data, function(err, encrypted) {
+    if(err || !encrypted) return callback(err, data);
+
+    getPassphrase(pass, function(err, passphrase) {
+      if(err) return callback(err);
+      if(passphrase === undefined || passphrase === null) {
+        return callback(undefined, data);
       }
+      crypto.decrypt(data, passphrase, callback);
     });
+  });
+};
+
+/**
+ * Create the crypto (ToxEncryptSave) object from Tox constructor options.
+ * @private
+ * @param {Object} opts - Tox constructor options object
+ * @return {ToxEncryptSave} crypto, or undefined if none
+ */
+var createCrypto = function(opts) {
+  var crypto = opts['crypto'];
+  // libtoxencryptsave isn't mocked
+  if(crypto === undefined && opts['mock']) {
+    crypto = false;
+  }
+  if(crypto !== undefined && !crypto) {
+    // If something falsy, don't use
+    return undefined;
+  }
+
+  // Loaded here, as it loads libtoxencryptsave with node-ffi
+  var ToxEncryptSave = require(path.join(__dirname, 'toxencryptsave'));
+  if(crypto === undefined || crypto === true) {
+    // If not given, use a default instance
+    return new ToxEncryptSave();
+  } else if(crypto instanceof ToxEncryptSave) {
+    // If given an existing instance, use that
+    return crypto;
+  } else if(_.isString(crypto) || _.isObject(crypto)) {
+    // If given an object or string, use it as the constructor opts
+    return new ToxEncryptSave(crypto);
   } else {
-    var tox = new Tox(opts);
-    if(callback) {
-      callback(undefined, tox);
-    }
+    // If something else, use a default instance
+    return new ToxEncryptSave();
   }
 };
 
@@ -204,7 +428,8 @@ Tox.load = function(opts, callback) {
  */
 Tox.prototype.createLibrary = function(libpath) {
   libpath = libpath || 'libtoxcore';
-  return ffi.Library(libpath, {
+  var ToxOptionsPtr = ref.refType(require(path.join(__dirname, 'toxoptions')));
+  return native.ffi().Library(libpath, {
     'tox_add_tcp_relay':   [ 'bool', [ ToxPtr, Int8Ptr, 'uint16', UInt8Ptr, ref.refType(TOX_ERR_BOOTSTRAP) ] ],
     'tox_bootstrap':       [ 'bool', [ ToxPtr, Int8Ptr, 'uint16', UInt8Ptr, ref.refType(TOX_ERR_BOOTSTRAP) ] ],
     'tox_callback_file_chunk_request': [ 'void', [ ToxPtr, FileChunkRequestCallback, UserData ] ],
@@ -401,6 +626,7 @@ Tox.prototype.newOptionsSync = function() {
  */
 Tox.prototype.bootstrap = function(address, port, publicKey, callback) {
   this._performBootstrap({
+    fn: 'tox_bootstrap',
     api: this.getLibrary().tox_bootstrap.async.bind(undefined, this.getHandle()),
     args: [address, port, publicKey],
     async: true,
@@ -417,6 +643,7 @@ Tox.prototype.bootstrap = function(address, port, publicKey, callback) {
  */
 Tox.prototype.bootstrapSync = function(address, port, publicKey) {
   this._performBootstrap({
+    fn: 'tox_bootstrap',
     api: this.getLibrary().tox_bootstrap.bind(undefined, this.getHandle()),
     args: [address, port, publicKey],
     async: false
@@ -432,6 +659,7 @@ Tox.prototype.bootstrapSync = function(address, port, publicKey) {
  */
 Tox.prototype.addTCPRelay = function(address, port, publicKey, callback) {
   this._performBootstrap({
+    fn: 'tox_add_tcp_relay',
     api: this.getLibrary().tox_add_tcp_relay.async.bind(undefined, this.getHandle()),
     args: [address, port, publicKey],
     async: true,
@@ -448,12 +676,36 @@ Tox.prototype.addTCPRelay = function(address, port, publicKey, callback) {
  */
 Tox.prototype.addTCPRelaySync = function(address, port, publicKey) {
   this._performBootstrap({
+    fn: 'tox_add_tcp_relay',
     api: this.getLibrary().tox_add_tcp_relay.bind(undefined, this.getHandle()),
     args: [address, port, publicKey],
     async: false
   });
 };
 
+/**
+ * Bootstrap from a random subset of a node list, such as the nodes.json
+ * of nodes.tox.chat, also adding TCP relays for nodes with TCP ports. If
+ * not connected within a timeout, bootstraps again from other nodes until
+ * stopped.
+ * @param {(String|Object|Object[])} source - Path of a nodes.json file, or
+ *        its parsed contents
+ * @param {Object} [opts] - See Bootstrapper
+ * @param {Tox~errorCallback} [callback] - Called after bootstrapping from
+ *        the first nodes, with an error if none could be bootstrapped from
+ * @return {Bootstrapper} bootstrapper
+ */
+Tox.prototype.bootstrapFrom = function(source, opts, callback) {
+  if(_.isFunction(opts)) {
+    callback = opts;
+    opts = undefined;
+  }
+
+  var bootstrapper = new Bootstrapper(this, source, opts);
+  bootstrapper.start(callback);
+  return bootstrapper;
+};
+
 /**
  * Asynchronous tox_iteration_interval(3).
  * @param {Tox~numberCallback} [callback]
@@ -476,7 +728,8 @@ Tox.prototype.iterationIntervalSync = function() {
 };
 
 /**
- * Asynchronous tox_iterate(3).
+ * Asynchronous tox_iterate(3). Since tox_iterate calls back into javascript,
+ * it is run on the main thread once all earlier queued calls have finished.
  * @param {Tox~errorCallback} [callback]
  */
 Tox.prototype.iterate = function(callback) {
@@ -484,7 +737,21 @@ Tox.prototype.iterate = function(callback) {
     return;
   }
 
-  this.getLibrary().tox_iterate(this.getHandle(), callback);
+  var _this = this;
+  this._callQueue.push(function(done) {
+    var err;
+    try {
+      _this.iterateSync();
+    } catch(e) {
+      err = e;
+    }
+
+    done();
+
+    if(callback) {
+      callback(err);
+    }
+  });
 };
 
 /**
@@ -549,11 +816,8 @@ Tox.prototype.getConnectionStatusSync = function() {
  */
 Tox.prototype.setNospam = function(nospam, callback) {
   if(!this._checkHandle(callback)) return;
-  this.getLibrary().tox_self_set_nospam.async(this.getHandle(), nospam, function(err) {
-    if(callback) {
-      callback(err);
-    }
-  });
+  this.getLibrary().tox_self_set_nospam.async(this.getHandle(), nospam,
+    this._savedataChangeCallback('nospam', callback));
 };
 
 /**
@@ -563,6 +827,7 @@ Tox.prototype.setNospam = function(nospam, callback) {
 Tox.prototype.setNospamSync = function(nospam) {
   this._checkHandleSync();
   this.getLibrary().tox_self_set_nospam(this.getHandle(), nospam);
+  this._emitSavedataChange('nospam');
 };
 
 /**
@@ -644,10 +909,11 @@ Tox.prototype.getSecretKeySync = function() {
  */
 Tox.prototype.setName = function(name, callback) {
   this._performSetter({
+    fn: 'tox_self_set_name',
     api: this.getLibrary().tox_self_set_name.async.bind(undefined, this.getHandle()),
     data: name,
     error: errors.setInfo,
-    async: true, callback: callback
+    async: true, callback: this._savedataChangeCallback('name', callback)
   });
 };
 
@@ -657,10 +923,12 @@ Tox.prototype.setName = function(name, callback) {
  */
 Tox.prototype.setNameSync = function(name) {
   this._performSetter({
+    fn: 'tox_self_set_name',
     api: this.getLibrary().tox_self_set_name.bind(undefined, this.getHandle()),
     error: errors.setInfo,
     data: name
   });
+  this._emitSavedataChange('name');
 };
 
 /**
@@ -716,10 +984,11 @@ Tox.prototype.getNameSync = function() {
  */
 Tox.prototype.setStatusMessage = function(statusMessage, callback) {
   this._performSetter({
+    fn: 'tox_self_set_status_message',
     api: this.getLibrary().tox_self_set_status_message.async.bind(undefined, this.getHandle()),
     data: statusMessage,
     error: errors.setInfo,
-    async: true, callback: callback
+    async: true, callback: this._savedataChangeCallback('statusMessage', callback)
   });
 };
 
@@ -729,10 +998,12 @@ Tox.prototype.setStatusMessage = function(statusMessage, callback) {
  */
 Tox.prototype.setStatusMessageSync = function(statusMessage) {
   this._performSetter({
+    fn: 'tox_self_set_status_message',
     api: this.getLibrary().tox_self_set_status_message.bind(undefined, this.getHandle()),
     error: errors.setInfo,
     data: statusMessage
   });
+  this._emitSavedataChange('statusMessage');
 };
 
 /**
@@ -790,7 +1061,7 @@ Tox.prototype.setStatus = function(status, callback) {
   this._performNumberSetter({
     api: this.getLibrary().tox_self_set_status.async.bind(undefined, this.getHandle()),
     value: status,
-    async: true, callback: callback
+    async: true, callback: this._savedataChangeCallback('status', callback)
   });
 };
 
@@ -803,6 +1074,7 @@ Tox.prototype.setStatusSync = function(status) {
     api: this.getLibrary().tox_self_set_status.bind(undefined, this.getHandle()),
     value: status
   });
+  this._emitSavedataChange('status');
 };
 
 /**
@@ -838,11 +1110,16 @@ Tox.prototype.addFriend = function(address, message, callback) {
   address = fromHex(address);
   if(_.isString(message)) message = new Buffer(message);
 
-  var eptr = ref.alloc(TOX_ERR_FRIEND_ADD);
+  var _this = this,
+      eptr = ref.alloc(TOX_ERR_FRIEND_ADD);
   this.getLibrary().tox_friend_add.async(
     this.getHandle(), address, message, size_t(message.length), eptr, function(err, friend) {
-    var terr = errors.friendAdd(eptr.deref());
+    var terr = errors.friendAdd(eptr.deref(), 'tox_friend_add');
     if(!err && terr) err = terr;
+    if(!err) {
+      _this.friends._add(friend, address.slice(0, consts.TOX_PUBLIC_KEY_SIZE));
+      _this._emitSavedataChange('friendAdd');
+    }
     if(callback) {
       callback(err, friend);
     }
@@ -864,8 +1141,10 @@ Tox.prototype.addFriendSync = function(address, message) {
   var eptr = ref.alloc(TOX_ERR_FRIEND_ADD),
       friend = this.getLibrary().tox_friend_add(
         this.getHandle(), address, message, size_t(message.length), eptr),
-      err = errors.friendAdd(eptr.deref());
+      err = errors.friendAdd(eptr.deref(), 'tox_friend_add');
   if(err) throw err;
+  this.friends._add(friend, address.slice(0, consts.TOX_PUBLIC_KEY_SIZE));
+  this._emitSavedataChange('friendAdd');
   return friend;
 };
 
@@ -877,11 +1156,16 @@ Tox.prototype.addFriendSync = function(address, message) {
 Tox.prototype.addFriendNoRequest = function(publicKey, callback) {
   if(!this._checkHandle(callback)) return;
   publicKey = fromHex(publicKey);
-  var eptr = ref.alloc(TOX_ERR_FRIEND_ADD);
+  var _this = this,
+      eptr = ref.alloc(TOX_ERR_FRIEND_ADD);
   this.getLibrary().tox_friend_add_norequest.async(
     this.getHandle(), publicKey, eptr, function(err, friend) {
-    var terr = errors.friendAdd(eptr.deref());
+    var terr = errors.friendAdd(eptr.deref(), 'tox_friend_add_norequest');
     if(!err && terr) err = terr;
+    if(!err) {
+      _this.friends._add(friend, publicKey);
+      _this._emitSavedataChange('friendAdd');
+    }
     if(callback) {
       callback(err, friend);
     }
@@ -898,8 +1182,10 @@ Tox.prototype.addFriendNoRequestSync = function(publicKey) {
   publicKey = fromHex(publicKey);
   var eptr = ref.alloc(TOX_ERR_FRIEND_ADD),
       friend = this.getLibrary().tox_friend_add_norequest(this.getHandle(), publicKey, eptr),
-      err = errors.friendAdd(eptr.deref());
+      err = errors.friendAdd(eptr.deref(), 'tox_friend_add_norequest');
   if(err) throw err;
+  this.friends._add(friend, publicKey);
+  this._emitSavedataChange('friendAdd');
   return friend;
 };
 
@@ -910,12 +1196,18 @@ Tox.prototype.addFriendNoRequestSync = function(publicKey) {
  */
 Tox.prototype.deleteFriend = function(friend, callback) {
   if(!this._checkHandle(callback)) return;
-  var eptr = ref.alloc(TOX_ERR_FRIEND_DELETE);
+  var _this = this,
+      eptr = ref.alloc(TOX_ERR_FRIEND_DELETE);
   this.getLibrary().tox_friend_delete.async(
     this.getHandle(), friend, eptr, function(err, success) {
-    var terr = errors.friendDelete(eptr.deref());
+    var terr = errors.friendDelete(eptr.deref(), 'tox_friend_delete');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_friend_delete');
+    if(!err) {
+      _this.friends._remove(friend);
+      _this._packetChannels.closeFriend(friend);
+      _this._emitSavedataChange('friendDelete');
+    }
     if(callback) {
       callback(err);
     }
@@ -930,9 +1222,12 @@ Tox.prototype.deleteFriendSync = function(friend) {
   this._checkHandle();
   var eptr = ref.alloc(TOX_ERR_FRIEND_DELETE),
       success = this.getLibrary().tox_friend_delete(this.getHandle(), friend, eptr);
-  var err = errors.friendDelete(eptr.deref());
+  var err = errors.friendDelete(eptr.deref(), 'tox_friend_delete');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_friend_delete');
+  this.friends._remove(friend);
+  this._packetChannels.closeFriend(friend);
+  this._emitSavedataChange('friendDelete');
 };
 
 /**
@@ -946,7 +1241,7 @@ Tox.prototype.getFriendByPublicKey = function(publicKey, callback) {
   var eptr = ref.alloc(TOX_ERR_FRIEND_BY_PUBLIC_KEY);
   this.getLibrary().tox_friend_by_public_key.async(
     this.getHandle(), publicKey, eptr, function(err, friend) {
-    var terr = errors.friendByPublicKey(eptr.deref());
+    var terr = errors.friendByPublicKey(eptr.deref(), 'tox_friend_by_public_key');
     if(!err && terr) err = terr;
     if(callback) {
       callback(err, friend);
@@ -964,7 +1259,7 @@ Tox.prototype.getFriendByPublicKeySync = function(publicKey) {
   publicKey = fromHex(publicKey);
   var eptr = ref.alloc(TOX_ERR_FRIEND_BY_PUBLIC_KEY),
       friend = this.getLibrary().tox_friend_by_public_key(this.getHandle(), publicKey, eptr);
-  var err = errors.friendByPublicKey(eptr.deref());
+  var err = errors.friendByPublicKey(eptr.deref(), 'tox_friend_by_public_key');
   if(err) throw err;
   return friend;
 };
@@ -980,7 +1275,7 @@ Tox.prototype.getFriendPublicKey = function(friend, callback) {
       buffer = new Buffer(consts.TOX_PUBLIC_KEY_SIZE);
   this.getLibrary().tox_friend_get_public_key.async(
     this.getHandle(), friend, buffer, eptr, function(err, friend) {
-    var terr = errors.friendGetPublicKey(eptr.deref());
+    var terr = errors.friendGetPublicKey(eptr.deref(), 'tox_friend_get_public_key');
     if(!err && terr) err = terr;
     if(callback) {
       callback(err, buffer);
@@ -998,9 +1293,9 @@ Tox.prototype.getFriendPublicKeySync = function(friend) {
   var eptr = ref.alloc(TOX_ERR_FRIEND_GET_PUBLIC_KEY),
       buffer = new Buffer(consts.TOX_PUBLIC_KEY_SIZE),
       success = this.getLibrary().tox_friend_get_public_key(this.getHandle(), friend, buffer, eptr);
-  var err = errors.friendGetPublicKey(eptr.deref());
+  var err = errors.friendGetPublicKey(eptr.deref(), 'tox_friend_get_public_key');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_friend_get_public_key');
   return buffer;
 };
 
@@ -1042,7 +1337,7 @@ Tox.prototype.getFriendLastOnline = function(friend, callback) {
   var eptr = ref.alloc(TOX_ERR_FRIEND_GET_LAST_ONLINE);
   this.getLibrary().tox_friend_get_last_online.async(
     this.getHandle(), friend, eptr, function(err, timeval) {
-    var terr = errors.friendGetLastOnline(eptr.deref());
+    var terr = errors.friendGetLastOnline(eptr.deref(), 'tox_friend_get_last_online');
     if(!err && terr) err = terr;
 
     var date;
@@ -1064,7 +1359,7 @@ Tox.prototype.getFriendLastOnlineSync = function(friend) {
   this._checkHandle();
   var eptr = ref.alloc(TOX_ERR_FRIEND_GET_LAST_ONLINE),
       timeval = this.getLibrary().tox_friend_get_last_online(this.getHandle(), friend, eptr);
-  var err = errors.friendGetLastOnline(eptr.deref());
+  var err = errors.friendGetLastOnline(eptr.deref(), 'tox_friend_get_last_online');
   if(err) throw err;
   return getDateFromUInt64(timeval);
 };
@@ -1101,18 +1396,10 @@ Tox.prototype.getFriendList = function(callback) {
   var _this = this;
   this.getFriendListSize(function(err, size) {
     if(!err) {
-      var arr = (new RefArray('uint32'))(size);
+      var buffer = new Buffer(size * 4);
       _this.getLibrary().tox_self_get_friend_list.async(
-        _this.getHandle(), arr.buffer, function(err) {
-
-        // RefArray -> Javascript Array
-        // @todo Make this refArrayToArray()?
-        var nums = [];
-        if(!err) {
-          for(var i = 0; i < arr.length; i++)
-            nums.push(arr[i]);
-        }
-
+        _this.getHandle(), buffer, function(err) {
+        var nums = (!err ? readUInt32Array(buffer) : []);
         if(callback) {
           callback(err, nums);
         }
@@ -1131,15 +1418,9 @@ Tox.prototype.getFriendList = function(callback) {
 Tox.prototype.getFriendListSync = function() {
   this._checkHandleSync();
   var size = this.getFriendListSizeSync(),
-      arr = (new RefArray('uint32'))(size);
-  this.getLibrary().tox_self_get_friend_list(this.getHandle(), arr.buffer);
-
-  // RefArray -> Javascript Array
-  var nums = [];
-  for(var i = 0; i < arr.length; i++)
-    nums.push(arr[i]);
-
-  return nums;
+      buffer = new Buffer(size * 4);
+  this.getLibrary().tox_self_get_friend_list(this.getHandle(), buffer);
+  return readUInt32Array(buffer);
 };
 
 /**
@@ -1149,6 +1430,7 @@ Tox.prototype.getFriendListSync = function() {
  */
 Tox.prototype.getFriendNameSize = function(friend, callback) {
   this._performFriendNumberGetter({
+    fn: 'tox_friend_get_name_size',
     api: this.getLibrary().tox_friend_get_name_size.async.bind(undefined, this.getHandle()),
     friend: friend,
     async: true, callback: callback
@@ -1162,6 +1444,7 @@ Tox.prototype.getFriendNameSize = function(friend, callback) {
  */
 Tox.prototype.getFriendNameSizeSync = function(friend) {
   return this._performFriendNumberGetter({
+    fn: 'tox_friend_get_name_size',
     api: this.getLibrary().tox_friend_get_name_size.bind(undefined, this.getHandle()),
     friend: friend
   });
@@ -1174,10 +1457,11 @@ Tox.prototype.getFriendNameSizeSync = function(friend) {
  */
 Tox.prototype.getFriendName = function(friend, callback) {
   this._performFriendGetter({
+    fn: 'tox_friend_get_name',
     api: this.getLibrary().tox_friend_get_name.async.bind(undefined, this.getHandle()),
     format: 'string',
     friend: friend,
-    size: consts.TOX_MAX_NAME_LENGTH,
+    size: Tox.prototype.getFriendNameSize.bind(this, friend),
     async: true, callback: callback
   });
 
@@ -1190,10 +1474,11 @@ Tox.prototype.getFriendName = function(friend, callback) {
  */
 Tox.prototype.getFriendNameSync = function(friend) {
   return this._performFriendGetter({
+    fn: 'tox_friend_get_name',
     api: this.getLibrary().tox_friend_get_name.bind(undefined, this.getHandle()),
     format: 'string',
     friend: friend,
-    size: consts.TOX_MAX_NAME_LENGTH
+    size: Tox.prototype.getFriendNameSizeSync.bind(this, friend)
   });
 };
 
@@ -1204,6 +1489,7 @@ Tox.prototype.getFriendNameSync = function(friend) {
  */
 Tox.prototype.getFriendStatusMessageSize = function(friend, callback) {
   this._performFriendNumberGetter({
+    fn: 'tox_friend_get_status_message_size',
     api: this.getLibrary().tox_friend_get_status_message_size.async.bind(undefined, this.getHandle()),
     friend: friend,
     async: true, callback: callback
@@ -1217,6 +1503,7 @@ Tox.prototype.getFriendStatusMessageSize = function(friend, callback) {
  */
 Tox.prototype.getFriendStatusMessageSizeSync = function(friend) {
   return this._performFriendNumberGetter({
+    fn: 'tox_friend_get_status_message_size',
     api: this.getLibrary().tox_friend_get_status_message_size.bind(undefined, this.getHandle()),
     friend: friend
   });
@@ -1229,10 +1516,11 @@ Tox.prototype.getFriendStatusMessageSizeSync = function(friend) {
  */
 Tox.prototype.getFriendStatusMessage = function(friend, callback) {
   this._performFriendGetter({
+    fn: 'tox_friend_get_status_message',
     api: this.getLibrary().tox_friend_get_status_message.async.bind(undefined, this.getHandle()),
     format: 'string',
     friend: friend,
-    size: consts.TOX_MAX_STATUS_MESSAGE_LENGTH,
+    size: Tox.prototype.getFriendStatusMessageSize.bind(this, friend),
     async: true, callback: callback
   });
 
@@ -1245,10 +1533,11 @@ Tox.prototype.getFriendStatusMessage = function(friend, callback) {
  */
 Tox.prototype.getFriendStatusMessageSync = function(friend) {
   return this._performFriendGetter({
+    fn: 'tox_friend_get_status_message',
     api: this.getLibrary().tox_friend_get_status_message.bind(undefined, this.getHandle()),
     format: 'string',
     friend: friend,
-    size: consts.TOX_MAX_STATUS_MESSAGE_LENGTH
+    size: Tox.prototype.getFriendStatusMessageSizeSync.bind(this, friend)
   });
 };
 
@@ -1259,6 +1548,7 @@ Tox.prototype.getFriendStatusMessageSync = function(friend) {
  */
 Tox.prototype.getFriendStatus = function(friend, callback) {
   this._performFriendNumberGetter({
+    fn: 'tox_friend_get_status',
     api: this.getLibrary().tox_friend_get_status.async.bind(undefined, this.getHandle()),
     friend: friend,
     async: true, callback: callback
@@ -1272,6 +1562,7 @@ Tox.prototype.getFriendStatus = function(friend, callback) {
  */
 Tox.prototype.getFriendStatusSync = function(friend) {
   return this._performFriendNumberGetter({
+    fn: 'tox_friend_get_status',
     api: this.getLibrary().tox_friend_get_status.bind(undefined, this.getHandle()),
     friend: friend
   });
@@ -1284,6 +1575,7 @@ Tox.prototype.getFriendStatusSync = function(friend) {
  */
 Tox.prototype.getFriendConnectionStatus = function(friend, callback) {
   this._performFriendNumberGetter({
+    fn: 'tox_friend_get_connection_status',
     api: this.getLibrary().tox_friend_get_connection_status.async.bind(undefined, this.getHandle()),
     friend: friend,
     async: true, callback: callback
@@ -1297,6 +1589,7 @@ Tox.prototype.getFriendConnectionStatus = function(friend, callback) {
  */
 Tox.prototype.getFriendConnectionStatusSync = function(friend) {
   return this._performFriendNumberGetter({
+    fn: 'tox_friend_get_connection_status',
     api: this.getLibrary().tox_friend_get_connection_status.bind(undefined, this.getHandle()),
     friend: friend
   });
@@ -1308,6 +1601,7 @@ Tox.prototype.getFriendConnectionStatusSync = function(friend) {
  */
 Tox.prototype.getUdpPort = function(callback) {
   this._performGetPort({
+    fn: 'tox_self_get_udp_port',
     api: this.getLibrary().tox_self_get_udp_port.async.bind(undefined, this.getHandle()),
     async: true, callback: callback
   });
@@ -1320,6 +1614,7 @@ Tox.prototype.getUdpPort = function(callback) {
  */
 Tox.prototype.getUdpPortSync = function() {
   return this._performGetPort({
+    fn: 'tox_self_get_udp_port',
     api: this.getLibrary().tox_self_get_udp_port.bind(undefined, this.getHandle())
   });
 };
@@ -1330,6 +1625,7 @@ Tox.prototype.getUdpPortSync = function() {
  */
 Tox.prototype.getTcpPort = function(callback) {
   this._performGetPort({
+    fn: 'tox_self_get_tcp_port',
     api: this.getLibrary().tox_self_get_tcp_port.async.bind(undefined, this.getHandle()),
     async: true, callback: callback
   });
@@ -1342,6 +1638,7 @@ Tox.prototype.getTcpPort = function(callback) {
  */
 Tox.prototype.getTcpPortSync = function() {
   return this._performGetPort({
+    fn: 'tox_self_get_tcp_port',
     api: this.getLibrary().tox_self_get_tcp_port.bind(undefined, this.getHandle())
   });
 };
@@ -1357,9 +1654,9 @@ Tox.prototype.setTyping = function(friend, typing, callback) {
   var eptr = ref.alloc(TOX_ERR_SET_TYPING);
   this.getLibrary().tox_self_set_typing.async(
     this.getHandle(), friend, typing, eptr, function(err, success) {
-    var terr = errors.setTyping(eptr.deref());
+    var terr = errors.setTyping(eptr.deref(), 'tox_self_set_typing');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_self_set_typing');
     if(callback) {
       callback(err);
     }
@@ -1377,13 +1674,18 @@ Tox.prototype.setTypingSync = function(friend, typing) {
       success = this.getLibrary().tox_self_set_typing(
         this.getHandle(), friend, typing, eptr);
 
-  var err = errors.setTyping(eptr.deref());
+  var err = errors.setTyping(eptr.deref(), 'tox_self_set_typing');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_self_set_typing');
 };
 
 /**
- * Asynchronous tox_friend_send_message(3).
+ * Asynchronous tox_friend_send_message(3). If created with the
+ * splitMessages option, the message is split into parts of at most
+ * TOX_MAX_MESSAGE_LENGTH bytes which are sent in order with the same type,
+ * and the callback is given an array of message ids instead. If sending a
+ * part fails, the callback is given the error along with the ids of the
+ * parts already sent.
  * @param {Number} friend
  * @param {(Buffer|String)} message
  * @param {(Boolean|Number|String)} [type] - If boolean, assumed isAction
@@ -1399,38 +1701,62 @@ Tox.prototype.sendFriendMessage = function(friend, message, type, callback) {
   }
 
   var args = this._fixSendMessageArgs(friend, message, type),
-      friend = args[0], message = args[1], type = args[2],
-      eptr = ref.alloc(TOX_ERR_FRIEND_SEND_MESSAGE);
+      friend = args[0], message = args[1], type = args[2];
 
-  this.getLibrary().tox_friend_send_message.async(
-    this.getHandle(), friend, type, message, message.length, eptr, function(err, mid) {
-    var terr = errors.friendSendMessage(eptr.deref());
-    if(!err && terr) err = terr;
-    if(callback) {
-      callback(err, mid);
-    }
-  });
+  if(!this._splitMessages) {
+    this._sendFriendMessagePart(friend, message, type, callback);
+    return;
+  }
+
+  var _this = this,
+      parts = util.splitMessage(message),
+      mids = [];
+
+  var sendNext = function() {
+    _this._sendFriendMessagePart(friend, parts[mids.length], type, function(err, mid) {
+      if(!err) mids.push(mid);
+      if(!err && mids.length < parts.length) {
+        sendNext();
+      } else if(callback) {
+        callback(err, mids);
+      }
+    });
+  };
+
+  sendNext();
 };
 
 /**
- * Synchronous tox_friend_send_message(3).
+ * Synchronous tox_friend_send_message(3). If created with the
+ * splitMessages option, the message is split into parts of at most
+ * TOX_MAX_MESSAGE_LENGTH bytes which are sent in order with the same type,
+ * and an array of message ids is returned instead. If sending a part
+ * fails, the error thrown has the ids of the parts already sent as its
+ * messageIds property.
  * @param {Number} friend
  * @param {(Buffer|String)} message
  * @param {(Boolean|Number|String)} [type] - If boolean, assumed isAction
- * @return {Number} message id
+ * @return {(Number|Number[])} message id, or message ids if splitting
  */
 Tox.prototype.sendFriendMessageSync = function(friend, message, type) {
   this._checkHandleSync();
   var args = this._fixSendMessageArgs(friend, message, type),
-      friend = args[0], message = args[1], type = args[2],
-      eptr = ref.alloc(TOX_ERR_FRIEND_SEND_MESSAGE);
+      friend = args[0], message = args[1], type = args[2];
 
-  var mid = this.getLibrary().tox_friend_send_message(
-    this.getHandle(), friend, type, message, message.length, eptr);
+  if(!this._splitMessages) {
+    return this._sendFriendMessagePartSync(friend, message, type);
+  }
 
-  var err = errors.friendSendMessage(eptr.deref());
-  if(err) throw err;
-  return mid;
+  var mids = [];
+  util.splitMessage(message).forEach(function(part) {
+    try {
+      mids.push(this._sendFriendMessagePartSync(friend, part, type));
+    } catch(e) {
+      e.messageIds = mids;
+      throw e;
+    }
+  }, this);
+  return mids;
 };
 
 /**
@@ -1443,7 +1769,7 @@ Tox.prototype.hash = function(data, callback) {
   var hash = new Buffer(consts.TOX_HASH_LENGTH);
   this.getLibrary().tox_hash.async(hash, data, data.length,
     function(err, success) {
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_hash');
     if(callback) {
       callback(err, hash);
     }
@@ -1459,7 +1785,7 @@ Tox.prototype.hashSync = function(data) {
   if(_.isString(data)) data = new Buffer(data);
   var hash = new Buffer(consts.TOX_HASH_LENGTH),
       success = this.getLibrary().tox_hash(hash, data, data.length);
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_hash');
   return hash;
 };
 
@@ -1476,9 +1802,9 @@ Tox.prototype.controlFile = function(friendnum, filenum, control, callback) {
   var eptr = ref.alloc(TOX_ERR_FILE_CONTROL);
   this.getLibrary().tox_file_control.async(
     this.getHandle(), friendnum, filenum, control, eptr, function(err, success) {
-    var terr = errors.fileControl(eptr.deref());
+    var terr = errors.fileControl(eptr.deref(), 'tox_file_control');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_file_control');
     if(callback) {
       callback(err);
     }
@@ -1497,9 +1823,9 @@ Tox.prototype.controlFileSync = function(friendnum, filenum, control) {
   var eptr = ref.alloc(TOX_ERR_FILE_CONTROL),
       success = this.getLibrary().tox_file_control(
         this.getHandle(), friendnum, filenum, control, eptr);
-  var err = errors.fileControl(eptr.deref());
+  var err = errors.fileControl(eptr.deref(), 'tox_file_control');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_file_control');
 };
 
 /**
@@ -1514,9 +1840,9 @@ Tox.prototype.seekFile = function(friendnum, filenum, position, callback) {
   var eptr = ref.alloc(TOX_ERR_FILE_SEEK);
   this.getLibrary().tox_file_seek.async(
     this.getHandle(), friendnum, filenum, position, eptr, function(err, success) {
-    var terr = errors.fileSeek(eptr.deref());
+    var terr = errors.fileSeek(eptr.deref(), 'tox_file_seek');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_file_seek');
     if(callback) {
       callback(err);
     }
@@ -1534,9 +1860,9 @@ Tox.prototype.seekFileSync = function(friendnum, filenum, position) {
   var eptr = ref.alloc(TOX_ERR_FILE_SEEK),
       success = this.getLibrary().tox_file_seek(
         this.getHandle(), friendnum, filenum, position, eptr);
-  var err = errors.fileSeek(eptr.deref());
+  var err = errors.fileSeek(eptr.deref(), 'tox_file_seek');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_file_seek');
 };
 
 /**
@@ -1551,9 +1877,9 @@ Tox.prototype.getFileId = function(friendnum, filenum, callback) {
       fileid = new Buffer(consts.TOX_FILE_ID_LENGTH);
   this.getLibrary().tox_file_get_file_id.async(
     this.getHandle(), friendnum, filenum, fileid, eptr, function(err, success) {
-    var terr = errors.fileGet(eptr.deref());
+    var terr = errors.fileGet(eptr.deref(), 'tox_file_get_file_id');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_file_get_file_id');
     if(callback) {
       callback(err, fileid);
     }
@@ -1572,9 +1898,9 @@ Tox.prototype.getFileIdSync = function(friendnum, filenum) {
       fileid = new Buffer(consts.TOX_FILE_ID_LENGTH),
       success = this.getLibrary().tox_file_get_file_id(
         this.getHandle(), friendnum, filenum, fileid, eptr);
-  var err = errors.fileGet(eptr.deref());
+  var err = errors.fileGet(eptr.deref(), 'tox_file_get_file_id');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_file_get_file_id');
   return fileid;
 };
 
@@ -1600,7 +1926,7 @@ Tox.prototype.sendFile = function(friendnum, kind, filename, size, fileid, callb
   var eptr = ref.alloc(TOX_ERR_FILE_SEND);
   this.getLibrary().tox_file_send.async(
     this.getHandle(), friendnum, kind, size, fileid, filename, filename.length, eptr, function(err, filenum) {
-    var terr = errors.fileSend(eptr.deref());
+    var terr = errors.fileSend(eptr.deref(), 'tox_file_send');
     if(!err && terr) err = terr;
     if(callback) {
       callback(err, filenum);
@@ -1626,7 +1952,7 @@ Tox.prototype.sendFileSync = function(friendnum, kind, filename, size, fileid) {
   var eptr = ref.alloc(TOX_ERR_FILE_SEND);
       filenum = this.getLibrary().tox_file_send(
         this.getHandle(), friendnum, kind, size, fileid, filename, filename.length, eptr);
-  var err = errors.fileSend(eptr.deref());
+  var err = errors.fileSend(eptr.deref(), 'tox_file_send');
   if(err) throw err;
   return filenum;
 };
@@ -1644,9 +1970,9 @@ Tox.prototype.sendFileChunk = function(friendnum, filenum, position, data, callb
   var eptr = ref.alloc(TOX_ERR_FILE_SEND_CHUNK);
   this.getLibrary().tox_file_send_chunk.async(
     this.getHandle(), friendnum, filenum, position, data, data.length, eptr, function(err, success) {
-    var terr = errors.fileSendChunk(eptr.deref());
+    var terr = errors.fileSendChunk(eptr.deref(), 'tox_file_send_chunk');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_file_send_chunk');
     if(callback) {
       callback(err);
     }
@@ -1665,9 +1991,105 @@ Tox.prototype.sendFileChunkSync = function(friendnum, filenum, position, data) {
   var eptr = ref.alloc(TOX_ERR_FILE_SEND_CHUNK);
       success = this.getLibrary().tox_file_send_chunk(
         this.getHandle(), friendnum, filenum, position, data, data.length, eptr);
-  var err = errors.fileSendChunk(eptr.deref());
+  var err = errors.fileSendChunk(eptr.deref(), 'tox_file_send_chunk');
   if(err) throw err;
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_file_send_chunk');
+};
+
+/**
+ * Send a file to a friend with contents read from a Readable stream. Data
+ * is only read from the stream as the friend requests chunks, so a slow
+ * friend applies backpressure to the stream. A function creating the
+ * stream at a given position may be given instead, see
+ * FileTransfers#send().
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {(stream.Readable|Function)} readable - Stream to read file
+ *        contents from, or function returning one given a position
+ * @param {Object} [opts]
+ * @param {String} [opts.name] - Filename, defaults to the basename of
+ *                               readable.path if any
+ * @param {Number} [opts.size] - File size, defaults to the size of the file
+ *                               at readable.path if any, otherwise unknown
+ * @param {Number} [opts.kind=TOX_FILE_KIND_DATA] - File kind
+ * @param {Buffer} [opts.fileId] - File id
+ * @return {OutgoingTransfer} transfer
+ */
+Tox.prototype.sendStream = function(friend, readable, opts) {
+  this._checkHandleSync();
+  return this._transfers.send(this._resolveFriendNumber(friend), readable, opts);
+};
+
+/**
+ * Asynchronously set our avatar. The avatar is sent to each friend when
+ * they connect (and to connected friends now), with its hash as the file
+ * id. Avatar offers from friends are handled automatically: see the
+ * friendAvatar event and Tox#getFriendAvatar().
+ * @param {(Buffer|String)} avatar - Avatar data or path to an avatar file,
+ *                                   null to remove our avatar
+ * @param {Tox~errorCallback} [callback]
+ */
+Tox.prototype.setAvatar = function(avatar, callback) {
+  var _this = this;
+  var set = function(err, data) {
+    if(err || !data || data.length === 0) {
+      if(!err) _this._avatars.set(null);
+      if(callback) callback(err);
+      return;
+    }
+
+    _this.hash(data, function(err, hash) {
+      if(!err) _this._avatars.set(data, hash);
+      if(callback) callback(err);
+    });
+  };
+
+  if(_.isString(avatar)) {
+    fs.readFile(avatar, set);
+  } else {
+    set(undefined, avatar);
+  }
+};
+
+/**
+ * Synchronously set our avatar, see Tox#setAvatar().
+ * @param {(Buffer|String)} avatar - Avatar data or path to an avatar file,
+ *                                   null to remove our avatar
+ */
+Tox.prototype.setAvatarSync = function(avatar) {
+  if(_.isString(avatar)) {
+    avatar = fs.readFileSync(avatar);
+  }
+  var hash = (avatar && avatar.length > 0 ? this.hashSync(avatar) : null);
+  this._avatars.set(avatar, hash);
+};
+
+/**
+ * Asynchronously get the cached avatar of a friend.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {Tox~dataCallback} [callback] - Called with undefined data if no
+ *                                        avatar is cached
+ */
+Tox.prototype.getFriendAvatar = function(friend, callback) {
+  try {
+    friend = this.friends.getByNumber(this._resolveFriendNumber(friend));
+  } catch(e) {
+    if(callback) callback(e);
+    return;
+  }
+  this._avatars.getFriendAvatar(friend.publicKey, callback);
+};
+
+/**
+ * Synchronously get the cached avatar of a friend.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @return {Buffer} avatar data, or undefined if none cached
+ */
+Tox.prototype.getFriendAvatarSync = function(friend) {
+  friend = this.friends.getByNumber(this._resolveFriendNumber(friend));
+  return this._avatars.getFriendAvatarSync(friend.publicKey);
 };
 
 /**
@@ -1686,6 +2108,7 @@ Tox.prototype.sendLosslessPacket = function(friendnum, id, data, callback) {
   }
 
   this._performSendPacket({
+    fn: 'tox_friend_send_lossless_packet',
     api: this.getLibrary().tox_friend_send_lossless_packet.async.bind(undefined, this.getHandle()),
     data: data,
     friend: friendnum,
@@ -1709,6 +2132,7 @@ Tox.prototype.sendLosslessPacketSync = function(friendnum, id, data) {
   }
 
   this._performSendPacket({
+    fn: 'tox_friend_send_lossless_packet',
     api: this.getLibrary().tox_friend_send_lossless_packet.bind(undefined, this.getHandle()),
     data: data,
     friend: friendnum
@@ -1723,7 +2147,7 @@ Tox.prototype.sendLosslessPacketSync = function(friendnum, id, data) {
  * @param {Buffer} data
  * @param {Tox~errorCallback} [callback]
  */
-Tox.prototype.sendLossyPacket = function(friendnum, data, callback) {
+Tox.prototype.sendLossyPacket = function(friendnum, id, data, callback) {
   if(_.isNumber(id)) {
     data = this._fixPacketBuffer(id, data);
   } else {
@@ -1732,6 +2156,7 @@ Tox.prototype.sendLossyPacket = function(friendnum, data, callback) {
   }
 
   this._performSendPacket({
+    fn: 'tox_friend_send_lossy_packet',
     api: this.getLibrary().tox_friend_send_lossy_packet.async.bind(undefined, this.getHandle()),
     data: data,
     friend: friendnum,
@@ -1756,6 +2181,7 @@ Tox.prototype.sendLossyPacketSync = function(friendnum, id, data) {
   }
 
   this._performSendPacket({
+    fn: 'tox_friend_send_lossy_packet',
     api: this.getLibrary().tox_friend_send_lossy_packet.bind(undefined, this.getHandle()),
     data: data,
     friend: friendnum
@@ -1763,7 +2189,129 @@ Tox.prototype.sendLossyPacketSync = function(friendnum, id, data) {
 };
 
 /**
- * Asynchronous tox_kill(3). Will also set handle to undefined.
+ * Open a channel for custom packets with a leading id byte to and from a
+ * friend. The channel is a Duplex stream: each chunk written is sent as one
+ * packet, and each packet received with the id byte is read as one Buffer
+ * (without the id byte). Received packets no channel is open for are
+ * emitted as unclaimedPacket events.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {Number} id - Leading byte in the range [160, 191] (lossless) or
+ *                      [200, 254] (lossy)
+ * @param {Object} [opts] - Options passed to stream.Duplex
+ * @return {PacketChannel} channel
+ * @throws Error if id is out of range or already has a channel open
+ */
+Tox.prototype.packetChannel = function(friend, id, opts) {
+  return this._packetChannels.open(this._resolveFriendNumber(friend), id, opts);
+};
+
+/**
+ * Claim a custom packet id byte for packets from all friends which have no
+ * channel open for it (see Tox#packetChannel()). Used by helpers such as
+ * RPC and tunnels which multiplex their own streams over one id byte.
+ * Packets with the id byte are no longer emitted as unclaimedPacket events.
+ * @param {Number} id - Leading byte in the range [160, 191] (lossless) or
+ *                      [200, 254] (lossy)
+ * @param {Function} listener - Called with the FriendPacketEvent of each
+ *                              packet
+ * @throws Error if id is out of range or already claimed
+ */
+Tox.prototype.claimPacketId = function(id, listener) {
+  this._packetChannels.claim(id, listener);
+};
+
+/**
+ * Release a custom packet id byte claimed with Tox#claimPacketId().
+ * @param {Number} id - Leading byte
+ */
+Tox.prototype.unclaimPacketId = function(id) {
+  this._packetChannels.unclaim(id);
+};
+
+/**
+ * Open a channel for messages larger than a custom packet, to and from all
+ * friends. Messages are split into lossless packets with a leading id byte
+ * and reassembled by the friend's channel with the same id. The channel
+ * emits message events with the data and friend number of each message
+ * received, and drop events with an Error and friend number when a partial
+ * message is dropped for breaking a limit.
+ * @param {Number} id - Leading byte in the range [160, 191]
+ * @param {Object} [opts]
+ * @param {Number} [opts.maxSize=1048576] - Largest message accepted, in
+ *                                          bytes
+ * @param {Number} [opts.maxPending=4] - Most partial messages kept per
+ *                                       friend
+ * @param {Number} [opts.timeout=30000] - Milliseconds to wait for the next
+ *                                        fragment of a partial message
+ * @return {FragmentChannel} channel
+ * @throws Error if id is out of range or already claimed
+ */
+Tox.prototype.fragmentChannel = function(id, opts) {
+  return new FragmentChannel(this, id, opts);
+};
+
+/**
+ * Listen for local TCP connections and tunnel each one to a host and port
+ * through a friend, over lossless custom packets. The friend connects out
+ * to the host and port if they allowed it with tox.tunnels.allow().
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {Object} opts
+ * @param {Number} opts.localPort - Local port to listen on, 0 for any
+ * @param {String} [opts.localHost='127.0.0.1'] - Local address to listen on
+ * @param {String} opts.remoteHost - Host the friend connects to
+ * @param {Number} opts.remotePort - Port the friend connects to
+ * @param {Tox~errorCallback} [callback] - Called once listening
+ * @return {Forward} forward
+ */
+Tox.prototype.forward = function(friend, opts, callback) {
+  return this.tunnels.forward(friend, opts, callback);
+};
+
+/**
+ * Run a local SOCKS5 server which carries CONNECT requests through a
+ * friend, who opens the TCP connections on their side if allowed by their
+ * tox.tunnels policy.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {Object} opts
+ * @param {Number} opts.port - Local port to listen on, 0 for any
+ * @param {String} [opts.host='127.0.0.1'] - Local address to listen on
+ * @param {Tox~errorCallback} [callback] - Called once listening
+ * @return {SocksServer} server
+ */
+Tox.prototype.socksProxy = function(friend, opts, callback) {
+  var publicKey = this.friends.getPublicKey(this._resolveFriendNumber(friend));
+  if(!publicKey) {
+    throw new Error('Unknown friend');
+  }
+  return new SocksServer(this.tunnels, util.toHex(publicKey), opts, callback);
+};
+
+/**
+ * Record the connection history of this instance and of each friend.
+ * @param {Object} [opts] - See ConnectionMonitor
+ * @return {ConnectionMonitor} monitor
+ */
+Tox.prototype.monitorConnections = function(opts) {
+  return new ConnectionMonitor(this, opts);
+};
+
+/**
+ * Record every event emitted from libtoxcore callbacks to a file as JSON
+ * lines, for replay with a Replayer.
+ * @param {(String|stream.Writable)} dest - File path, or stream to write to
+ * @param {Object} [opts] - See Recorder
+ * @return {Recorder} recorder
+ */
+Tox.prototype.record = function(dest, opts) {
+  return new Recorder(this, dest, opts);
+};
+
+/**
+ * Asynchronous tox_kill(3). Will also set handle to undefined, and stop
+ * autosaves created with Tox#autosave().
  * @param {Tox~errorCallback} [callback]
  */
 Tox.prototype.kill = function(callback) {
@@ -1771,6 +2319,8 @@ Tox.prototype.kill = function(callback) {
     return;
   }
 
+  this._stopAutosaves();
+
   var _this = this;
   this.getLibrary().tox_kill.async(this.getHandle(), function(err) {
     if(!err) {
@@ -1784,10 +2334,12 @@ Tox.prototype.kill = function(callback) {
 };
 
 /**
- * Synchronous tox_kill(3). Will also set handle to undefined.
+ * Synchronous tox_kill(3). Will also set handle to undefined, and stop
+ * autosaves created with Tox#autosave().
  */
 Tox.prototype.killSync = function() {
   this._checkHandleSync();
+  this._stopAutosaves();
   this.getLibrary().tox_kill(this.getHandle());
   this._handle = undefined;
 };
@@ -1866,7 +2418,16 @@ Tox.prototype.getHandle = function() {
  * @return {Boolean} true if it has a crypto handler, false if not
  */
 Tox.prototype.hasCrypto = function() {
-  return (this._crypto instanceof ToxEncryptSave);
+  return (this._crypto !== undefined);
+};
+
+/**
+ * Whether or not this Tox instance runs against the mock library rather
+ * than libtoxcore.
+ * @return {Boolean} true if mocked, false if not
+ */
+Tox.prototype.isMock = function() {
+  return this._mock;
 };
 
 /**
@@ -1877,6 +2438,16 @@ Tox.prototype.hasHandle = function() {
   return !!this.getHandle();
 };
 
+/**
+ * Get the queue which all asynchronous library calls of this instance (and
+ * its ToxOld, if any) go through, along with iterations of the loop started
+ * by Tox#start(). Useful for checking queue depth.
+ * @return {CallQueue}
+ */
+Tox.prototype.getCallQueue = function() {
+  return this._callQueue;
+};
+
 /**
  * Get the internal Library instance.
  * @return {ffi.Library}
@@ -1933,7 +2504,7 @@ Tox.prototype.getOptions = function() {
  * @return {Boolean} true if loop running, false if not
  */
 Tox.prototype.isStarted = function() {
-  return !!this._interval;
+  return !!this._iterationTimeout;
 };
 
 /**
@@ -1962,6 +2533,17 @@ Tox.prototype.isUdp = function() {
   }
 };
 
+/**
+ * Get an async iterable of the events of a name, to consume them with
+ * for await or next(). Events are buffered from when this is called.
+ * @param {String} name - Event name
+ * @param {Object} [opts] - See EventIterator
+ * @return {EventIterator} iterator
+ */
+Tox.prototype.events = function(name, opts) {
+  return new eventIterator.EventIterator(this, name, opts);
+};
+
 /**
  * Wrapper method for _emitter.removeListener.
  */
@@ -1985,14 +2567,29 @@ Tox.prototype.on = function() {
 };
 
 /**
- * Asynchronously save state to a tox file.
+ * Wait for the next event of a name.
+ * @param {String} name - Event name
+ * @param {Function} [predicate] - Only resolve with an event for which this
+ *        returns true. If it throws, the promise is rejected with the error
+ * @param {Object} [opts]
+ * @param {Number} [opts.timeout] - Milliseconds to wait before rejecting
+ *        with a TIMEOUT error
+ * @return {Promise} promise resolving to the event
+ */
+Tox.prototype.once = function(name, predicate, opts) {
+  return eventIterator.once(this, name, predicate, opts);
+};
+
+/**
+ * Asynchronously save state to a tox file. The file is replaced
+ * atomically, so it is never left partially written.
  * @param {String} filepath
  * @param {Tox~errorCallback} [callback]
  */
 Tox.prototype.saveToFile = function(filepath, callback) {
   this.getSavedata(function(err, buffer) {
     if(!err) {
-      fs.writeFile(filepath, buffer, { mode: 0600 }, callback);
+      util.writeFileAtomic(filepath, buffer, { mode: util.PRIVATE_FILE_MODE }, callback);
     } else if(callback) {
       callback(err);
     }
@@ -2000,23 +2597,40 @@ Tox.prototype.saveToFile = function(filepath, callback) {
 };
 
 /**
- * Synchronously save state to a tox file.
+ * Synchronously save state to a tox file. The file is replaced
+ * atomically, so it is never left partially written.
  * @param {String} filepath
  */
 Tox.prototype.saveToFileSync = function(filepath) {
-  fs.writeFileSync(filepath, this.getSavedataSync(), { mode: 0600 });
+  util.writeFileAtomicSync(filepath, this.getSavedataSync(), { mode: util.PRIVATE_FILE_MODE });
+};
+
+/**
+ * Save state to a tox file automatically, periodically and after changes
+ * made through this instance. See Autosave.
+ * @param {String} filepath
+ * @param {Object} [opts] - See Autosave
+ * @return {Autosave} autosave
+ */
+Tox.prototype.autosave = function(filepath, opts) {
+  var autosave = new Autosave(this, filepath, opts);
+  this._autosaves.push(autosave);
+  return autosave;
 };
 
 /**
- * Start an interateSync loop using setInterval.
- * @param {Number} [wait] - Milliseconds to wait between iterateSync calls
- * @todo Maybe do one iterateSync(), then iterationIntervalSync(), and use that
- *       value as 'wait'?
+ * Start an iterateSync loop. After each iteration the loop is re-armed with
+ * setTimeout using the interval reported by tox_iteration_interval, unless
+ * a fixed wait is given. An 'iterate' event is emitted after each iteration.
+ * @param {Number} [wait] - Fixed milliseconds to wait between iterateSync
+ *                          calls, instead of using Tox#iterationIntervalSync()
  */
 Tox.prototype.start = function(wait) {
   if(!this.isStarted()) {
-    if(isNaN(wait) || wait <= 0) wait = 40; // Default milliseconds to wait
-    this._interval = setInterval(Tox.prototype.iterateSync.bind(this), wait);
+    if(isNaN(wait) || wait <= 0) wait = undefined;
+    this._iterationWait = wait;
+    this._resetIterationStats();
+    this._scheduleIteration(0);
   }
 };
 
@@ -2024,12 +2638,23 @@ Tox.prototype.start = function(wait) {
  * Stop the iterateSync loop if there is one running.
  */
 Tox.prototype.stop = function() {
-  if(this._interval) {
-    clearInterval(this._interval);
-    this._interval = undefined;
+  if(this._iterationTimeout) {
+    clearTimeout(this._iterationTimeout);
+    this._iterationTimeout = undefined;
   }
 };
 
+/**
+ * Get timing statistics for the iterateSync loop started by Tox#start().
+ * Durations and drift are in milliseconds. Drift is how late an iteration
+ * ran compared to when it was scheduled.
+ * @return {Object} Stats with count, averageDuration, maxDuration,
+ *                  averageDrift, maxDrift and lastInterval
+ */
+Tox.prototype.getIterationStats = function() {
+  return _.clone(this._iterationStats || this._resetIterationStats());
+};
+
 /**
  * Asynchronously get the address as a hex string.
  */
@@ -2090,6 +2715,41 @@ Tox.prototype.getSecretKeyHexSync = function() {
   return util.hexifySync(this.getSecretKeySync.bind(this));
 };
 
+/**
+ * Asynchronously export our identity as Tox constructor options, which
+ * create an instance with the same address. Friends and the rest of the
+ * savedata are not kept.
+ * @param {Function} [callback] - Called with an error, or an object with
+ *        secretKey (hex string) and nospam
+ */
+Tox.prototype.exportSecretKey = function(callback) {
+  var _this = this;
+  this.getSecretKeyHex(function(err, secretKey) {
+    if(err) {
+      if(callback) callback(err);
+      return;
+    }
+    _this.getNospam(function(err, nospam) {
+      if(callback) {
+        callback(err, (!err ? { secretKey: secretKey, nospam: nospam } : undefined));
+      }
+    });
+  });
+};
+
+/**
+ * Synchronously export our identity as Tox constructor options, which
+ * create an instance with the same address. Friends and the rest of the
+ * savedata are not kept.
+ * @return {Object} object with secretKey (hex string) and nospam
+ */
+Tox.prototype.exportSecretKeySync = function() {
+  return {
+    secretKey: this.getSecretKeyHexSync(),
+    nospam: this.getNospamSync()
+  };
+};
+
 
 //////////////////////////
 //> Private helper methods
@@ -2131,6 +2791,24 @@ Tox.prototype._checkHandleSync = function() {
   }
 };
 
+/**
+ * Guard for queued library calls, checked right before a queued call is
+ * made. Prevents calls queued before an asynchronous Tox#kill() finished
+ * from using the freed handle, which they were given when queued.
+ * @private
+ * @param {String} name - Name of the library function
+ * @param {Array} args - Arguments of the call, the handle first
+ * @return {Error} Error if the call should not be made, undefined otherwise
+ */
+Tox.prototype._checkQueuedCall = function(name, args) {
+  var handleless = ['tox_hash', 'tox_options_free', 'tox_options_new'];
+  if(handleless.indexOf(name) === -1 && (!this.hasHandle() || args[0] !== this.getHandle())) {
+    var err = new Error('No toxcore handle');
+    err.code = 'NO_HANDLE';
+    return err;
+  }
+};
+
 /**
  * Create a ToxOptions from opts passed to Tox. This uses
  * Tox#newOptionsSync(), so it expects the ToxOptions struct
@@ -2141,13 +2819,14 @@ Tox.prototype._checkHandleSync = function() {
  * @return {ToxOptions} Options
  */
 Tox.prototype._createToxOptions = function(opts) {
-  var toxopts = this.newOptionsSync(),
-      ipv6 = opts['ipv6'],
+  var ipv6 = opts['ipv6'],
       udp = opts['udp'],
       startPort = opts['startPort'],
       endPort = opts['endPort'],
       data = opts['data'],
-      pass = opts['pass'];
+      pass = opts['pass'],
+      secretKey = opts['secretKey'],
+      savedataType;
 
   // If pass is a string or Buffer, have pass be a function that returns
   // the string or Buffer
@@ -2161,20 +2840,34 @@ Tox.prototype._createToxOptions = function(opts) {
     data = fs.readFileSync(data);
   }
 
-  if(data) {
+  // Prepare the savedata before allocating the options, so nothing is
+  // leaked if it's invalid
+  if(secretKey !== undefined) {
+    if(data) {
+      throw new Error('Cannot load from both data and a secret key');
+    }
+
+    data = fromHex(secretKey);
+    if(!Buffer.isBuffer(data) || data.length !== consts.TOX_SECRET_KEY_SIZE) {
+      throw new Error('Secret key must be ' + consts.TOX_SECRET_KEY_SIZE + ' bytes');
+    }
+
+    savedataType = consts.TOX_SAVEDATA_TYPE_SECRET_KEY;
+  } else if(data) {
     if(this.hasCrypto() && _.isFunction(pass) && this.crypto().isDataEncryptedSync(data)) {
       var passphrase = pass();
       data = this.crypto().decryptSync(data, passphrase);
     }
 
-    toxopts.savedata_type = consts.TOX_SAVEDATA_TYPE_TOX_SAVE;
-    toxopts.savedata_length = size_t(data.length);
+    savedataType = consts.TOX_SAVEDATA_TYPE_TOX_SAVE;
   } else {
     data = ref.NULL;
-    toxopts.savedata_type = consts.TOX_SAVEDATA_TYPE_NONE;
-    toxopts.savedata_length = 0;
+    savedataType = consts.TOX_SAVEDATA_TYPE_NONE;
   }
 
+  var toxopts = this.newOptionsSync();
+  toxopts.savedata_type = savedataType;
+  toxopts.savedata_length = (data.length > 0 ? size_t(data.length) : 0);
   toxopts.savedata_data = data;
 
   // Default proxy values
@@ -2212,6 +2905,36 @@ Tox.prototype._emit = function() {
   this._emitter.emit.apply(this._emitter, arguments);
 };
 
+/**
+ * Emit savedataChange, after a change made through this instance which is
+ * kept in the savedata.
+ * @private
+ * @param {String} reason - What changed
+ */
+Tox.prototype._emitSavedataChange = function(reason) {
+  this._emit('savedataChange', new toxEvents.SavedataChangeEvent(reason));
+};
+
+/**
+ * Wrap the callback of an asynchronous setter, to emit savedataChange if
+ * it succeeds.
+ * @private
+ * @param {String} reason - What changes
+ * @param {Tox~errorCallback} [callback]
+ * @return {Tox~errorCallback} callback
+ */
+Tox.prototype._savedataChangeCallback = function(reason, callback) {
+  var _this = this;
+  return function(err) {
+    if(!err) {
+      _this._emitSavedataChange(reason);
+    }
+    if(callback) {
+      callback.apply(undefined, arguments);
+    }
+  };
+};
+
 /**
  * Fix arguments passed to bootstrap functions.
  * @private
@@ -2220,7 +2943,7 @@ Tox.prototype._fixBootstrapArgs = function(address, port, publicKey) {
   address = new Buffer(address + '\0');
 
   if(_.isString(publicKey)) {
-    publicKey = (new Buffer(publicKey)).fromHex();
+    publicKey = fromHex(publicKey);
   }
 
   return [address, port, publicKey];
@@ -2248,6 +2971,65 @@ Tox.prototype._fixSendMessageArgs = function(to, message, type) {
   return [to, message, type];
 };
 
+/**
+ * Get the friend number of a friend given as a friend number, Friend or
+ * public key.
+ * @private
+ * @param {(Number|Friend|Buffer|String)} friend
+ * @return {Number} friend number
+ */
+Tox.prototype._resolveFriendNumber = function(friend) {
+  if(_.isNumber(friend)) {
+    return friend;
+  } else if(friend instanceof Friend) {
+    return friend.number;
+  }
+
+  var found = this.friends.get(friend);
+  if(!found) {
+    throw new Error('Unknown friend');
+  }
+  return found.number;
+};
+
+/**
+ * Asynchronously send a single message with tox_friend_send_message(3).
+ * @private
+ * @param {Number} friend
+ * @param {Buffer} message
+ * @param {Number} type
+ * @param {Tox~numberCallback} [callback]
+ */
+Tox.prototype._sendFriendMessagePart = function(friend, message, type, callback) {
+  var eptr = ref.alloc(TOX_ERR_FRIEND_SEND_MESSAGE);
+  this.getLibrary().tox_friend_send_message.async(
+    this.getHandle(), friend, type, message, message.length, eptr, function(err, mid) {
+    var terr = errors.friendSendMessage(eptr.deref(), 'tox_friend_send_message');
+    if(!err && terr) err = terr;
+    if(callback) {
+      callback(err, mid);
+    }
+  });
+};
+
+/**
+ * Synchronously send a single message with tox_friend_send_message(3).
+ * @private
+ * @param {Number} friend
+ * @param {Buffer} message
+ * @param {Number} type
+ * @return {Number} message id
+ */
+Tox.prototype._sendFriendMessagePartSync = function(friend, message, type) {
+  var eptr = ref.alloc(TOX_ERR_FRIEND_SEND_MESSAGE);
+  var mid = this.getLibrary().tox_friend_send_message(
+    this.getHandle(), friend, type, message, message.length, eptr);
+
+  var err = errors.friendSendMessage(eptr.deref(), 'tox_friend_send_message');
+  if(err) throw err;
+  return mid;
+};
+
 /**
  * Fix a control file value. If a string, convert to its numeric value
  * ('resume', 'pause', 'cancel').
@@ -2276,7 +3058,7 @@ Tox.prototype._fixFileControl = function(control) {
  */
 Tox.prototype._fixSendLosslessPacket = function(data){
   //160: magic byte
-  return buffertools.concat(new Buffer([160]), data);
+  return Buffer.concat([new Buffer([160]), data]);
 };
 
 /**
@@ -2288,7 +3070,7 @@ Tox.prototype._fixSendLosslessPacket = function(data){
  * @return {Buffer} new data
  */
 Tox.prototype._fixPacketBuffer = function(id, data) {
-  return buffertools.concat(new Buffer([id]), data);
+  return Buffer.concat([new Buffer([id]), data]);
 };
 
 /**
@@ -2297,23 +3079,17 @@ Tox.prototype._fixPacketBuffer = function(id, data) {
  * @private
  */
 Tox.prototype._initCrypto = function(opts) {
-  var crypto = opts['crypto'];
-  if(crypto === undefined || crypto === true) {
-    // If not given, use a default instance
-    this._crypto = new ToxEncryptSave();
-  } else if(crypto instanceof ToxEncryptSave) {
-    // If given an existing instance, use that
-    this._crypto = crypto;
-  } else if(_.isString(crypto) || _.isObject(crypto)) {
-    // If given an object or string, use it as the constructor opts
-    this._crypto = new ToxEncryptSave(crypto);
-  } else if(!crypto) {
-    // If something falsy, don't use
-    this._crypto = undefined;
-  } else {
-    // If something else, use a default instance
-    this._crypto = new ToxEncryptSave();
-  }
+  this._crypto = createCrypto(opts);
+};
+
+/**
+ * Stop autosaves created by Tox#autosave(), as there is nothing more to
+ * save once killed.
+ * @private
+ */
+Tox.prototype._stopAutosaves = function() {
+  _.invoke(this._autosaves, 'stop');
+  this._autosaves = [];
 };
 
 /**
@@ -2334,7 +3110,123 @@ Tox.prototype._initNew = function(options, data) {
 
   this._handle = this.getLibrary().tox_new(options, eptr);
 
-  errors.checkToxNewError(eptr.deref());
+  errors.checkToxNewError(eptr.deref(), 'tox_new');
+};
+
+/**
+ * Reset the iteration timing statistics.
+ * @private
+ * @return {Object} New stats object
+ */
+Tox.prototype._resetIterationStats = function() {
+  this._iterationStats = {
+    count: 0,
+    averageDuration: 0,
+    maxDuration: 0,
+    averageDrift: 0,
+    maxDrift: 0,
+    lastInterval: 0
+  };
+  return this._iterationStats;
+};
+
+/**
+ * Run a single iteration of the loop started by Tox#start(), record its
+ * timing and re-arm the timeout. The timeout is re-armed even if iterating
+ * or an event handler throws, so that the loop keeps running for as long as
+ * Tox#isStarted() says it is; the error is still thrown.
+ * @private
+ */
+Tox.prototype._runIteration = function() {
+  var started = getMilliseconds(),
+      drift = Math.max(0, started - this._iterationExpected),
+      interval;
+
+  try {
+    this.iterateSync();
+
+    var duration = getMilliseconds() - started;
+
+    // Handle may be gone if killed from within an event handler
+    if(this.hasHandle()) {
+      interval = this._getIterationInterval();
+      this._updateIterationStats(duration, drift, interval);
+      this._emit('iterate', new toxEvents.IterateEvent(duration, drift, interval));
+    }
+  } finally {
+    // Tox#stop() may have been called from within an event handler
+    if(this.isStarted()) {
+      if(!this.hasHandle()) {
+        this.stop();
+      } else {
+        this._scheduleIteration(interval !== undefined ? interval : this._getIterationInterval());
+      }
+    }
+  }
+};
+
+/**
+ * Get the milliseconds to wait until the next iteration of the loop
+ * started by Tox#start().
+ * @private
+ * @return {Number} milliseconds
+ */
+Tox.prototype._getIterationInterval = function() {
+  return (this._iterationWait !== undefined ? this._iterationWait
+                                            : this.iterationIntervalSync());
+};
+
+/**
+ * Schedule the next iteration of the loop started by Tox#start().
+ * @private
+ * @param {Number} delay - Milliseconds until the next iteration
+ */
+Tox.prototype._scheduleIteration = function(delay) {
+  var _this = this, timeout;
+  this._iterationExpected = getMilliseconds() + delay;
+  this._iterationTimeout = timeout = setTimeout(function() {
+    _this._whenIdle(function() {
+      // Loop may have been stopped (or restarted) while queued
+      if(_this._iterationTimeout === timeout) {
+        _this._runIteration();
+      }
+    });
+  }, delay);
+};
+
+/**
+ * Run a function through the call queue, so that synchronous library calls
+ * it makes never overlap a call running on the threadpool (and so don't
+ * throw CALL_IN_PROGRESS). Runs immediately if the queue is idle.
+ * @private
+ * @param {Function} func
+ */
+Tox.prototype._whenIdle = function(func) {
+  this._callQueue.push(function(done) {
+    try {
+      func();
+    } finally {
+      done();
+    }
+  });
+};
+
+/**
+ * Add a single iteration's timing to the iteration stats.
+ * @private
+ * @param {Number} duration - Milliseconds spent in iterateSync
+ * @param {Number} drift - Milliseconds the iteration ran late
+ * @param {Number} interval - Milliseconds until the next iteration
+ */
+Tox.prototype._updateIterationStats = function(duration, drift, interval) {
+  var stats = this._iterationStats,
+      count = stats.count + 1;
+  stats.averageDuration += (duration - stats.averageDuration) / count;
+  stats.averageDrift += (drift - stats.averageDrift) / count;
+  stats.maxDuration = Math.max(stats.maxDuration, duration);
+  stats.maxDrift = Math.max(stats.maxDrift, drift);
+  stats.lastInterval = interval;
+  stats.count = count;
 };
 
 /**
@@ -2393,12 +3285,17 @@ Tox.prototype._storeFFICallback = function(key, callback) {
 /**
  * Helper for node-ffi's Function to Callback.
  * @private
- * @param {ffi.Function} ffiFunc - Function definition
+ * @param {String} type - Name of the callback type, see getCallbackTypes()
  * @param {Function} callback - Callback function
  * @return {ffi.Callback} ffi callback
  */
-Tox.prototype._toFFICallback = function(ffiFunc, callback) {
-  return ffi.Callback(ffiFunc.retType, ffiFunc.argTypes, callback);
+Tox.prototype._toFFICallback = function(type, callback) {
+  // The mock library calls callbacks directly
+  if(this.isMock()) {
+    return callback;
+  }
+  var ffiFunc = getCallbackTypes()[type];
+  return native.ffi().Callback(ffiFunc.retType, ffiFunc.argTypes, callback);
 };
 
 
@@ -2413,6 +3310,7 @@ Tox.prototype._toFFICallback = function(ffiFunc, callback) {
  */
 Tox.prototype._performBootstrap = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       args = opts['args'],
       async = opts['async'], callback = opts['callback'],
       address = args[0], port = args[1], publicKey = args[2];
@@ -2420,7 +3318,7 @@ Tox.prototype._performBootstrap = function(opts) {
   // Fix address and public key
   address = new Buffer(address + '\0');
   if(_.isString(publicKey)) {
-    publicKey = (new Buffer(publicKey)).fromHex();
+    publicKey = fromHex(publicKey);
   }
 
   var eptr = ref.alloc(TOX_ERR_BOOTSTRAP);
@@ -2428,9 +3326,9 @@ Tox.prototype._performBootstrap = function(opts) {
   if(async) {
     if(!this._checkHandle(callback)) return;
     api(address, port, publicKey, eptr, function(err, success) {
-      var terr = errors.bootstrap(eptr.deref());
+      var terr = errors.bootstrap(eptr.deref(), fn);
       if(!err && terr) err = terr;
-      if(!err && !success) err = errors.unsuccessful();
+      if(!err && !success) err = errors.unsuccessful(fn);
       if(callback) {
         callback(err);
       }
@@ -2438,9 +3336,9 @@ Tox.prototype._performBootstrap = function(opts) {
   } else {
     this._checkHandleSync();
     var success = api(address, port, publicKey, eptr);
-    var err = errors.bootstrap(eptr.deref());
+    var err = errors.bootstrap(eptr.deref(), fn);
     if(err) throw err;
-    if(!success) throw errors.unsuccessful();
+    if(!success) throw errors.unsuccessful(fn);
   }
 };
 
@@ -2452,6 +3350,7 @@ Tox.prototype._performBootstrap = function(opts) {
  */
 Tox.prototype._performFriendGetter = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       friend = opts['friend'],
       raw = (opts['format'] === 'raw'),
       _size = opts['size'],
@@ -2472,9 +3371,9 @@ Tox.prototype._performFriendGetter = function(opts) {
         var buffer = new Buffer(size);
         buffer.fill(0);
         api(friend, buffer, eptr, function(err, success) {
-          var terr = errors.friendQuery(eptr.deref());
+          var terr = errors.friendQuery(eptr.deref(), fn);
           if(!err && terr) err = terr;
-          if(!err && !success) err = errors.unsuccessful();
+          if(!err && !success) err = errors.unsuccessful(fn);
           if(!err && !raw) buffer = buffer.toString('utf8');
           if(callback) {
             callback(err, buffer);
@@ -2490,9 +3389,9 @@ Tox.prototype._performFriendGetter = function(opts) {
     var buffer = new Buffer(size);
     buffer.fill(0);
     var success = api(friend, buffer, eptr);
-    var err = errors.friendQuery(eptr.deref());
+    var err = errors.friendQuery(eptr.deref(), fn);
     if(err) throw err;
-    if(!success) throw errors.unsuccessful();
+    if(!success) throw errors.unsuccessful(fn);
     if(!raw) buffer = buffer.toString('utf8');
     return buffer;
   }
@@ -2505,6 +3404,7 @@ Tox.prototype._performFriendGetter = function(opts) {
  */
 Tox.prototype._performFriendNumberGetter = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       friend = opts['friend'],
       async = opts['async'], callback = opts['callback'];
 
@@ -2513,7 +3413,7 @@ Tox.prototype._performFriendNumberGetter = function(opts) {
   if(async) {
     if(!this._checkHandle(callback)) return;
     api(friend, eptr, function(err, size) {
-      var terr = errors.friendQuery(eptr.deref());
+      var terr = errors.friendQuery(eptr.deref(), fn);
       if(!err && terr) err = terr;
       if(!err) size = Number(size);
       if(callback) {
@@ -2523,7 +3423,7 @@ Tox.prototype._performFriendNumberGetter = function(opts) {
   } else {
     this._checkHandleSync();
     var size = api(friend, eptr);
-    var err = errors.friendQuery(eptr.deref());
+    var err = errors.friendQuery(eptr.deref(), fn);
     if(err) throw err;
     return Number(size);
   }
@@ -2633,6 +3533,7 @@ Tox.prototype._performSizeGetter = function(opts) {
  */
 Tox.prototype._performSetter = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       data = opts['data'],
       errorCheck = opts['error'],
       async = opts['async'], callback = opts['callback'];
@@ -2646,9 +3547,9 @@ Tox.prototype._performSetter = function(opts) {
   if(async) {
     if(!this._checkHandle(callback)) return;
     api(data, size_t(data.length), eptr, function(err, success) {
-      var terr = errorCheck(eptr.deref());
+      var terr = errorCheck(eptr.deref(), fn);
       if(!err && terr) err = terr;
-      if(!err && !success) err = errors.unsuccessful();
+      if(!err && !success) err = errors.unsuccessful(fn);
       if(callback) {
         callback(err);
       }
@@ -2656,9 +3557,9 @@ Tox.prototype._performSetter = function(opts) {
   } else {
     this._checkHandleSync();
     var success = api(data, size_t(data.length), eptr),
-        err = errorCheck(eptr.deref());
+        err = errorCheck(eptr.deref(), fn);
     if(err) throw err;
-    if(!success) throw errors.unsuccessful();
+    if(!success) throw errors.unsuccessful(fn);
   }
 };
 
@@ -2669,6 +3570,7 @@ Tox.prototype._performSetter = function(opts) {
  */
 Tox.prototype._performSendPacket = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       data = opts['data'],
       friendnum = opts['friend'],
       async = opts['async'], callback = opts['callback'];
@@ -2678,9 +3580,9 @@ Tox.prototype._performSendPacket = function(opts) {
   if(async) {
     if(!this._checkHandle(callback)) return;
     api(friendnum, data, size_t(data.length), eptr, function(err, res) {
-      var terr = errors.friendCustomPacket(eptr.deref());
+      var terr = errors.friendCustomPacket(eptr.deref(), fn);
       if(!err && terr) err = terr;
-      if(!err && !res) err = errors.unsuccessful();
+      if(!err && !res) err = errors.unsuccessful(fn);
       if(callback) {
         callback(err);
       }
@@ -2688,9 +3590,9 @@ Tox.prototype._performSendPacket = function(opts) {
   } else {
     this._checkHandleSync();
     var success = api(friendnum, data, size_t(data.length), eptr),
-        err = errors.friendCustomPacket(eptr.deref());
+        err = errors.friendCustomPacket(eptr.deref(), fn);
     if(err) throw err;
-    if(!success) throw errors.unsuccessful();
+    if(!success) throw errors.unsuccessful(fn);
   }
 };
 
@@ -2700,6 +3602,7 @@ Tox.prototype._performSendPacket = function(opts) {
  */
 Tox.prototype._performGetPort = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       async = opts['async'], callback = opts['callback'];
 
   var eptr = ref.alloc(TOX_ERR_GET_PORT);
@@ -2707,7 +3610,7 @@ Tox.prototype._performGetPort = function(opts) {
   if(async) {
     if(!this._checkHandle(callback)) return;
     api(eptr, function(err, port) {
-      var terr = errors.getPort(eptr.deref());
+      var terr = errors.getPort(eptr.deref(), fn);
       if(!err && terr) err = terr;
       if(callback) {
         callback(err, port);
@@ -2716,7 +3619,7 @@ Tox.prototype._performGetPort = function(opts) {
   } else {
     this._checkHandleSync();
     var port = api(eptr);
-    var err = errors.getPort(eptr.deref());
+    var err = errors.getPort(eptr.deref(), fn);
     if(err) throw err;
     return port;
   }
@@ -2793,7 +3696,7 @@ Tox.prototype._initSelfConnectionStatusCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_self_connection_status.bind(undefined, this.getHandle()),
-    cb: SelfConnectionStatusCallback,
+    cb: 'SelfConnectionStatus',
     name: 'SelfConnectionStatus',
     wrapper: function(handle, connection, userdata) {
       _this._emit('selfConnectionStatus', new toxEvents.SelfConnectionStatusEvent(connection));
@@ -2809,11 +3712,12 @@ Tox.prototype._initFriendNameCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_name.bind(undefined, this.getHandle()),
-    cb: FriendNameCallback,
+    cb: 'FriendName',
     name: 'FriendName',
     wrapper: function(handle, friend, buffer, size, userdata) {
       var name = buffer.slice(0, size).toString();
-      _this._emit('friendName', new toxEvents.FriendNameEvent(friend, name));
+      _this._emit('friendName', new toxEvents.FriendNameEvent(friend, name,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2826,11 +3730,12 @@ Tox.prototype._initFriendStatusMessageCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_status_message.bind(undefined, this.getHandle()),
-    cb: FriendStatusMessageCallback,
+    cb: 'FriendStatusMessage',
     name: 'FriendStatusMessage',
     wrapper: function(handle, friend, buffer, size, userdata) {
       var statusMessage = buffer.slice(0, size).toString();
-      _this._emit('friendStatusMessage', new toxEvents.FriendStatusMessageEvent(friend, statusMessage));
+      _this._emit('friendStatusMessage', new toxEvents.FriendStatusMessageEvent(friend, statusMessage,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2843,10 +3748,11 @@ Tox.prototype._initFriendStatusCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_status.bind(undefined, this.getHandle()),
-    cb: FriendStatusCallback,
+    cb: 'FriendStatus',
     name: 'FriendStatus',
     wrapper: function(handle, friend, status, userdata) {
-      _this._emit('friendStatus', new toxEvents.FriendStatusEvent(friend, status));
+      _this._emit('friendStatus', new toxEvents.FriendStatusEvent(friend, status,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2859,10 +3765,11 @@ Tox.prototype._initFriendConnectionStatusCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_connection_status.bind(undefined, this.getHandle()),
-    cb: FriendConnectionStatusCallback,
+    cb: 'FriendConnectionStatus',
     name: 'FriendConnectionStatus',
     wrapper: function(handle, friend, connection, userdata) {
-      _this._emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friend, connection));
+      _this._emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friend, connection,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2875,10 +3782,11 @@ Tox.prototype._initFriendTypingCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_typing.bind(undefined, this.getHandle()),
-    cb: FriendTypingCallback,
+    cb: 'FriendTyping',
     name: 'FriendTypingStatus',
     wrapper: function(handle, friend, typing, userdata) {
-      _this._emit('friendTyping', new toxEvents.FriendTypingEvent(friend, typing));
+      _this._emit('friendTyping', new toxEvents.FriendTypingEvent(friend, typing,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2891,10 +3799,11 @@ Tox.prototype._initFriendReadReceiptCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_read_receipt.bind(undefined, this.getHandle()),
-    cb: FriendReadReceiptCallback,
+    cb: 'FriendReadReceipt',
     name: 'FriendReadReceiptStatus',
     wrapper: function(handle, friend, receipt, userdata) {
-      _this._emit('friendReadReceipt', new toxEvents.FriendReadReceiptEvent(friend, receipt));
+      _this._emit('friendReadReceipt', new toxEvents.FriendReadReceiptEvent(friend, receipt,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2907,7 +3816,7 @@ Tox.prototype._initFriendRequestCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_request.bind(undefined, this.getHandle()),
-    cb: FriendRequestCallback,
+    cb: 'FriendRequest',
     name: 'FriendRequestStatus',
     wrapper: function(handle, publicKey, data, size, userdata) {
       publicKey = new Buffer(publicKey); // Copy into persistent Buffer
@@ -2925,11 +3834,12 @@ Tox.prototype._initFriendMessageCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_message.bind(undefined, this.getHandle()),
-    cb: FriendMessageCallback,
+    cb: 'FriendMessage',
     name: 'FriendMessage',
     wrapper: function(handle, friend, type, data, size, userdata) {
       var message = data.slice(0, size).toString();
-      _this._emit('friendMessage', new toxEvents.FriendMessageEvent(friend, type, message));
+      _this._emit('friendMessage', new toxEvents.FriendMessageEvent(friend, type, message,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2942,10 +3852,11 @@ Tox.prototype._initFileRecvControlCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_file_recv_control.bind(undefined, this.getHandle()),
-    cb: FileRecvControlCallback,
+    cb: 'FileRecvControl',
     name: 'FileRecvControlCallback',
     wrapper: function(handle, friend, file, control, userdata) {
-      _this._emit('fileRecvControl', new toxEvents.FileRecvControlEvent(friend, file, control));
+      _this._emit('fileRecvControl', new toxEvents.FileRecvControlEvent(friend, file, control,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2958,10 +3869,11 @@ Tox.prototype._initFileChunkRequestCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_file_chunk_request.bind(undefined, this.getHandle()),
-    cb: FileChunkRequestCallback,
+    cb: 'FileChunkRequest',
     name: 'FileChunkRequestCallback',
     wrapper: function(handle, friend, file, position, length, userdata) {
-      _this._emit('fileChunkRequest', new toxEvents.FileChunkRequestEvent(friend, file, position, length));
+      _this._emit('fileChunkRequest', new toxEvents.FileChunkRequestEvent(friend, file, position, length,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2974,7 +3886,7 @@ Tox.prototype._initFileRecvCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_file_recv.bind(undefined, this.getHandle()),
-    cb: FileRecvCallback,
+    cb: 'FileRecv',
     name: 'FileRecvCallback',
     wrapper: function(handle, friend, file, kind, size, filename, length, userdata) {
       // Filename might be NULL, probably if file kind is AVATAR or non-DATA
@@ -2983,7 +3895,8 @@ Tox.prototype._initFileRecvCb = function() {
       } else {
         filename = undefined;
       }
-      _this._emit('fileRecv', new toxEvents.FileRecvEvent(friend, file, kind, size, filename));
+      _this._emit('fileRecv', new toxEvents.FileRecvEvent(friend, file, kind, size, filename,
+        _this._transfers, _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -2996,7 +3909,7 @@ Tox.prototype._initFileRecvChunkCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_file_recv_chunk.bind(undefined, this.getHandle()),
-    cb: FileRecvChunkCallback,
+    cb: 'FileRecvChunk',
     name: 'FileRecvChunkCallback',
     wrapper: function(handle, friend, file, position, data, size, userdata) {
       // Apparently data can sometimes be a NULL pointer, set data to undefined if so
@@ -3006,7 +3919,8 @@ Tox.prototype._initFileRecvChunkCb = function() {
       } else {
         data = undefined;
       }
-      _this._emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friend, file, position, data));
+      _this._emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friend, file, position, data,
+        _this.friends.getPublicKey(friend)));
     }
   });
 };
@@ -3019,7 +3933,7 @@ Tox.prototype._initFriendLosslessPacketCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_lossless_packet.bind(undefined, this.getHandle()),
-    cb: FriendLosslessPacketCallback,
+    cb: 'FriendLosslessPacket',
     name: 'FriendLosslessPacketCallback',
     wrapper: function(handle, friend, data, length, userdata) {
       //if(ref.address(data) !== 0) {
@@ -3033,7 +3947,8 @@ Tox.prototype._initFriendLosslessPacketCb = function() {
       } else {
         data = undefined;
       }
-      _this._emit('friendLosslessPacket', new toxEvents.FriendPacketEvent(friend, data, true));
+      _this._emit('friendLosslessPacket', new toxEvents.FriendPacketEvent(friend, data, true,
+        _this.friends.getPublicKey(friend)));
     }
   });
 }
@@ -3046,7 +3961,7 @@ Tox.prototype._initFriendLossyPacketCb = function() {
   var _this = this;
   this._initCallback({
     api: this.getLibrary().tox_callback_friend_lossy_packet.bind(undefined, this.getHandle()),
-    cb: FriendLossyPacketCallback,
+    cb: 'FriendLossyPacket',
     name: 'FriendLossyPacketCallback',
     wrapper: function(handle, friend, data, length, userdata) {
       if(ref.address(data) !== 0) {
@@ -3054,7 +3969,8 @@ Tox.prototype._initFriendLossyPacketCb = function() {
       } else {
         data = undefined;
       }
-      _this._emit('friendLossyPacket', new toxEvents.FriendPacketEvent(friend, data, false));
+      _this._emit('friendLossyPacket', new toxEvents.FriendPacketEvent(friend, data, false,
+        _this.friends.getPublicKey(friend)));
     }
   });
 }
@@ -3126,4 +4042,13 @@ Tox.prototype._initFriendLossyPacketCb = function() {
  * @param {Tox} tox
  */
 
+util.definePromises(Tox);
+
+/**
+ * Promise-returning versions of the static Tox methods.
+ */
+Tox.promises = {
+  load: util.promisify(Tox.load, Tox)
+};
+
 module.exports = Tox;
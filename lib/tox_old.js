@@ -36,6 +36,7 @@ buffertools.extend();
 // @todo Copy/change path when those files are gone
 var consts = require(path.join(__dirname, 'consts'));
 var errors = require(path.join(__dirname, 'old', 'errors'));
+var eventIterator = require(path.join(__dirname, 'eventiterator'));
 var toxEvents = require(path.join(__dirname, 'old', 'events'));
 var util = require(path.join(__dirname, 'util'));
 
@@ -87,7 +88,9 @@ var ToxOld = function(opts) {
   this._emitter = new events.EventEmitter();
   this._libpath = opts.path;
   this._tox = opts.tox;
-  this._library = this.createLibrary(this._libpath);
+  // Share the parent's call queue, as both use the same handle
+  this._library = this._tox.getCallQueue().wrapLibrary(this.createLibrary(this._libpath),
+                                                       ToxOld.prototype._checkQueuedCall.bind(this));
   this._initCallbacks();
 };
 
@@ -825,6 +828,14 @@ ToxOld.prototype.hasHandle = function() {
   return !!this.getHandle();
 };
 
+/**
+ * Get an async iterable of the events of a name.
+ * @copied from tox.js
+ */
+ToxOld.prototype.events = function(name, opts) {
+  return new eventIterator.EventIterator(this, name, opts);
+};
+
 /**
  * Wrapper method for _emitter.removeListener.
  * @copied from tox.js
@@ -841,6 +852,14 @@ ToxOld.prototype.on = function() {
   this._emitter.on.apply(this._emitter, arguments);
 };
 
+/**
+ * Wait for the next event of a name.
+ * @copied from tox.js
+ */
+ToxOld.prototype.once = function(name, predicate, opts) {
+  return eventIterator.once(this, name, predicate, opts);
+};
+
 
 //////////////////////////
 //> Private helper methods
@@ -884,6 +903,18 @@ ToxOld.prototype._checkHandleSync = function() {
   }
 };
 
+/**
+ * Guard for queued library calls.
+ * @private
+ * @param {String} name - Name of the library function
+ * @param {Array} args - Arguments of the call
+ * @return {Error} Error if the call should not be made, undefined otherwise
+ * @see Tox#_checkQueuedCall
+ */
+ToxOld.prototype._checkQueuedCall = function(name, args) {
+  return this.tox()._checkQueuedCall(name, args);
+};
+
 /**
  * Wrapper method for _emitter.emit.
  * @private
@@ -1040,4 +1071,6 @@ ToxOld.prototype._initGroupTitleCb = function() {
   });
 };
 
+util.definePromises(ToxOld);
+
 module.exports = ToxOld;
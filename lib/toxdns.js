@@ -361,4 +361,6 @@ ToxDns.prototype.decryptSync = function(record, requestId) {
  * @param {String} value
  */
 
+_util.definePromises(ToxDns, ['resolve', 'resolveHex']);
+
 module.exports = ToxDns;
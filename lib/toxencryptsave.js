@@ -26,6 +26,7 @@ var _ = require('underscore');
 
 var consts = require(path.join(__dirname, 'consts'));
 var errors = require(path.join(__dirname, 'errors'));
+var util = require(path.join(__dirname, 'util'));
 
 var ToxPassKey = RefStruct({
   'salt': RefArray('uint8', consts.TOX_PASS_SALT_LENGTH),
@@ -86,9 +87,9 @@ ToxEncryptSave.prototype.decrypt = function(data, pass, callback) {
   var eptr = ref.alloc(TOX_ERR_DECRYPTION),
       out = new Buffer(data.length - consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH);
   this.getLibrary().tox_pass_decrypt.async(data, data.length, pass, pass.length, out, eptr, function(err, success) {
-    var terr = errors.decryption(eptr.deref());
+    var terr = errors.decryption(eptr.deref(), 'tox_pass_decrypt');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_pass_decrypt');
     if(callback) {
       callback(err, out);
     }
@@ -106,9 +107,9 @@ ToxEncryptSave.prototype.decryptSync = function(data, pass) {
   var eptr = ref.alloc(TOX_ERR_DECRYPTION),
       out = new Buffer(data.length - consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       success = this.getLibrary().tox_pass_decrypt(data, data.length, pass, pass.length, out, eptr);
-  var err = errors.decryption(eptr.deref());
+  var err = errors.decryption(eptr.deref(), 'tox_pass_decrypt');
   if(err) throw err;
-  else if(!success) throw errors.unsuccessful();
+  else if(!success) throw errors.unsuccessful('tox_pass_decrypt');
   return out;
 };
 
@@ -123,9 +124,9 @@ ToxEncryptSave.prototype.encrypt = function(data, pass, callback) {
   var eptr = ref.alloc(TOX_ERR_ENCRYPTION),
       out = new Buffer(data.length + consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH);
   this.getLibrary().tox_pass_encrypt.async(data, data.length, pass, pass.length, out, eptr, function(err, success) {
-    var terr = errors.encryption(eptr.deref());
+    var terr = errors.encryption(eptr.deref(), 'tox_pass_encrypt');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_pass_encrypt');
     if(callback) {
       callback(err, out);
     }
@@ -143,9 +144,9 @@ ToxEncryptSave.prototype.encryptSync = function(data, pass) {
   var eptr = ref.alloc(TOX_ERR_ENCRYPTION),
       out = new Buffer(data.length + consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       success = this.getLibrary().tox_pass_encrypt(data, data.length, pass, pass.length, out, eptr);
-  var err = errors.encryption(eptr.deref());
+  var err = errors.encryption(eptr.deref(), 'tox_pass_encrypt');
   if(err) throw err;
-  else if(!success) throw errors.unsuccessful();
+  else if(!success) throw errors.unsuccessful('tox_pass_encrypt');
   return out;
 };
 
@@ -157,7 +158,7 @@ ToxEncryptSave.prototype.encryptSync = function(data, pass) {
 ToxEncryptSave.prototype.getSalt = function(data, callback) {
   var salt = new Buffer(consts.TOX_PASS_SALT_LENGTH);
   this.getLibrary().tox_get_salt.async(data, salt, function(err, success) {
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_get_salt');
     if(callback) {
       callback(err, salt);
     }
@@ -172,7 +173,7 @@ ToxEncryptSave.prototype.getSalt = function(data, callback) {
 ToxEncryptSave.prototype.getSaltSync = function(data) {
   var salt = new Buffer(consts.TOX_PASS_SALT_LENGTH),
       success = this.getLibrary().tox_get_salt(data, salt);
-  if(!success) throw errors.unsuccessful();
+  if(!success) throw errors.unsuccessful('tox_get_salt');
   return salt;
 };
 
@@ -205,6 +206,7 @@ ToxEncryptSave.prototype.isDataEncryptedSync = function(data) {
  */
 ToxEncryptSave.prototype.deriveKeyFromPass = function(pass, callback) {
   this._performDerive({
+    fn: 'tox_derive_key_from_pass',
     api: this.getLibrary().tox_derive_key_from_pass.async,
     pass: pass,
     useSalt: false,
@@ -219,6 +221,7 @@ ToxEncryptSave.prototype.deriveKeyFromPass = function(pass, callback) {
  */
 ToxEncryptSave.prototype.deriveKeyFromPassSync = function(pass) {
   return this._performDerive({
+    fn: 'tox_derive_key_from_pass',
     api: this.getLibrary().tox_derive_key_from_pass,
     pass: pass,
     useSalt: false,
@@ -234,6 +237,7 @@ ToxEncryptSave.prototype.deriveKeyFromPassSync = function(pass) {
  */
 ToxEncryptSave.prototype.deriveKeyWithSalt = function(pass, salt, callback) {
   this._performDerive({
+    fn: 'tox_derive_key_with_salt',
     api: this.getLibrary().tox_derive_key_with_salt.async,
     pass: pass,
     salt: salt, useSalt: true,
@@ -249,6 +253,7 @@ ToxEncryptSave.prototype.deriveKeyWithSalt = function(pass, salt, callback) {
  */
 ToxEncryptSave.prototype.deriveKeyWithSaltSync = function(pass, salt) {
   return this._performDerive({
+    fn: 'tox_derive_key_with_salt',
     api: this.getLibrary().tox_derive_key_with_salt,
     pass: pass,
     salt: salt, useSalt: true,
@@ -266,9 +271,9 @@ ToxEncryptSave.prototype.encryptPassKey = function(data, passKey, callback) {
   var out = new Buffer(data.length + consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       eptr = ref.alloc(TOX_ERR_ENCRYPTION);
   this.getLibrary().tox_pass_key_encrypt.async(data, data.length, passKey.ref(), out, eptr, function(err, success) {
-    var terr = errors.encryption(eptr.deref());
+    var terr = errors.encryption(eptr.deref(), 'tox_pass_key_encrypt');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_pass_key_encrypt');
     if(callback) {
       callback(err, out);
     }
@@ -285,9 +290,9 @@ ToxEncryptSave.prototype.encryptPassKeySync = function(data, passKey) {
   var out = new Buffer(data.length + consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       eptr = ref.alloc(TOX_ERR_ENCRYPTION),
       success = this.getLibrary().tox_pass_key_encrypt(data, data.length, passKey.ref(), out, eptr);
-  var err = errors.encryption(eptr.deref());
+  var err = errors.encryption(eptr.deref(), 'tox_pass_key_encrypt');
   if(err) throw err;
-  else if(!success) throw errors.unsuccessful();
+  else if(!success) throw errors.unsuccessful('tox_pass_key_encrypt');
   return out;
 };
 
@@ -301,9 +306,9 @@ ToxEncryptSave.prototype.decryptPassKey = function(data, passKey, callback) {
   var out = new Buffer(data.length - consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       eptr = ref.alloc(TOX_ERR_DECRYPTION);
   this.getLibrary().tox_pass_key_decrypt.async(data, data.length, passKey.ref(), out, eptr, function(err, success) {
-    var terr = errors.decryption(eptr.deref());
+    var terr = errors.decryption(eptr.deref(), 'tox_pass_key_decrypt');
     if(!err && terr) err = terr;
-    if(!err && !success) err = errors.unsuccessful();
+    if(!err && !success) err = errors.unsuccessful('tox_pass_key_decrypt');
     if(callback) {
       callback(err, out);
     }
@@ -320,9 +325,9 @@ ToxEncryptSave.prototype.decryptPassKeySync = function(data, passKey) {
   var out = new Buffer(data.length - consts.TOX_PASS_ENCRYPTION_EXTRA_LENGTH),
       eptr = ref.alloc(TOX_ERR_DECRYPTION),
       success = this.getLibrary().tox_pass_key_decrypt(data, data.length, passKey.ref(), out, eptr);
-  var err = errors.decryption(eptr.deref());
+  var err = errors.decryption(eptr.deref(), 'tox_pass_key_decrypt');
   if(err) throw err;
-  else if(!success) throw errors.unsuccessful();
+  else if(!success) throw errors.unsuccessful('tox_pass_key_decrypt');
   return out;
 };
 
@@ -396,6 +401,7 @@ ToxEncryptSave.prototype.getLibrary = function() {
  */
 ToxEncryptSave.prototype._performDerive = function(opts) {
   var api = opts['api'],
+      fn = opts['fn'],
       pass = opts['pass'],
       salt = opts['salt'], useSalt = opts['useSalt'],
       async = opts['async'], callback = opts['callback'];
@@ -412,9 +418,9 @@ ToxEncryptSave.prototype._performDerive = function(opts) {
 
   if(async) {
     api(function(err, success) {
-      var terr = errors.keyDerivation(eptr.deref());
+      var terr = errors.keyDerivation(eptr.deref(), fn);
       if(!err && terr) err = terr;
-      if(!err && !success) err = errors.unsuccessful();
+      if(!err && !success) err = errors.unsuccessful(fn);
       if(callback) {
         if(!err) {
           callback(err, out.deref());
@@ -425,9 +431,9 @@ ToxEncryptSave.prototype._performDerive = function(opts) {
     });
   } else {
     var success = api(),
-        err = errors.keyDerivation(eptr.deref());
+        err = errors.keyDerivation(eptr.deref(), fn);
     if(err) throw err;
-    else if(!success) throw errors.unsuccessful();
+    else if(!success) throw errors.unsuccessful(fn);
     return out.deref();
   }
 };
@@ -453,4 +459,6 @@ ToxEncryptSave.prototype._performDerive = function(opts) {
  * @param {ToxPassKey} passKey - ToxPassKey struct to use in other ToxEncryptSave methods
  */
 
+util.definePromises(ToxEncryptSave);
+
 module.exports = ToxEncryptSave;
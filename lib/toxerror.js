@@ -18,7 +18,169 @@
 
 "use strict";
 
+var path = require('path');
 var util = require('util');
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * Error families, mapping each error type to the name of its subclass.
+ */
+var FAMILIES = {
+    TOX_ERR_BOOTSTRAP: 'BootstrapError',
+    TOX_ERR_DECRYPTION: 'DecryptionError',
+    TOX_ERR_ENCRYPTION: 'EncryptionError',
+    TOX_ERR_FILE_CONTROL: 'FileControlError',
+    TOX_ERR_FILE_GET: 'FileGetError',
+    TOX_ERR_FILE_SEEK: 'FileSeekError',
+    TOX_ERR_FILE_SEND: 'FileSendError',
+    TOX_ERR_FILE_SEND_CHUNK: 'FileSendChunkError',
+    TOX_ERR_FRIEND_ADD: 'FriendAddError',
+    TOX_ERR_FRIEND_BY_PUBLIC_KEY: 'FriendByPublicKeyError',
+    TOX_ERR_FRIEND_CUSTOM_PACKET: 'FriendCustomPacketError',
+    TOX_ERR_FRIEND_DELETE: 'FriendDeleteError',
+    TOX_ERR_FRIEND_GET_LAST_ONLINE: 'FriendGetLastOnlineError',
+    TOX_ERR_FRIEND_GET_PUBLIC_KEY: 'FriendGetPublicKeyError',
+    TOX_ERR_FRIEND_QUERY: 'FriendQueryError',
+    TOX_ERR_FRIEND_SEND_MESSAGE: 'FriendSendMessageError',
+    TOX_ERR_GET_PORT: 'GetPortError',
+    TOX_ERR_KEY_DERIVATION: 'KeyDerivationError',
+    TOX_ERR_NEW: 'NewError',
+    TOX_ERR_OPTIONS_NEW: 'OptionsNewError',
+    TOX_ERR_SET_INFO: 'SetInfoError',
+    TOX_ERR_SET_TYPING: 'SetTypingError',
+    TOX_FUNC_RETURNED_UNSUCCESSFUL: 'UnsuccessfulError'
+};
+
+/**
+ * Human-readable messages of error code names.
+ */
+var MESSAGES = {
+    TOX_ERR_BOOTSTRAP_NULL: 'An argument was null',
+    TOX_ERR_BOOTSTRAP_BAD_HOST: 'The address could not be resolved to an IP address, or the IP address passed was invalid',
+    TOX_ERR_BOOTSTRAP_BAD_PORT: 'The port passed was invalid',
+
+    TOX_ERR_DECRYPTION_NULL: 'An argument was null',
+    TOX_ERR_DECRYPTION_INVALID_LENGTH: 'The input data was shorter than the encryption header',
+    TOX_ERR_DECRYPTION_BAD_FORMAT: 'The input data is missing the magic number or is corrupted',
+    TOX_ERR_DECRYPTION_KEY_DERIVATION_FAILED: 'The passphrase could not be turned into a key',
+    TOX_ERR_DECRYPTION_FAILED: 'The encrypted data is corrupted or the passphrase is wrong',
+
+    TOX_ERR_ENCRYPTION_NULL: 'An argument was null',
+    TOX_ERR_ENCRYPTION_KEY_DERIVATION_FAILED: 'The passphrase could not be turned into a key',
+    TOX_ERR_ENCRYPTION_FAILED: 'The encryption itself failed',
+
+    TOX_ERR_FILE_CONTROL_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FILE_CONTROL_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FILE_CONTROL_NOT_FOUND: 'No file transfer with the given file number was found for the given friend',
+    TOX_ERR_FILE_CONTROL_NOT_PAUSED: 'A resume was sent, but the file transfer is running normally',
+    TOX_ERR_FILE_CONTROL_DENIED: 'A resume was sent, but the file transfer was paused by the other party',
+    TOX_ERR_FILE_CONTROL_ALREADY_PAUSED: 'A pause was sent, but the file transfer was already paused',
+    TOX_ERR_FILE_CONTROL_SENDQ: 'Packet queue is full',
+
+    TOX_ERR_FILE_GET_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FILE_GET_NOT_FOUND: 'No file transfer with the given file number was found for the given friend',
+
+    TOX_ERR_FILE_SEEK_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FILE_SEEK_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FILE_SEEK_NOT_FOUND: 'No file transfer with the given file number was found for the given friend',
+    TOX_ERR_FILE_SEEK_DENIED: 'The file transfer was already started',
+    TOX_ERR_FILE_SEEK_INVALID_POSITION: 'The seek position was invalid',
+    TOX_ERR_FILE_SEEK_SENDQ: 'Packet queue is full',
+
+    TOX_ERR_FILE_SEND_NULL: 'An argument was null',
+    TOX_ERR_FILE_SEND_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FILE_SEND_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FILE_SEND_NAME_TOO_LONG: 'The filename is too long',
+    TOX_ERR_FILE_SEND_TOO_MANY: 'Too many ongoing transfers with the friend',
+
+    TOX_ERR_FILE_SEND_CHUNK_NULL: 'The data was null with a non-zero length',
+    TOX_ERR_FILE_SEND_CHUNK_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FILE_SEND_CHUNK_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FILE_SEND_CHUNK_NOT_FOUND: 'No file transfer with the given file number was found for the given friend',
+    TOX_ERR_FILE_SEND_CHUNK_NOT_TRANSFERRING: 'The file transfer is not in a transferring state',
+    TOX_ERR_FILE_SEND_CHUNK_INVALID_LENGTH: 'The chunk length is invalid for the requested chunk',
+    TOX_ERR_FILE_SEND_CHUNK_SENDQ: 'Packet queue is full',
+    TOX_ERR_FILE_SEND_CHUNK_WRONG_POSITION: 'The position does not match the requested chunk',
+
+    TOX_ERR_FRIEND_ADD_NULL: 'An argument was null',
+    TOX_ERR_FRIEND_ADD_TOO_LONG: 'The friend request message was too long',
+    TOX_ERR_FRIEND_ADD_NO_MESSAGE: 'The friend request message was empty',
+    TOX_ERR_FRIEND_ADD_OWN_KEY: 'The address is our own address',
+    TOX_ERR_FRIEND_ADD_ALREADY_SENT: 'A friend request was already sent, or the friend is already in the friend list',
+    TOX_ERR_FRIEND_ADD_BAD_CHECKSUM: 'The address checksum failed',
+    TOX_ERR_FRIEND_ADD_SET_NEW_NOSPAM: 'The friend was already there, but the nospam value was different',
+    TOX_ERR_FRIEND_ADD_MALLOC: 'A memory allocation failed when trying to increase the friend list size',
+
+    TOX_ERR_FRIEND_BY_PUBLIC_KEY_NULL: 'An argument was null',
+    TOX_ERR_FRIEND_BY_PUBLIC_KEY_NOT_FOUND: 'No friend with the given public key exists on the friend list',
+
+    TOX_ERR_FRIEND_CUSTOM_PACKET_NULL: 'An argument was null',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_FRIEND_NOT_FOUND: 'The friend number passed did not designate a valid friend',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_INVALID: 'The first byte of data was not in the range allowed for the packet type',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_EMPTY: 'The packet data was empty',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_TOO_LONG: 'The packet data was too long',
+    TOX_ERR_FRIEND_CUSTOM_PACKET_SENDQ: 'Packet queue is full',
+
+    TOX_ERR_FRIEND_DELETE_FRIEND_NOT_FOUND: 'There was no friend with the given friend number',
+
+    TOX_ERR_FRIEND_GET_LAST_ONLINE_FRIEND_NOT_FOUND: 'No friend with the given number exists on the friend list',
+
+    TOX_ERR_FRIEND_GET_PUBLIC_KEY_FRIEND_NOT_FOUND: 'No friend with the given number exists on the friend list',
+
+    TOX_ERR_FRIEND_QUERY_NULL: 'An argument was null',
+    TOX_ERR_FRIEND_QUERY_FRIEND_NOT_FOUND: 'The friend number did not designate a valid friend',
+
+    TOX_ERR_FRIEND_SEND_MESSAGE_NULL: 'An argument was null',
+    TOX_ERR_FRIEND_SEND_MESSAGE_FRIEND_NOT_FOUND: 'The friend number did not designate a valid friend',
+    TOX_ERR_FRIEND_SEND_MESSAGE_FRIEND_NOT_CONNECTED: 'The friend is not connected',
+    TOX_ERR_FRIEND_SEND_MESSAGE_SENDQ: 'An allocation error occurred while increasing the send queue size',
+    TOX_ERR_FRIEND_SEND_MESSAGE_TOO_LONG: 'The message was too long',
+    TOX_ERR_FRIEND_SEND_MESSAGE_EMPTY: 'The message was empty',
+
+    TOX_ERR_GET_PORT_NOT_BOUND: 'The instance was not bound to any port',
+
+    TOX_ERR_KEY_DERIVATION_NULL: 'An argument was null',
+    TOX_ERR_KEY_DERIVATION_FAILED: 'The crypto library could not allocate enough memory for the key derivation',
+
+    TOX_ERR_NEW_NULL: 'An argument was null',
+    TOX_ERR_NEW_MALLOC: 'Could not allocate enough memory for the instance',
+    TOX_ERR_NEW_PORT_ALLOC: 'Could not bind to a port',
+    TOX_ERR_NEW_PROXY_TYPE: 'The proxy type was invalid',
+    TOX_ERR_NEW_PROXY_BAD_HOST: 'The proxy address was invalid',
+    TOX_ERR_NEW_PROXY_BAD_PORT: 'The proxy port was invalid',
+    TOX_ERR_NEW_PROXY_NOT_FOUND: 'The proxy address could not be resolved',
+    TOX_ERR_NEW_LOAD_ENCRYPTED: 'The savedata is encrypted',
+    TOX_ERR_NEW_LOAD_DECRYPTION_FAILED: 'The savedata could not be decrypted',
+    TOX_ERR_NEW_LOAD_BAD_FORMAT: 'The savedata format is invalid',
+
+    TOX_ERR_OPTIONS_NEW_MALLOC: 'The function failed to allocate enough memory for the options struct',
+
+    TOX_ERR_SET_INFO_NULL: 'An argument was null',
+    TOX_ERR_SET_INFO_TOO_LONG: 'Information length exceeded maximum permissible size',
+
+    TOX_ERR_SET_TYPING_FRIEND_NOT_FOUND: 'The friend number did not designate a valid friend'
+};
+
+/**
+ * Get the name of the constant of an error code, if any. Constants of
+ * families with a longer type sharing the prefix (TOX_ERR_FILE_SEND_CHUNK
+ * for TOX_ERR_FILE_SEND) are not considered.
+ * @private
+ * @param {String} type - Error type
+ * @param {Number} code - Error code
+ * @return {String} constant name, or undefined if none
+ */
+var getCodeName = function(type, code) {
+    var others = Object.keys(FAMILIES).filter(function(family) {
+        return family !== type && family.indexOf(type + '_') === 0;
+    });
+
+    return Object.keys(consts).filter(function(name) {
+        return name.indexOf(type + '_') === 0 && consts[name] === code &&
+            !others.some(function(family) { return name.indexOf(family + '_') === 0; });
+    })[0];
+};
 
 /**
  * Creates a ToxError instance
@@ -26,15 +188,67 @@ var util = require('util');
  * @param {String} type of error
  * @param {Number} code of type
  * @param {String} message of error
+ * @param {String} fn - Name of the libtoxcore function which failed
+ * @property {String} codeName - Name of the code constant, for example
+ *           TOX_ERR_FRIEND_ADD_ALREADY_SENT
  */
-function ToxError(type, code, message) {
+function ToxError(type, code, message, fn) {
     this.name = "ToxError";
     this.type = ( type || "ToxError" );
     this.code = ( code || 0 ); // 0 = unsuccessful
-    this.message = ( message || (this.type + ": " + this.code) );
-    Error.captureStackTrace(this, ToxError);
+    this.codeName = getCodeName(this.type, this.code);
+    this.fn = fn;
+    this.message = ( message || this._defaultMessage() );
+    Error.captureStackTrace(this, this.constructor);
 }
 
 util.inherits(ToxError, Error);
 
+/**
+ * Build the default message from the function name, code name and its
+ * description.
+ * @private
+ * @return {String} message
+ */
+ToxError.prototype._defaultMessage = function() {
+    var message = ( this.codeName || (this.type + ": " + this.code) );
+    if (MESSAGES[this.codeName]) {
+        message += ": " + MESSAGES[this.codeName];
+    }
+    if (this.fn) {
+        message = this.fn + ": " + message;
+    }
+    return message;
+};
+
+/**
+ * Create the ToxError subclass of an error family.
+ * @private
+ * @param {String} name - Class name
+ * @param {String} type - Error type of the family
+ * @return {Function} class, constructed with a code, optional message and
+ *                    optional function name
+ */
+var createSubclass = function(name, type) {
+    var Subclass = function(code, message, fn) {
+        ToxError.call(this, type, code, message, fn);
+        this.name = name;
+    };
+    util.inherits(Subclass, ToxError);
+    return Subclass;
+};
+
+Object.keys(FAMILIES).forEach(function(type) {
+    ToxError[FAMILIES[type]] = createSubclass(FAMILIES[type], type);
+});
+
+/**
+ * Get the ToxError subclass of an error type.
+ * @param {String} type - Error type, for example TOX_ERR_FRIEND_ADD
+ * @return {Function} subclass, or undefined if none
+ */
+ToxError.getClass = function(type) {
+    return ToxError[FAMILIES[type]];
+};
+
 exports = module.exports = ToxError;
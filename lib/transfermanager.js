@@ -0,0 +1,522 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file transfermanager.js - Resumable file transfers
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var _util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var Persistent = require(path.join(__dirname, 'persistent'));
+var toxEvents = require(path.join(__dirname, 'events'));
+var util = require(path.join(__dirname, 'util'));
+
+/**
+ * Creates a TransferManager, which keeps track of file transfers by file id
+ * so that they can be resumed after being interrupted, such as by a friend
+ * disconnecting. Files being received are written to disk, and how much of
+ * each has been written is saved. When a friend offers a file again with
+ * the same file id, the transfer is seeked to where it left off instead of
+ * starting over. Files being sent are offered again, with the same file id,
+ * when the friend reconnects.
+ * @class
+ * @param {Object} opts
+ * @param {Tox} opts.tox - Tox instance to transfer files with
+ * @param {String} [opts.path] - Path of a file to persist transfer state to
+ * @param {Number} [opts.saveInterval=1000] - Milliseconds between saves of
+ *                                            the progress of incoming files
+ */
+var TransferManager = function(opts) {
+  Persistent.call(this, opts, 'state');
+  this._saveInterval = (opts.saveInterval !== undefined ? opts.saveInterval : 1000);
+  this._incoming = {};
+  this._outgoing = {};
+  this._active = {};
+
+  this._loadInitial();
+  this._initEvents();
+  this.flush();
+};
+
+_util.inherits(TransferManager, Persistent);
+
+/**
+ * Accept a file offered by a friend, writing it to a file. If the offer is
+ * for a file previously interrupted (see TransferManager#isResumable()),
+ * the transfer is resumed from where it left off, and the transfer
+ * already resuming it is returned.
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @param {String} filepath - Path to write the file to
+ * @return {IncomingTransfer} transfer
+ */
+TransferManager.prototype.receive = function(e, filepath) {
+  var friend = this._getFriend(e.friend());
+  if(!friend) {
+    throw new Error('Unknown friend');
+  }
+
+  var fileId = this._getFileId(e),
+      key = this._key(friend.publicKey, fileId),
+      record = this._incoming[key];
+
+  if(this._active[key]) {
+    return this._active[key].transfer;
+  }
+
+  if(!record || record.path !== filepath) {
+    record = {
+      fileId: fileId,
+      publicKey: friend.publicKey,
+      path: filepath,
+      name: (e.filename() !== undefined ? e.filename().toString() : undefined),
+      kind: e.kind(),
+      size: e.size(),
+      position: 0
+    };
+    this._incoming[key] = record;
+  }
+
+  return this._accept(e, record);
+};
+
+/**
+ * Whether or not a file offer continues a previously interrupted incoming
+ * transfer. Such offers are resumed automatically, to the same path.
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @return {Boolean} true if resumable, false if not
+ */
+TransferManager.prototype.isResumable = function(e) {
+  return this._findIncoming(e) !== undefined;
+};
+
+/**
+ * Send a file to a friend. If the friend isn't connected, or disconnects
+ * before the file is sent, the file is offered (again) when they connect.
+ * @param {(Friend|Number|Buffer|String)} friend - Friend object, friend
+ *        number or public key
+ * @param {String} filepath - Path of the file to send
+ * @param {Object} [opts]
+ * @param {String} [opts.name] - Filename, defaults to the basename of filepath
+ * @param {Number} [opts.kind=TOX_FILE_KIND_DATA] - File kind
+ * @param {Buffer} [opts.fileId] - File id, random if not given
+ * @return {String} file id as a hex string
+ */
+TransferManager.prototype.send = function(friend, filepath, opts) {
+  if(!opts) opts = {};
+
+  friend = this._getFriend(friend);
+  if(!friend) {
+    throw new Error('Unknown friend');
+  }
+
+  var fileId = util.toHex(opts['fileId'] || crypto.randomBytes(consts.TOX_FILE_ID_LENGTH)),
+      record = {
+        fileId: fileId,
+        publicKey: friend.publicKey,
+        path: filepath,
+        name: (opts['name'] !== undefined ? opts['name'] : path.basename(filepath)),
+        kind: (opts['kind'] !== undefined ? opts['kind'] : consts.TOX_FILE_KIND_DATA),
+        size: fs.statSync(filepath).size,
+        position: 0
+      };
+
+  this._outgoing[this._key(friend.publicKey, fileId)] = record;
+  this._save();
+
+  if(friend.isConnected()) {
+    this._offer(record);
+  }
+
+  return fileId;
+};
+
+/**
+ * Get the tracked incoming transfers.
+ * @return {Object[]} incoming transfer state
+ */
+TransferManager.prototype.getIncoming = function() {
+  return _.map(_.values(this._incoming), _.clone);
+};
+
+/**
+ * Get the tracked outgoing transfers.
+ * @return {Object[]} outgoing transfer state
+ */
+TransferManager.prototype.getOutgoing = function() {
+  return _.map(_.values(this._outgoing), _.clone);
+};
+
+/**
+ * Stop tracking a transfer, cancelling it if active.
+ * @param {String} fileId - File id as a hex string
+ * @return {Boolean} true if removed, false if no such transfer
+ */
+TransferManager.prototype.cancel = function(fileId) {
+  fileId = fileId.toUpperCase();
+
+  var removed = false;
+  _.each([this._incoming, this._outgoing], function(records) {
+    _.each(_.keys(records), function(key) {
+      if(records[key].fileId === fileId) {
+        var active = this._active[key];
+        delete records[key];
+        delete this._active[key];
+        if(active) {
+          active.cancelled = true;
+          active.transfer.cancel();
+        }
+        removed = true;
+      }
+    }, this);
+  }, this);
+
+  if(removed) {
+    this._save();
+  }
+  return removed;
+};
+
+/**
+ * Offer outgoing files which aren't being sent to friends which are
+ * connected.
+ */
+TransferManager.prototype.flush = function() {
+  _.each(_.values(this._outgoing), function(record) {
+    var friend = this.tox().friends.get(record.publicKey);
+    if(friend && friend.isConnected()) {
+      this._offer(record);
+    }
+  }, this);
+};
+
+/**
+ * Stop listening for Tox events. Active transfers are left running, and
+ * their state is kept in the persisted file, if any.
+ */
+TransferManager.prototype.close = function() {
+  _.each(this._active, function(active) {
+    this._stopTimer(active);
+  }, this);
+
+  _.each(this._listeners, function(listener, name) {
+    this.tox().off(name, listener);
+  }, this);
+  this._listeners = {};
+};
+
+/**
+ * Emit a transfer event for a record.
+ * @private
+ * @param {String} name - Event name
+ * @param {Object} record - Transfer record
+ * @param {Boolean} incoming - Whether or not the record is incoming
+ * @param {(IncomingTransfer|OutgoingTransfer)} [transfer] - Active transfer
+ */
+TransferManager.prototype._emitRecord = function(name, record, incoming, transfer) {
+  var friend = this.tox().friends.get(record.publicKey);
+  this._emit(name, new toxEvents.TransferEvent(
+    record.fileId, (friend ? friend.number : undefined), record.publicKey,
+    record.path, record.position, record.size, incoming, transfer
+  ));
+};
+
+/**
+ * Get the key of a transfer record.
+ * @private
+ * @param {String} publicKey - Public key as a hex string
+ * @param {String} fileId - File id as a hex string
+ * @return {String} key
+ */
+TransferManager.prototype._key = function(publicKey, fileId) {
+  return publicKey.toUpperCase() + ':' + fileId.toUpperCase();
+};
+
+/**
+ * Get the file id of an offer.
+ * @private
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @return {String} file id as an upper-case hex string
+ */
+TransferManager.prototype._getFileId = function(e) {
+  return util.toHex(this.tox().getFileIdSync(e.friend(), e.file()));
+};
+
+/**
+ * Find the incoming record an offer resumes, if any.
+ * @private
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @return {Object} record, or undefined if none
+ */
+TransferManager.prototype._findIncoming = function(e) {
+  var friend = this._getFriend(e.friend());
+  if(friend) {
+    return this._incoming[this._key(friend.publicKey, this._getFileId(e))];
+  }
+};
+
+/**
+ * Listen for Tox events needed to resume transfers.
+ * @private
+ */
+TransferManager.prototype._initEvents = function() {
+  var _this = this;
+
+  this._listeners = {
+    fileRecv: function(e) {
+      var record = _this._findIncoming(e);
+      if(record && !_this._active[_this._key(record.publicKey, record.fileId)]) {
+        _this._accept(e, record);
+      }
+    },
+    friendConnectionStatus: function(e) {
+      var friend = _this.tox().friends.getByNumber(e.friend());
+      if(friend && e.isConnected()) {
+        _.each(_.where(_.values(_this._outgoing), { publicKey: friend.publicKey }), _this._offer, _this);
+      }
+    }
+  };
+
+  _.each(this._listeners, function(listener, name) {
+    this.tox().on(name, listener);
+  }, this);
+};
+
+/**
+ * Accept an offer for an incoming record, seeking to the record's position
+ * if possible.
+ * @private
+ * @param {FileRecvEvent} e - fileRecv event of the offer
+ * @param {Object} record - Incoming record
+ * @return {IncomingTransfer} transfer
+ */
+TransferManager.prototype._accept = function(e, record) {
+  var key = this._key(record.publicKey, record.fileId);
+
+  // Only resume as far as what was written to disk
+  var position = 0;
+  if(record.position > 0 && fs.existsSync(record.path)) {
+    position = Math.min(record.position, fs.statSync(record.path).size);
+  }
+
+  if(position > 0) {
+    this.tox().seekFileSync(e.friend(), e.file(), position);
+  }
+  record.position = position;
+
+  var transfer = e.accept(),
+      writable = fs.createWriteStream(record.path, {
+        flags: (position > 0 ? 'r+' : 'w'),
+        start: position
+      }),
+      active = { transfer: transfer, writable: writable, start: position };
+
+  transfer.position = position;
+  this._active[key] = active;
+  this._startTimer(active, record);
+  this._save();
+
+  var _this = this;
+  var end = function(err) {
+    _this._stopTimer(active);
+    if(active.cancelled || active.ended) {
+      return;
+    }
+
+    active.ended = true;
+    delete _this._active[key];
+    record.position = active.start + writable.bytesWritten;
+
+    if(!err) {
+      delete _this._incoming[key];
+      _this._save();
+      _this._emitRecord('transferComplete', record, true);
+    } else {
+      _this._onError(_this._incoming, key, record, true, err);
+    }
+  };
+
+  // Keep what was received before the transfer ended early
+  transfer.on('error', function(err) {
+    active.error = err;
+    transfer.unpipe(writable);
+    writable.end();
+  });
+
+  writable.on('error', function(err) {
+    transfer.unpipe(writable);
+    transfer.cancel();
+    end(err);
+  });
+
+  writable.on('finish', function() {
+    end(active.error);
+  });
+
+  transfer.pipe(writable);
+  this._emitRecord('transferStarted', record, true, transfer);
+  return transfer;
+};
+
+/**
+ * Offer an outgoing record's file to its friend, unless already being sent.
+ * Chunks are read from the file starting wherever the friend seeks to.
+ * @private
+ * @param {Object} record - Outgoing record
+ */
+TransferManager.prototype._offer = function(record) {
+  var key = this._key(record.publicKey, record.fileId);
+  if(this._active[key]) {
+    return;
+  }
+
+  var _this = this,
+      friend = this.tox().friends.get(record.publicKey),
+      transfer;
+
+  if(!friend) {
+    this._onError(this._outgoing, key, record, false, new Error('Unknown friend'));
+    return;
+  }
+
+  try {
+    transfer = this.tox().sendStream(friend.number, function(position) {
+      return fs.createReadStream(record.path, { start: position });
+    }, {
+      name: record.name,
+      size: record.size,
+      kind: record.kind,
+      fileId: util.fromHex(record.fileId)
+    });
+  } catch(e) {
+    // Not connected after all, try again on the next connect
+    if(e.code !== consts.TOX_ERR_FILE_SEND_FRIEND_NOT_CONNECTED) {
+      this._onError(this._outgoing, key, record, false, e);
+    }
+    return;
+  }
+
+  var active = { transfer: transfer };
+  this._active[key] = active;
+
+  transfer.on('finish', function() {
+    delete _this._active[key];
+    delete _this._outgoing[key];
+    record.position = record.size;
+    _this._save();
+    _this._emitRecord('transferComplete', record, false);
+  });
+
+  transfer.on('error', function(err) {
+    delete _this._active[key];
+    record.position = transfer.position;
+    _this._onError(_this._outgoing, key, record, false, err);
+  });
+
+  this._emitRecord('transferStarted', record, false, transfer);
+};
+
+/**
+ * Handle a transfer ending early. Transfers interrupted by the friend
+ * disconnecting are kept to be resumed, others are dropped.
+ * @private
+ * @param {Object} records - Incoming or outgoing records
+ * @param {String} key - Record key
+ * @param {Object} record - Transfer record
+ * @param {Boolean} incoming - Whether or not the record is incoming
+ * @param {Error} err
+ */
+TransferManager.prototype._onError = function(records, key, record, incoming, err) {
+  if(err.code === 'DISCONNECTED') {
+    this._save();
+    this._emitRecord('transferInterrupted', record, incoming);
+  } else {
+    delete records[key];
+    this._save();
+    this._emitRecord('transferFailed', record, incoming);
+  }
+};
+
+/**
+ * Start periodically saving the progress of an incoming transfer.
+ * @private
+ * @param {Object} active - Active transfer
+ * @param {Object} record - Incoming record
+ */
+TransferManager.prototype._startTimer = function(active, record) {
+  if(!this._path || this._saveInterval <= 0) {
+    return;
+  }
+
+  var _this = this;
+  active.timer = setInterval(function() {
+    var position = active.start + active.writable.bytesWritten;
+    if(position !== record.position) {
+      record.position = position;
+      _this.save();
+    }
+  }, this._saveInterval);
+};
+
+/**
+ * Stop periodically saving the progress of an incoming transfer.
+ * @private
+ * @param {Object} active - Active transfer
+ */
+TransferManager.prototype._stopTimer = function(active) {
+  if(active.timer) {
+    clearInterval(active.timer);
+    active.timer = undefined;
+  }
+};
+
+/**
+ * Serialize transfer state to JSON.
+ * @private
+ * @return {String} JSON
+ */
+TransferManager.prototype._serialize = function() {
+  return JSON.stringify({
+    incoming: _.values(this._incoming),
+    outgoing: _.values(this._outgoing)
+  });
+};
+
+/**
+ * Replace tracked transfers with ones from serialized JSON.
+ * @private
+ * @param {(Buffer|String)} data - JSON
+ */
+TransferManager.prototype._deserialize = function(data) {
+  var obj = (data.length > 0 ? JSON.parse(data.toString()) : {});
+
+  this._incoming = {};
+  this._outgoing = {};
+  _.each(obj.incoming, function(record) {
+    this._incoming[this._key(record.publicKey, record.fileId)] = record;
+  }, this);
+  _.each(obj.outgoing, function(record) {
+    this._outgoing[this._key(record.publicKey, record.fileId)] = record;
+  }, this);
+};
+
+module.exports = TransferManager;
@@ -0,0 +1,730 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+/**
+ * @file tunnels.js - TCP connections tunneled over lossless custom packets
+ */
+
+var events = require('events');
+var net = require('net');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var consts = require(path.join(__dirname, 'consts'));
+var Friend = require(path.join(__dirname, 'friend'));
+
+/**
+ * Default leading id byte of tunnel packets.
+ */
+var TUNNEL_PACKET_ID = 181;
+
+/**
+ * Frame types.
+ */
+var TYPE_OPEN = 0,
+    TYPE_DATA = 1,
+    TYPE_CLOSE = 2,
+    TYPE_OPENED = 3,
+    TYPE_END = 4,
+    TYPE_PAUSE = 5,
+    TYPE_RESUME = 6;
+
+/**
+ * Reasons given in close frames.
+ */
+var REASON_NONE = 0,
+    REASON_DENIED = 1,
+    REASON_FAILED = 2,
+    REASON_UNKNOWN = 3;
+
+/**
+ * Set on the type byte of frames sent by the side which accepted the
+ * stream, as stream ids are chosen by the side which opened it.
+ */
+var FLAG_ACCEPTOR = 0x80;
+
+/**
+ * Size of the frame header: type and stream id (uint16).
+ */
+var HEADER_SIZE = 3;
+
+/**
+ * Largest amount of data which fits in one frame, after the id byte and
+ * header.
+ */
+var MAX_DATA_SIZE = consts.TOX_MAX_CUSTOM_PACKET_SIZE - 1 - HEADER_SIZE;
+
+/**
+ * Milliseconds to wait before retrying a frame when the send queue is full.
+ */
+var SENDQ_RETRY_DELAY = 10;
+
+/**
+ * Create an Error for a tunnel that failed to open.
+ * @private
+ * @param {String} message
+ * @param {String} code
+ * @return {Error} Error
+ */
+var createTunnelError = function(message, code) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Creates a Tunnels instance, which carries TCP connections to and from
+ * friends as streams multiplexed over lossless custom packets with one id
+ * byte. Friends may only connect out to hosts and ports allowed with
+ * Tunnels#allow() or by the policy set with Tunnels#setPolicy(), nothing is
+ * allowed by default. Bytes carried for each friend are counted, see
+ * Tunnels#getStats(). Friends are allowed and counted by public key, so
+ * that a friend number reused after deleting a friend doesn't inherit
+ * either. Available as the tunnels property of Tox instances.
+ * @class
+ * @param {Tox} tox - Tox instance
+ * @param {Object} [opts]
+ * @param {Number} [opts.id=181] - Leading id byte of tunnel packets, in the
+ *                                 range [160, 191]
+ */
+var Tunnels = function(tox, opts) {
+  if(!opts) opts = {};
+  this._tox = tox;
+  this._id = (opts['id'] !== undefined ? opts['id'] : TUNNEL_PACKET_ID);
+  this._allowed = [];
+  this._policy = undefined;
+  this._stats = {};
+  this._queues = {};
+  this._opened = {};
+  this._accepted = {};
+  this._nextId = 0;
+  this._initEvents();
+};
+
+/**
+ * Get the Tox instance.
+ * @return {Tox} Tox instance
+ */
+Tunnels.prototype.tox = function() {
+  return this._tox;
+};
+
+/**
+ * Allow friends to connect out to a host and port.
+ * @param {String} host - Host name or address, as requested by friends
+ * @param {Number} port - Port
+ * @param {(Number|Friend|Buffer|String)} [friend] - Only allow this friend,
+ *                                                   by friend number,
+ *                                                   Friend or public key
+ */
+Tunnels.prototype.allow = function(host, port, friend) {
+  var publicKey = (friend !== undefined ? this._resolvePublicKey(friend) : undefined);
+  this.disallow(host, port, friend);
+  this._allowed.push({ host: host, port: port, friend: publicKey });
+};
+
+/**
+ * Remove a host and port allowed with Tunnels#allow(). Connections already
+ * open are left open.
+ * @param {String} host - Host name or address
+ * @param {Number} port - Port
+ * @param {(Number|Friend|Buffer|String)} [friend] - Friend given to
+ *                                                   Tunnels#allow()
+ */
+Tunnels.prototype.disallow = function(host, port, friend) {
+  var publicKey = (friend !== undefined ? this._resolvePublicKey(friend) : undefined);
+  this._allowed = _.reject(this._allowed, function(rule) {
+    return rule.host === host && rule.port === port && rule.friend === publicKey;
+  });
+};
+
+/**
+ * Set a function deciding which hosts and ports friends may connect out to,
+ * besides those allowed with Tunnels#allow().
+ * @param {Function} [policy] - Called with the friend's public key (as
+ *                              an upper-case hex string), host and port,
+ *                              returns true to allow. Undefined to only
+ *                              allow hosts and ports given to
+ *                              Tunnels#allow().
+ */
+Tunnels.prototype.setPolicy = function(policy) {
+  this._policy = policy;
+};
+
+/**
+ * Whether or not a friend may connect out to a host and port.
+ * @param {Number} friendnum - Friend number
+ * @param {String} host - Host name or address
+ * @param {Number} port - Port
+ * @return {Boolean} true if allowed, false if not
+ */
+Tunnels.prototype.isAllowed = function(friendnum, host, port) {
+  var publicKey = this._getPublicKey(friendnum),
+      allowed = _.some(this._allowed, function(rule) {
+        return rule.host === host && rule.port === port &&
+          (rule.friend === undefined || (publicKey !== undefined && rule.friend === publicKey));
+      });
+  return allowed || (!!this._policy && publicKey !== undefined &&
+                     !!this._policy(publicKey, host, port));
+};
+
+/**
+ * Get the number of connections a friend has made out through us, and the
+ * bytes carried for them.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @return {Object} stats with connections, bytesSent (to the friend) and
+ *                  bytesReceived (from the friend)
+ */
+Tunnels.prototype.getStats = function(friend) {
+  return _.clone(this._getStats(this._resolvePublicKey(friend)));
+};
+
+/**
+ * Reset a friend's counters returned by Tunnels#getStats().
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ */
+Tunnels.prototype.resetStats = function(friend) {
+  delete this._stats[this._resolvePublicKey(friend)];
+};
+
+/**
+ * Listen for local TCP connections and tunnel each one to a host and port
+ * through a friend.
+ * @param {(Number|Friend|Buffer|String)} friend - Friend number, Friend or
+ *                                                 public key
+ * @param {Object} opts
+ * @param {Number} opts.localPort - Local port to listen on, 0 for any
+ * @param {String} [opts.localHost='127.0.0.1'] - Local address to listen on
+ * @param {String} opts.remoteHost - Host the friend connects to
+ * @param {Number} opts.remotePort - Port the friend connects to
+ * @param {Tox~errorCallback} [callback] - Called once listening
+ * @return {Forward} forward
+ */
+Tunnels.prototype.forward = function(friend, opts, callback) {
+  var friendnum = this.tox()._resolveFriendNumber(friend);
+  return new Forward(this, friendnum, opts, callback);
+};
+
+/**
+ * Open a tunneled connection to a host and port through a friend.
+ * @private
+ * @param {Number} friendnum
+ * @param {String} host
+ * @param {Number} port
+ * @param {net.Socket} socket - Local end of the connection
+ * @param {Tox~errorCallback} [callback] - Called once the friend connected
+ *                                         out, or with an error with code
+ *                                         'DENIED', 'CONNECT_FAILED',
+ *                                         'DISCONNECTED', 'RESET' or
+ *                                         'CLOSED'
+ */
+Tunnels.prototype._open = function(friendnum, host, port, socket, callback) {
+  var id = this._allocateId(friendnum);
+  if(id === undefined) {
+    socket.destroy();
+    if(callback) callback(createTunnelError('Too many tunnels', 'CLOSED'));
+    return;
+  }
+
+  var hostBuffer = new Buffer(host),
+      payload = new Buffer(2 + hostBuffer.length);
+  payload.writeUInt16BE(port, 0);
+  hostBuffer.copy(payload, 2);
+
+  var tunnel = this._add(this._opened, friendnum, id, socket, 0);
+  tunnel.onOpen = callback;
+  this._sendFrame(tunnel, TYPE_OPEN, payload);
+};
+
+/**
+ * Call the open callback of a stream we opened, if not called yet.
+ * @private
+ * @param {Object} tunnel
+ * @param {Error} [err]
+ */
+Tunnels.prototype._settle = function(tunnel, err) {
+  var callback = tunnel.onOpen;
+  tunnel.onOpen = undefined;
+  if(callback) {
+    callback(err);
+  }
+};
+
+/**
+ * Get the counters of a friend.
+ * @private
+ * @param {String} publicKey - Public key as an upper-case hex string
+ * @return {Object} stats
+ */
+Tunnels.prototype._getStats = function(publicKey) {
+  if(!this._stats[publicKey]) {
+    this._stats[publicKey] = { connections: 0, bytesSent: 0, bytesReceived: 0 };
+  }
+  return this._stats[publicKey];
+};
+
+/**
+ * Get the public key of a friend by friend number.
+ * @private
+ * @param {Number} friendnum
+ * @return {String} public key as an upper-case hex string, or undefined if
+ *                  no friend with the number
+ */
+Tunnels.prototype._getPublicKey = function(friendnum) {
+  var publicKey = this.tox().friends.getPublicKey(friendnum);
+  if(publicKey) {
+    return publicKey.toString('hex').toUpperCase();
+  }
+};
+
+/**
+ * Get the public key of a friend given as a friend number, Friend or
+ * public key.
+ * @private
+ * @param {(Number|Friend|Buffer|String)} friend
+ * @return {String} public key as an upper-case hex string
+ */
+Tunnels.prototype._resolvePublicKey = function(friend) {
+  if(friend instanceof Friend) {
+    return friend.publicKey;
+  } else if(Buffer.isBuffer(friend)) {
+    return friend.toString('hex').toUpperCase();
+  } else if(_.isString(friend)) {
+    return friend.toUpperCase();
+  }
+
+  var publicKey = this._getPublicKey(friend);
+  if(publicKey === undefined) {
+    throw new Error('Unknown friend');
+  }
+  return publicKey;
+};
+
+/**
+ * Find a stream id not in use with a friend.
+ * @private
+ * @param {Number} friendnum
+ * @return {Number} stream id, or undefined if all are in use
+ */
+Tunnels.prototype._allocateId = function(friendnum) {
+  for(var i = 0; i < 0x10000; i++) {
+    var id = this._nextId;
+    this._nextId = (this._nextId + 1) % 0x10000;
+    if(!this._opened[friendnum + ':' + id]) {
+      return id;
+    }
+  }
+};
+
+/**
+ * Track a stream, and pipe its socket's data to the friend.
+ * @private
+ * @param {Object} streams - Map to track the stream in
+ * @param {Number} friendnum
+ * @param {Number} id - Stream id
+ * @param {net.Socket} socket
+ * @param {Number} flag - Flag set on frames sent for this stream
+ * @return {Object} stream
+ */
+Tunnels.prototype._add = function(streams, friendnum, id, socket, flag) {
+  var _this = this,
+      key = friendnum + ':' + id,
+      tunnel = {
+        friend: friendnum, publicKey: this._getPublicKey(friendnum), id: id,
+        socket: socket, flag: flag, closed: false
+      };
+
+  streams[key] = tunnel;
+
+  /**
+   * Stop tracking the stream and close its socket.
+   * @param {Boolean} notify - Whether or not to tell the friend
+   * @param {Boolean} graceful - Whether to end the socket after data
+   *                             already written, or destroy it
+   * @param {Number} [reason] - Reason to tell the friend
+   */
+  tunnel.close = function(notify, graceful, reason) {
+    if(!tunnel.closed) {
+      tunnel.closed = true;
+      if(streams[key] === tunnel) {
+        delete streams[key];
+      }
+      _this._settle(tunnel, createTunnelError('Tunnel closed', 'CLOSED'));
+      if(notify) {
+        _this._sendFrame(tunnel, TYPE_CLOSE, new Buffer([reason || REASON_NONE]), true);
+      }
+      if(graceful) {
+        socket.end();
+      } else {
+        socket.destroy();
+      }
+    }
+  };
+
+  // Stop reading while sending, or while the friend can't keep up
+  socket.on('data', function(data) {
+    tunnel.sending = true;
+    socket.pause();
+    _this._sendData(tunnel, data, function() {
+      tunnel.sending = false;
+      if(!tunnel.remotePaused) {
+        socket.resume();
+      }
+    });
+  });
+
+  // Ask the friend to stop sending until written data is flushed
+  socket.on('drain', function() {
+    if(tunnel.pausedRemote && !tunnel.closed) {
+      tunnel.pausedRemote = false;
+      _this._sendFrame(tunnel, TYPE_RESUME, new Buffer(0));
+    }
+  });
+
+  // Only the reading side is done, the friend may still send data. The
+  // stream is closed once the socket is closed.
+  socket.on('end', function() {
+    if(!tunnel.closed) {
+      _this._sendFrame(tunnel, TYPE_END, new Buffer(0));
+    }
+  });
+  socket.on('error', function() {
+    tunnel.close(true, false, (tunnel.connected === false ? REASON_FAILED : REASON_NONE));
+  });
+  socket.on('close', function() { tunnel.close(true, false); });
+
+  return tunnel;
+};
+
+/**
+ * Send socket data to a friend, split into frames.
+ * @private
+ * @param {Object} tunnel
+ * @param {Buffer} data
+ * @param {Function} callback - Called once all frames are sent
+ */
+Tunnels.prototype._sendData = function(tunnel, data, callback) {
+  var _this = this,
+      offset = 0;
+
+  var next = function() {
+    if(offset >= data.length || tunnel.closed) {
+      return callback();
+    }
+
+    var chunk = data.slice(offset, offset + MAX_DATA_SIZE);
+    offset += chunk.length;
+    if(tunnel.flag === FLAG_ACCEPTOR && tunnel.publicKey !== undefined) {
+      _this._getStats(tunnel.publicKey).bytesSent += chunk.length;
+    }
+    _this._sendFrame(tunnel, TYPE_DATA, chunk, false, next);
+  };
+
+  next();
+};
+
+/**
+ * Send a frame for a stream. Frames are queued per friend and sent one at
+ * a time, so that a frame retried when the send queue is full isn't
+ * overtaken by later frames. The stream is closed if the frame can't be
+ * sent.
+ * @private
+ * @param {Object} tunnel
+ * @param {Number} type - Frame type
+ * @param {Buffer} payload
+ * @param {Boolean} [closing] - Whether or not the stream is being closed
+ * @param {Function} [callback] - Called once sent
+ */
+Tunnels.prototype._sendFrame = function(tunnel, type, payload, closing, callback) {
+  var header = new Buffer(HEADER_SIZE);
+  header[0] = type | tunnel.flag;
+  header.writeUInt16BE(tunnel.id, 1);
+
+  var queue = this._queues[tunnel.friend];
+  if(!queue) {
+    queue = this._queues[tunnel.friend] = { frames: [], sending: false };
+  }
+
+  queue.frames.push({
+    tunnel: tunnel, packet: Buffer.concat([header, payload]),
+    closing: closing, callback: callback
+  });
+  this._flush(tunnel.friend);
+};
+
+/**
+ * Send the next queued frame for a friend, unless one is being sent.
+ * Frames of streams closed meanwhile are dropped, except for close frames.
+ * @private
+ * @param {Number} friendnum
+ */
+Tunnels.prototype._flush = function(friendnum) {
+  var _this = this,
+      queue = this._queues[friendnum];
+
+  if(!queue || queue.sending) {
+    return;
+  }
+
+  var frame = queue.frames.shift();
+  while(frame && frame.tunnel.closed && !frame.closing) {
+    frame = queue.frames.shift();
+  }
+
+  if(!frame) {
+    delete this._queues[friendnum];
+    return;
+  }
+
+  var tunnel = frame.tunnel;
+  queue.sending = true;
+
+  var send = function() {
+    _this.tox().sendLosslessPacket(friendnum, _this._id, frame.packet, function(err) {
+      // Queue dropped when the friend disconnected
+      if(_this._queues[friendnum] !== queue) {
+        return;
+      }
+
+      if(err && err.code === consts.TOX_ERR_FRIEND_CUSTOM_PACKET_SENDQ && (!tunnel.closed || frame.closing)) {
+        return setTimeout(send, SENDQ_RETRY_DELAY);
+      }
+
+      queue.sending = false;
+      if(err) {
+        _this._settle(tunnel, err);
+        tunnel.close(false, false);
+      } else if(frame.callback) {
+        frame.callback();
+      }
+      _this._flush(friendnum);
+    });
+  };
+
+  send();
+};
+
+/**
+ * Tell a friend a stream doesn't exist (any more), or was denied.
+ * @private
+ * @param {Number} friendnum
+ * @param {Number} id - Stream id
+ * @param {Number} flag - Flag set on frames sent for the stream
+ * @param {Number} reason
+ */
+Tunnels.prototype._reject = function(friendnum, id, flag, reason) {
+  var rejected = { friend: friendnum, id: id, flag: flag, closed: true, close: function() {} };
+  this._sendFrame(rejected, TYPE_CLOSE, new Buffer([reason]), true);
+};
+
+/**
+ * Listen for tunnel packets and disconnects.
+ * @private
+ */
+Tunnels.prototype._initEvents = function() {
+  var _this = this,
+      tox = this.tox();
+
+  tox.claimPacketId(this._id, function(e) {
+    _this._onFrame(e.friend(), e.data());
+  });
+
+  tox.on('friendConnectionStatus', function(e) {
+    if(!e.isConnected()) {
+      delete _this._queues[e.friend()];
+      _.each([_this._opened, _this._accepted], function(streams) {
+        _.each(_.values(streams), function(tunnel) {
+          if(tunnel.friend === e.friend()) {
+            _this._settle(tunnel, createTunnelError('Friend disconnected', 'DISCONNECTED'));
+            tunnel.close(false, false);
+          }
+        });
+      });
+    }
+  });
+};
+
+/**
+ * Handle a frame received from a friend. Malformed frames are ignored.
+ * @private
+ * @param {Number} friendnum
+ * @param {Buffer} data - Packet data without the id byte
+ */
+Tunnels.prototype._onFrame = function(friendnum, data) {
+  if(data.length < HEADER_SIZE) {
+    return;
+  }
+
+  var type = data[0] & ~FLAG_ACCEPTOR,
+      fromAcceptor = !!(data[0] & FLAG_ACCEPTOR),
+      id = data.readUInt16BE(1),
+      payload = data.slice(HEADER_SIZE),
+      key = friendnum + ':' + id,
+      tunnel = (fromAcceptor ? this._opened[key] : this._accepted[key]);
+
+  if(type === TYPE_OPEN && !fromAcceptor) {
+    return this._onOpen(friendnum, id, payload);
+  }
+
+  // Reset the friend's end of a stream we don't know, so data sent on it
+  // isn't silently lost
+  if(!tunnel) {
+    if(type !== TYPE_CLOSE) {
+      this._reject(friendnum, id, (fromAcceptor ? 0 : FLAG_ACCEPTOR), REASON_UNKNOWN);
+    }
+    return;
+  }
+
+  if(type === TYPE_DATA) {
+    if(!fromAcceptor && tunnel.publicKey !== undefined) {
+      this._getStats(tunnel.publicKey).bytesReceived += payload.length;
+    }
+    if(!tunnel.socket.write(payload) && !tunnel.pausedRemote) {
+      tunnel.pausedRemote = true;
+      this._sendFrame(tunnel, TYPE_PAUSE, new Buffer(0));
+    }
+  } else if(type === TYPE_PAUSE) {
+    tunnel.remotePaused = true;
+    tunnel.socket.pause();
+  } else if(type === TYPE_RESUME) {
+    tunnel.remotePaused = false;
+    if(!tunnel.sending) {
+      tunnel.socket.resume();
+    }
+  } else if(type === TYPE_END) {
+    tunnel.socket.end();
+  } else if(type === TYPE_OPENED && fromAcceptor) {
+    this._settle(tunnel);
+  } else if(type === TYPE_CLOSE) {
+    if(payload[0] === REASON_DENIED) {
+      this._settle(tunnel, createTunnelError('Friend denied the connection', 'DENIED'));
+    } else if(payload[0] === REASON_FAILED) {
+      this._settle(tunnel, createTunnelError('Friend failed to connect', 'CONNECT_FAILED'));
+    } else if(payload[0] === REASON_UNKNOWN) {
+      this._settle(tunnel, createTunnelError('Stream unknown to the friend', 'RESET'));
+      return tunnel.close(false, false);
+    }
+    tunnel.close(false, true);
+  }
+};
+
+/**
+ * Handle a friend opening a stream, by connecting out if allowed.
+ * @private
+ * @param {Number} friendnum
+ * @param {Number} id - Stream id
+ * @param {Buffer} payload - Port (uint16) and host
+ */
+Tunnels.prototype._onOpen = function(friendnum, id, payload) {
+  if(payload.length < 2 || this._accepted[friendnum + ':' + id]) {
+    return;
+  }
+
+  var port = payload.readUInt16BE(0),
+      host = payload.slice(2).toString();
+
+  if(!this.isAllowed(friendnum, host, port)) {
+    return this._reject(friendnum, id, FLAG_ACCEPTOR, REASON_DENIED);
+  }
+
+  // Data written before connecting is buffered by the socket
+  var _this = this,
+      socket = net.connect({ host: host, port: port, allowHalfOpen: true }),
+      tunnel = this._add(this._accepted, friendnum, id, socket, FLAG_ACCEPTOR);
+
+  tunnel.connected = false;
+  if(tunnel.publicKey !== undefined) {
+    this._getStats(tunnel.publicKey).connections++;
+  }
+
+  socket.on('connect', function() {
+    tunnel.connected = true;
+    _this._sendFrame(tunnel, TYPE_OPENED, new Buffer(0));
+  });
+};
+
+/**
+ * Creates a Forward, which listens for local TCP connections and tunnels
+ * them through a friend. Created by Tox#forward(), not directly. Emits
+ * listening, connection, error and close like net.Server.
+ * @class
+ * @param {Tunnels} tunnels
+ * @param {Number} friendnum - Friend number
+ * @param {Object} opts - See Tox#forward()
+ * @param {Tox~errorCallback} [callback] - Called once listening
+ * @property {Number} friend - Friend number
+ */
+var Forward = function(tunnels, friendnum, opts, callback) {
+  events.EventEmitter.call(this);
+
+  var _this = this,
+      remoteHost = opts['remoteHost'],
+      remotePort = opts['remotePort'];
+
+  this.friend = friendnum;
+  this._server = net.createServer({ allowHalfOpen: true }, function(socket) {
+    tunnels._open(friendnum, remoteHost, remotePort, socket);
+    _this.emit('connection', socket);
+  });
+
+  this._server.on('listening', function() {
+    _this.emit('listening');
+    if(callback) callback();
+  });
+
+  this._server.on('error', function(err) {
+    if(callback && !_this._server.listening) {
+      callback(err);
+    } else {
+      _this.emit('error', err);
+    }
+  });
+
+  this._server.on('close', function() {
+    _this.emit('close');
+  });
+
+  this._server.listen(opts['localPort'], opts['localHost'] || '127.0.0.1');
+};
+
+util.inherits(Forward, events.EventEmitter);
+
+/**
+ * Get the local address being listened on.
+ * @return {Object} address, see net.Server#address()
+ */
+Forward.prototype.address = function() {
+  return this._server.address();
+};
+
+/**
+ * Stop listening for local connections. Connections already open are left
+ * open.
+ * @param {Function} [callback]
+ */
+Forward.prototype.close = function(callback) {
+  this._server.close(callback);
+};
+
+module.exports = {
+  Tunnels: Tunnels,
+  Forward: Forward
+};
@@ -16,12 +16,22 @@
  *
  */
 
-var buffertools = require('buffertools');
+var crypto = require('crypto');
+var fs = require('fs');
 var os = require('os');
-var ref = require('ref');
+var path = require('path');
 var _ = require('underscore');
 
-buffertools.extend();
+var consts = require(path.join(__dirname, 'consts'));
+
+/**
+ * File modes, as octal literals aren't allowed in strict mode: the default
+ * mode of files written (0666), the mode of files only their owner may
+ * read (0600) such as savedata, and the permission bits of a mode (0777).
+ */
+var DEFAULT_FILE_MODE = parseInt('666', 8),
+    PRIVATE_FILE_MODE = parseInt('600', 8),
+    PERMISSION_BITS = parseInt('777', 8);
 
 /**
  * Convert a hex string to a Buffer. If not a string, will just
@@ -31,11 +41,20 @@ buffertools.extend();
  */
 var fromHex = function(hex) {
   if(_.isString(hex)) {
-    return (new Buffer(hex)).fromHex();
+    return new Buffer(hex, 'hex');
   }
   return hex;
 };
 
+/**
+ * Convert a Buffer to an upper-case hex string.
+ * @param {Buffer} data
+ * @return {String} hex string
+ */
+var toHex = function(data) {
+  return data.toString('hex').toUpperCase();
+};
+
 /**
  * Try to parse an address:port string.
  * @return {Object} Object with address and port if successful,
@@ -134,7 +153,11 @@ var size_t = function(value) {
 var hexify = function(asyncFunc, callback) {
   asyncFunc(function(err, buffer) {
     if(callback) {
-      callback(err, buffer.toHex().toString());
+      if(!err) {
+        callback(err, toHex(buffer));
+      } else {
+        callback(err);
+      }
     }
   });
 };
@@ -145,8 +168,7 @@ var hexify = function(asyncFunc, callback) {
  * @param {Function} syncFunction Synchronous function to get Buffer from
  */
 var hexifySync = function(syncFunction) {
-  var addr = syncFunction();
-  return addr.toHex().toString();
+  return toHex(syncFunction());
 };
 
 /**
@@ -165,11 +187,330 @@ var getDateFromUInt64 = function(timeval) {
   return date;
 };
 
+/**
+ * Get a monotonic timestamp in milliseconds, with sub-millisecond precision.
+ * Only useful for measuring elapsed time.
+ * @return {Number} milliseconds
+ */
+var getMilliseconds = function() {
+  var time = process.hrtime();
+  return (time[0] * 1e3) + (time[1] / 1e6);
+};
+
+/**
+ * Split a message into parts no longer than a maximum number of bytes,
+ * without breaking multi-byte UTF-8 characters. Where possible, parts are
+ * split at the last newline or whitespace, which is then dropped.
+ * @param {(Buffer|String)} message - Message to split
+ * @param {Number} [maxLength=TOX_MAX_MESSAGE_LENGTH] - Max bytes per part
+ * @return {Buffer[]} parts
+ */
+var splitMessage = function(message, maxLength) {
+  if(_.isString(message)) message = new Buffer(message);
+  if(!maxLength) maxLength = consts.TOX_MAX_MESSAGE_LENGTH;
+
+  var parts = [], offset = 0;
+  while(message.length - offset > maxLength) {
+    var end = offset + maxLength, next;
+
+    // Don't split at a UTF-8 continuation byte (10xxxxxx)
+    while(end > offset && (message[end] & 0xC0) === 0x80) {
+      end--;
+    }
+
+    // Not valid UTF-8, nothing to avoid breaking
+    if(end === offset) {
+      end = offset + maxLength;
+    }
+
+    // Prefer the last newline, unless it would leave a short part,
+    // then the last whitespace
+    var newline = lastIndexOfBytes(message, [0x0A], offset, end),
+        space = lastIndexOfBytes(message, [0x20, 0x09, 0x0A], offset, end);
+    if(newline > offset + (maxLength / 2)) {
+      next = newline + 1;
+      end = newline;
+    } else if(space > offset) {
+      next = space + 1;
+      end = space;
+    } else {
+      next = end;
+    }
+
+    parts.push(message.slice(offset, end));
+    offset = next;
+  }
+
+  if(offset < message.length || parts.length === 0) {
+    parts.push(message.slice(offset));
+  }
+
+  return parts;
+};
+
+/**
+ * Find the last index of any of some bytes in a range of a Buffer.
+ * @private
+ * @param {Buffer} buffer
+ * @param {Number[]} bytes - Bytes to look for
+ * @param {Number} start - Start of range (inclusive)
+ * @param {Number} end - End of range (inclusive)
+ * @return {Number} index, or -1 if not found
+ */
+var lastIndexOfBytes = function(buffer, bytes, start, end) {
+  for(var i = Math.min(end, buffer.length - 1); i >= start; i--) {
+    if(bytes.indexOf(buffer[i]) !== -1) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Copy a file, keeping its permission bits. Done by hand as fs.copyFile()
+ * needs node.js 8.5.
+ * @private
+ * @param {String} src
+ * @param {String} dest
+ * @param {Tox~errorCallback} callback
+ */
+var copyFile = function(src, dest, callback) {
+  fs.stat(src, function(err, stats) {
+    if(err) return callback(err);
+    fs.readFile(src, function(err, data) {
+      if(err) return callback(err);
+      fs.writeFile(dest, data, { mode: stats.mode & PERMISSION_BITS }, callback);
+    });
+  });
+};
+
+/**
+ * Synchronous version of copyFile.
+ * @private
+ * @param {String} src
+ * @param {String} dest
+ */
+var copyFileSync = function(src, dest) {
+  var mode = fs.statSync(src).mode & PERMISSION_BITS;
+  fs.writeFileSync(dest, fs.readFileSync(src), { mode: mode });
+};
+
+/**
+ * Copy a file to numbered backups, named like the file with a suffix of
+ * .1, .2 and so on, .1 being the newest. Existing backups are renamed up
+ * by one, dropping the oldest. Missing files are skipped.
+ * @private
+ * @param {String} filepath
+ * @param {Number} count - Number of backups to keep
+ * @param {Tox~errorCallback} callback
+ */
+var rotateBackups = function(filepath, count, callback) {
+  var i = count;
+
+  var next = function(err) {
+    if(err && err.code !== 'ENOENT') {
+      return callback(err);
+    }
+
+    i--;
+    if(i >= 1) {
+      fs.rename(filepath + '.' + i, filepath + '.' + (i + 1), next);
+    } else if(i === 0) {
+      copyFile(filepath, filepath + '.1', next);
+    } else {
+      callback();
+    }
+  };
+
+  next();
+};
+
+/**
+ * Synchronous version of rotateBackups.
+ * @private
+ * @param {String} filepath
+ * @param {Number} count - Number of backups to keep
+ */
+var rotateBackupsSync = function(filepath, count) {
+  var ignoreMissing = function(func) {
+    try {
+      func();
+    } catch(e) {
+      if(e.code !== 'ENOENT') throw e;
+    }
+  };
+
+  for(var i = count - 1; i >= 1; i--) {
+    ignoreMissing(fs.renameSync.bind(fs, filepath + '.' + i, filepath + '.' + (i + 1)));
+  }
+  if(count > 0) {
+    ignoreMissing(copyFileSync.bind(undefined, filepath, filepath + '.1'));
+  }
+};
+
+/**
+ * Get a path for a temporary file next to a file, unique so that
+ * concurrent writes of the same file don't share it.
+ * @private
+ * @param {String} filepath
+ * @return {String} temporary path
+ */
+var getTempPath = function(filepath) {
+  return filepath + '.' + process.pid + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+};
+
+/**
+ * Write a file so that it is never left partially written. The data is
+ * written to a temporary file next to it, flushed to disk with fsync, and
+ * renamed over the file. The temporary file is removed if writing fails.
+ * @param {String} filepath
+ * @param {Buffer} data
+ * @param {Object} [opts]
+ * @param {Number} [opts.mode=0666] - Mode of the file if created
+ * @param {Number} [opts.backups=0] - Number of numbered backups of the
+ *        previous contents to keep, see rotateBackups
+ * @param {Tox~errorCallback} [callback]
+ */
+var writeFileAtomic = function(filepath, data, opts, callback) {
+  if(_.isFunction(opts)) {
+    callback = opts;
+    opts = undefined;
+  }
+  if(!opts) opts = {};
+
+  var tmppath = getTempPath(filepath),
+      mode = (opts['mode'] !== undefined ? opts['mode'] : DEFAULT_FILE_MODE);
+
+  var done = function(err) {
+    if(callback) {
+      callback(err);
+    }
+  };
+
+  var fail = function(err) {
+    fs.unlink(tmppath, function() {
+      done(err);
+    });
+  };
+
+  fs.open(tmppath, 'wx', mode, function(err, fd) {
+    if(err) return done(err);
+
+    var close = function(err) {
+      fs.close(fd, function(cerr) {
+        err = err || cerr;
+        if(err) return fail(err);
+        rotateBackups(filepath, opts['backups'] || 0, function(err) {
+          if(err) return fail(err);
+          fs.rename(tmppath, filepath, function(err) {
+            if(err) return fail(err);
+            done();
+          });
+        });
+      });
+    };
+
+    fs.writeFile(fd, data, function(err) {
+      if(err) return close(err);
+      fs.fsync(fd, close);
+    });
+  });
+};
+
+/**
+ * Synchronous version of writeFileAtomic.
+ * @param {String} filepath
+ * @param {Buffer} data
+ * @param {Object} [opts] - See writeFileAtomic
+ */
+var writeFileAtomicSync = function(filepath, data, opts) {
+  if(!opts) opts = {};
+
+  var tmppath = getTempPath(filepath),
+      mode = (opts['mode'] !== undefined ? opts['mode'] : DEFAULT_FILE_MODE),
+      fd = fs.openSync(tmppath, 'wx', mode);
+
+  try {
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    rotateBackupsSync(filepath, opts['backups'] || 0);
+    fs.renameSync(tmppath, filepath);
+  } catch(e) {
+    try {
+      fs.unlinkSync(tmppath);
+    } catch(ue) {}
+    throw e;
+  }
+};
+
+/**
+ * Wrap an asynchronous function that passes (Error, value) to a callback
+ * given as its last argument, so that it returns a Promise instead.
+ * @param {Function} asyncFunc - Asynchronous function to wrap
+ * @param {Object} [thisArg] - Object to call asyncFunc on
+ * @return {Function} Function returning a Promise
+ */
+var promisify = function(asyncFunc, thisArg) {
+  return function() {
+    var args = Array.prototype.slice.call(arguments);
+    return new Promise(function(resolve, reject) {
+      args.push(function(err, value) {
+        if(err) reject(err);
+        else resolve(value);
+      });
+      asyncFunc.apply(thisArg, args);
+    });
+  };
+};
+
+/**
+ * Define a 'promises' property on a class prototype, which lazily creates
+ * an object of promise-returning versions of the asynchronous methods of an
+ * instance. Asynchronous methods are recognized by having a synchronous
+ * counterpart with the same name suffixed by 'Sync'.
+ * @param {Function} ctor - Class to define the property for
+ * @param {String[]} [extraNames] - Asynchronous methods without a
+ *                                  synchronous counterpart to include
+ */
+var definePromises = function(ctor, extraNames) {
+  var proto = ctor.prototype;
+  var names = Object.keys(proto).filter(function(name) {
+    return name.charAt(0) !== '_' && _.isFunction(proto[name]) &&
+           _.isFunction(proto[name + 'Sync']);
+  }).concat(extraNames || []);
+
+  Object.defineProperty(proto, 'promises', {
+    get: function() {
+      if(!this._promises) {
+        var promises = {};
+        names.forEach(function(name) {
+          promises[name] = promisify(this[name], this);
+        }, this);
+        this._promises = promises;
+      }
+      return this._promises;
+    }
+  });
+};
+
 module.exports = {
+  PRIVATE_FILE_MODE: PRIVATE_FILE_MODE,
+  definePromises: definePromises,
   fromHex: fromHex,
   getDateFromUInt64: getDateFromUInt64,
+  getMilliseconds: getMilliseconds,
   hexify: hexify,
   hexifySync: hexifySync,
   parseProxy: parseProxy,
-  size_t: size_t
+  promisify: promisify,
+  size_t: size_t,
+  splitMessage: splitMessage,
+  toHex: toHex,
+  writeFileAtomic: writeFileAtomic,
+  writeFileAtomicSync: writeFileAtomicSync
 };
@@ -0,0 +1,125 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var fs = require('fs');
+var mktemp = require('mktemp');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var MockNetwork = require(path.join(__dirname, '..', 'lib', 'mocklibrary')).MockNetwork;
+
+describe('Autosave', function() {
+  var tox = new Tox({ mock: new MockNetwork() }),
+      dir, filepath, autosave;
+
+  var loadName = function(filepath) {
+    return new Tox({ mock: new MockNetwork(), data: fs.readFileSync(filepath) }).getNameSync();
+  };
+
+  beforeEach(function() {
+    dir = mktemp.createDirSync('/tmp/XXXXXX');
+    filepath = path.join(dir, 'profile.tox');
+  });
+
+  afterEach(function() {
+    if(autosave) autosave.stop();
+    autosave = undefined;
+    fs.readdirSync(dir).forEach(function(name) {
+      fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  it('should save atomically', function() {
+    autosave = tox.autosave(filepath, { onChange: false });
+    autosave.saveSync();
+    fs.readFileSync(filepath).should.eql(tox.getSavedataSync());
+    fs.readdirSync(dir).should.eql(['profile.tox']);
+  });
+
+  it('should save after changes', function(done) {
+    autosave = tox.autosave(filepath);
+    autosave.on('save', function() {
+      loadName(filepath).should.equal('changed');
+      done();
+    });
+    tox.setNameSync('changed');
+  });
+
+  it('should save periodically', function(done) {
+    autosave = tox.autosave(filepath, { interval: 10, onChange: false });
+    autosave.once('save', function() {
+      fs.existsSync(filepath).should.be.true;
+      done();
+    });
+  });
+
+  it('should keep numbered backups', function(done) {
+    autosave = tox.autosave(filepath, { onChange: false, keep: 2 });
+    tox.setNameSync('first');
+    autosave.save(function(err) {
+      if(err) return done(err);
+      tox.setNameSync('second');
+      autosave.save(function(err) {
+        if(err) return done(err);
+        tox.setNameSync('third');
+        autosave.save(function(err) {
+          if(err) return done(err);
+          loadName(filepath).should.equal('third');
+          loadName(filepath + '.1').should.equal('second');
+          loadName(filepath + '.2').should.equal('first');
+          fs.readdirSync(dir).length.should.equal(3);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should stop when the instance is killed', function(done) {
+    var other = new Tox({ mock: new MockNetwork() }),
+        saves = 0;
+    autosave = other.autosave(filepath, { interval: 5 });
+    autosave.on('save', function() { saves++; });
+    other.killSync();
+    setTimeout(function() {
+      saves.should.equal(0);
+      fs.existsSync(filepath).should.be.false;
+      done();
+    }, 30);
+  });
+
+  it('should require crypto to encrypt', function() {
+    (function() {
+      tox.autosave(filepath, { passphrase: 'secret' });
+    }).should.throw(/crypto/);
+  });
+
+  describe('savedataChange', function() {
+    it('should be emitted after changes made through the instance', function() {
+      var reasons = [], listener = function(e) {
+        reasons.push(e.reason());
+      };
+      tox.on('savedataChange', listener);
+      var friendnum = tox.addFriendNoRequestSync('94F44A6EDBFC8FF1DC3ED3C460DA046F4280A234EDCBD7F11C023E43F4F0CD67');
+      tox.deleteFriendSync(friendnum);
+      tox.setStatusMessageSync('Busy');
+      tox.off('savedataChange', listener);
+      reasons.should.eql(['friendAdd', 'friendDelete', 'statusMessage']);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var crypto = require('crypto');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('Avatars', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey),
+      friend = tox.friends.getByNumber(friendnum),
+      avatar = new Buffer('not really a png');
+
+  // tox_hash is SHA-256
+  var sha256 = function(data) {
+    return crypto.createHash('sha256').update(data).digest();
+  };
+
+  var sent, controls, offeredHash;
+
+  var emit = function(name, e) {
+    tox.getEmitter().emit(name, e);
+  };
+
+  var setConnected = function(connected) {
+    var status = (connected ? consts.TOX_CONNECTION_UDP : consts.TOX_CONNECTION_NONE);
+    friend.connectionStatus = status;
+    emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friendnum, status));
+  };
+
+  var offer = function(filenum, data) {
+    offeredHash = sha256(data);
+    var e = new toxEvents.FileRecvEvent(friendnum, filenum, consts.TOX_FILE_KIND_AVATAR,
+      data.length, new Buffer(0), tox._transfers);
+    emit('fileRecv', e);
+  };
+
+  beforeEach(function() {
+    sent = [];
+    controls = [];
+    tox.hashSync = sha256;
+    tox.getFileIdSync = function() { return offeredHash; };
+    tox.controlFile = function(friend, file, control, callback) {
+      controls.push(control);
+      if(callback) callback();
+    };
+    tox.sendFileSync = function(friend, kind, filename, size, fileid) {
+      sent.push({ kind: kind, size: size, fileId: fileid });
+      return sent.length;
+    };
+  });
+
+  afterEach(function() {
+    setConnected(false);
+    ['hashSync', 'getFileIdSync', 'controlFile', 'sendFileSync'].forEach(function(name) {
+      delete tox[name];
+    });
+  });
+
+  describe('#setAvatarSync()', function() {
+    it('should send the avatar to connected friends with its hash as file id', function() {
+      setConnected(true);
+      tox.setAvatarSync(avatar);
+      sent.length.should.equal(1);
+      sent[0].kind.should.equal(consts.TOX_FILE_KIND_AVATAR);
+      sent[0].size.should.equal(avatar.length);
+      sent[0].fileId.should.eql(sha256(avatar));
+    });
+
+    it('should send the avatar when a friend connects', function() {
+      tox.setAvatarSync(avatar);
+      sent.length.should.equal(0);
+      setConnected(true);
+      sent.length.should.equal(1);
+    });
+
+    it('should send a zero-size avatar when removed', function() {
+      tox.setAvatarSync(null);
+      setConnected(true);
+      sent[0].size.should.equal(0);
+    });
+  });
+
+  describe('friendAvatar', function() {
+    it('should accept and cache new avatars', function(done) {
+      tox.on('friendAvatar', function listener(e) {
+        tox.off('friendAvatar', listener);
+        e.friend().should.equal(friendnum);
+        e.avatar().toString().should.equal('avatar 1');
+        e.isRemoved().should.be.false;
+        tox.getFriendAvatarSync(friendnum).toString().should.equal('avatar 1');
+        done();
+      });
+
+      offer(1, new Buffer('avatar 1'));
+      controls.should.eql([consts.TOX_FILE_CONTROL_RESUME]);
+      emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friendnum, 1, 0, new Buffer('avatar 1')));
+      emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friendnum, 1, 8, new Buffer(0)));
+    });
+
+    it('should cancel offers of the cached avatar', function() {
+      offer(2, new Buffer('avatar 1'));
+      controls.should.eql([consts.TOX_FILE_CONTROL_CANCEL]);
+    });
+
+    it('should treat zero-size offers as removal', function(done) {
+      tox.on('friendAvatar', function listener(e) {
+        tox.off('friendAvatar', listener);
+        e.isRemoved().should.be.true;
+        should(tox.getFriendAvatarSync(friendnum)).be.undefined;
+        done();
+      });
+
+      offer(3, new Buffer(0));
+      controls.should.eql([consts.TOX_FILE_CONTROL_CANCEL]);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var fs = require('fs');
+var mktemp = require('mktemp');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var MockNetwork = require(path.join(__dirname, '..', 'lib', 'mocklibrary')).MockNetwork;
+var parseNodes = require(path.join(__dirname, '..', 'lib', 'bootstrapper')).parseNodes;
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('Bootstrapper', function() {
+  var keys = [
+    '951C88B7E75C867418ACDB5D273821372BB5BD652740BCDF623A4FA293E75D2F',
+    '1D5A5F2F5D6233058BF0259B09622FB40B482E4FA0931EB8FD3AB8E7BF7DAF6F',
+    '8E7D0B859922EF569298B4D261A8CCB5FEA14FB91ED412A7603A585A25698832',
+    'A09162D68618E742FFBCA1C2C70385E6679604B2D80EA6E84AD0996A1AC8A074'
+  ];
+
+  var nodesJson = {
+    'last_scan': 1475000000,
+    'nodes': [
+      { 'ipv4': '144.76.60.215', 'ipv6': '2a01:4f8:191:64d6::1', 'port': 33445,
+        'tcp_ports': [443, 3389], 'public_key': keys[0], 'maintainer': 'sonOfRa',
+        'status_udp': true, 'status_tcp': true },
+      { 'ipv4': '23.226.230.47', 'ipv6': '-', 'port': 33445, 'tcp_ports': [],
+        'public_key': keys[1], 'maintainer': 'Stal', 'status_udp': true, 'status_tcp': false },
+      { 'ipv4': '178.21.112.187', 'ipv6': '-', 'port': 33445, 'tcp_ports': [33445],
+        'public_key': keys[2], 'maintainer': 'Monsterovich', 'status_udp': true, 'status_tcp': true },
+      { 'ipv4': '195.154.119.113', 'ipv6': '-', 'port': 33445, 'tcp_ports': [],
+        'public_key': keys[3], 'maintainer': 'Busindre', 'status_udp': false, 'status_tcp': false }
+    ]
+  };
+
+  var tox;
+
+  beforeEach(function() {
+    tox = new Tox({ mock: new MockNetwork() });
+  });
+
+  describe('parseNodes()', function() {
+    it('should parse nodes.json, leaving out nodes which are down', function() {
+      var nodes = parseNodes(nodesJson);
+      nodes.length.should.equal(3);
+      nodes[0].ipv6.should.equal('2a01:4f8:191:64d6::1');
+      nodes[0].tcpPorts.should.eql([443, 3389]);
+      should(nodes[1].ipv6).be.undefined;
+    });
+
+    it('should parse nodes with address, port and key', function() {
+      var nodes = parseNodes([{ address: '127.0.0.1', port: 33445, key: keys[0].toLowerCase() }]);
+      nodes[0].ipv4.should.equal('127.0.0.1');
+      nodes[0].publicKey.should.equal(keys[0]);
+      nodes[0].tcpPorts.should.eql([]);
+    });
+  });
+
+  describe('#bootstrapFrom()', function() {
+    it('should bootstrap from a nodes.json file, adding TCP relays', function(done) {
+      var bootstrapped = [], relays = [],
+          bootstrap = tox.bootstrap, addTCPRelay = tox.addTCPRelay;
+
+      tox.bootstrap = function(address, port, publicKey, callback) {
+        bootstrapped.push(address);
+        bootstrap.apply(tox, arguments);
+      };
+      tox.addTCPRelay = function(address, port, publicKey, callback) {
+        relays.push(address + ':' + port);
+        addTCPRelay.apply(tox, arguments);
+      };
+
+      mktemp.createFile('/tmp/XXXXXX.json', function(err, filepath) {
+        if(err) return done(err);
+        fs.writeFileSync(filepath, JSON.stringify(nodesJson));
+
+        var bootstrapper = tox.bootstrapFrom(filepath, { count: 3 }, function(err) {
+          fs.unlinkSync(filepath);
+          bootstrapper.stop();
+          should(err).be.undefined;
+          bootstrapped.sort().should.eql(['144.76.60.215', '178.21.112.187',
+            '23.226.230.47', '2a01:4f8:191:64d6::1']);
+          relays.sort().should.eql(['144.76.60.215:3389', '144.76.60.215:443',
+            '178.21.112.187:33445']);
+          done();
+        });
+      });
+    });
+
+    it('should record failures of nodes', function(done) {
+      var json = [{ address: '127.0.0.1', port: 0, key: keys[0] }];
+      var bootstrapper = tox.bootstrapFrom(json, { timeout: 0 }, function(err) {
+        should.exist(err);
+        bootstrapper.getFailures()[keys[0]].count.should.equal(1);
+        done();
+      });
+    });
+
+    it('should bootstrap again from other nodes if not connected', function(done) {
+      var rounds = [];
+      var bootstrapper = tox.bootstrapFrom(nodesJson, { count: 2, timeout: 10 });
+
+      bootstrapper.on('bootstrap', function(nodes) {
+        rounds.push(nodes.map(function(node) { return node.publicKey; }));
+        if(rounds.length === 2) {
+          bootstrapper.stop();
+          rounds[1].should.not.containEql(rounds[0][0]);
+          rounds[1].should.not.containEql(rounds[0][1]);
+          bootstrapper.getFailures()[rounds[0][0]].error.code.should.equal('TIMEOUT');
+          done();
+        }
+      });
+    });
+
+    it('should not bootstrap again once connected', function(done) {
+      var rounds = 0;
+      var bootstrapper = tox.bootstrapFrom(nodesJson, { timeout: 20 });
+
+      bootstrapper.on('bootstrap', function() {
+        rounds++;
+      });
+      tox.start();
+
+      setTimeout(function() {
+        tox.stop();
+        bootstrapper.stop();
+        rounds.should.equal(1);
+        done();
+      }, 100);
+    });
+
+    it('should wait for asynchronous calls before checking if connected', function(done) {
+      var rounds = 0, connected = false, release,
+          getConnectionStatusSync = tox.getConnectionStatusSync;
+
+      // Still calls the library, which throws during asynchronous calls
+      tox.getConnectionStatusSync = function() {
+        var status = getConnectionStatusSync.apply(tox, arguments);
+        return (connected ? consts.TOX_CONNECTION_UDP : status);
+      };
+
+      var bootstrapper = tox.bootstrapFrom(nodesJson, { timeout: 20 }, function() {
+        // Connect during an asynchronous call outlasting the timeout
+        tox.getCallQueue().wrap(function(callback) {
+          release = callback;
+        })(function() {});
+        connected = true;
+
+        setTimeout(function() {
+          release();
+          setTimeout(function() {
+            bootstrapper.stop();
+            rounds.should.equal(1);
+            done();
+          }, 20);
+        }, 60);
+      });
+
+      bootstrapper.on('bootstrap', function() {
+        rounds++;
+      });
+    });
+  });
+});
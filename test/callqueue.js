@@ -0,0 +1,162 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var CallQueue = require(path.join(__dirname, '..', 'lib', 'callqueue'));
+
+describe('CallQueue', function() {
+  // Fake async library function which records overlapping calls
+  var createAsync = function(state) {
+    return function(value, callback) {
+      state.running++;
+      state.maxRunning = Math.max(state.maxRunning, state.running);
+      setTimeout(function() {
+        state.running--;
+        callback(undefined, value);
+      }, 5);
+    };
+  };
+
+  describe('#push()', function() {
+    it('should run a task immediately when idle', function() {
+      var queue = new CallQueue(), ran = false;
+      queue.push(function(done) { ran = true; done(); });
+      ran.should.be.true;
+      queue.isBusy().should.be.false;
+    });
+
+    it('should run tasks in order, one at a time', function(done) {
+      var queue = new CallQueue(), order = [];
+      [1, 2, 3].forEach(function(n) {
+        queue.push(function(finish) {
+          order.push(n);
+          setTimeout(finish, 1);
+        });
+      });
+
+      queue.isBusy().should.be.true;
+      queue.getDepth().should.equal(2);
+      queue.getMaxDepth().should.equal(2);
+
+      queue.push(function(finish) {
+        order.should.eql([1, 2, 3]);
+        finish();
+        done();
+      });
+    });
+  });
+
+  describe('#wrap()', function() {
+    it('should not overlap wrapped calls', function(done) {
+      var queue = new CallQueue(),
+          state = { running: 0, maxRunning: 0 },
+          wrapped = queue.wrap(createAsync(state)),
+          results = [];
+
+      [1, 2, 3].forEach(function(n) {
+        wrapped(n, function(err, value) {
+          results.push(value);
+          if(results.length === 3) {
+            state.maxRunning.should.equal(1);
+            results.should.eql([1, 2, 3]);
+            done(err);
+          }
+        });
+      });
+    });
+
+    it('should pass the guard error instead of calling', function(done) {
+      var queue = new CallQueue(),
+          state = { running: 0, maxRunning: 0 },
+          wrapped = queue.wrap(createAsync(state), function() {
+            return new Error('Guarded');
+          });
+
+      wrapped(1, function(err, value) {
+        err.message.should.equal('Guarded');
+        state.maxRunning.should.equal(0);
+        queue.isBusy().should.be.false;
+        done();
+      });
+    });
+
+    it('should call back before running the next task', function(done) {
+      var queue = new CallQueue(),
+          wrapped = queue.wrap(createAsync({ running: 0, maxRunning: 0 })),
+          calledBack = false;
+
+      wrapped(1, function() {
+        queue.isBusy().should.be.true;
+        calledBack = true;
+      });
+      queue.push(function(finish) {
+        calledBack.should.be.true;
+        finish();
+        done();
+      });
+    });
+
+    it('should release the queue if the call throws', function(done) {
+      var queue = new CallQueue(),
+          wrapped = queue.wrap(function() { throw new Error('Thrown'); });
+
+      wrapped(function(err) {
+        err.message.should.equal('Thrown');
+        queue.isBusy().should.be.false;
+        done();
+      });
+    });
+  });
+
+  describe('#wrapSync()', function() {
+    it('should throw while an asynchronous call is running', function(done) {
+      var queue = new CallQueue(),
+          wrapped = queue.wrap(createAsync({ running: 0, maxRunning: 0 })),
+          sync = queue.wrapSync(function() { return 'value'; }, 'func');
+
+      wrapped(1, function() {
+        queue.isAsyncRunning().should.be.false;
+        sync().should.equal('value');
+        done();
+      });
+      queue.isAsyncRunning().should.be.true;
+      (function() { sync(); }).should.throw(/func/);
+    });
+  });
+
+  describe('#wrapLibrary()', function() {
+    it('should wrap .async of each library function', function(done) {
+      var queue = new CallQueue(),
+          state = { running: 0, maxRunning: 0 },
+          names = [],
+          library = { a: function() {}, b: function() {} };
+      library.a.async = createAsync(state);
+      library.b.async = createAsync(state);
+
+      queue.wrapLibrary(library, function(name) { names.push(name); });
+      library.a.async(1, function() {});
+      library.b.async(2, function(err, value) {
+        value.should.equal(2);
+        state.maxRunning.should.equal(1);
+        names.should.eql(['a', 'b']);
+        done(err);
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var MockNetwork = require(path.join(__dirname, '..', 'lib', 'mocklibrary')).MockNetwork;
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('ConnectionMonitor', function() {
+  var tox = new Tox({ mock: new MockNetwork() }),
+      emitter = tox.getEmitter(),
+      monitor;
+
+  var fakePublicKeys = [
+    '94F44A6EDBFC8FF1DC3ED3C460DA046F4280A234EDCBD7F11C023E43F4F0CD67',
+    '5A1CD1A18F4411DE8267154B6D9AC3A93D98E8C6E682987803CC6057472C444C'
+  ];
+
+  var self = function(status) {
+    emitter.emit('selfConnectionStatus', new toxEvents.SelfConnectionStatusEvent(status));
+  };
+
+  var friend = function(friendnum, status) {
+    emitter.emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(
+      friendnum, status, tox.friends.getPublicKey(friendnum)));
+  };
+
+  afterEach(function() {
+    monitor.stop();
+  });
+
+  it('should record our transitions and flaps', function() {
+    monitor = tox.monitorConnections();
+    self(consts.TOX_CONNECTION_UDP);
+    self(consts.TOX_CONNECTION_UDP);
+    self(consts.TOX_CONNECTION_TCP);
+    self(consts.TOX_CONNECTION_NONE);
+
+    monitor.getHistory().map(function(t) { return t.status; }).should.eql([
+      consts.TOX_CONNECTION_NONE, consts.TOX_CONNECTION_UDP,
+      consts.TOX_CONNECTION_TCP, consts.TOX_CONNECTION_NONE
+    ]);
+    monitor.getHistory()[1].time.should.be.an.instanceof(Date);
+    monitor.getStats().flaps.should.equal(1);
+  });
+
+  it('should count time spent over TCP and UDP', function(done) {
+    monitor = tox.monitorConnections();
+    self(consts.TOX_CONNECTION_TCP);
+    setTimeout(function() {
+      self(consts.TOX_CONNECTION_UDP);
+      setTimeout(function() {
+        var stats = monitor.getStats();
+        stats.status.should.equal(consts.TOX_CONNECTION_UDP);
+        stats.tcpTime.should.be.above(15);
+        stats.udpTime.should.be.above(15);
+        stats.uptime.should.equal(stats.tcpTime + stats.udpTime);
+        stats.flaps.should.equal(0);
+        done();
+      }, 20);
+    }, 20);
+  });
+
+  it('should read our status once asynchronous calls are done', function() {
+    var release, getConnectionStatusSync = tox.getConnectionStatusSync;
+
+    // Still calls the library, which throws during asynchronous calls
+    tox.getConnectionStatusSync = function() {
+      getConnectionStatusSync.apply(tox, arguments);
+      return consts.TOX_CONNECTION_UDP;
+    };
+
+    try {
+      tox.getCallQueue().wrap(function(callback) {
+        release = callback;
+      })(function() {});
+      monitor = tox.monitorConnections();
+      release();
+
+      monitor.getHistory().map(function(t) { return t.status; }).should.eql([
+        consts.TOX_CONNECTION_UDP
+      ]);
+    } finally {
+      delete tox.getConnectionStatusSync;
+    }
+  });
+
+  it('should keep friend histories by public key', function() {
+    var friendnum = tox.addFriendNoRequestSync(fakePublicKeys[0]);
+    monitor = tox.monitorConnections();
+    friend(friendnum, consts.TOX_CONNECTION_UDP);
+    friend(friendnum, consts.TOX_CONNECTION_NONE);
+
+    // The friend number is reused by the next friend added
+    tox.deleteFriendSync(friendnum);
+    tox.addFriendNoRequestSync(fakePublicKeys[1]).should.equal(friendnum);
+    friend(friendnum, consts.TOX_CONNECTION_TCP);
+
+    monitor.getStats(fakePublicKeys[0]).flaps.should.equal(1);
+    monitor.getStats(fakePublicKeys[1].toLowerCase()).status.should.equal(consts.TOX_CONNECTION_TCP);
+    monitor.getHistory(new Buffer(fakePublicKeys[1], 'hex')).length.should.equal(2);
+    monitor.getFriends().sort().should.eql(fakePublicKeys.slice().sort());
+  });
+
+  it('should emit connectionDegraded when TCP only for too long', function(done) {
+    monitor = tox.monitorConnections({ degradedTimeout: 10 });
+    monitor.on('connectionDegraded', function(e) {
+      e.duration().should.be.aboveOrEqual(9);
+      e.since().should.be.an.instanceof(Date);
+      done();
+    });
+    self(consts.TOX_CONNECTION_UDP);
+    self(consts.TOX_CONNECTION_TCP);
+  });
+});
@@ -0,0 +1,200 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var MockNetwork = require(path.join(__dirname, '..', 'lib', 'mocklibrary')).MockNetwork;
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+
+describe('EventIterator', function() {
+  var tox = new Tox({ mock: new MockNetwork() }),
+      emitter = tox.getEmitter();
+
+  var message = function(friendnum, text) {
+    emitter.emit('friendMessage', new toxEvents.FriendMessageEvent(friendnum, 0, text));
+  };
+
+  afterEach(function() {
+    emitter.removeAllListeners();
+  });
+
+  describe('#events()', function() {
+    it('should yield buffered and later events in order', function() {
+      var iter = tox.events('friendMessage');
+      message(0, 'one');
+      return iter.next().then(function(result) {
+        result.done.should.be.false;
+        result.value.message().should.equal('one');
+        setImmediate(function() { message(0, 'two'); });
+        return iter.next();
+      }).then(function(result) {
+        result.value.message().should.equal('two');
+      });
+    });
+
+    it('should only yield events passing the filter', function() {
+      var iter = tox.events('friendMessage', {
+        filter: function(e) { return e.friend() === 1; }
+      });
+      message(0, 'not this');
+      message(1, 'this');
+      return iter.next().then(function(result) {
+        result.value.message().should.equal('this');
+      });
+    });
+
+    it('should drop the oldest events when the buffer is full', function() {
+      var iter = tox.events('friendMessage', { bufferSize: 2 });
+      message(0, 'a');
+      message(0, 'b');
+      message(0, 'c');
+      iter.getDropped().should.equal(1);
+      return iter.next().then(function(result) {
+        result.value.message().should.equal('b');
+      });
+    });
+
+    it('should drop events without a buffer', function() {
+      var iter = tox.events('friendMessage', { bufferSize: 0 });
+      message(0, 'a');
+      message(0, 'b');
+      iter.getDropped().should.equal(2);
+      var next = iter.next();
+      message(0, 'c');
+      return next.then(function(result) {
+        result.value.message().should.equal('c');
+      });
+    });
+
+    it('should drop the newest events if asked', function() {
+      var iter = tox.events('friendMessage', { bufferSize: 2, overflow: 'dropNewest' });
+      message(0, 'a');
+      message(0, 'b');
+      message(0, 'c');
+      iter.next();
+      return iter.next().then(function(result) {
+        result.value.message().should.equal('b');
+        iter.close();
+        return iter.next();
+      }).then(function(result) {
+        result.done.should.be.true;
+      });
+    });
+
+    it('should end with an error on overflow if asked', function() {
+      var iter = tox.events('friendMessage', { bufferSize: 1, overflow: 'error' });
+      message(0, 'a');
+      message(0, 'b');
+      emitter.listenerCount('friendMessage').should.equal(0);
+      return iter.next().then(function(result) {
+        result.value.message().should.equal('a');
+        return iter.next();
+      }).then(function() {
+        throw new Error('Should have rejected');
+      }, function(err) {
+        err.code.should.equal('OVERFLOW');
+      });
+    });
+
+    it('should end with the error if the filter throws', function() {
+      var iter = tox.events('friendMessage', {
+        filter: function(e) {
+          if(e.message() === 'bad') throw new Error('Bad filter');
+          return true;
+        }
+      });
+      message(0, 'a');
+      (function() { message(0, 'bad'); }).should.not.throw();
+      emitter.listenerCount('friendMessage').should.equal(0);
+      return iter.next().then(function(result) {
+        result.value.message().should.equal('a');
+        return iter.next();
+      }).then(function() {
+        throw new Error('Should have rejected');
+      }, function(err) {
+        err.message.should.equal('Bad filter');
+      });
+    });
+
+    it('should stop listening on return()', function() {
+      var iter = tox.events('friendMessage'),
+          pending = iter.next();
+      return iter.return().then(function() {
+        emitter.listenerCount('friendMessage').should.equal(0);
+        return pending;
+      }).then(function(result) {
+        result.done.should.be.true;
+      });
+    });
+
+    it('should work with for await', function() {
+      var iter = tox.events('friendMessage'), received = [];
+      message(0, 'a');
+      message(0, 'b');
+      // Evaluated so this file still loads where for await isn't supported
+      var consume = new Function('iter', 'received',
+        'return (async function() {' +
+        '  for await (var e of iter) {' +
+        '    received.push(e.message());' +
+        '    if(received.length === 2) break;' +
+        '  }' +
+        '})();');
+      return consume(iter, received).then(function() {
+        received.should.eql(['a', 'b']);
+        emitter.listenerCount('friendMessage').should.equal(0);
+      });
+    });
+  });
+
+  describe('#once()', function() {
+    it('should resolve with the first event passing the predicate', function() {
+      var promise = tox.once('friendMessage', function(e) {
+        return e.friend() === 2;
+      });
+      message(1, 'not this');
+      message(2, 'this');
+      return promise.then(function(e) {
+        e.message().should.equal('this');
+        emitter.listenerCount('friendMessage').should.equal(0);
+      });
+    });
+
+    it('should reject if the predicate throws', function() {
+      var promise = tox.once('friendMessage', function() {
+        throw new Error('Bad predicate');
+      }, { timeout: 1000 });
+      (function() { message(0, 'a'); }).should.not.throw();
+      emitter.listenerCount('friendMessage').should.equal(0);
+      return promise.then(function() {
+        throw new Error('Should have rejected');
+      }, function(err) {
+        err.message.should.equal('Bad predicate');
+      });
+    });
+
+    it('should reject with a TIMEOUT error', function() {
+      return tox.once('friendMessage', { timeout: 10 }).then(function() {
+        throw new Error('Should have rejected');
+      }, function(err) {
+        err.code.should.equal('TIMEOUT');
+        emitter.listenerCount('friendMessage').should.equal(0);
+      });
+    });
+  });
+});
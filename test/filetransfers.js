@@ -0,0 +1,271 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+var should = require('should');
+var stream = require('stream');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var filetransfers = require(path.join(__dirname, '..', 'lib', 'filetransfers'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('FileTransfers', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey),
+      filenum = 3;
+
+  var sent, controls;
+
+  var emit = function(name, e) {
+    tox.getEmitter().emit(name, e);
+  };
+
+  var requestChunk = function(position, length) {
+    emit('fileChunkRequest', new toxEvents.FileChunkRequestEvent(friendnum, filenum, position, length));
+  };
+
+  var recvChunk = function(position, data) {
+    emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friendnum, filenum, position, data));
+  };
+
+  var recvControl = function(control) {
+    emit('fileRecvControl', new toxEvents.FileRecvControlEvent(friendnum, filenum, control));
+  };
+
+  var offer = function(size) {
+    return new toxEvents.FileRecvEvent(friendnum, filenum, consts.TOX_FILE_KIND_DATA,
+      size, 'file.txt', tox._transfers);
+  };
+
+  beforeEach(function() {
+    sent = { chunks: [] };
+    controls = [];
+    tox.sendFileSync = function(friend, kind, filename, size, fileid) {
+      sent.kind = kind;
+      sent.filename = filename;
+      sent.size = size;
+      return filenum;
+    };
+    tox.sendFileChunk = function(friend, file, position, data, callback) {
+      sent.chunks.push({ position: position, data: data.toString() });
+      callback();
+    };
+    tox.controlFile = function(friend, file, control, callback) {
+      controls.push(control);
+      if(callback) callback();
+    };
+  });
+
+  afterEach(function() {
+    delete tox.sendFileSync;
+    delete tox.sendFileChunk;
+    delete tox.controlFile;
+  });
+
+  describe('Tox#sendStream()', function() {
+    it('should send chunks as they are requested', function(done) {
+      var readable = new stream.PassThrough();
+      readable.end('hello world');
+
+      var transfer = tox.sendStream(friendnum, readable, { name: 'hello.txt', size: 11 });
+      sent.filename.should.equal('hello.txt');
+      sent.size.should.equal(11);
+      sent.kind.should.equal(consts.TOX_FILE_KIND_DATA);
+
+      transfer.on('finish', function() {
+        sent.chunks.should.eql([
+          { position: 0, data: 'hello' },
+          { position: 5, data: ' world' }
+        ]);
+        should(tox._transfers.getOutgoing(friendnum, filenum)).be.undefined;
+        done();
+      });
+
+      requestChunk(0, 5);
+      requestChunk(5, 6);
+      requestChunk(11, 0);
+    });
+
+    it('should wait for the stream to have data', function(done) {
+      var readable = new stream.PassThrough();
+      tox.sendStream(tox.friends.get(publicKey), readable, { size: 4 });
+
+      requestChunk(0, 4);
+      sent.chunks.length.should.equal(0);
+
+      readable.write('data');
+      setImmediate(function() {
+        sent.chunks.should.eql([{ position: 0, data: 'data' }]);
+        done();
+      });
+    });
+
+    it('should end streams of unknown size with a short chunk', function(done) {
+      var readable = new stream.PassThrough();
+      tox.sendStream(friendnum, readable);
+      sent.size.should.equal(filetransfers.UNKNOWN_SIZE);
+
+      readable.end('abc');
+      requestChunk(0, 8);
+      setImmediate(function() {
+        sent.chunks.should.eql([{ position: 0, data: 'abc' }]);
+        done();
+      });
+    });
+
+    it('should map controls to the transfer', function() {
+      var transfer = tox.sendStream(friendnum, new stream.PassThrough(), { size: 10 }),
+          events = [];
+      transfer.on('remotePause', function() { events.push('remotePause'); });
+      transfer.on('cancel', function() { events.push('cancel'); });
+
+      recvControl(consts.TOX_FILE_CONTROL_PAUSE);
+      transfer.pause();
+      transfer.resume();
+      transfer.cancel();
+
+      events.should.eql(['remotePause', 'cancel']);
+      controls.should.eql([
+        consts.TOX_FILE_CONTROL_PAUSE,
+        consts.TOX_FILE_CONTROL_RESUME,
+        consts.TOX_FILE_CONTROL_CANCEL
+      ]);
+    });
+
+    it('should error when the friend cancels', function(done) {
+      var transfer = tox.sendStream(friendnum, new stream.PassThrough(), { size: 10 });
+      transfer.on('error', function(err) {
+        err.code.should.equal('CANCELLED');
+        done();
+      });
+      recvControl(consts.TOX_FILE_CONTROL_CANCEL);
+    });
+
+    it('should offer files once their size is read from the path', function(done) {
+      var transfer = tox.sendStream(friendnum, fs.createReadStream(__filename));
+      should(transfer.file).be.undefined;
+      should(sent.size).be.undefined;
+
+      var sendFileSync = tox.sendFileSync;
+      tox.sendFileSync = function() {
+        var filenum = sendFileSync.apply(tox, arguments);
+        setImmediate(function() {
+          sent.filename.should.equal('filetransfers.js');
+          sent.size.should.equal(fs.statSync(__filename).size);
+          transfer.file.should.equal(filenum);
+          tox._transfers.getOutgoing(friendnum, filenum).should.equal(transfer);
+          transfer.cancel();
+          done();
+        });
+        return filenum;
+      };
+    });
+
+    it('should not throw into the Tox event when the friend disconnects', function(done) {
+      var readable = new stream.PassThrough(),
+          transfer = tox.sendStream(friendnum, readable, { size: 10 });
+      (function() {
+        emit('friendConnectionStatus',
+          new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+      }).should.not.throw();
+      should(tox._transfers.getOutgoing(friendnum, transfer.file)).be.undefined;
+
+      // Emitted later, even though nobody was listening
+      transfer.on('error', function(err) {
+        err.code.should.equal('DISCONNECTED');
+        done();
+      });
+    });
+
+    it('should destroy the stream when the friend cancels', function(done) {
+      var readable = fs.createReadStream(__filename);
+      tox.sendStream(friendnum, readable, { size: 10 });
+      readable.on('close', function() {
+        done();
+      });
+      recvControl(consts.TOX_FILE_CONTROL_CANCEL);
+    });
+  });
+
+  describe('FileRecvEvent#accept()', function() {
+    it('should stream received chunks', function(done) {
+      var readable = offer(6).accept(),
+          data = '';
+      controls.should.eql([consts.TOX_FILE_CONTROL_RESUME]);
+
+      readable.on('data', function(chunk) { data += chunk.toString(); });
+      readable.on('end', function() {
+        data.should.equal('abcdef');
+        readable.position.should.equal(6);
+        done();
+      });
+
+      recvChunk(0, new Buffer('abc'));
+      recvChunk(3, new Buffer('def'));
+      recvChunk(6, new Buffer(0));
+    });
+
+    it('should pause the transfer while the stream is full', function(done) {
+      var readable = offer(8).accept({ highWaterMark: 4 });
+      recvChunk(0, new Buffer('12345678'));
+      controls.should.eql([consts.TOX_FILE_CONTROL_RESUME, consts.TOX_FILE_CONTROL_PAUSE]);
+
+      readable.read().toString().should.equal('12345678');
+      setImmediate(function() {
+        controls.should.eql([
+          consts.TOX_FILE_CONTROL_RESUME,
+          consts.TOX_FILE_CONTROL_PAUSE,
+          consts.TOX_FILE_CONTROL_RESUME
+        ]);
+        done();
+      });
+    });
+
+    it('should end the stream when the friend cancels without error listeners', function(done) {
+      var readable = offer(8).accept(),
+          writable = new stream.PassThrough();
+      writable.resume();
+      writable.on('finish', function() {
+        done();
+      });
+      readable.pipe(writable);
+      recvChunk(0, new Buffer('abc'));
+      recvControl(consts.TOX_FILE_CONTROL_CANCEL);
+    });
+
+    it('should error when the friend disconnects', function(done) {
+      var readable = offer(8).accept();
+      readable.on('error', function(err) {
+        err.code.should.equal('DISCONNECTED');
+        done();
+      });
+      emit('friendConnectionStatus',
+        new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+    });
+  });
+
+  describe('FileRecvEvent#reject()', function() {
+    it('should cancel the transfer', function() {
+      offer(8).reject();
+      controls.should.eql([consts.TOX_FILE_CONTROL_CANCEL]);
+    });
+  });
+});
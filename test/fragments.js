@@ -0,0 +1,149 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+var FRAGMENT_SIZE = require(path.join(__dirname, '..', 'lib', 'fragments')).FRAGMENT_SIZE;
+
+describe('FragmentChannel', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey);
+
+  var sent, channel;
+
+  var receive = function(packet) {
+    tox.getEmitter().emit('friendLosslessPacket',
+      new toxEvents.FriendPacketEvent(friendnum, packet, true));
+  };
+
+  var fragment = function(messageId, index, count, data) {
+    var header = new Buffer(7);
+    header[0] = 170;
+    header.writeUInt16BE(messageId, 1);
+    header.writeUInt16BE(index, 3);
+    header.writeUInt16BE(count, 5);
+    return Buffer.concat([header, new Buffer(data)]);
+  };
+
+  beforeEach(function() {
+    sent = [];
+    tox.sendLosslessPacket = function(friend, id, data, callback) {
+      var packet = Buffer.concat([new Buffer([id]), data]);
+      packet.length.should.be.belowOrEqual(consts.TOX_MAX_CUSTOM_PACKET_SIZE);
+      sent.push(packet);
+      callback();
+    };
+  });
+
+  afterEach(function() {
+    if(channel) {
+      channel.close();
+      channel = undefined;
+    }
+    delete tox.sendLosslessPacket;
+  });
+
+  it('should throw for lossy ids', function() {
+    (function() { tox.fragmentChannel(200); }).should.throw();
+  });
+
+  it('should split and reassemble large messages', function(done) {
+    var data = new Buffer(FRAGMENT_SIZE * 3 + 10);
+    for(var i = 0; i < data.length; i++) data[i] = i % 251;
+
+    channel = tox.fragmentChannel(170);
+    channel.on('message', function(message, friend) {
+      friend.should.equal(friendnum);
+      message.should.eql(data);
+      done();
+    });
+
+    channel.send(publicKey, data, function(err) {
+      should(err).be.undefined;
+      sent.length.should.equal(4);
+      sent.forEach(receive);
+    });
+  });
+
+  it('should send empty messages as one fragment', function(done) {
+    channel = tox.fragmentChannel(170);
+    channel.on('message', function(message) {
+      message.length.should.equal(0);
+      done();
+    });
+
+    channel.send(friendnum, new Buffer(0), function() {
+      sent.length.should.equal(1);
+      receive(sent[0]);
+    });
+  });
+
+  it('should drop messages larger than maxSize', function(done) {
+    channel = tox.fragmentChannel(170, { maxSize: 8 });
+    channel.on('message', function() {
+      throw new Error('Should have been dropped');
+    });
+    channel.on('drop', function(err, friend) {
+      err.code.should.equal('TOO_LARGE');
+      friend.should.equal(friendnum);
+      receive(fragment(1, 1, 2, 'ignored'));
+      done();
+    });
+
+    receive(fragment(1, 0, 2, 'too long to fit'));
+  });
+
+  it('should limit partial messages per friend', function(done) {
+    channel = tox.fragmentChannel(170, { maxPending: 2 });
+    channel.on('drop', function(err) {
+      err.code.should.equal('TOO_MANY_PENDING');
+      done();
+    });
+
+    receive(fragment(1, 0, 2, 'a'));
+    receive(fragment(2, 0, 2, 'b'));
+    receive(fragment(3, 0, 2, 'c'));
+  });
+
+  it('should drop partial messages after the timeout', function(done) {
+    channel = tox.fragmentChannel(170, { timeout: 10 });
+    channel.on('drop', function(err) {
+      err.code.should.equal('TIMEOUT');
+      done();
+    });
+
+    receive(fragment(1, 0, 2, 'a'));
+  });
+
+  it('should drop partial messages when the friend disconnects', function(done) {
+    channel = tox.fragmentChannel(170);
+    channel.on('drop', function(err) {
+      err.code.should.equal('DISCONNECTED');
+      done();
+    });
+
+    receive(fragment(1, 0, 2, 'a'));
+    tox.getEmitter().emit('friendConnectionStatus',
+      new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+  });
+});
@@ -0,0 +1,142 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var Friend = require(path.join(__dirname, '..', 'lib', 'friend'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('FriendList', function() {
+  var tox = new Tox();
+
+  var fakeAddress = '7bd26c7867ef3a08f0010dc646845284a52f69cb9fded8a2635da3bfe0ba7a4f8facd97f24d6',
+      fakeAddressKey = fakeAddress.substr(0, consts.TOX_PUBLIC_KEY_SIZE * 2);
+
+  var fakePublicKeys = [
+    '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+    '5a1cd1a18f4411de8267154b6d9ac3a93d98e8c6e682987803cc6057472c444c'
+  ];
+
+  describe('adding and deleting', function() {
+    it('should start empty', function() {
+      tox.friends.size().should.equal(0);
+    });
+
+    it('should add friends added by public key', function() {
+      var friendnum = tox.addFriendNoRequestSync(fakePublicKeys[0]),
+          friend = tox.friends.get(fakePublicKeys[0]);
+      friend.should.be.an.instanceof(Friend);
+      friend.number.should.equal(friendnum);
+      friend.publicKey.should.equal(fakePublicKeys[0].toUpperCase());
+      tox.friends.getByNumber(friendnum).should.equal(friend);
+    });
+
+    it('should add friends added by address (async)', function(done) {
+      tox.addFriend(fakeAddress, 'Hello', function(err, friendnum) {
+        if(err) { done(err); return; }
+        tox.friends.has(fakeAddressKey).should.be.true;
+        tox.friends.getByNumber(friendnum).publicKey.should.equal(fakeAddressKey.toUpperCase());
+        done();
+      });
+    });
+
+    it('should read when new friends were last online', function() {
+      var lastOnline = new Date(1000000000000);
+      tox.getFriendLastOnlineSync = function() { return lastOnline; };
+      try {
+        var friendnum = tox.addFriendNoRequestSync(fakePublicKeys[1]);
+        tox.friends.getByNumber(friendnum).lastOnline.should.equal(lastOnline);
+        tox.deleteFriendSync(friendnum);
+      } finally {
+        delete tox.getFriendLastOnlineSync;
+      }
+    });
+
+    it('should remove deleted friends', function() {
+      var friend = tox.friends.get(fakePublicKeys[0]);
+      friend.deleteSync();
+      tox.friends.has(fakePublicKeys[0]).should.be.false;
+      should(tox.friends.getByNumber(friend.number)).be.undefined;
+    });
+  });
+
+  describe('#getPublicKey()', function() {
+    it('should get public keys by friend number until deleted', function() {
+      var friendnum = tox.addFriendNoRequestSync(fakePublicKeys[0]);
+      tox.friends.getPublicKey(friendnum).toString('hex').should.equal(fakePublicKeys[0]);
+      tox.deleteFriendSync(friendnum);
+      should(tox.friends.getPublicKey(friendnum)).be.undefined;
+    });
+
+    it('should seed friends not yet in the list', function() {
+      var friendnum = tox.addFriendNoRequestSync(fakePublicKeys[0]);
+      tox.friends._remove(friendnum);
+      tox.friends.getPublicKey(friendnum).toString('hex').should.equal(fakePublicKeys[0]);
+      var friend = tox.friends.getByNumber(friendnum);
+      friend.name.should.equal('');
+      friend.statusMessage.should.equal('');
+      tox.deleteFriendSync(friendnum);
+    });
+  });
+
+  describe('#reload()', function() {
+    it('should seed from the friend list', function() {
+      tox.addFriendNoRequestSync(fakePublicKeys[1]);
+      tox.friends.reload();
+      tox.friends.size().should.equal(tox.getFriendListSync().length);
+      var friend = tox.friends.get(fakePublicKeys[1]);
+      friend.name.should.equal('');
+      friend.isConnected().should.be.false;
+      friend.isTyping.should.be.false;
+    });
+  });
+
+  describe('events', function() {
+    it('should update friend state from events', function() {
+      var friend = tox.friends.get(fakePublicKeys[1]),
+          emitter = tox.getEmitter();
+      emitter.emit('friendName', new toxEvents.FriendNameEvent(friend.number, 'Somebody'));
+      emitter.emit('friendStatusMessage', new toxEvents.FriendStatusMessageEvent(friend.number, 'Busy'));
+      emitter.emit('friendStatus', new toxEvents.FriendStatusEvent(friend.number, consts.TOX_USER_STATUS_BUSY));
+      emitter.emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friend.number, consts.TOX_CONNECTION_UDP));
+      emitter.emit('friendTyping', new toxEvents.FriendTypingEvent(friend.number, true));
+
+      friend.name.should.equal('Somebody');
+      friend.statusMessage.should.equal('Busy');
+      friend.status.should.equal(consts.TOX_USER_STATUS_BUSY);
+      friend.isConnected().should.be.true;
+      friend.isTyping.should.be.true;
+    });
+
+    it('should only update when last online on disconnecting', function() {
+      var friend = tox.friends.get(fakePublicKeys[1]),
+          emitter = tox.getEmitter(),
+          lastOnline = new Date(NaN);
+      friend.lastOnline = lastOnline;
+      emitter.emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friend.number, consts.TOX_CONNECTION_UDP));
+      friend.lastOnline.should.equal(lastOnline);
+
+      var before = Date.now();
+      emitter.emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friend.number, consts.TOX_CONNECTION_NONE));
+      friend.lastOnline.getTime().should.be.within(before, Date.now());
+      friend.isTyping.should.be.false;
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var _ = require('underscore');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var MockNetwork = require(path.join(__dirname, '..', 'lib', 'mocklibrary')).MockNetwork;
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('MockLibrary', function() {
+  var network = new MockNetwork(),
+      alice = new Tox({ mock: network }),
+      bob = new Tox({ mock: network }),
+      aliceNum, bobNum, aliceName;
+
+  var once = function(tox, name, listener) {
+    tox.on(name, function wrapper(e) {
+      tox.off(name, wrapper);
+      listener(e);
+    });
+  };
+
+  before(function(done) {
+    var pending = 2;
+
+    once(bob, 'friendRequest', function(e) {
+      e.message().should.equal('hi bob');
+      aliceNum = bob.addFriendNoRequestSync(e.publicKey());
+    });
+
+    // Connected once alice sees bob, and bob has alice's name
+    once(alice, 'friendConnectionStatus', function(e) {
+      e.isConnected().should.be.true;
+      if(--pending === 0) done();
+    });
+    once(bob, 'friendName', function(e) {
+      aliceName = e.name();
+      if(--pending === 0) done();
+    });
+
+    alice.setNameSync('alice');
+    bobNum = alice.addFriendSync(bob.getAddressSync(), 'hi bob');
+    alice.start();
+    bob.start();
+  });
+
+  after(function() {
+    alice.stop();
+    bob.stop();
+  });
+
+  it('should put instances on the network', function() {
+    network.getNodes().length.should.equal(2);
+    alice.isMock().should.be.true;
+    alice.getUdpPortSync().should.not.equal(bob.getUdpPortSync());
+  });
+
+  it('should connect friends and share their names', function() {
+    bob.getFriendConnectionStatusSync(aliceNum).should.equal(consts.TOX_CONNECTION_UDP);
+    aliceName.should.equal('alice');
+  });
+
+  it('should get friend names without padding', function(done) {
+    bob.getFriendNameSync(aliceNum).should.equal('alice');
+    bob.friends.getByNumber(aliceNum).name.should.equal('alice');
+    bob.getFriendName(aliceNum, function(err, name) {
+      if(!err) name.should.equal('alice');
+      done(err);
+    });
+  });
+
+  it('should deliver messages and read receipts', function(done) {
+    once(bob, 'friendMessage', function(e) {
+      e.friend().should.equal(aliceNum);
+      e.publicKeyHex().should.equal(alice.getPublicKeyHexSync());
+      e.message().should.equal('hello');
+    });
+    once(alice, 'friendReadReceipt', function(e) {
+      e.friend().should.equal(bobNum);
+      e.receipt().should.equal(id);
+      done();
+    });
+    var id = alice.sendFriendMessageSync(bobNum, 'hello');
+  });
+
+  it('should give the ids of parts sent when a split message fails', function() {
+    var carol = new Tox({ mock: network, splitMessages: true }),
+        num = carol.addFriendNoRequestSync(bob.getPublicKeySync()),
+        sent = 0;
+
+    // Pretend the first part is sent and the second fails
+    carol._sendFriendMessagePartSync = function() {
+      if(sent++ === 1) throw new Error('Failed');
+      return 42;
+    };
+
+    var message = (new Array(1000)).join('word ');
+    try {
+      carol.sendFriendMessageSync(num, message);
+      should.fail('Expected an error');
+    } catch(e) {
+      e.message.should.equal('Failed');
+      e.messageIds.should.eql([42]);
+    }
+  });
+
+  it('should deliver custom packets', function(done) {
+    once(bob, 'friendLosslessPacket', function(e) {
+      e.id().should.equal(170);
+      e.data().toString().should.equal('data');
+      done();
+    });
+    alice.sendLosslessPacketSync(bobNum, 170, new Buffer('data'));
+  });
+
+  it('should reject packets with invalid ids', function() {
+    (function() {
+      alice.sendLosslessPacketSync(bobNum, 100, new Buffer('data'));
+    }).should.throw(/TOX_ERR_FRIEND_CUSTOM_PACKET_INVALID/);
+  });
+
+  it('should transfer files', function(done) {
+    var data = new Buffer(5000), received = [];
+    for(var i = 0; i < data.length; i++) data[i] = i % 256;
+
+    var onChunkRequest = function(e) {
+      if(e.length() > 0) {
+        alice.sendFileChunkSync(e.friend(), e.file(), e.position(),
+          data.slice(e.position(), e.position() + e.length()));
+      }
+    };
+
+    var onRecvChunk = function(e) {
+      if(e.isFinal()) {
+        alice.off('fileChunkRequest', onChunkRequest);
+        bob.off('fileRecvChunk', onRecvChunk);
+        Buffer.concat(received).should.eql(data);
+        done();
+      } else {
+        received.push(e.data());
+      }
+    };
+
+    once(bob, 'fileRecv', function(e) {
+      e.filename().should.equal('file.bin');
+      e.size().should.equal(data.length);
+      bob.controlFileSync(e.friend(), e.file(), 'resume');
+    });
+    alice.on('fileChunkRequest', onChunkRequest);
+    bob.on('fileRecvChunk', onRecvChunk);
+
+    alice.sendFileSync(bobNum, consts.TOX_FILE_KIND_DATA, 'file.bin', data.length);
+  });
+
+  it('should not run calls queued before async kill', function(done) {
+    var killed = new Tox({ mock: network });
+    killed.kill();
+    killed.getNospam(function(err) {
+      err.code.should.equal('NO_HANDLE');
+      done();
+    });
+  });
+
+  it('should restore instances from savedata', function() {
+    var restored = new Tox({ mock: new MockNetwork(), data: alice.getSavedataSync() });
+    restored.getPublicKeyHexSync().should.equal(alice.getPublicKeyHexSync());
+    restored.getNameSync().should.equal('alice');
+    restored.getFriendListSync().should.eql([bobNum]);
+  });
+
+  it('should restore identities from a secret key', function() {
+    var restored = new Tox({ mock: new MockNetwork(), secretKey: alice.getSecretKeySync() });
+    restored.getPublicKeyHexSync().should.equal(alice.getPublicKeyHexSync());
+    restored.getFriendListSync().should.eql([]);
+
+    restored = new Tox(_.extend({ mock: new MockNetwork() }, alice.exportSecretKeySync()));
+    restored.getAddressHexSync().should.equal(alice.getAddressHexSync());
+
+    (function() {
+      new Tox({ mock: new MockNetwork(), secretKey: 'ABCD' });
+    }).should.throw(/32 bytes/);
+  });
+
+  it('should not allocate options for an invalid secret key', function() {
+    var newOptionsSync = Tox.prototype.newOptionsSync, allocated = 0;
+    Tox.prototype.newOptionsSync = function() {
+      allocated++;
+      return newOptionsSync.apply(this, arguments);
+    };
+
+    try {
+      (function() {
+        new Tox({ mock: new MockNetwork(), secretKey: 'ABCD' });
+      }).should.throw(/32 bytes/);
+    } finally {
+      Tox.prototype.newOptionsSync = newOptionsSync;
+    }
+
+    allocated.should.equal(0);
+  });
+});
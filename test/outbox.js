@@ -0,0 +1,217 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var fs = require('fs');
+var mktemp = require('mktemp');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var Outbox = require(path.join(__dirname, '..', 'lib', 'outbox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+// Helper mktemp functions
+var mktempOutboxSync = mktemp.createFileSync.bind(undefined, 'XXXXX.json');
+
+describe('Outbox', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey),
+      friend = tox.friends.getByNumber(friendnum);
+
+  // Pretend the friend connected, sending messages with the given ids
+  var connect = function(messageIds) {
+    friend.send = function(message, type, callback) {
+      callback(undefined, messageIds.shift());
+    };
+    friend.connectionStatus = consts.TOX_CONNECTION_UDP;
+    tox.getEmitter().emit('friendConnectionStatus',
+      new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_UDP));
+  };
+
+  var disconnect = function() {
+    friend.connectionStatus = consts.TOX_CONNECTION_NONE;
+    tox.getEmitter().emit('friendConnectionStatus',
+      new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+  };
+
+  afterEach(function() {
+    disconnect();
+    delete friend.send;
+  });
+
+  describe('#send()', function() {
+    it('should queue messages for offline friends', function() {
+      var outbox = new Outbox({ tox: tox }),
+          id = outbox.send(friend, 'Hello');
+      var pending = outbox.getPending(publicKey);
+      pending.length.should.equal(1);
+      pending[0].id.should.equal(id);
+      should(pending[0].messageId).be.undefined;
+      outbox.close();
+    });
+
+    it('should throw for unknown friends', function() {
+      var outbox = new Outbox({ tox: tox });
+      (function() { outbox.send(12345, 'Hello'); }).should.throw();
+      outbox.close();
+    });
+  });
+
+  describe('delivery', function() {
+    it('should send on connect and deliver on read receipt', function(done) {
+      var outbox = new Outbox({ tox: tox }),
+          id = outbox.send(friendnum, 'Hello');
+
+      outbox.on('messageSent', function(e) {
+        e.id().should.equal(id);
+        e.messageId().should.equal(7);
+        tox.getEmitter().emit('friendReadReceipt', new toxEvents.FriendReadReceiptEvent(friendnum, 7));
+      });
+
+      outbox.on('messageDelivered', function(e) {
+        e.id().should.equal(id);
+        e.friend().should.equal(friendnum);
+        outbox.getPending().length.should.equal(0);
+        outbox.close();
+        done();
+      });
+
+      connect([7]);
+    });
+
+    it('should send again after reconnecting without a receipt', function() {
+      var outbox = new Outbox({ tox: tox });
+      outbox.send(friendnum, 'Hello');
+      connect([1]);
+      outbox.getPending()[0].messageId.should.equal(1);
+      disconnect();
+      should(outbox.getPending()[0].messageId).be.undefined;
+      connect([2]);
+      outbox.getPending()[0].messageId.should.equal(2);
+      outbox.close();
+    });
+
+    it('should deliver split messages once all parts are receipted', function(done) {
+      var outbox = new Outbox({ tox: tox });
+      outbox.send(friendnum, 'Hello');
+      outbox.on('messageDelivered', function(e) {
+        e.messageId().should.eql([3, 4]);
+        outbox.close();
+        done();
+      });
+
+      connect([[3, 4]]);
+      tox.getEmitter().emit('friendReadReceipt', new toxEvents.FriendReadReceiptEvent(friendnum, 4));
+      outbox.getPending().length.should.equal(1);
+      tox.getEmitter().emit('friendReadReceipt', new toxEvents.FriendReadReceiptEvent(friendnum, 3));
+    });
+
+    it('should time out undelivered messages', function(done) {
+      var outbox = new Outbox({ tox: tox, timeout: 10 }),
+          id = outbox.send(friendnum, 'Hello');
+      outbox.on('messageTimeout', function(e) {
+        e.id().should.equal(id);
+        outbox.getPending().length.should.equal(0);
+        outbox.close();
+        done();
+      });
+    });
+
+    it('should not retry after closing if the send queue was full', function(done) {
+      var outbox = new Outbox({ tox: tox, retryDelay: 10 }),
+          sends = 0;
+      outbox.send(friendnum, 'Hello');
+      friend.send = function(message, type, callback) {
+        var err = new Error('Send queue full');
+        err.code = consts.TOX_ERR_FRIEND_SEND_MESSAGE_SENDQ;
+        sends++;
+        callback(err);
+      };
+      friend.connectionStatus = consts.TOX_CONNECTION_UDP;
+      tox.getEmitter().emit('friendConnectionStatus',
+        new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_UDP));
+      outbox.close();
+      setTimeout(function() {
+        sends.should.equal(1);
+        done();
+      }, 30);
+    });
+  });
+
+  describe('#save(), #load()', function() {
+    it('should load persisted messages when created', function(done) {
+      var filepath = mktempOutboxSync(),
+          outbox = new Outbox({ tox: tox, path: filepath });
+      outbox.send(friendnum, 'Hello', 'action');
+      outbox.save(function(err) {
+        if(err) { done(err); return; }
+        outbox.close();
+
+        var loaded = new Outbox({ tox: tox, path: filepath }),
+            pending = loaded.getPending();
+        pending.length.should.equal(1);
+        pending[0].message.should.equal('Hello');
+        pending[0].type.should.equal('action');
+        loaded.close();
+        fs.unlinkSync(filepath);
+        done();
+      });
+    });
+
+    it('should start empty and emit an error if the file is corrupt', function(done) {
+      var filepath = mktempOutboxSync();
+      fs.writeFileSync(filepath, '{"items": [');
+      var outbox = new Outbox({ tox: tox, path: filepath });
+      outbox.getPending().length.should.equal(0);
+      outbox.on('error', function(err) {
+        err.should.be.an.instanceof(SyntaxError);
+        outbox.close();
+        fs.unlinkSync(filepath);
+        done();
+      });
+    });
+
+    it('should emit an error if saving a change fails', function(done) {
+      var outbox = new Outbox({ tox: tox, path: '/nonexistent/outbox.json' });
+      outbox.on('error', function(err) {
+        err.code.should.equal('ENOENT');
+        outbox.close();
+        done();
+      });
+      outbox.send(friendnum, 'Hello');
+    });
+
+    it('should wait for writes in progress when loading', function(done) {
+      var filepath = mktempOutboxSync(),
+          outbox = new Outbox({ tox: tox, path: filepath }),
+          id = outbox.send(friendnum, 'Hello');
+      outbox.load(function(err) {
+        if(err) { done(err); return; }
+        var pending = outbox.getPending();
+        pending.length.should.equal(1);
+        pending[0].id.should.equal(id);
+        pending[0].message.should.equal('Hello');
+        outbox.close();
+        fs.unlinkSync(filepath);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+
+describe('PacketChannel', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey);
+
+  var sent, channel;
+
+  var receive = function(id, data, lossless) {
+    var full = Buffer.concat([new Buffer([id]), new Buffer(data)]);
+    tox.getEmitter().emit((lossless ? 'friendLosslessPacket' : 'friendLossyPacket'),
+      new toxEvents.FriendPacketEvent(friendnum, full, lossless));
+  };
+
+  beforeEach(function() {
+    sent = [];
+    tox.sendLosslessPacket = function(friend, id, data, callback) {
+      sent.push({ lossless: true, id: id, data: data.toString() });
+      callback();
+    };
+    tox.sendLossyPacket = function(friend, id, data, callback) {
+      sent.push({ lossless: false, id: id, data: data.toString() });
+      callback();
+    };
+  });
+
+  afterEach(function() {
+    if(channel) {
+      channel.close();
+      channel = undefined;
+    }
+    delete tox.sendLosslessPacket;
+    delete tox.sendLossyPacket;
+  });
+
+  describe('Tox#packetChannel()', function() {
+    it('should throw for ids outside the custom packet ranges', function() {
+      (function() { tox.packetChannel(friendnum, 159); }).should.throw();
+      (function() { tox.packetChannel(friendnum, 192); }).should.throw();
+      (function() { tox.packetChannel(friendnum, 255); }).should.throw();
+    });
+
+    it('should throw if the id already has a channel open', function() {
+      channel = tox.packetChannel(friendnum, 170);
+      (function() { tox.packetChannel(publicKey, 170); }).should.throw();
+    });
+
+    it('should allow reopening a closed channel', function() {
+      tox.packetChannel(friendnum, 170).close();
+      channel = tox.packetChannel(friendnum, 170);
+    });
+  });
+
+  describe('Tox#claimPacketId()', function() {
+    it('should route packets with the id from all friends', function() {
+      var claimed = [];
+      tox.claimPacketId(175, function(e) { claimed.push(e.data().toString()); });
+      (function() { tox.claimPacketId(175, function() {}); }).should.throw();
+      receive(175, 'claimed', true);
+      tox.unclaimPacketId(175);
+      receive(175, 'unclaimed', true);
+      claimed.should.eql(['claimed']);
+    });
+  });
+
+  describe('deleting friends', function() {
+    it('should close their channels', function() {
+      var other = new Tox(),
+          num = other.addFriendNoRequestSync(publicKey),
+          deleted = other.packetChannel(num, 170);
+      other.deleteFriendSync(num);
+      other.addFriendNoRequestSync('a4f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67').should.equal(num);
+      should(other._packetChannels.get(num, 170)).be.undefined;
+      other.packetChannel(num, 170).should.not.equal(deleted);
+    });
+  });
+
+  describe('reading', function() {
+    it('should only see packets with its id', function(done) {
+      var unclaimed = [];
+      var listener = function(e) { unclaimed.push(e.id()); };
+      tox.on('unclaimedPacket', listener);
+
+      channel = tox.packetChannel(friendnum, 170);
+      channel.on('data', function(data) {
+        data.toString().should.equal('mine');
+        unclaimed.should.eql([171]);
+        tox.off('unclaimedPacket', listener);
+        done();
+      });
+
+      receive(171, 'not mine', true);
+      receive(170, 'mine', true);
+    });
+  });
+
+  describe('writing', function() {
+    it('should send lossless packets for lossless ids', function(done) {
+      channel = tox.packetChannel(friendnum, 160);
+      channel.isLossless().should.be.true;
+      channel.write(new Buffer('hello'), function() {
+        sent.should.eql([{ lossless: true, id: 160, data: 'hello' }]);
+        done();
+      });
+    });
+
+    it('should send lossy packets for lossy ids', function(done) {
+      channel = tox.packetChannel(friendnum, 200);
+      channel.isLossless().should.be.false;
+      channel.write('hello', function() {
+        sent.should.eql([{ lossless: false, id: 200, data: 'hello' }]);
+        done();
+      });
+    });
+  });
+});
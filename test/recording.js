@@ -0,0 +1,126 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var events = require('events');
+var fs = require('fs');
+var mktemp = require('mktemp');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var Replayer = require(path.join(__dirname, '..', 'lib', 'recording')).Replayer;
+
+describe('events', function() {
+  describe('#toJSON()', function() {
+    it('should round trip through fromJSON()', function() {
+      var e = new toxEvents.FriendPacketEvent(3, new Buffer([160, 1, 2]), true),
+          copy = toxEvents.fromJSON(JSON.parse(JSON.stringify(e)));
+      copy.should.be.an.instanceof(toxEvents.FriendPacketEvent);
+      copy.friend().should.equal(3);
+      copy.id().should.equal(160);
+      copy.data().should.eql(new Buffer([1, 2]));
+      copy.isLossless().should.be.true;
+      should(copy.publicKey()).be.undefined;
+    });
+
+    it('should keep friend public keys', function() {
+      var publicKey = new Buffer(32).fill(0xAB),
+          e = new toxEvents.FileRecvEvent(1, 2, 0, 10, 'file', {}, publicKey),
+          copy = toxEvents.fromJSON(JSON.parse(JSON.stringify(e)));
+      copy.publicKey().should.eql(publicKey);
+      copy.publicKeyHex().should.equal(publicKey.toString('hex').toUpperCase());
+      should(copy._transfers).be.undefined;
+    });
+
+    it('should keep undefined and null fields', function() {
+      var chunk = new toxEvents.FileRecvChunkEvent(0, 1, 100, undefined);
+      toxEvents.fromJSON(JSON.parse(JSON.stringify(chunk))).isNull().should.be.true;
+
+      var avatar = new toxEvents.FriendAvatarEvent(0, 'AB', null, null, undefined);
+      toxEvents.fromJSON(JSON.parse(JSON.stringify(avatar))).isRemoved().should.be.true;
+    });
+  });
+});
+
+describe('Recorder', function() {
+  var tox = new Tox({ mock: true }),
+      filepath = mktemp.createFileSync(path.join(__dirname, 'XXXXX.jsonl'));
+
+  after(function() {
+    fs.unlinkSync(filepath);
+  });
+
+  before(function(done) {
+    var recorder = tox.record(filepath);
+    tox.getEmitter().emit('friendMessage', new toxEvents.FriendMessageEvent(0, 0, 'first'));
+    tox.getEmitter().emit('iterate', new toxEvents.IterateEvent(1, 0, 20));
+    setTimeout(function() {
+      tox.getEmitter().emit('friendMessage', new toxEvents.FriendMessageEvent(0, 1, 'second'));
+      recorder.getCount().should.equal(2);
+      recorder.stop(done);
+    }, 100);
+  });
+
+  it('should write libtoxcore events as JSON lines', function() {
+    var lines = fs.readFileSync(filepath, 'utf8').trim().split('\n');
+    lines.length.should.equal(2);
+    var record = JSON.parse(lines[0]);
+    record.name.should.equal('friendMessage');
+    record.event.should.eql({ type: 'FriendMessageEvent', friend: 0, messageType: 0, message: 'first' });
+    record.time.should.be.a.Number;
+  });
+
+  it('should replay events in order at the given speed', function(done) {
+    var emitter = new events.EventEmitter(),
+        replayer = new Replayer(filepath, { speed: 10 }),
+        messages = [], start = Date.now();
+
+    emitter.on('friendMessage', function(e) {
+      e.should.be.an.instanceof(toxEvents.FriendMessageEvent);
+      messages.push(e.message());
+    });
+
+    replayer.play(emitter, function(err) {
+      should.not.exist(err);
+      messages.should.eql(['first', 'second']);
+      (Date.now() - start).should.be.below(90);
+      done();
+    });
+  });
+
+  it('should replay events to a Tox instance\'s listeners', function(done) {
+    Replayer.read(filepath, function(err, records) {
+      should.not.exist(err);
+      tox.on('friendMessage', function onMessage(e) {
+        tox.off('friendMessage', onMessage);
+        e.isAction().should.be.false;
+        done();
+      });
+      new Replayer(records, { speed: Infinity }).play(tox);
+    });
+  });
+
+  it('should pass read errors to the callback', function(done) {
+    var replayer = new Replayer(filepath + '.missing');
+    replayer.play(tox, function(err) {
+      should.exist(err);
+      err.code.should.equal('ENOENT');
+      done();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('Rpc', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey);
+
+  // Packets sent to the friend are received back from them, so calls are
+  // handled by our own registered methods
+  var loopback = function(friend, id, data, callback) {
+    var full = Buffer.concat([new Buffer([id]), data]);
+    setImmediate(function() {
+      tox.getEmitter().emit('friendLosslessPacket',
+        new toxEvents.FriendPacketEvent(friend, full, true));
+    });
+    callback();
+  };
+
+  beforeEach(function() {
+    tox.sendLosslessPacket = loopback;
+  });
+
+  afterEach(function() {
+    delete tox.sendLosslessPacket;
+    ['add', 'echo', 'fail'].forEach(function(name) {
+      tox.rpc.unregister(name);
+    });
+  });
+
+  describe('#call()', function() {
+    it('should call a registered method with JSON arguments', function() {
+      tox.rpc.register('add', function(args, friend) {
+        friend.number.should.equal(friendnum);
+        return args[0] + args[1];
+      });
+
+      return tox.rpc.call(friendnum, 'add', [1, 2]).then(function(result) {
+        result.should.equal(3);
+      });
+    });
+
+    it('should send Buffers as binary', function() {
+      tox.rpc.register('echo', function(args) {
+        Buffer.isBuffer(args).should.be.true;
+        return args;
+      });
+
+      return tox.rpc.call(publicKey, 'echo', new Buffer([0, 1, 2, 255])).then(function(result) {
+        Buffer.isBuffer(result).should.be.true;
+        result.should.eql(new Buffer([0, 1, 2, 255]));
+      });
+    });
+
+    it('should pass errors from the handler to the caller', function(done) {
+      tox.rpc.register('fail', function() {
+        var err = new Error('Nope');
+        err.code = 'NOPE';
+        return Promise.reject(err);
+      });
+
+      tox.rpc.call(friendnum, 'fail', {}, {}, function(err) {
+        err.message.should.equal('Nope');
+        err.code.should.equal('NOPE');
+        err.remote.should.be.true;
+        done();
+      });
+    });
+
+    it('should fail with NO_SUCH_METHOD for unregistered methods', function(done) {
+      tox.rpc.call(friendnum, 'missing', function(err) {
+        err.code.should.equal('NO_SUCH_METHOD');
+        done();
+      });
+    });
+
+    it('should fail with TOO_LONG for requests which don\'t fit in a packet', function(done) {
+      var args = new Buffer(consts.TOX_MAX_CUSTOM_PACKET_SIZE);
+      tox.rpc.call(friendnum, 'echo', args, function(err) {
+        err.code.should.equal('TOO_LONG');
+        done();
+      });
+    });
+
+    it('should time out if no response arrives', function(done) {
+      tox.sendLosslessPacket = function(friend, id, data, callback) {
+        callback();
+      };
+
+      tox.rpc.call(friendnum, 'add', [1, 2], { timeout: 10 }, function(err) {
+        err.code.should.equal('TIMEOUT');
+        done();
+      });
+    });
+
+    it('should fail with DISCONNECTED if the friend disconnects mid-call', function(done) {
+      tox.sendLosslessPacket = function(friend, id, data, callback) {
+        callback();
+      };
+
+      tox.rpc.call(friendnum, 'add', [1, 2], function(err) {
+        err.code.should.equal('DISCONNECTED');
+        done();
+      });
+
+      tox.getEmitter().emit('friendConnectionStatus',
+        new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var net = require('net');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+
+describe('SocksServer', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey);
+
+  var echoServer, echoPort, proxy;
+
+  // Packets sent to the friend are received back from them, so we are
+  // also the exit
+  var loopback = function(friend, id, data, callback) {
+    var full = Buffer.concat([new Buffer([id]), data]);
+    setImmediate(function() {
+      tox.getEmitter().emit('friendLosslessPacket',
+        new toxEvents.FriendPacketEvent(friend, full, true));
+    });
+    callback();
+  };
+
+  // Connect through the proxy to 127.0.0.1, and call back with all data
+  // received once closed
+  var connect = function(port, methods, callback) {
+    var socket = net.connect(proxy.address().port, '127.0.0.1'),
+        received = [];
+
+    var request = new Buffer([5, 1, 0, 1, 127, 0, 0, 1, 0, 0]);
+    request.writeUInt16BE(port, 8);
+
+    socket.write(Buffer.concat([new Buffer([5, methods.length]), new Buffer(methods), request]));
+    socket.on('data', function(data) { received.push(data); });
+    socket.on('close', function() { callback(Buffer.concat(received)); });
+    return socket;
+  };
+
+  before(function(done) {
+    echoServer = net.createServer(function(socket) {
+      socket.end('hello');
+    });
+    echoServer.listen(0, '127.0.0.1', function() {
+      echoPort = echoServer.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    echoServer.close(done);
+  });
+
+  beforeEach(function(done) {
+    tox.sendLosslessPacket = loopback;
+    tox.tunnels.setPolicy(function(publicKey, host, port) {
+      return host === '127.0.0.1' && port !== echoPort + 1;
+    });
+    proxy = tox.socksProxy(friendnum, { port: 0 }, done);
+  });
+
+  afterEach(function(done) {
+    tox.tunnels.setPolicy(undefined);
+    tox.tunnels.resetStats(friendnum);
+    proxy.close(function() {
+      delete tox.sendLosslessPacket;
+      done();
+    });
+  });
+
+  it('should connect out through the friend', function(done) {
+    connect(echoPort, [0], function(received) {
+      received.slice(0, 2).should.eql(new Buffer([5, 0]));
+      received[3].should.equal(0);
+      received.slice(12).toString().should.equal('hello');
+      tox.tunnels.getStats(friendnum).should.eql({
+        connections: 1, bytesSent: 5, bytesReceived: 0
+      });
+      done();
+    });
+  });
+
+  it('should reply not allowed for destinations denied by the policy', function(done) {
+    connect(echoPort + 1, [0], function(received) {
+      received[3].should.equal(0x02);
+      tox.tunnels.getStats(friendnum).connections.should.equal(0);
+      done();
+    });
+  });
+
+  it('should reply connection refused if the friend can\'t connect', function(done) {
+    // Find a port nothing listens on
+    var server = net.createServer().listen(0, '127.0.0.1', function() {
+      var port = server.address().port;
+      server.close(function() {
+        connect(port, [0], function(received) {
+          received[3].should.equal(0x05);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should fail requests once the friend is deleted', function(done) {
+    proxy.publicKey.should.equal(publicKey.toUpperCase());
+    tox.deleteFriendSync(friendnum);
+    connect(echoPort, [0], function(received) {
+      received[3].should.equal(0x01);
+      tox.addFriendNoRequestSync(publicKey).should.equal(friendnum);
+      done();
+    });
+  });
+
+  it('should refuse clients which require authentication', function(done) {
+    connect(echoPort, [2], function(received) {
+      received.should.eql(new Buffer([5, 0xFF]));
+      done();
+    });
+  });
+});
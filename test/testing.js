@@ -0,0 +1,66 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var testing = require(path.join(__dirname, '..', 'lib', 'testing'));
+
+describe('testing', function() {
+  this.timeout(90000);
+
+  var network;
+
+  before(function() {
+    network = testing.createNetwork(3);
+  });
+
+  after(function() {
+    network.free();
+  });
+
+  it('should start instances on distinct ports', function() {
+    var ports = network.toxes.map(function(tox) {
+      return tox.getUdpPortSync();
+    });
+    ports.length.should.equal(3);
+    ports.forEach(function(port, i) {
+      ports.indexOf(port).should.equal(i);
+    });
+  });
+
+  it('should connect all instances to each other', function(done) {
+    network.connectAll(function(err) {
+      should.not.exist(err);
+      network.toxes.forEach(function(tox) {
+        tox.friends.size().should.equal(2);
+      });
+      network.isConnected().should.be.true;
+      done();
+    });
+  });
+
+  it('should deliver messages between connected instances', function(done) {
+    var sender = network.toxes[0], receiver = network.toxes[2];
+    receiver.on('friendMessage', function onMessage(e) {
+      receiver.off('friendMessage', onMessage);
+      e.message().should.equal('hello');
+      done();
+    });
+    sender.friends.get(receiver.getPublicKeySync()).sendSync('hello');
+  });
+});
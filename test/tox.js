@@ -474,6 +474,21 @@ describe('Tox', function() {
       (function() { new Tox({ data: edata, pass: 'notThePass' }); }).should.throw();
     });
 
+    it('should autosave encrypted with a passphrase', function(done) {
+      var toxToSave = new Tox(),
+          filepath = mktempToxSync(),
+          autosave = toxToSave.autosave(filepath, { onChange: false, passphrase: 'myPassphrase' });
+      autosave.save(function(err) {
+        if(err) return done(err);
+        var edata = fs.readFileSync(filepath);
+        toxToSave.crypto().isDataEncryptedSync(edata).should.be.true;
+        toxToSave.crypto().decryptSync(edata, 'myPassphrase').should.eql(toxToSave.getSavedataSync());
+        autosave.stop();
+        fs.unlinkSync(filepath);
+        done();
+      });
+    });
+
     it('should not try to decrypt if no passphrase is given', function() {
       var toxToSave = new Tox(),
           data = toxToSave.getSavedataSync(),
@@ -597,6 +612,21 @@ describe('Tox', function() {
         done(err);
       });
     });
+
+    it('should restore the identity from the secret key', function() {
+      var restored = new Tox({ secretKey: tox.getSecretKeySync() });
+      restored.getPublicKeyHexSync().should.equal(tox.getPublicKeyHexSync());
+      restored.getSecretKeyHexSync().should.equal(tox.getSecretKeyHexSync());
+      restored.free();
+
+      restored = new Tox(tox.exportSecretKeySync());
+      restored.getAddressHexSync().should.equal(tox.getAddressHexSync());
+      restored.free();
+    });
+
+    it('should throw for a secret key of the wrong size', function() {
+      (function() { new Tox({ secretKey: 'ABCD' }); }).should.throw(/32 bytes/);
+    });
   });
 
   describe('saving and loading', function() {
@@ -644,6 +674,38 @@ describe('Tox', function() {
       });
     });
 
+    it('should load encrypted data with a passphrase promise (async)', function(done) {
+      var crypto = new ToxEncryptSave(),
+          data = crypto.encryptSync(toxToSave.getSavedataSync(), 'passphrase');
+      Tox.load({ data: data, pass: function() { return Promise.resolve('passphrase'); } }, function(err, toxToLoad) {
+        if(!err) {
+          toxToLoad.getAddressHexSync().toUpperCase().should.equal(address);
+          toxToLoad.free();
+        }
+        done(err);
+      });
+    });
+
+    it('should pass a DecryptionError if the passphrase is wrong (async)', function(done) {
+      var crypto = new ToxEncryptSave(),
+          data = crypto.encryptSync(toxToSave.getSavedataSync(), 'passphrase');
+      Tox.load({ data: data, pass: 'wrong' }, function(err, toxToLoad) {
+        should.exist(err);
+        err.name.should.equal('DecryptionError');
+        err.codeName.should.equal('TOX_ERR_DECRYPTION_FAILED');
+        should(toxToLoad).be.undefined;
+        done();
+      });
+    });
+
+    it('should pass an error if libtoxencryptsave can\'t be loaded (async)', function(done) {
+      Tox.load({ data: toxToSave.getSavedataSync(), crypto: { path: '/nonexistent/libtoxencryptsave.so' } }, function(err, toxToLoad) {
+        should.exist(err);
+        should(toxToLoad).be.undefined;
+        done();
+      });
+    });
+
     after(function() {
       toxToSave.free();
     });
@@ -700,6 +762,111 @@ describe('Tox', function() {
     });
   });
 
+  describe('#getCallQueue()', function() {
+    it('should be idle after queued calls finish', function(done) {
+      tox.getNospam(function(err, nospam) {
+        tox.getCallQueue().getDepth().should.equal(0);
+        done(err);
+      });
+    });
+
+    it('should run async iterate through the queue', function(done) {
+      tox.iterate(function(err) {
+        tox.getCallQueue().isBusy().should.be.false;
+        done(err);
+      });
+    });
+
+    it('should return an error for calls queued before async kill', function(done) {
+      var toxKilled = new Tox();
+      toxKilled.kill();
+      toxKilled.getNospam(function(err) {
+        err.code.should.equal('NO_HANDLE');
+        done();
+      });
+    });
+  });
+
+  describe('#promises', function() {
+    it('should resolve with the callback value', function(done) {
+      tox.promises.getAddressHex().then(function(address) {
+        address.should.equal(tox.getAddressHexSync());
+        done();
+      }).catch(done);
+    });
+
+    it('should reject with the callback error', function(done) {
+      toxNoUdp.promises.getUdpPort().then(function() {
+        done(new Error('Promise should have been rejected'));
+      }, function(err) {
+        err.should.be.an.instanceof(Error);
+        done();
+      });
+    });
+
+    it('should reject with an error if no handle', function(done) {
+      toxDead.promises.getFriendList().then(function() {
+        done(new Error('Promise should have been rejected'));
+      }, function(err) {
+        err.code.should.equal('NO_HANDLE');
+        done();
+      });
+    });
+  });
+
+  describe('#start(), #stop()', function() {
+    it('should emit iterate events and collect iteration stats', function(done) {
+      var toxIterating = new Tox();
+      toxIterating.on('iterate', function listener(e) {
+        toxIterating.off('iterate', listener);
+        toxIterating.stop();
+        toxIterating.isStarted().should.be.false;
+        e.duration().should.be.a.Number;
+        e.drift().should.be.a.Number;
+        e.interval().should.be.greaterThan(0);
+        var stats = toxIterating.getIterationStats();
+        stats.count.should.equal(1);
+        stats.lastInterval.should.equal(e.interval());
+        toxIterating.free();
+        done();
+      });
+      toxIterating.start();
+      toxIterating.isStarted().should.be.true;
+    });
+
+    it('should use a fixed interval if given', function(done) {
+      var toxIterating = new Tox();
+      toxIterating.on('iterate', function listener(e) {
+        toxIterating.off('iterate', listener);
+        toxIterating.stop();
+        e.interval().should.equal(25);
+        toxIterating.free();
+        done();
+      });
+      toxIterating.start(25);
+    });
+
+    it('should keep iterating if an iterate listener throws', function(done) {
+      var toxIterating = new Tox(),
+          thrower = function() { throw new Error('Listener error'); };
+      toxIterating.start(10);
+      // As if the timeout fired and this is its iteration
+      clearTimeout(toxIterating._iterationTimeout);
+
+      toxIterating.on('iterate', thrower);
+      (function() { toxIterating._runIteration(); }).should.throw('Listener error');
+      toxIterating.off('iterate', thrower);
+
+      toxIterating.isStarted().should.be.true;
+      toxIterating.on('iterate', function listener() {
+        toxIterating.off('iterate', listener);
+        toxIterating.stop();
+        toxIterating.free();
+        done();
+      });
+    });
+  });
+
   describe('event emitter', function() {
     it('should be gettable from a Tox instance', function() {
       should.exist(tox.getEmitter());
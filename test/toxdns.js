@@ -35,4 +35,15 @@ describe('ToxDns', function() {
       toxdnsKilled.hasHandle().should.be.false;
     });
   });
+
+  describe('#promises', function() {
+    it('should reject on error', function(done) {
+      toxdns.promises.resolveHex('not a toxdns address').then(function() {
+        done(new Error('Promise should have been rejected'));
+      }, function(err) {
+        should.exist(err);
+        done();
+      });
+    });
+  });
 });
@@ -90,6 +90,18 @@ describe('ToxEncryptSave', function() {
       });
     });
 
+    it('should be able to decrypt encrypted data (promises)', function(done) {
+      var data = new Buffer('some encrypted data'),
+          passphrase = 'somePassphrase';
+      crypto.promises.encrypt(data, passphrase).then(function(edata) {
+        (edata.equals(data)).should.be.false;
+        return crypto.promises.decrypt(edata, passphrase);
+      }).then(function(ddata) {
+        (ddata.equals(data)).should.be.true;
+        done();
+      }).catch(done);
+    });
+
     it('should be able to decrypt encrypted data from pass key', function() {
       var passKey = crypto.deriveKeyFromPassSync('passphrase'),
           data = new Buffer('encrypt me with a pass key struct'),
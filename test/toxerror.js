@@ -0,0 +1,68 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var path = require('path');
+var should = require('should');
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+var errors = require(path.join(__dirname, '..', 'lib', 'errors'));
+var ToxError = require(path.join(__dirname, '..', 'lib', 'toxerror'));
+
+describe('ToxError', function() {
+  it('should look up the code name, description and function', function() {
+    var err = errors.friendAdd(consts.TOX_ERR_FRIEND_ADD_ALREADY_SENT, 'tox_friend_add');
+    err.type.should.equal('TOX_ERR_FRIEND_ADD');
+    err.code.should.equal(consts.TOX_ERR_FRIEND_ADD_ALREADY_SENT);
+    err.codeName.should.equal('TOX_ERR_FRIEND_ADD_ALREADY_SENT');
+    err.fn.should.equal('tox_friend_add');
+    err.message.should.startWith('tox_friend_add: TOX_ERR_FRIEND_ADD_ALREADY_SENT: ');
+  });
+
+  it('should be an instance of its family subclass', function() {
+    var err = errors.friendAdd(consts.TOX_ERR_FRIEND_ADD_OWN_KEY);
+    err.should.be.an.instanceof(ToxError.FriendAddError);
+    err.should.be.an.instanceof(ToxError);
+    err.should.be.an.instanceof(Error);
+    err.should.not.be.an.instanceof(ToxError.FileSendError);
+    err.name.should.equal('FriendAddError');
+    ToxError.getClass('TOX_ERR_FRIEND_ADD').should.equal(ToxError.FriendAddError);
+  });
+
+  it('should not confuse families sharing a prefix', function() {
+    errors.fileSend(consts.TOX_ERR_FILE_SEND_NULL).codeName
+      .should.equal('TOX_ERR_FILE_SEND_NULL');
+    errors.fileSendChunk(consts.TOX_ERR_FILE_SEND_CHUNK_NULL).codeName
+      .should.equal('TOX_ERR_FILE_SEND_CHUNK_NULL');
+  });
+
+  it('should return undefined for OK values', function() {
+    should(errors.friendAdd(consts.TOX_ERR_FRIEND_ADD_OK)).be.undefined;
+  });
+
+  it('should name the function of unsuccessful errors', function() {
+    var err = errors.unsuccessful('tox_hash');
+    err.should.be.an.instanceof(ToxError.UnsuccessfulError);
+    err.fn.should.equal('tox_hash');
+    err.message.should.startWith('tox_hash: ');
+  });
+
+  it('should fall back to the type and code for unknown codes', function() {
+    var err = new ToxError('TOX_ERR_FRIEND_ADD', 100);
+    should(err.codeName).be.undefined;
+    err.message.should.equal('TOX_ERR_FRIEND_ADD: 100');
+  });
+});
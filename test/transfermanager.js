@@ -0,0 +1,289 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var fs = require('fs');
+var mktemp = require('mktemp');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var TransferManager = require(path.join(__dirname, '..', 'lib', 'transfermanager'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+var ToxError = require(path.join(__dirname, '..', 'lib', 'toxerror'));
+
+// Helper mktemp functions
+var mktempStateSync = mktemp.createFileSync.bind(undefined, 'XXXXX.json');
+var mktempFileSync = mktemp.createFileSync.bind(undefined, 'XXXXX.bin');
+
+describe('TransferManager', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey),
+      friend = tox.friends.getByNumber(friendnum),
+      fileId = new Buffer(consts.TOX_FILE_ID_LENGTH),
+      tempfiles = [];
+
+  fileId.fill(0xAB);
+
+  var sent, seeks, manager;
+
+  var emit = function(name, e) {
+    tox.getEmitter().emit(name, e);
+  };
+
+  var setConnected = function(connected) {
+    var status = (connected ? consts.TOX_CONNECTION_UDP : consts.TOX_CONNECTION_NONE);
+    friend.connectionStatus = status;
+    emit('friendConnectionStatus', new toxEvents.FriendConnectionStatusEvent(friendnum, status));
+  };
+
+  var offer = function(filenum, size) {
+    return new toxEvents.FileRecvEvent(friendnum, filenum, consts.TOX_FILE_KIND_DATA,
+      size, 'file.bin', tox._transfers);
+  };
+
+  var recvChunk = function(filenum, position, data) {
+    emit('fileRecvChunk', new toxEvents.FileRecvChunkEvent(friendnum, filenum, position, data));
+  };
+
+  var requestChunk = function(filenum, position, length) {
+    emit('fileChunkRequest', new toxEvents.FileChunkRequestEvent(friendnum, filenum, position, length));
+  };
+
+  var tempfile = function(create) {
+    var filepath = create();
+    tempfiles.push(filepath);
+    return filepath;
+  };
+
+  beforeEach(function() {
+    sent = { fileIds: [], chunks: [] };
+    seeks = [];
+    tox.getFileIdSync = function() { return fileId; };
+    tox.seekFileSync = function(friend, file, position) { seeks.push(position); };
+    tox.controlFile = function(friend, file, control, callback) { if(callback) callback(); };
+    tox.sendFileSync = function(friend, kind, filename, size, fileid) {
+      sent.fileIds.push(fileid.toString('hex').toUpperCase());
+      return 7;
+    };
+    tox.sendFileChunk = function(friend, file, position, data, callback) {
+      sent.chunks.push({ position: position, data: data.toString() });
+      callback();
+    };
+    setConnected(true);
+  });
+
+  afterEach(function() {
+    manager.close();
+    setConnected(false);
+    ['getFileIdSync', 'seekFileSync', 'controlFile', 'sendFileSync', 'sendFileChunk'].forEach(function(name) {
+      delete tox[name];
+    });
+  });
+
+  after(function() {
+    tempfiles.forEach(function(filepath) {
+      if(fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+      }
+    });
+  });
+
+  describe('#receive()', function() {
+    it('should write the file and forget it once complete', function(done) {
+      var filepath = tempfile(mktempFileSync);
+      manager = new TransferManager({ tox: tox });
+      manager.receive(offer(1, 6), filepath);
+      manager.getIncoming().length.should.equal(1);
+
+      manager.on('transferComplete', function(e) {
+        e.isIncoming().should.be.true;
+        fs.readFileSync(filepath).toString().should.equal('abcdef');
+        manager.getIncoming().length.should.equal(0);
+        done();
+      });
+
+      setImmediate(function() {
+        recvChunk(1, 0, new Buffer('abcdef'));
+        recvChunk(1, 6, new Buffer(0));
+      });
+    });
+
+    it('should resume an interrupted file when re-offered', function(done) {
+      var filepath = tempfile(mktempFileSync),
+          statepath = tempfile(mktempStateSync);
+      manager = new TransferManager({ tox: tox, path: statepath, saveInterval: 0 });
+      manager.receive(offer(1, 6), filepath);
+
+      manager.on('transferInterrupted', function(e) {
+        e.position().should.equal(3);
+        manager.getIncoming()[0].position.should.equal(3);
+
+        // Start over with a new manager using the saved state
+        manager.save(function(err) {
+          should(err).be.undefined;
+          manager.close();
+          manager = new TransferManager({ tox: tox, path: statepath, saveInterval: 0 });
+          manager.on('transferStarted', function(e) {
+            e.position().should.equal(3);
+            seeks.should.eql([3]);
+            setImmediate(function() {
+              recvChunk(2, 3, new Buffer('def'));
+              recvChunk(2, 6, new Buffer(0));
+            });
+          });
+          manager.on('transferComplete', function() {
+            fs.readFileSync(filepath).toString().should.equal('abcdef');
+            done();
+          });
+
+          setConnected(true);
+          var e = offer(2, 6);
+          manager.isResumable(e).should.be.true;
+          emit('fileRecv', e);
+        });
+      });
+
+      setImmediate(function() {
+        recvChunk(1, 0, new Buffer('abc'));
+        setImmediate(function() {
+          setConnected(false);
+        });
+      });
+    });
+
+    it('should throw for unknown friends', function() {
+      manager = new TransferManager({ tox: tox });
+      var e = new toxEvents.FileRecvEvent(12345, 1, consts.TOX_FILE_KIND_DATA,
+        6, 'file.bin', tox._transfers);
+      (function() { manager.receive(e, 'file.bin'); }).should.throw('Unknown friend');
+      manager.getIncoming().length.should.equal(0);
+    });
+  });
+
+  describe('#send()', function() {
+    it('should offer the file again with the same id on reconnect', function(done) {
+      var filepath = tempfile(mktempFileSync);
+      fs.writeFileSync(filepath, 'hello world');
+
+      manager = new TransferManager({ tox: tox });
+      var id = manager.send(friendnum, filepath, { fileId: fileId });
+      id.should.equal(fileId.toString('hex').toUpperCase());
+
+      manager.on('transferInterrupted', function(e) {
+        e.isIncoming().should.be.false;
+        setConnected(true);
+        sent.fileIds.should.eql([id, id]);
+
+        // The friend seeks past what it already has
+        tox.sendFileChunk = function(friend, file, position, data, callback) {
+          sent.chunks.push({ position: position, data: data.toString() });
+          callback();
+          requestChunk(7, 11, 0);
+        };
+        requestChunk(7, 6, 5);
+      });
+
+      manager.on('transferComplete', function() {
+        sent.chunks.should.eql([{ position: 6, data: 'world' }]);
+        manager.getOutgoing().length.should.equal(0);
+        done();
+      });
+
+      setConnected(false);
+    });
+
+    it('should keep the file if the friend is not connected after all', function() {
+      var filepath = tempfile(mktempFileSync);
+      fs.writeFileSync(filepath, 'data');
+      tox.sendFileSync = function() {
+        throw new ToxError('TOX_ERR_FILE_SEND', consts.TOX_ERR_FILE_SEND_FRIEND_NOT_CONNECTED);
+      };
+
+      manager = new TransferManager({ tox: tox });
+      manager.on('transferFailed', function() {
+        should.fail('transferFailed emitted');
+      });
+      manager.send(friendnum, filepath);
+      manager.getOutgoing().length.should.equal(1);
+    });
+
+    it('should drop the file if it can\'t be offered', function() {
+      var filepath = tempfile(mktempFileSync);
+      fs.writeFileSync(filepath, 'data');
+      tox.sendFileSync = function() {
+        throw new ToxError('TOX_ERR_FILE_SEND', consts.TOX_ERR_FILE_SEND_TOO_MANY);
+      };
+
+      var failed = [];
+      manager = new TransferManager({ tox: tox });
+      manager.on('transferFailed', function(e) {
+        failed.push(e.fileId());
+      });
+      var id = manager.send(friendnum, filepath);
+      failed.should.eql([id]);
+      manager.getOutgoing().length.should.equal(0);
+    });
+  });
+
+  describe('#cancel()', function() {
+    it('should stop tracking a transfer', function() {
+      var filepath = tempfile(mktempFileSync);
+      fs.writeFileSync(filepath, 'data');
+
+      manager = new TransferManager({ tox: tox });
+      setConnected(false);
+      var id = manager.send(friendnum, filepath);
+      manager.getOutgoing().length.should.equal(1);
+      manager.cancel(id).should.be.true;
+      manager.getOutgoing().length.should.equal(0);
+      manager.cancel(id).should.be.false;
+    });
+  });
+
+  describe('#load()', function() {
+    it('should wait for writes in progress', function(done) {
+      var filepath = tempfile(mktempFileSync),
+          statepath = tempfile(mktempStateSync);
+      fs.writeFileSync(filepath, 'data');
+
+      manager = new TransferManager({ tox: tox, path: statepath });
+      setConnected(false);
+      var id = manager.send(friendnum, filepath);
+      manager.load(function(err) {
+        should(err).be.undefined;
+        manager.getOutgoing().length.should.equal(1);
+        manager.getOutgoing()[0].fileId.should.equal(id);
+        done();
+      });
+    });
+
+    it('should start empty and emit an error if the state is corrupt', function(done) {
+      var statepath = tempfile(mktempStateSync);
+      fs.writeFileSync(statepath, 'not json');
+
+      manager = new TransferManager({ tox: tox, path: statepath });
+      manager.getOutgoing().length.should.equal(0);
+      manager.on('error', function(err) {
+        err.should.be.an.instanceof(SyntaxError);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/*
+ * This file is part of node-toxcore.
+ *
+ * node-toxcore is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * node-toxcore is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with node-toxcore. If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+var events = require('events');
+var net = require('net');
+var path = require('path');
+var should = require('should');
+var Tox = require(path.join(__dirname, '..', 'lib', 'tox'));
+var toxEvents = require(path.join(__dirname, '..', 'lib', 'events'));
+var consts = require(path.join(__dirname, '..', 'lib', 'consts'));
+
+describe('Tunnels', function() {
+  var tox = new Tox();
+
+  var publicKey = '94f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+      friendnum = tox.addFriendNoRequestSync(publicKey);
+
+  var echoServer, echoPort, forward;
+
+  // Packets sent to the friend are received back from them, so tunnels
+  // opened by us are also accepted by us
+  var loopback = function(friend, id, data, callback) {
+    data.length.should.be.belowOrEqual(consts.TOX_MAX_CUSTOM_PACKET_SIZE - 1);
+    var full = Buffer.concat([new Buffer([id]), data]);
+    setImmediate(function() {
+      tox.getEmitter().emit('friendLosslessPacket',
+        new toxEvents.FriendPacketEvent(friend, full, true));
+    });
+    callback();
+  };
+
+  var connect = function(callback) {
+    var socket = net.connect(forward.address().port, '127.0.0.1'),
+        received = [];
+    socket.on('data', function(data) { received.push(data); });
+    socket.on('close', function() { callback(Buffer.concat(received)); });
+    return socket;
+  };
+
+  before(function(done) {
+    echoServer = net.createServer(function(socket) {
+      socket.pipe(socket);
+    });
+    echoServer.listen(0, '127.0.0.1', function() {
+      echoPort = echoServer.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    echoServer.close(done);
+  });
+
+  beforeEach(function(done) {
+    tox.sendLosslessPacket = loopback;
+    forward = tox.forward(friendnum, {
+      localPort: 0, remoteHost: '127.0.0.1', remotePort: echoPort
+    }, done);
+  });
+
+  afterEach(function(done) {
+    tox.tunnels.disallow('127.0.0.1', echoPort);
+    forward.close(function() {
+      delete tox.sendLosslessPacket;
+      done();
+    });
+  });
+
+  it('should tunnel connections to allowed hosts and ports', function(done) {
+    var data = new Buffer(5000);
+    for(var i = 0; i < data.length; i++) data[i] = i % 256;
+
+    tox.tunnels.allow('127.0.0.1', echoPort);
+
+    var socket = connect(function(received) {
+      received.should.eql(data);
+      done();
+    });
+
+    socket.write(data);
+    socket.on('data', function() {
+      if(socket.bytesRead === data.length) {
+        socket.end();
+      }
+    });
+  });
+
+  it('should close connections to hosts and ports not allowed', function(done) {
+    tox.tunnels.allow('127.0.0.1', echoPort + 1);
+    connect(function(received) {
+      received.length.should.equal(0);
+      tox.tunnels.disallow('127.0.0.1', echoPort + 1);
+      done();
+    }).write('hello');
+  });
+
+  it('should close connections when the friend disconnects', function(done) {
+    tox.tunnels.allow('127.0.0.1', echoPort);
+    var socket = connect(function() {
+      done();
+    });
+
+    socket.write('hello');
+    socket.once('data', function() {
+      tox.getEmitter().emit('friendConnectionStatus',
+        new toxEvents.FriendConnectionStatusEvent(friendnum, consts.TOX_CONNECTION_NONE));
+    });
+  });
+
+  it('should keep tunneling after one side finishes sending', function(done) {
+    tox.tunnels.allow('127.0.0.1', echoPort);
+    connect(function(received) {
+      received.toString().should.equal('hello');
+      done();
+    }).end('hello');
+  });
+
+  it('should keep frames in order when the send queue is full', function(done) {
+    var full = true;
+    tox.sendLosslessPacket = function(friend, id, data, callback) {
+      // The first frame (opening the stream) has to be retried
+      if(full) {
+        full = false;
+        var err = new Error('Send queue full');
+        err.code = consts.TOX_ERR_FRIEND_CUSTOM_PACKET_SENDQ;
+        return callback(err);
+      }
+      loopback(friend, id, data, callback);
+    };
+
+    tox.tunnels.allow('127.0.0.1', echoPort);
+    var socket = connect(function(received) {
+      received.toString().should.equal('hello');
+      done();
+    });
+    socket.write('hello');
+    socket.on('data', function() {
+      socket.end();
+    });
+  });
+
+  it('should reset streams the friend sends on but we don\'t know', function(done) {
+    var sent = [];
+    tox.sendLosslessPacket = function(friend, id, data, callback) {
+      sent.push(data);
+      callback();
+    };
+
+    tox.tunnels._onFrame(friendnum, new Buffer([1, 0x04, 0xD2, 0x61]));
+    sent.should.eql([new Buffer([0x80 | 2, 0x04, 0xD2, 3])]);
+
+    // And give an error when the friend resets ours
+    var socket = new events.EventEmitter();
+    socket.destroy = function() {};
+    tox.tunnels._add(tox.tunnels._opened, friendnum, 1234, socket, 0).onOpen = function(err) {
+      err.code.should.equal('RESET');
+      should(tox.tunnels._opened[friendnum + ':1234']).be.undefined;
+      done();
+    };
+    tox.tunnels._onFrame(friendnum, new Buffer([0x80 | 2, 0x04, 0xD2, 3]));
+  });
+
+  it('should ask the friend to pause while writes are buffered', function() {
+    var sent = [],
+        socket = new events.EventEmitter(),
+        paused = false;
+    socket.write = function() { return false; };
+    socket.pause = function() { paused = true; };
+    socket.resume = function() { paused = false; };
+    tox.sendLosslessPacket = function(friend, id, data, callback) {
+      sent.push(data[0]);
+      callback();
+    };
+
+    var tunnel = tox.tunnels._add(tox.tunnels._opened, friendnum, 1234, socket, 0),
+        header = new Buffer([0x80 | 1, 0x04, 0xD2]);
+    tox.tunnels._onFrame(friendnum, Buffer.concat([header, new Buffer('data')]));
+    tox.tunnels._onFrame(friendnum, Buffer.concat([header, new Buffer('more')]));
+    sent.should.eql([5]);
+    socket.emit('drain');
+    sent.should.eql([5, 6]);
+
+    // And pause reading when the friend asks
+    tox.tunnels._onFrame(friendnum, new Buffer([0x80 | 5, 0x04, 0xD2]));
+    paused.should.be.true;
+    tox.tunnels._onFrame(friendnum, new Buffer([0x80 | 6, 0x04, 0xD2]));
+    paused.should.be.false;
+    tunnel.closed = true;
+    delete tox.tunnels._opened[friendnum + ':1234'];
+  });
+
+  it('should not let a reused friend number inherit rules or stats', function() {
+    var other = new Tox(),
+        otherKey = 'a4f44a6edbfc8ff1dc3ed3c460da046f4280a234edcbd7f11c023e43f4f0cd67',
+        num = other.addFriendNoRequestSync(publicKey);
+    other.tunnels.allow('localhost', 22, num);
+    other.tunnels._getStats(publicKey.toUpperCase()).connections = 1;
+    other.deleteFriendSync(num);
+
+    other.addFriendNoRequestSync(otherKey).should.equal(num);
+    other.tunnels.isAllowed(num, 'localhost', 22).should.be.false;
+    other.tunnels.getStats(num).connections.should.equal(0);
+    other.tunnels.getStats(publicKey).connections.should.equal(1);
+  });
+
+  describe('#isAllowed()', function() {
+    it('should only allow the given friend if one was given', function() {
+      tox.tunnels.allow('localhost', 22, publicKey);
+      tox.tunnels.isAllowed(friendnum, 'localhost', 22).should.be.true;
+      tox.tunnels.isAllowed(friendnum + 1, 'localhost', 22).should.be.false;
+      tox.tunnels.isAllowed(friendnum, 'localhost', 23).should.be.false;
+      tox.tunnels.disallow('localhost', 22, publicKey);
+      tox.tunnels.isAllowed(friendnum, 'localhost', 22).should.be.false;
+    });
+
+    it('should give the policy the friend\'s public key', function() {
+      tox.tunnels.setPolicy(function(key, host, port) {
+        return key === publicKey.toUpperCase() && port === 22;
+      });
+      tox.tunnels.isAllowed(friendnum, 'localhost', 22).should.be.true;
+      tox.tunnels.isAllowed(friendnum + 1, 'localhost', 22).should.be.false;
+      tox.tunnels.setPolicy(undefined);
+    });
+  });
+});
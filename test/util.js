@@ -18,6 +18,8 @@
 
 var assert = require('assert');
 var buffertools = require('buffertools');
+var fs = require('fs');
+var mktemp = require('mktemp');
 var should = require('should');
 var path = require('path');
 var util = require(path.join(__dirname, '..', 'lib', 'util'));
@@ -32,4 +34,100 @@ describe('util', function() {
       should.exist(zeroSize);
     });
   });
+
+  describe('#splitMessage()', function() {
+    it('should not split short messages', function() {
+      var parts = util.splitMessage('Hello world');
+      parts.length.should.equal(1);
+      parts[0].toString().should.equal('Hello world');
+    });
+
+    it('should split at whitespace', function() {
+      var parts = util.splitMessage('hello world foo bar', 8);
+      parts.map(String).should.eql(['hello', 'world', 'foo bar']);
+    });
+
+    it('should prefer splitting at newlines', function() {
+      var parts = util.splitMessage('line one\nline two is long', 12);
+      parts.map(String).should.eql(['line one', 'line two is', 'long']);
+    });
+
+    it('should not break multi-byte characters', function() {
+      var parts = util.splitMessage('\u00e9\u00e9\u00e9\u00e9\u00e9', 5);
+      parts.map(String).should.eql(['\u00e9\u00e9', '\u00e9\u00e9', '\u00e9']);
+    });
+
+    it('should hard-split invalid UTF-8', function() {
+      var parts = util.splitMessage(new Buffer(25).fill(0x80), 10);
+      parts.map(function(part) { return part.length; }).should.eql([10, 10, 5]);
+    });
+
+    it('should split long messages to TOX_MAX_MESSAGE_LENGTH by default', function() {
+      var message = (new Array(1000)).join('w\u00f6rd ');
+      util.splitMessage(message).forEach(function(part) {
+        part.length.should.not.be.above(1372);
+      });
+    });
+  });
+
+  describe('#writeFileAtomic()', function() {
+    var dir;
+
+    beforeEach(function() {
+      dir = mktemp.createDirSync('/tmp/XXXXXX');
+    });
+
+    afterEach(function() {
+      fs.readdirSync(dir).forEach(function(name) {
+        var filepath = path.join(dir, name);
+        if(fs.statSync(filepath).isDirectory()) {
+          fs.rmdirSync(filepath);
+        } else {
+          fs.unlinkSync(filepath);
+        }
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('should keep backups with the mode of the file', function(done) {
+      var filepath = path.join(dir, 'file'),
+          opts = { mode: util.PRIVATE_FILE_MODE, backups: 2 };
+      util.writeFileAtomic(filepath, new Buffer('first'), opts, function(err) {
+        if(err) return done(err);
+        util.writeFileAtomic(filepath, new Buffer('second'), opts, function(err) {
+          if(err) return done(err);
+          fs.readFileSync(filepath + '.1').toString().should.equal('first');
+          (fs.statSync(filepath + '.1').mode & parseInt('777', 8)).should.equal(util.PRIVATE_FILE_MODE);
+          done();
+        });
+      });
+    });
+
+    it('should keep backups with the mode of the file (sync)', function() {
+      var filepath = path.join(dir, 'file'),
+          opts = { mode: util.PRIVATE_FILE_MODE, backups: 2 };
+      util.writeFileAtomicSync(filepath, new Buffer('first'), opts);
+      util.writeFileAtomicSync(filepath, new Buffer('second'), opts);
+      fs.readFileSync(filepath + '.1').toString().should.equal('first');
+      (fs.statSync(filepath + '.1').mode & parseInt('777', 8)).should.equal(util.PRIVATE_FILE_MODE);
+    });
+
+    it('should remove the temporary file if writing fails', function(done) {
+      // Can't rename a file over a directory
+      fs.mkdirSync(path.join(dir, 'file'));
+      util.writeFileAtomic(path.join(dir, 'file'), new Buffer('data'), function(err) {
+        should.exist(err);
+        fs.readdirSync(dir).should.eql(['file']);
+        done();
+      });
+    });
+
+    it('should remove the temporary file if writing fails (sync)', function() {
+      fs.mkdirSync(path.join(dir, 'file'));
+      (function() {
+        util.writeFileAtomicSync(path.join(dir, 'file'), new Buffer('data'));
+      }).should.throw();
+      fs.readdirSync(dir).should.eql(['file']);
+    });
+  });
 });
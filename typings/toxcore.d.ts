@@ -6,6 +6,7 @@
 declare module 'toxcore' {
   import events = require('events');
   import EventEmitter = events.EventEmitter;
+  import stream = require('stream');
 
   interface ErrorCallback {
     (err: Error): void;
@@ -43,6 +44,28 @@ declare module 'toxcore' {
     (err: Error, tox: Tox): void;
   }
 
+  interface IterationStats {
+    count: number;
+    averageDuration: number;
+    maxDuration: number;
+    averageDrift: number;
+    maxDrift: number;
+    lastInterval: number;
+  }
+
+  // Promise-returning versions of the asynchronous methods of an object
+  interface PromiseMethods {
+    [name: string]: (...args: any[]) => Promise<any>;
+  }
+
+  interface CallQueue {
+    push(task: (done: () => void) => void): void;
+    getDepth(): number;
+    getMaxDepth(): number;
+    isBusy(): boolean;
+    isAsyncRunning(): boolean;
+  }
+
   interface GenerateObject {
     record: string;
     id: number;
@@ -64,6 +87,7 @@ declare module 'toxcore' {
     getKey(): Buffer;
     getKeyHex(): string;
     getLibrary(): any;
+    promises: PromiseMethods;
     resolve(address: string, callback?: BufferCallback): void;
     resolveHex(address: string, callback?: StringCallback): void;
 
@@ -86,9 +110,42 @@ declare module 'toxcore' {
     path?: string;
   }
 
+  export class ToxError extends Error {
+    constructor(type: string, code: number, message?: string, fn?: string);
+    type: string;
+    code: number;
+    codeName: string;
+    fn: string;
+    static getClass(type: string): typeof ToxError;
+    static BootstrapError: typeof ToxError;
+    static DecryptionError: typeof ToxError;
+    static EncryptionError: typeof ToxError;
+    static FileControlError: typeof ToxError;
+    static FileGetError: typeof ToxError;
+    static FileSeekError: typeof ToxError;
+    static FileSendError: typeof ToxError;
+    static FileSendChunkError: typeof ToxError;
+    static FriendAddError: typeof ToxError;
+    static FriendByPublicKeyError: typeof ToxError;
+    static FriendCustomPacketError: typeof ToxError;
+    static FriendDeleteError: typeof ToxError;
+    static FriendGetLastOnlineError: typeof ToxError;
+    static FriendGetPublicKeyError: typeof ToxError;
+    static FriendQueryError: typeof ToxError;
+    static FriendSendMessageError: typeof ToxError;
+    static GetPortError: typeof ToxError;
+    static KeyDerivationError: typeof ToxError;
+    static NewError: typeof ToxError;
+    static OptionsNewError: typeof ToxError;
+    static SetInfoError: typeof ToxError;
+    static SetTypingError: typeof ToxError;
+    static UnsuccessfulError: typeof ToxError;
+  }
+
   export class ToxEncryptSave {
     constructor(opts?: ToxEncryptSaveConstructorOptions);
     getLibrary(): any; // ffi.Library
+    promises: PromiseMethods;
 
     decrypt(data: Buffer, pass: Buffer|string, callback?: BufferCallback): void;
     decryptSync(data: Buffer, pass: Buffer|string): Buffer;
@@ -112,10 +169,385 @@ declare module 'toxcore' {
     decryptPassKeySync(data: Buffer, passKey: ToxPassKey): Buffer;
   }
 
+  export class MockNetwork {
+    constructor();
+    static getDefault(): MockNetwork;
+    getNodes(): MockNode[];
+  }
+
+  export class MockNode {
+    constructor(network: MockNetwork, state?: Object);
+    static fromSavedata(network: MockNetwork, data: Buffer): MockNode;
+    getAddress(): Buffer;
+    getPublicKeyHex(): string;
+    getSavedata(): Buffer;
+    isAlive(): boolean;
+    iterate(): void;
+    kill(): void;
+    setCallback(name: string, callback: Function): void;
+  }
+
+  interface RecorderOptions {
+    events?: string[];
+  }
+
+  interface ReplayerOptions {
+    speed?: number;
+  }
+
+  interface ReplayRecord {
+    time: number;
+    name: string;
+    event: any;
+  }
+
+  export class Recorder extends EventEmitter {
+    constructor(tox: Tox, dest: string|NodeJS.WritableStream, opts?: RecorderOptions);
+    getCount(): number;
+    stop(callback?: Function): void;
+  }
+
+  export class Replayer extends EventEmitter {
+    constructor(source: string|ReplayRecord[], opts?: ReplayerOptions);
+    static read(filepath: string, callback: (err: Error, records: ReplayRecord[]) => void): void;
+    play(target: Tox|EventEmitter, callback?: ErrorCallback): void;
+    stop(): void;
+  }
+
+  interface BootstrapNode {
+    publicKey: string;
+    ipv4?: string;
+    ipv6?: string;
+    port: number;
+    tcpPorts: number[];
+    maintainer?: string;
+  }
+
+  interface BootstrapperOptions {
+    count?: number;
+    timeout?: number;
+  }
+
+  export class Bootstrapper extends EventEmitter {
+    constructor(tox: Tox, source: string|Object|Object[], opts?: BootstrapperOptions);
+    bootstrap(callback?: (err: Error, nodes: BootstrapNode[]) => void): void;
+    getFailures(): { [publicKey: string]: { count: number, error: Error } };
+    getNodes(): BootstrapNode[];
+    start(callback?: ErrorCallback): void;
+    stop(): void;
+  }
+
+  interface ConnectionMonitorOptions {
+    degradedTimeout?: number;
+    maxHistory?: number;
+  }
+
+  interface ConnectionStats {
+    status: number;
+    since: Date;
+    monitored: number;
+    uptime: number;
+    tcpTime: number;
+    udpTime: number;
+    downtime: number;
+    flaps: number;
+  }
+
+  interface ConnectionTransition {
+    time: Date;
+    status: number;
+  }
+
+  export class ConnectionMonitor extends EventEmitter {
+    constructor(tox: Tox, opts?: ConnectionMonitorOptions);
+    getFriends(): string[];
+    getHistory(publicKey?: Buffer|string): ConnectionTransition[];
+    getStats(publicKey?: Buffer|string): ConnectionStats;
+    stop(): void;
+  }
+
+  interface AutosaveOptions {
+    interval?: number;
+    onChange?: boolean;
+    keep?: number;
+    passphrase?: Buffer|string;
+  }
+
+  export class Autosave extends EventEmitter {
+    constructor(tox: Tox, filepath: string, opts?: AutosaveOptions);
+    getPath(): string;
+    save(callback?: ErrorCallback): void;
+    saveSync(): void;
+    stop(): void;
+  }
+
+  interface EventIteratorOptions {
+    filter?: (e: any) => boolean;
+    bufferSize?: number;
+    overflow?: string; // 'dropOldest', 'dropNewest' or 'error'
+  }
+
+  interface OnceOptions {
+    timeout?: number;
+  }
+
+  export class EventIterator {
+    constructor(source: Tox|ToxOld, name: string, opts?: EventIteratorOptions);
+    close(): void;
+    getDropped(): number;
+    next(): Promise<{ value: any, done: boolean }>;
+    return(): Promise<{ value: any, done: boolean }>;
+  }
+
+  interface TestNetworkWaitOptions {
+    timeout?: number;
+  }
+
+  export class TestNetwork {
+    toxes: Tox[];
+    befriend(a: number|Tox, b: number|Tox): void;
+    befriendAll(): void;
+    connectAll(opts: TestNetworkWaitOptions, callback: ErrorCallback): void;
+    connectAll(callback: ErrorCallback): void;
+    free(): void;
+    isConnected(): boolean;
+    waitForConnections(opts: TestNetworkWaitOptions, callback: ErrorCallback): void;
+    waitForConnections(callback: ErrorCallback): void;
+  }
+
+  export namespace testing {
+    function createNetwork(count: number, opts?: ToxConstructorOptions & { port?: number }): TestNetwork;
+  }
+
   interface ToxConstructorOptions {
     path?: string;
+    mock?: MockNetwork|boolean;
     data?: Buffer|string;
+    pass?: Buffer|string|(() => Buffer|string|Promise<Buffer|string>);
+    secretKey?: Buffer|string;
+    nospam?: number;
     crypto?: ToxEncryptSave|boolean|Object|string;
+    splitMessages?: boolean;
+    avatarDir?: string;
+    rpcPacketId?: number;
+    tunnelPacketId?: number;
+  }
+
+  interface SecretKeyIdentity {
+    secretKey: string;
+    nospam: number;
+  }
+
+  export class Friend {
+    number: number;
+    publicKey: string;
+    name: string;
+    statusMessage: string;
+    status: number;
+    connectionStatus: number;
+    lastOnline: Date;
+    isTyping: boolean;
+    promises: PromiseMethods;
+
+    tox(): Tox;
+    isConnected(): boolean;
+    toJSON(): any;
+    send(message: Buffer|string, type?: boolean|number|string, callback?: NumberCallback): void;
+    sendSync(message: Buffer|string, type?: boolean|number|string): number|number[];
+    sendAction(message: Buffer|string, callback?: NumberCallback): void;
+    sendActionSync(message: Buffer|string): number|number[];
+    delete(callback?: ErrorCallback): void;
+    deleteSync(): void;
+    sendFile(kind: number, filename: Buffer|string, size: number, fileid?: Buffer, callback?: NumberCallback): void;
+    sendFileSync(kind: number, filename: Buffer|string, size: number, fileid?: Buffer): number;
+    sendStream(readable: NodeJS.ReadableStream|((position: number) => NodeJS.ReadableStream), opts?: SendStreamOptions): OutgoingTransfer;
+  }
+
+  interface SendStreamOptions {
+    name?: string;
+    size?: number|string;
+    kind?: number;
+    fileId?: Buffer;
+  }
+
+  interface OutgoingTransfer extends EventEmitter {
+    friend: number;
+    file: number;
+    kind: number;
+    name: string;
+    size: number|string;
+    position: number;
+    pause(callback?: ErrorCallback): void;
+    resume(callback?: ErrorCallback): void;
+    cancel(callback?: ErrorCallback): void;
+  }
+
+  interface IncomingTransfer extends stream.Readable {
+    friend: number;
+    file: number;
+    kind: number;
+    name: string;
+    size: number|string;
+    position: number;
+    cancel(callback?: ErrorCallback): void;
+  }
+
+  interface PacketChannel extends stream.Duplex {
+    friend: number;
+    id: number;
+    isLossless(): boolean;
+    close(): void;
+  }
+
+  interface FragmentChannelOptions {
+    maxSize?: number;
+    maxPending?: number;
+    timeout?: number;
+  }
+
+  interface FragmentChannel extends EventEmitter {
+    id: number;
+    tox(): Tox;
+    send(friend: number|Friend|Buffer|string, data: Buffer|string, callback?: (err: Error) => void): void;
+    close(): void;
+  }
+
+  interface ForwardOptions {
+    localPort: number;
+    localHost?: string;
+    remoteHost: string;
+    remotePort: number;
+  }
+
+  interface Forward extends EventEmitter {
+    friend: number;
+    address(): { port: number; family: string; address: string; };
+    close(callback?: () => void): void;
+  }
+
+  interface SocksProxyOptions {
+    port: number;
+    host?: string;
+  }
+
+  interface SocksServer extends EventEmitter {
+    publicKey: string;
+    address(): { port: number; family: string; address: string; };
+    close(callback?: () => void): void;
+  }
+
+  interface TunnelStats {
+    connections: number;
+    bytesSent: number;
+    bytesReceived: number;
+  }
+
+  interface Tunnels {
+    tox(): Tox;
+    allow(host: string, port: number, friend?: number|Friend|Buffer|string): void;
+    disallow(host: string, port: number, friend?: number|Friend|Buffer|string): void;
+    setPolicy(policy?: (publicKey: string, host: string, port: number) => boolean): void;
+    isAllowed(friendnum: number, host: string, port: number): boolean;
+    getStats(friend: number|Friend|Buffer|string): TunnelStats;
+    resetStats(friend: number|Friend|Buffer|string): void;
+    forward(friend: number|Friend|Buffer|string, opts: ForwardOptions, callback?: (err: Error) => void): Forward;
+  }
+
+  interface RpcCallOptions {
+    timeout?: number;
+  }
+
+  interface Rpc {
+    tox(): Tox;
+    register(name: string, handler: (args: any, friend: Friend) => any): void;
+    unregister(name: string): void;
+    call(friend: number|Friend|Buffer|string, method: string, args?: any, opts?: RpcCallOptions): Promise<any>;
+    call(friend: number|Friend|Buffer|string, method: string, args: any, opts: RpcCallOptions, callback: (err: Error, result: any) => void): void;
+  }
+
+  interface FriendList {
+    get(publicKey: Buffer|string): Friend;
+    getByNumber(friendnum: number): Friend;
+    getPublicKey(friendnum: number): Buffer;
+    has(publicKey: Buffer|string): boolean;
+    all(): Friend[];
+    size(): number;
+    reload(): void;
+  }
+
+  interface OutboxConstructorOptions {
+    tox: Tox;
+    path?: string;
+    timeout?: number;
+    retryDelay?: number;
+  }
+
+  interface OutboxMessage {
+    id: number;
+    publicKey: string;
+    message: string;
+    type?: boolean|number|string;
+    queued: number;
+    messageId?: number|number[];
+  }
+
+  export class Outbox {
+    constructor(opts: OutboxConstructorOptions);
+    tox(): Tox;
+    send(friend: Friend|number|Buffer|string, message: Buffer|string, type?: boolean|number|string): number;
+    getPending(friend?: Friend|number|Buffer|string): OutboxMessage[];
+    cancel(id: number): boolean;
+    flush(): void;
+    close(): void;
+    save(callback?: ErrorCallback): void;
+    saveSync(): void;
+    load(callback?: ErrorCallback): void;
+    loadSync(): void;
+    getEmitter(): EventEmitter;
+    on(name: string, callback: Function): void;
+    off(name: string, callback: Function): void;
+  }
+
+  interface TransferManagerConstructorOptions {
+    tox: Tox;
+    path?: string;
+    saveInterval?: number;
+  }
+
+  interface TransferRecord {
+    fileId: string;
+    publicKey: string;
+    path: string;
+    name: string;
+    kind: number;
+    size: number|string;
+    position: number;
+  }
+
+  interface TransferManagerSendOptions {
+    name?: string;
+    kind?: number;
+    fileId?: Buffer;
+  }
+
+  export class TransferManager {
+    constructor(opts: TransferManagerConstructorOptions);
+    tox(): Tox;
+    receive(e: any, filepath: string): IncomingTransfer;
+    isResumable(e: any): boolean;
+    send(friend: Friend|number|Buffer|string, filepath: string, opts?: TransferManagerSendOptions): string;
+    getIncoming(): TransferRecord[];
+    getOutgoing(): TransferRecord[];
+    cancel(fileId: string): boolean;
+    flush(): void;
+    close(): void;
+    save(callback?: ErrorCallback): void;
+    saveSync(): void;
+    load(callback?: ErrorCallback): void;
+    loadSync(): void;
+    getEmitter(): EventEmitter;
+    on(name: string, callback: Function): void;
+    off(name: string, callback: Function): void;
   }
 
   // Leaving out freeOptions/newOptions functions
@@ -123,21 +555,35 @@ declare module 'toxcore' {
     constructor(opts?: ToxConstructorOptions);
     static load(opts: ToxConstructorOptions, callback: ToxCallback): void;
     static load(callback: ToxCallback): void;
+    static promises: { load(opts?: ToxConstructorOptions): Promise<Tox>; };
+    promises: PromiseMethods;
+    friends: FriendList;
+    rpc: Rpc;
+    tunnels: Tunnels;
 
+    autosave(filepath: string, opts?: AutosaveOptions): Autosave;
     createLibrary(libpath?: string): any; // ffi.Library
     crypto(): ToxEncryptSave;
+    events(name: string, opts?: EventIteratorOptions): EventIterator;
     free(): void;
     getEmitter(): EventEmitter;
     getHandle(): any;
+    getIterationStats(): IterationStats;
+    getCallQueue(): CallQueue;
     getLibrary(): any; // ffi.Library
     hasCrypto(): boolean;
     hasHandle(): boolean;
+    isMock(): boolean;
     isStarted(): boolean;
     isTcp(): boolean;
     isUdp(): boolean;
+    monitorConnections(opts?: ConnectionMonitorOptions): ConnectionMonitor;
     old(): ToxOld; // May also return undefined
     off(name: string, callback: Function): void;
     on(name: string, callback?: Function): void;
+    once(name: string, predicate?: (e: any) => boolean, opts?: OnceOptions): Promise<any>;
+    once(name: string, opts: OnceOptions): Promise<any>;
+    record(dest: string|NodeJS.WritableStream, opts?: RecorderOptions): Recorder;
     saveToFile(filepath: string, callback?: ErrorCallback): void;
     saveToFileSync(filepath: string): void;
     start(wait?: number): void;
@@ -159,11 +605,15 @@ declare module 'toxcore' {
     bootstrap(address: string, port: number, publicKey: Buffer, callback?: ErrorCallback): void;
     bootstrapSync(address: string, port: number, publicKey: string): void;
     bootstrapSync(address: string, port: number, publicKey: Buffer): void;
+    bootstrapFrom(source: string|Object|Object[], opts?: BootstrapperOptions, callback?: ErrorCallback): Bootstrapper;
+    bootstrapFrom(source: string|Object|Object[], callback?: ErrorCallback): Bootstrapper;
     // todo: control: (number|string)
     controlFile(friendnum: number, filenum: number, control: number, callback?: ErrorCallback): void;
     controlFileSync(friendnum: number, filenum: number, control: number|string): void;
     deleteFriend(friendnum: number, callback?: ErrorCallback): void;
     deleteFriendSync(friendnum: number): void;
+    exportSecretKey(callback?: (err: Error, identity: SecretKeyIdentity) => void): void;
+    exportSecretKeySync(): SecretKeyIdentity;
     getAddress(callback?: BufferCallback): void;
     getAddressSync(): Buffer;
     getAddressHex(callback?: StringCallback): void;
@@ -245,10 +695,15 @@ declare module 'toxcore' {
     sendFileSync(friendnum: number, kind: number, filename: string, size: number, fileid?: Buffer): number;
     sendFileChunk(friendnum: number, filenum: number, position: number, data: Buffer, callback?: ErrorCallback): void;
     sendFileChunkSync(friendnum: number, filenum: number, position: number, data: Buffer): void;
+    setAvatar(avatar: Buffer|string, callback?: ErrorCallback): void;
+    setAvatarSync(avatar: Buffer|string): void;
+    getFriendAvatar(friend: number|Friend|Buffer|string, callback?: BufferCallback): void;
+    getFriendAvatarSync(friend: number|Friend|Buffer|string): Buffer;
+    sendStream(friend: number|Friend|Buffer|string, readable: NodeJS.ReadableStream|((position: number) => NodeJS.ReadableStream), opts?: SendStreamOptions): OutgoingTransfer;
     // Todo: Support more than just string 'type' for sendFriendMessage
     sendFriendMessage(friendnum: number, message: string, callback?: NumberCallback): void;
     sendFriendMessage(friendnum: number, message: string, type: string, callback?: NumberCallback): void;
-    sendFriendMessageSync(friendnum: number, message: string, type?: string): number;
+    sendFriendMessageSync(friendnum: number, message: string, type?: string): number|number[];
     sendLosslessPacket(friendnum: number, data: Buffer, callback?: ErrorCallback): void;
     sendLosslessPacket(friendnum: number, id: number, data: Buffer, callback?: ErrorCallback): void;
     sendLosslessPacketSync(friendnum: number, data: Buffer): void;
@@ -257,6 +712,12 @@ declare module 'toxcore' {
     sendLossyPacket(friendnum: number, id: number, data: Buffer, callback?: ErrorCallback): void;
     sendLossyPacketSync(friendnum: number, data: Buffer): void;
     sendLossyPacketSync(friendnum: number, id: number, data: Buffer): void;
+    packetChannel(friend: number|Friend|Buffer|string, id: number, opts?: any): PacketChannel;
+    claimPacketId(id: number, listener: (e: any) => void): void;
+    unclaimPacketId(id: number): void;
+    fragmentChannel(id: number, opts?: FragmentChannelOptions): FragmentChannel;
+    forward(friend: number|Friend|Buffer|string, opts: ForwardOptions, callback?: (err: Error) => void): Forward;
+    socksProxy(friend: number|Friend|Buffer|string, opts: SocksProxyOptions, callback?: (err: Error) => void): SocksServer;
     setName(name: string, callback?: ErrorCallback): void;
     setNameSync(name: string): void;
     setNospam(nospam: number, callback?: ErrorCallback): void;
@@ -282,13 +743,17 @@ declare module 'toxcore' {
 
   export class ToxOld {
     constructor(opts?: ToxOldConstructorOptions);
+    promises: PromiseMethods;
     createLibrary(libpath?: string): any; // ffi.Library
+    events(name: string, opts?: EventIteratorOptions): EventIterator;
     getEmitter(): EventEmitter;
     getHandle(): any;
     getLibrary(): any; // ffi.Library
     hasHandle(): boolean;
     off(name: string, callback: Function): void;
     on(name: string, callback?: Function): void;
+    once(name: string, predicate?: (e: any) => boolean, opts?: OnceOptions): Promise<any>;
+    once(name: string, opts: OnceOptions): Promise<any>;
     tox(): Tox;
 
     addGroupchat(callback?: NumberCallback): void;